@@ -28,13 +28,18 @@
  *   node backend/scripts/ar-dispatch.js isolate_host    --agent 005
  *   node backend/scripts/ar-dispatch.js isolate_host    --agent 005 --release-after-minutes 30
  *   node backend/scripts/ar-dispatch.js isolate_host    --agent 005 --release-after-seconds 60
+ *   node backend/scripts/ar-dispatch.js release_host    --agent 005
+ *   node backend/scripts/ar-dispatch.js enable_user     --agent 005 --user soartest-linux
  *
  * isolate_host release: scheduled by the connector via setTimeout. Send
  *   --release-after-minutes (preferred) or --release-after-seconds. Max 24h.
  *   If omitted, isolation is permanent until a SOC operator manually clears
  *   the iptables chain on the agent.
  *
- * disable_user unlock: manual SOC operator task, not exposed.
+ * release_host / enable_user: the compensating actions for isolate_host /
+ *   disable_user (delete-sentinel dispatch). For an execution's own actions
+ *   prefer POST /api/executions/:id/rollback, which replays every recorded
+ *   compensation and audits it; this script is for one-off live-fire checks.
  *
  * Add --simulate to skip the actual PUT (returns mock success).
  * Add --dry-run-preview to print the PUT body that WOULD be sent without
@@ -68,6 +73,8 @@ function previewPutBody(action, inputs) {
     kill_process: 'soar-kill-process0',
     disable_user: 'soar-disable-user0',
     delete_file:  'soar-delete-file0',
+    release_host: 'soar-isolate-host0',
+    enable_user:  'soar-disable-user0',
   };
   const isWin = String(inputs.agent_id) === '007';   // hint for preview only
   const base = baseCommands[action];
@@ -80,14 +87,16 @@ function previewPutBody(action, inputs) {
     argsArr = inputs.pid ? ['pid', String(inputs.pid)] : ['name', String(inputs.process_name)];
   } else if (action === 'disable_user') {
     argsArr = [String(inputs.username)];
+  } else if (action === 'enable_user') {
+    argsArr = [String(inputs.username), 'delete'];
   } else if (action === 'delete_file') {
     argsArr = [String(inputs.file_path)];
-  } else if (action === 'isolate_host') {
+  } else if (action === 'isolate_host' || action === 'release_host') {
     // API-dispatched AR does NOT inherit manager ossec.conf <extra_args>.
     // Manager IP is passed explicitly in the API body's arguments array.
     const mgrIp = (process.env.CYBERSENTINEL_MANAGER_IP || '').trim()
       || (() => { try { return new URL(process.env.CYBERSENTINEL_CONTROL_PLANE_URL).hostname; } catch { return '<MANAGER_IP>'; } })();
-    argsArr = [mgrIp];
+    argsArr = action === 'release_host' ? [mgrIp, 'delete'] : [mgrIp];
   }
 
   return {
@@ -107,9 +116,9 @@ function previewPutBody(action, inputs) {
       windows_routing: 'preview assumes agent 007 = windows; live dispatch resolves via real OS lookup',
       api_prefix: 'Wazuh 4.14.x API requires "!" prefix on every manual dispatch (verified 2026-05-12)',
       release_path: action === 'isolate_host'
-        ? 'NOTE: release is handled by Wazuh native <timeout> on the manager <active-response> block, not by SOAR.'
+        ? 'NOTE: undo with release_host (or --release-after-minutes); the agent routes the "delete" sentinel to its release branch.'
         : action === 'disable_user'
-        ? 'NOTE: unlock is a manual SOC operator task, not exposed by this connector.'
+        ? 'NOTE: undo with enable_user; the agent routes the "delete" sentinel to its unlock branch.'
         : null,
     },
   };
@@ -117,9 +126,9 @@ function previewPutBody(action, inputs) {
 
 async function main() {
   const [, , action, ...rest] = process.argv;
-  if (!action || !['kill_process', 'disable_user', 'isolate_host', 'delete_file'].includes(action)) {
+  if (!action || !['kill_process', 'disable_user', 'isolate_host', 'delete_file', 'release_host', 'enable_user'].includes(action)) {
     console.error('Usage: ar-dispatch.js <action> [flags]');
-    console.error('  action: kill_process | disable_user | isolate_host | delete_file');
+    console.error('  action: kill_process | disable_user | isolate_host | delete_file | release_host | enable_user');
     console.error('Flags: --agent <id>  --pid <n>  --name <s>  --user <s>  --file <path>');
     console.error('       --release-after-minutes <N>  (isolate_host only)');
     console.error('       --simulate         use the connector simulation path');
@@ -140,8 +149,8 @@ async function main() {
     else if (args.name) inputs.process_name = String(args.name);
     else { console.error('--pid <n> or --name <s> required for kill_process'); process.exit(2); }
   }
-  if (action === 'disable_user') {
-    if (!args.user) { console.error('--user <name> required for disable_user'); process.exit(2); }
+  if (action === 'disable_user' || action === 'enable_user') {
+    if (!args.user) { console.error(`--user <name> required for ${action}`); process.exit(2); }
     inputs.username = String(args.user);
   }
   if (action === 'delete_file') {
@@ -7,12 +7,14 @@
  * CyberSentinel Control Plane via CDB lists.
  *
  * CONNECTOR TYPE: cybersentinel_blocklist
- * ACTIONS:        cybersentinel_block_ip
+ * ACTIONS:        cybersentinel_block_ip, unblock_ip
  *
  * ARCHITECTURE NOTES:
  * - Internally communicates with the CyberSentinel Control Plane REST API
  * - Appends IPs to the CDB list: etc/lists/cybersentinel_blocked_ips
  * - Idempotent: does not duplicate IPs already in the list
+ * - unblock_ip removes an entry; it is the declared compensation for
+ *   block_ip and is replayed by execution rollback
  * - Supports TTL metadata (stored in SOAR, not in the Control Plane)
  * - Simulation mode: returns mock success without calling the Control Plane
  *
@@ -21,7 +23,7 @@
  *   CYBERSENTINEL_CONTROL_PLANE_USER     - API username
  *   CYBERSENTINEL_CONTROL_PLANE_PASSWORD  - API password
  *
- * VERSION: 1.0.0
+ * VERSION: 1.1.0
  * AUTHOR: CyberSentinel SOAR Team
  * ══════════════════════════════════════════════════════════════════════════════
  */
@@ -129,7 +131,7 @@ const CDB_LIST_FILENAME = 'cybersentinel_blocked_ips';
  *
  * Returns a Map of ip → reason entries.
  */
-async function fetchCDBListEntries(token, config) {
+async function fetchCDBListEntries(token, config, signal) {
   try {
     const response = await axios.get(
       `${config.url}/lists/files/${CDB_LIST_FILENAME}`,
@@ -137,6 +139,7 @@ async function fetchCDBListEntries(token, config) {
         headers: { Authorization: `Bearer ${token}` },
         httpsAgent,
         timeout: API_TIMEOUT_MS,
+        signal,
       }
     );
 
@@ -164,8 +167,9 @@ async function fetchCDBListEntries(token, config) {
  * @param {string} token - Auth token
  * @param {object} config - Control Plane config
  * @param {string} contents - CDB list file contents (key:value per line)
+ * @param {AbortSignal} [signal] - Aborts the upload (execution cancelled)
  */
-async function uploadCDBList(token, config, contents) {
+async function uploadCDBList(token, config, contents, signal) {
   await axios.put(
     `${config.url}/lists/files/${CDB_LIST_FILENAME}?overwrite=true`,
     contents,
@@ -176,6 +180,7 @@ async function uploadCDBList(token, config, contents) {
       },
       httpsAgent,
       timeout: API_TIMEOUT_MS,
+      signal,
     }
   );
 }
@@ -192,6 +197,76 @@ function isValidIP(ip) {
   return IPV4_REGEX.test(ip) || IPV6_REGEX.test(ip) || CIDR_V4_REGEX.test(ip);
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// ERROR HANDLING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Rewrite Control Plane / network errors to analyst-friendly classified errors.
+ */
+function classifyControlPlaneError(error) {
+  const status = error.response?.status;
+
+  if (error.code === 'ERR_CANCELED') {
+    return Object.assign(
+      new Error('CyberSentinel blocklist update cancelled.'),
+      { code: 'CANCELLED', retryable: false }
+    );
+  }
+
+  if (status === 401 || status === 403) {
+    return Object.assign(
+      new Error('CyberSentinel Control Plane authentication failed. Check credentials.'),
+      { code: 'AUTH_FAILED', retryable: false }
+    );
+  }
+
+  if (status === 404) {
+    return Object.assign(
+      new Error('CyberSentinel Control Plane endpoint not found. Check the configured URL.'),
+      { code: 'NOT_FOUND', retryable: false }
+    );
+  }
+
+  if (status === 429) {
+    return Object.assign(
+      new Error('CyberSentinel Control Plane rate limit reached. Try again shortly.'),
+      { code: 'RATE_LIMITED', retryable: true }
+    );
+  }
+
+  if (status >= 500) {
+    return Object.assign(
+      new Error('CyberSentinel Control Plane is temporarily unavailable.'),
+      { code: 'SERVICE_UNAVAILABLE', retryable: true }
+    );
+  }
+
+  if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+    return Object.assign(
+      new Error('Cannot reach CyberSentinel Control Plane. Check network and URL configuration.'),
+      { code: 'CONNECTION_FAILED', retryable: true }
+    );
+  }
+
+  if (error.code === 'ETIMEDOUT' || error.code === 'ESOCKETTIMEDOUT') {
+    return Object.assign(
+      new Error('CyberSentinel Control Plane request timed out.'),
+      { code: 'CONNECTOR_TIMEOUT', retryable: true }
+    );
+  }
+
+  // Pass already-classified errors through
+  if (error.code && typeof error.retryable === 'boolean') {
+    return error;
+  }
+
+  return Object.assign(
+    new Error(`Failed to update CyberSentinel blocklist: ${error.message}`),
+    { code: 'INTERNAL_ERROR', retryable: false }
+  );
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // CORE METHOD: addBlockedIP
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -205,9 +280,10 @@ function isValidIP(ip) {
  * @param {number} [params.ttl]        - TTL in minutes (metadata only, stored in SOAR)
  * @param {string} [params.execution_id] - Execution ID for audit
  * @param {boolean} [params._simulate] - If true, return mock result without API call
+ * @param {AbortSignal} [params._signal] - Aborts the Control Plane calls
  * @returns {object} Block result
  */
-export async function addBlockedIP({ ip, reason, ttl, execution_id, _simulate }) {
+export async function addBlockedIP({ ip, reason, ttl, execution_id, _simulate, _signal }) {
   const timestamp = new Date().toISOString();
 
   // ─────────────────────────────────────────────────────────────────────────
@@ -270,7 +346,7 @@ export async function addBlockedIP({ ip, reason, ttl, execution_id, _simulate })
     const token = await authenticate(config);
 
     // 2. Fetch current CDB list entries via Wazuh 4.x API
-    const existingEntries = await fetchCDBListEntries(token, config);
+    const existingEntries = await fetchCDBListEntries(token, config, _signal);
 
     // 3. Idempotency check — do not duplicate
     if (existingEntries.has(cleanIP)) {
@@ -303,7 +379,7 @@ export async function addBlockedIP({ ip, reason, ttl, execution_id, _simulate })
     const updatedContents = lines.join('\n') + '\n';
 
     // 5. Upload updated list via Wazuh 4.x API
-    await uploadCDBList(token, config, updatedContents);
+    await uploadCDBList(token, config, updatedContents, _signal);
 
     logger.info(`[CyberSentinelBlocklist] Successfully blocked IP ${cleanIP}`);
 
@@ -320,70 +396,124 @@ export async function addBlockedIP({ ip, reason, ttl, execution_id, _simulate })
     };
 
   } catch (error) {
-    // ─────────────────────────────────────────────────────────────────────────
-    // ERROR HANDLING — rewrite to analyst-friendly messages
-    // ─────────────────────────────────────────────────────────────────────────
+    throw classifyControlPlaneError(error);
+  }
+}
 
-    const status = error.response?.status;
+// ═══════════════════════════════════════════════════════════════════════════════
+// CORE METHOD: removeBlockedIP
+// ═══════════════════════════════════════════════════════════════════════════════
 
-    if (status === 401 || status === 403) {
-      throw Object.assign(
-        new Error('CyberSentinel Control Plane authentication failed. Check credentials.'),
-        { code: 'AUTH_FAILED', retryable: false }
-      );
-    }
+/**
+ * Remove an IP from the CyberSentinel blocklist.
+ *
+ * @param {object} params
+ * @param {string} params.ip           - IP address to unblock
+ * @param {string} [params.execution_id] - Execution ID for audit
+ * @param {boolean} [params._simulate] - If true, return mock result without API call
+ * @param {AbortSignal} [params._signal] - Aborts the Control Plane calls
+ * @returns {object} Unblock result
+ */
+export async function removeBlockedIP({ ip, execution_id, _simulate, _signal }) {
+  const timestamp = new Date().toISOString();
 
-    if (status === 404) {
-      throw Object.assign(
-        new Error('CyberSentinel Control Plane endpoint not found. Check the configured URL.'),
-        { code: 'NOT_FOUND', retryable: false }
-      );
-    }
+  if (!ip || typeof ip !== 'string' || ip.trim() === '') {
+    throw Object.assign(
+      new Error('No IP selected to unblock'),
+      { code: 'INVALID_INPUT', retryable: false }
+    );
+  }
 
-    if (status === 429) {
-      throw Object.assign(
-        new Error('CyberSentinel Control Plane rate limit reached. Try again shortly.'),
-        { code: 'RATE_LIMITED', retryable: true }
-      );
-    }
+  const cleanIP = ip.trim();
 
-    if (status >= 500) {
-      throw Object.assign(
-        new Error('CyberSentinel Control Plane is temporarily unavailable.'),
-        { code: 'SERVICE_UNAVAILABLE', retryable: true }
-      );
-    }
+  if (!isValidIP(cleanIP)) {
+    throw Object.assign(
+      new Error(`Invalid IP address format: ${cleanIP}`),
+      { code: 'INVALID_INPUT', retryable: false }
+    );
+  }
 
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      throw Object.assign(
-        new Error('Cannot reach CyberSentinel Control Plane. Check network and URL configuration.'),
-        { code: 'CONNECTION_FAILED', retryable: true }
-      );
-    }
+  if (_simulate) {
+    logger.info(`[CyberSentinelBlocklist] SIMULATION: Would unblock IP ${cleanIP}`);
 
-    if (error.code === 'ETIMEDOUT' || error.code === 'ESOCKETTIMEDOUT') {
-      throw Object.assign(
-        new Error('CyberSentinel Control Plane request timed out.'),
-        { code: 'CONNECTOR_TIMEOUT', retryable: true }
-      );
-    }
+    return {
+      ip: cleanIP,
+      blocklist: 'cybersentinel_blocked_ips',
+      status: 'unblocked',
+      enforced_by: 'CyberSentinel Control Plane',
+      timestamp,
+      execution_id: execution_id || null,
+      _simulated: true,
+    };
+  }
 
-    // Re-throw already-classified errors
-    if (error.code && typeof error.retryable === 'boolean') {
-      throw error;
-    }
+  const config = getControlPlaneConfig();
 
+  if (!config.url) {
     throw Object.assign(
-      new Error(`Failed to update CyberSentinel blocklist: ${error.message}`),
-      { code: 'INTERNAL_ERROR', retryable: false }
+      new Error('CyberSentinel Control Plane is not configured. Set CYBERSENTINEL_CONTROL_PLANE_URL.'),
+      { code: 'SERVICE_UNAVAILABLE', retryable: false }
     );
   }
+
+  logger.info(`[CyberSentinelBlocklist] Unblocking IP ${cleanIP} via Control Plane`);
+
+  try {
+    const token = await authenticate(config);
+    const existingEntries = await fetchCDBListEntries(token, config, _signal);
+
+    // Idempotent: nothing to remove
+    if (!existingEntries.has(cleanIP)) {
+      logger.info(`[CyberSentinelBlocklist] IP ${cleanIP} not in blocklist, skipping`);
+
+      return {
+        ip: cleanIP,
+        blocklist: 'cybersentinel_blocked_ips',
+        status: 'not_blocked',
+        enforced_by: 'CyberSentinel Control Plane',
+        timestamp,
+        execution_id: execution_id || null,
+        _simulated: false,
+      };
+    }
+
+    existingEntries.delete(cleanIP);
+
+    const lines = [];
+    for (const [key, value] of existingEntries) {
+      lines.push(`${key}:${value}`);
+    }
+    const updatedContents = lines.length > 0 ? lines.join('\n') + '\n' : '';
+
+    await uploadCDBList(token, config, updatedContents, _signal);
+
+    logger.info(`[CyberSentinelBlocklist] Successfully unblocked IP ${cleanIP}`);
+
+    return {
+      ip: cleanIP,
+      blocklist: 'cybersentinel_blocked_ips',
+      status: 'unblocked',
+      enforced_by: 'CyberSentinel Control Plane',
+      timestamp,
+      execution_id: execution_id || null,
+      _simulated: false,
+    };
+
+  } catch (error) {
+    throw classifyControlPlaneError(error);
+  }
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONNECTOR IMPLEMENTATION (Connector Contract Interface)
 // ═══════════════════════════════════════════════════════════════════════════════
 
+const BLOCK_IP_COMPENSATION = {
+  action: 'unblock_ip',
+  when: (inputs, output) => output?.status === 'blocked',
+  inputs: (inputs, output) => ({ ip: output.ip }),
+};
+
 /**
  * Connector implementation following the standard contract.
  *
@@ -405,6 +535,14 @@ export const cybersentinelBlocklistConnector = {
         execution_id: 'string',
       },
     },
+    unblock_ip: {
+      required_fields: ['ip'],
+      optional_fields: ['execution_id'],
+      field_types: {
+        ip: 'string:ip',
+        execution_id: 'string',
+      },
+    },
   },
 
   /**
@@ -423,6 +561,25 @@ export const cybersentinelBlocklistConnector = {
         _simulated: 'boolean',
       },
     },
+    unblock_ip: {
+      output_fields: {
+        ip: 'string',
+        blocklist: 'string',
+        status: 'string',
+        enforced_by: 'string',
+        timestamp: 'string',
+        _simulated: 'boolean',
+      },
+    },
+  },
+
+  /**
+   * Compensating action per action type, replayed by execution rollback.
+   * An IP that was already listed before the step ran is left alone.
+   */
+  compensations: {
+    block_ip: BLOCK_IP_COMPENSATION,
+    cybersentinel_block_ip: BLOCK_IP_COMPENSATION,
   },
 
   /**
@@ -433,30 +590,41 @@ export const cybersentinelBlocklistConnector = {
    * @param {object} config  - Connector configuration from the database
    * @returns {object} Action output
    */
-  async execute(action, inputs, config) {
+  async execute(action, inputs, config, { signal } = {}) {
+    // Determine simulation mode:
+    // - Explicit _simulate flag from inputs
+    // - trigger_source === 'simulation' in execution context
+    // - shadow_mode in connector config
+    const isSimulation = inputs._simulate
+      || inputs.trigger_source === 'simulation'
+      || config?.shadow_mode === true;
+
     switch (action) {
       case 'block_ip':
       case 'cybersentinel_block_ip': {
-        // Determine simulation mode:
-        // - Explicit _simulate flag from inputs
-        // - trigger_source === 'simulation' in execution context
-        // - shadow_mode in connector config
-        const isSimulation = inputs._simulate
-          || inputs.trigger_source === 'simulation'
-          || config?.shadow_mode === true;
-
         return await addBlockedIP({
           ip: inputs.ip,
           reason: inputs.reason || 'Blocked by CyberSentinel playbook',
           ttl: inputs.ttl ? Number(inputs.ttl) : null,
           execution_id: inputs.execution_id || null,
           _simulate: isSimulation,
+          _signal: signal,
+        });
+      }
+
+      case 'unblock_ip':
+      case 'cybersentinel_unblock_ip': {
+        return await removeBlockedIP({
+          ip: inputs.ip,
+          execution_id: inputs.execution_id || null,
+          _simulate: isSimulation,
+          _signal: signal,
         });
       }
 
       default:
         throw Object.assign(
-          new Error(`Unknown action: ${action}. Supported: block_ip`),
+          new Error(`Unknown action: ${action}. Supported: block_ip, unblock_ip`),
           { code: 'INVALID_ACTION', retryable: false }
         );
     }
@@ -11,6 +11,14 @@
  *   - isolate_host   : Cut off endpoint from network (manager remains reachable)
  *   - kill_process   : Terminate a process by name or PID on the target agent
  *   - disable_user   : Lock a user account on the target endpoint
+ *   - delete_file    : Hard-delete a single file on the target agent
+ *   - release_host   : Lift isolation (compensation for isolate_host)
+ *   - enable_user    : Unlock a user account (compensation for disable_user)
+ *
+ * COMPENSATIONS:
+ *   isolate_host → release_host and disable_user → enable_user are declared
+ *   in `compensations` and replayed by execution rollback. kill_process and
+ *   delete_file cannot be undone.
  *
  * ARCHITECTURE NOTES:
  * - Communicates with the CyberSentinel manager (rebranded Wazuh) REST API
@@ -31,7 +39,7 @@
  *   CYBERSENTINEL_CONTROL_PLANE_USER     - API username (default: wazuh-wui)
  *   CYBERSENTINEL_CONTROL_PLANE_PASSWORD - API password
  *
- * VERSION: 1.1.0
+ * VERSION: 1.2.0
  * AUTHOR: CyberSentinel SOAR Team
  * ══════════════════════════════════════════════════════════════════════════════
  */
@@ -273,19 +281,15 @@ async function getAgentOS(agentId, token, config) {
  *   not via rule-match." Even built-in commands like firewall-drop0 fail
  *   without it on this API version.
  *
- * ADD-ONLY DISPATCH MODEL:
- *   This connector dispatches ADD-path AR only. Wazuh's API has no field
- *   to manually trigger an agent script's "delete" branch (un-isolate /
- *   unlock). Per joint decision with the manager team (May 2026):
- *     - Time-bounded actions (isolate-host) use Wazuh's native <timeout>
- *       auto-expiry on the <active-response> block. The manager
- *       dispatches "delete" to the agent automatically when the timer
- *       fires.
- *     - Un-bounded actions (disable-user, kill-process) are intentionally
- *       one-way from SOAR. Reversal is a manual SOC operator task and
- *       is not in the connector's contract.
+ * DELETE-PATH DISPATCH:
+ *   Wazuh's API has no field to manually trigger an agent script's "delete"
+ *   branch (un-isolate / unlock). The connector instead appends a "delete"
+ *   sentinel to `arguments`, which the isolate-host and disable-user agent
+ *   scripts route to their delete branch. Used by release_host /
+ *   enable_user (execution rollback) and the scheduled isolation release.
+ *   kill-process and delete-file have no delete branch and stay one-way.
  */
-async function dispatchAR({ action, args, agentId }) {
+async function dispatchAR({ action, args, agentId, signal }) {
   const config = getControlPlaneConfig();
 
   if (!config.url) {
@@ -320,6 +324,7 @@ async function dispatchAR({ action, args, agentId }) {
       },
       httpsAgent,
       timeout: API_TIMEOUT_MS,
+      signal,   // execution cancelled → the PUT is never sent / is dropped
     }
   );
 
@@ -347,6 +352,12 @@ function classifyError(error, operation) {
   if (error.code && typeof error.retryable === 'boolean') {
     return error;
   }
+  if (error.code === 'ERR_CANCELED') {
+    return Object.assign(
+      new Error(`CyberSentinel ${operation} cancelled before dispatch completed.`),
+      { code: 'CANCELLED', retryable: false }
+    );
+  }
   if (status === 401 || status === 403) {
     return Object.assign(
       new Error('CyberSentinel manager authentication failed. Check credentials.'),
@@ -482,7 +493,7 @@ export function listScheduledIsolationReleases() {
 // CORE ACTIONS
 // ═══════════════════════════════════════════════════════════════════════════════
 
-export async function isolate_host({ agent_id, release_after_seconds, release_after_minutes, _simulate }) {
+export async function isolate_host({ agent_id, release_after_seconds, release_after_minutes, _simulate, _signal }) {
   const timestamp = new Date().toISOString();
 
   const cleanAgentId = normalizeAgentId(agent_id);
@@ -548,6 +559,7 @@ export async function isolate_host({ agent_id, release_after_seconds, release_af
       action: 'isolate_host',
       args: [managerIp],   // passed to agent as parameters.extra_args[0]
       agentId: cleanAgentId,
+      signal: _signal,
     });
 
     logger.info(`[CyberSentinelResponse] isolate host dispatched for ${cleanAgentId} (cmd=${result.command}, manager_ip=${managerIp})`);
@@ -584,7 +596,7 @@ export async function isolate_host({ agent_id, release_after_seconds, release_af
   }
 }
 
-export async function kill_process({ agent_id, process_name, pid, _simulate }) {
+export async function kill_process({ agent_id, process_name, pid, _simulate, _signal }) {
   const timestamp = new Date().toISOString();
 
   const cleanAgentIdEarly = normalizeAgentId(agent_id);
@@ -629,6 +641,7 @@ export async function kill_process({ agent_id, process_name, pid, _simulate }) {
       action: 'kill_process',
       args: [mode, target],
       agentId: cleanAgentId,
+      signal: _signal,
     });
 
     logger.info(`[CyberSentinelResponse] kill_process dispatched for ${cleanAgentId} (cmd=${result.command})`);
@@ -661,7 +674,7 @@ export async function kill_process({ agent_id, process_name, pid, _simulate }) {
   }
 }
 
-export async function disable_user({ agent_id, username, _simulate }) {
+export async function disable_user({ agent_id, username, _simulate, _signal }) {
   const timestamp = new Date().toISOString();
 
   const cleanAgentId = normalizeAgentId(agent_id);
@@ -704,6 +717,7 @@ export async function disable_user({ agent_id, username, _simulate }) {
       action: 'disable_user',
       args: [cleanUsername],
       agentId: cleanAgentId,
+      signal: _signal,
     });
 
     logger.info(`[CyberSentinelResponse] disable user dispatched for ${cleanAgentId} (cmd=${result.command})`);
@@ -742,7 +756,7 @@ export async function disable_user({ agent_id, username, _simulate }) {
 // operator is responsible for the file path. Connector still does basic
 // input shape validation (absolute path, no shell metacharacters on Linux).
 
-export async function delete_file({ agent_id, file_path, _simulate }) {
+export async function delete_file({ agent_id, file_path, _simulate, _signal }) {
   const timestamp = new Date().toISOString();
 
   const cleanAgentId = normalizeAgentId(agent_id);
@@ -785,6 +799,7 @@ export async function delete_file({ agent_id, file_path, _simulate }) {
       action: 'delete_file',
       args: [cleanFilePath],
       agentId: cleanAgentId,
+      signal: _signal,
     });
 
     logger.info(`[CyberSentinelResponse] delete_file dispatched for ${cleanAgentId} (cmd=${result.command}, file=${cleanFilePath})`);
@@ -815,6 +830,160 @@ export async function delete_file({ agent_id, file_path, _simulate }) {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMPENSATING ACTIONS — release_host / enable_user
+// ═══════════════════════════════════════════════════════════════════════════════
+// Undo isolate_host / disable_user by dispatching the same AR command with
+// the "delete" sentinel as the extra argument (see dispatchAR). Normally run
+// by execution rollback, but also callable as regular playbook actions.
+
+export async function release_host({ agent_id, _simulate, _signal }) {
+  const timestamp = new Date().toISOString();
+
+  const cleanAgentId = normalizeAgentId(agent_id);
+  if (!cleanAgentId) {
+    return {
+      success: false,
+      error: 'agent_id is required for release_host',
+      details: { code: 'INVALID_INPUT' },
+    };
+  }
+
+  const agentReject = validateAgentId(cleanAgentId, 'release_host');
+  if (agentReject) return agentReject;
+
+  // A pending auto-release is superseded by this one
+  cancelScheduledRelease(cleanAgentId);
+
+  if (_simulate) {
+    logger.info(`[CyberSentinelResponse] SIMULATION: Would release isolation on ${cleanAgentId}`);
+    return {
+      success: true,
+      agent_id: cleanAgentId,
+      action: 'release_host',
+      timestamp,
+      enforced_by: 'CyberSentinel Manager',
+      _simulated: true,
+    };
+  }
+
+  const managerIp = getManagerIp();
+  if (!managerIp) {
+    return {
+      success: false,
+      agent_id: cleanAgentId,
+      action: 'release_host',
+      error: 'Manager IP is not configured. Set CYBERSENTINEL_MANAGER_IP or ensure CYBERSENTINEL_CONTROL_PLANE_URL has a parseable hostname.',
+      details: { code: 'MISSING_MANAGER_IP', retryable: false },
+    };
+  }
+
+  try {
+    const result = await dispatchAR({
+      action: 'isolate_host',
+      args: [managerIp, 'delete'],
+      agentId: cleanAgentId,
+      signal: _signal,
+    });
+
+    logger.info(`[CyberSentinelResponse] release host dispatched for ${cleanAgentId} (cmd=${result.command})`);
+
+    return {
+      success: true,
+      agent_id: cleanAgentId,
+      action: 'release_host',
+      os: result.os,
+      ar_command: result.command,
+      timestamp,
+      enforced_by: 'CyberSentinel Manager',
+      details: result.data?.data || null,
+      _simulated: false,
+    };
+  } catch (error) {
+    const classified = classifyError(error, 'release_host');
+    logger.error(`[CyberSentinelResponse] release_host failed for ${cleanAgentId}: ${classified.message}`);
+    return {
+      success: false,
+      agent_id: cleanAgentId,
+      action: 'release_host',
+      error: classified.message,
+      details: { code: classified.code, retryable: classified.retryable },
+    };
+  }
+}
+
+export async function enable_user({ agent_id, username, _simulate, _signal }) {
+  const timestamp = new Date().toISOString();
+
+  const cleanAgentId = normalizeAgentId(agent_id);
+  if (!cleanAgentId) {
+    return {
+      success: false,
+      error: 'agent_id is required for enable_user',
+      details: { code: 'INVALID_INPUT' },
+    };
+  }
+  const cleanUsername = (username === undefined || username === null) ? '' : String(username).trim();
+  if (!cleanUsername) {
+    return {
+      success: false,
+      error: 'username is required for enable_user',
+      details: { code: 'INVALID_INPUT' },
+    };
+  }
+
+  const agentReject = validateAgentId(cleanAgentId, 'enable_user');
+  if (agentReject) return agentReject;
+
+  if (_simulate) {
+    logger.info(`[CyberSentinelResponse] SIMULATION: Would enable user ${cleanUsername} on ${cleanAgentId}`);
+    return {
+      success: true,
+      agent_id: cleanAgentId,
+      action: 'enable_user',
+      username: cleanUsername,
+      timestamp,
+      enforced_by: 'CyberSentinel Manager',
+      _simulated: true,
+    };
+  }
+
+  try {
+    const result = await dispatchAR({
+      action: 'disable_user',
+      args: [cleanUsername, 'delete'],
+      agentId: cleanAgentId,
+      signal: _signal,
+    });
+
+    logger.info(`[CyberSentinelResponse] enable user dispatched for ${cleanAgentId} (cmd=${result.command})`);
+
+    return {
+      success: true,
+      agent_id: cleanAgentId,
+      action: 'enable_user',
+      username: cleanUsername,
+      os: result.os,
+      ar_command: result.command,
+      timestamp,
+      enforced_by: 'CyberSentinel Manager',
+      details: result.data?.data || null,
+      _simulated: false,
+    };
+  } catch (error) {
+    const classified = classifyError(error, 'enable_user');
+    logger.error(`[CyberSentinelResponse] enable_user failed for ${cleanAgentId}: ${classified.message}`);
+    return {
+      success: false,
+      agent_id: cleanAgentId,
+      action: 'enable_user',
+      username: cleanUsername,
+      error: classified.message,
+      details: { code: classified.code, retryable: classified.retryable },
+    };
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONNECTOR IMPLEMENTATION (Connector Contract Interface)
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -855,7 +1024,7 @@ export const cybersentinelResponseConnector = {
         // agent_id intentionally untyped (see isolate_host note).
         username: 'string',
       },
-      // ADD-only. Unlock is a manual SOC operator task, not a SOAR step.
+      // Undone by enable_user (see compensations).
     },
     delete_file: {
       required_fields: ['agent_id', 'file_path'],
@@ -868,6 +1037,18 @@ export const cybersentinelResponseConnector = {
       // Agent script enforces: absolute path, no shell metacharacters,
       // single-file only (refuses directories).
     },
+    release_host: {
+      required_fields: ['agent_id'],
+      optional_fields: [],
+      field_types: {},
+    },
+    enable_user: {
+      required_fields: ['agent_id', 'username'],
+      optional_fields: [],
+      field_types: {
+        username: 'string',
+      },
+    },
   },
 
   outputSchema: {
@@ -925,9 +1106,51 @@ export const cybersentinelResponseConnector = {
         _simulated: 'boolean',
       },
     },
+    release_host: {
+      output_fields: {
+        success: 'boolean',
+        agent_id: 'string',
+        action: 'string',
+        os: 'string',
+        ar_command: 'string',
+        timestamp: 'string',
+        enforced_by: 'string',
+        _simulated: 'boolean',
+      },
+    },
+    enable_user: {
+      output_fields: {
+        success: 'boolean',
+        agent_id: 'string',
+        action: 'string',
+        username: 'string',
+        os: 'string',
+        ar_command: 'string',
+        timestamp: 'string',
+        enforced_by: 'string',
+        _simulated: 'boolean',
+      },
+    },
   },
 
-  async execute(action, inputs, config) {
+  /**
+   * Compensating action per action type, replayed by execution rollback.
+   * Only recorded when the original action reported success.
+   */
+  compensations: {
+    isolate_host: {
+      action: 'release_host',
+      when: (inputs, output) => output?.success === true,
+      inputs: (inputs, output) => ({ agent_id: output.agent_id }),
+    },
+    disable_user: {
+      action: 'enable_user',
+      when: (inputs, output) => output?.success === true,
+      inputs: (inputs, output) => ({ agent_id: output.agent_id, username: output.username }),
+    },
+  },
+
+  async execute(action, inputs, config, { signal } = {}) {
     const isSimulation = inputs._simulate
       || inputs.trigger_source === 'simulation'
       || config?.shadow_mode === true;
@@ -939,6 +1162,7 @@ export const cybersentinelResponseConnector = {
           release_after_minutes: inputs.release_after_minutes,
           release_after_seconds: inputs.release_after_seconds,
           _simulate: isSimulation,
+          _signal: signal,
         });
 
       case 'kill_process':
@@ -947,6 +1171,7 @@ export const cybersentinelResponseConnector = {
           process_name: inputs.process_name,
           pid: inputs.pid,
           _simulate: isSimulation,
+          _signal: signal,
         });
 
       case 'disable_user':
@@ -954,6 +1179,7 @@ export const cybersentinelResponseConnector = {
           agent_id: inputs.agent_id,
           username: inputs.username,
           _simulate: isSimulation,
+          _signal: signal,
         });
 
       case 'delete_file':
@@ -961,11 +1187,27 @@ export const cybersentinelResponseConnector = {
           agent_id: inputs.agent_id,
           file_path: inputs.file_path,
           _simulate: isSimulation,
+          _signal: signal,
+        });
+
+      case 'release_host':
+        return await release_host({
+          agent_id: inputs.agent_id,
+          _simulate: isSimulation,
+          _signal: signal,
+        });
+
+      case 'enable_user':
+        return await enable_user({
+          agent_id: inputs.agent_id,
+          username: inputs.username,
+          _simulate: isSimulation,
+          _signal: signal,
         });
 
       default:
         throw Object.assign(
-          new Error(`Unknown action: ${action}. Supported: isolate_host, kill_process, disable_user, delete_file`),
+          new Error(`Unknown action: ${action}. Supported: isolate_host, kill_process, disable_user, delete_file, release_host, enable_user`),
           { code: 'INVALID_ACTION', retryable: false }
         );
     }
@@ -46,6 +46,12 @@ export const STEP_END = '__END__';
  */
 export const MAX_STEP_EXECUTIONS = 100;
 
+/**
+ * Maximum sub-playbook nesting depth (top-level execution = depth 0).
+ * A `playbook` step that would exceed it FAILS with PLAYBOOK_DEPTH_EXCEEDED.
+ */
+export const MAX_PLAYBOOK_DEPTH = 5;
+
 /**
  * Valid approval timeout behaviors.
  * on_timeout MUST be one of these values or a valid step_id.
@@ -56,6 +62,12 @@ export const VALID_APPROVAL_TIMEOUT_BEHAVIORS = Object.freeze([
   'skip'      // End execution successfully
 ]);
 
+/**
+ * Longest a wait step may park an execution (30 days).
+ * Applies to duration_seconds, until, and wait_for.timeout_seconds.
+ */
+export const MAX_WAIT_SECONDS = 30 * 24 * 60 * 60;
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // CANONICAL STEP TYPES
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -65,7 +77,11 @@ export const StepType = Object.freeze({
   CONDITION: 'condition',
   APPROVAL: 'approval',
   ACTION: 'action',
-  NOTIFICATION: 'notification'
+  NOTIFICATION: 'notification',
+  FOREACH: 'foreach',
+  PLAYBOOK: 'playbook',
+  WAIT: 'wait',
+  TRANSFORM: 'transform'
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -85,10 +101,13 @@ export const StepState = Object.freeze({
 // ═══════════════════════════════════════════════════════════════════════════════
 
 export const ExecutionState = Object.freeze({
+  QUEUED: 'QUEUED',         // Alert-triggered, waiting for a concurrency slot
   EXECUTING: 'EXECUTING',
   WAITING_APPROVAL: 'WAITING_APPROVAL',
+  WAITING: 'WAITING',       // Parked on a wait step (timer or awaited alert)
   COMPLETED: 'COMPLETED',
-  FAILED: 'FAILED'
+  FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED'    // Stopped by an operator; PENDING steps → SKIPPED
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -99,9 +118,23 @@ export const OnFailureBehavior = Object.freeze({
   STOP: 'stop',       // Stop execution, mark FAILED
   CONTINUE: 'continue', // Log error, continue to next step
   RETRY: 'retry',     // Retry according to retry_policy
-  SKIP: 'skip'        // Skip remaining steps in current branch
+  SKIP: 'skip',       // Skip remaining steps in current branch
+  ROLLBACK: 'rollback' // Mark FAILED, then undo completed actions (see below)
 });
 
+/**
+ * ON_FAILURE: ROLLBACK
+ *
+ * Fails the execution like 'stop', then — once in-flight branches finish —
+ * replays the compensations recorded for every action that succeeded, newest
+ * first. Compensations are declared by the connector (block_ip → unblock_ip,
+ * isolate_host → release_host, disable_user → enable_user); actions with no
+ * declared undo (kill_process, delete_file) are left as they are.
+ *
+ * The same replay is available on demand via POST /api/executions/:id/rollback.
+ * Not allowed on foreach sub-steps.
+ */
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // ON_SUCCESS BEHAVIORS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -112,6 +145,87 @@ export const OnSuccessBehavior = Object.freeze({
   END: 'end'              // End execution successfully
 });
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// RECOVERY POLICIES (PLAYBOOK-LEVEL)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * What the engine does with an execution found in EXECUTING when the backend
+ * starts (i.e. the previous process died mid-run). Set via the top-level
+ * `recovery_policy` field of the playbook DSL.
+ *
+ * 'resume' re-runs the interrupted steps, so only choose it when every
+ * action in the playbook is safe to invoke twice.
+ */
+export const RecoveryPolicy = Object.freeze({
+  RESUME: 'resume',   // Rebuild step outputs and continue from unfinished steps
+  FAIL: 'fail'        // Mark interrupted steps FAILED, execution FAILED (INTERRUPTED)
+});
+
+export const DEFAULT_RECOVERY_POLICY = RecoveryPolicy.FAIL;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXECUTION CONCURRENCY (PLAYBOOK-LEVEL)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Alert-triggered executions start QUEUED and run once a slot is free
+ * (global, per-playbook and per-connector limits; see
+ * services/execution-queue.js). The top-level `max_concurrent_executions`
+ * field (positive integer) overrides the per-playbook default for this
+ * playbook. Higher alert severity is dispatched first.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PLAYBOOK INPUTS & VARS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Top-level `inputs` declares typed parameters for manual runs
+ * (POST /api/executions, POST /api/executions/trigger with body `inputs`),
+ * so an analyst can run "isolate this agent" without faking an alert.
+ * Top-level `vars` holds constants shared by every step.
+ *
+ * Steps read them as {{inputs.<name>}} / {{vars.<name>}} in templates and
+ * "inputs.<name>" / "vars.<name>" in input mappings.
+ *
+ * INPUT DECLARATION:
+ * @typedef {Object} PlaybookInput
+ * @property {PlaybookInputType} type - Value type (checked strictly, no coercion)
+ * @property {boolean} [required=false] - Must be supplied unless it has a default
+ * @property {*} [default] - Used when the value is not supplied
+ * @property {Array} [enum] - Allowed values
+ * @property {string} [pattern] - Regex a string value must match
+ * @property {number} [min] - Lower bound (number/integer)
+ * @property {number} [max] - Upper bound (number/integer)
+ * @property {string} [description] - Shown to analysts
+ *
+ * Unknown or invalid values are rejected with 400 INVALID_INPUTS before
+ * any execution is created. Alert-triggered runs only get declared
+ * defaults. Resolved values are stored on execution.inputs.
+ */
+export const PlaybookInputType = Object.freeze({
+  STRING: 'string',
+  NUMBER: 'number',
+  INTEGER: 'integer',
+  BOOLEAN: 'boolean',
+  ARRAY: 'array',
+  OBJECT: 'object'
+});
+
+export const PlaybookInputsExample = {
+  inputs: {
+    agent_id: { type: "string", required: true, pattern: "^[0-9]{3,}$", description: "Agent to isolate" },
+    reason: { type: "string", default: "Analyst-initiated isolation" },
+    notify: { type: "boolean", default: true }
+  },
+  vars: {
+    soc_channel: "#soc-containment"
+  }
+  // Step input: { agent_id: "inputs.agent_id" }
+  // Template:   "Isolated agent {{inputs.agent_id}} ({{inputs.reason}}) - see {{vars.soc_channel}}"
+};
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // STEP BASE SCHEMA (REQUIRED FOR ALL STEPS)
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -124,7 +238,7 @@ export const OnSuccessBehavior = Object.freeze({
  * @typedef {Object} BaseStep
  * @property {string} step_id - Unique identifier within playbook (e.g., "step_001")
  * @property {string} name - Human-readable step name
- * @property {StepType} type - One of: enrichment, condition, approval, action, notification
+ * @property {StepType} type - One of: enrichment, condition, approval, action, notification, foreach, playbook, wait
  * @property {number} timeout_seconds - Maximum execution time (default: 300)
  * @property {OnSuccessBehavior|Object} on_success - Behavior on success
  * @property {OnFailureBehavior} on_failure - Behavior on failure
@@ -150,6 +264,17 @@ export const BaseStepSchema = {
 /**
  * Retry Policy Schema
  *
+ * Only errors whose normalized connector error is retryable (see
+ * ConnectorErrorCodes: timeouts, connection failures, 5xx, rate limits) are
+ * retried; anything else fails the step immediately.
+ *
+ * Retries do not hold the execution: the step records next_retry_at, the
+ * branch parks (execution state WAITING once nothing else runs) and the
+ * execution-waits job re-runs the step when it is due. Every failed attempt
+ * is kept in the step's attempts[] and shown in the execution timeline.
+ *
+ * Delay before retry n (0-based): min(delay_seconds * backoff_multiplier^n, max_delay_seconds)
+ *
  * @typedef {Object} RetryPolicy
  * @property {boolean} enabled - Enable retry
  * @property {number} max_attempts - Maximum retry attempts (1-10)
@@ -177,7 +302,9 @@ export const RetryPolicySchema = {
  * 1. trigger_data.<path>   - Original alert payload (immutable)
  * 2. steps.<step_id>.output.<path> - Output from previous step
  * 3. playbook.<field>      - Playbook configuration
- * 4. literal:<value>       - Literal value
+ * 4. inputs.<name>         - Playbook input parameter
+ * 5. vars.<name>           - Playbook constant variable
+ * 6. literal:<value>       - Literal value
  *
  * NO expressions. NO code. PURE mapping.
  */
@@ -186,6 +313,8 @@ export const InputMappingPrefix = Object.freeze({
   TRIGGER: 'trigger_data',      // From original alert
   STEPS: 'steps',               // From step outputs
   PLAYBOOK: 'playbook',         // From playbook config
+  INPUTS: 'inputs',             // From playbook input parameters
+  VARS: 'vars',                 // From playbook constants
   LITERAL: 'literal'            // Literal value
 });
 
@@ -200,6 +329,67 @@ export const InputMappingPrefix = Object.freeze({
  * }
  */
 
+/**
+ * Message templates (notification messages, approval messages, action
+ * parameters) substitute {{path}} placeholders, optionally through filters:
+ *
+ *   {{path | filter | filter:arg1,"arg 2"}}
+ *
+ * FILTERS:
+ *   default:"value"    - used when the value is null, undefined or ''
+ *   upper / lower      - change case
+ *   join:", "          - join an array (default separator ", ")
+ *   truncate:200       - cut to N characters, "..." appended (optional 2nd arg)
+ *   date:"YYYY-MM-DD"  - UTC date format (YYYY MM DD HH mm ss SSS, or
+ *                        iso / epoch / epoch_ms)
+ *   json               - JSON-encode the value
+ *   defang             - hxxps[://]evil[.]example[.]com, user[@]evil[.]com
+ *   urlencode          - percent-encode for use in a URL
+ *
+ * A placeholder whose value is missing and has no `default` renders as an
+ * empty string; its path is listed in the step output under
+ * unresolved_variables.
+ */
+export const TemplateFilters = Object.freeze([
+  'default', 'upper', 'lower', 'join', 'truncate', 'date', 'json', 'defang', 'urlencode'
+]);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// OUTPUT MAPPING SPECIFICATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Connector steps (enrichment, action, notification, and the same inside
+ * foreach) may declare `output_mapping`: output name → JSONPath over the
+ * raw connector result. The step output then holds ONLY the mapped names,
+ * so downstream steps use steps.<id>.output.<name> however the connector
+ * shapes its response. Shadow-mode skips are not mapped.
+ *
+ * JSONPATH:
+ *   $.a.b / $['key']          - field
+ *   $.list[0] / $.list[-1]    - index (negative from the end)
+ *   $.list[*].x / $.obj.*     - wildcard → array of matches
+ *   $.list[?(@.score > 50)]   - filter → array of matches
+ *     comparisons ==, !=, >, >=, <, <= against 'string', number, true,
+ *     false or null; bare @.path tests truthiness; combine with && / ||
+ *   a path without a leading $ is a plain dot path
+ *
+ * VALIDATION (at save):
+ *   - every mapping must parse (OUTPUT_MAPPING_INVALID)
+ *   - steps.<id>.output.<field> references to a connector step must name
+ *     one of its mapped outputs, or — without output_mapping — one of the
+ *     connector's declared outputSchema fields (OUTPUT_REFERENCE_UNKNOWN_FIELD).
+ *     Connectors without a declared schema are not checked.
+ */
+export const OutputMappingExample = {
+  output_mapping: {
+    malicious: "$.data.attributes.last_analysis_stats.malicious",
+    engines_flagging: "$.data.attributes.last_analysis_results[?(@.category == 'malicious')].engine_name",
+    tags: "$.data.attributes.tags[*]"
+  }
+  // Downstream: steps.<step_id>.output.malicious
+};
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // STEP TYPE: ENRICHMENT
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -213,6 +403,9 @@ export const InputMappingPrefix = Object.freeze({
  * @property {string} connector_id - Connector to use (e.g., "virustotal", "abuseipdb")
  * @property {string} action_type - Connector action (e.g., "lookup_ip", "scan_hash")
  * @property {InputMapping} input - Mapped inputs
+ * @property {Object<string,string>} [output_mapping] - Output name → JSONPath
+ *   over the connector result (see OUTPUT MAPPING); allowed on enrichment,
+ *   action and notification steps
  */
 
 export const EnrichmentStepExample = {
@@ -270,8 +463,15 @@ export const EnrichmentStepExample = {
  *   { on_false: "notify" }   // Missing on_true
  *   {}                       // Missing both
  *
+ * COMPOUND CONDITIONS:
+ *   condition may also be a logical group, nested to any depth (max 10):
+ *     { operator: 'and' | 'or', conditions: [ <condition>, ... ] }
+ *     { operator: 'not', conditions: [ <condition> ] }
+ *   The step output then carries condition_results (the evaluated tree) and
+ *   matched_conditions (the leaf comparisons that were true).
+ *
  * @typedef {Object} ConditionStep
- * @property {Object} condition - Condition to evaluate
+ * @property {Object} condition - Condition to evaluate (leaf or logical group)
  * @property {string} condition.field - Field path to evaluate
  * @property {string} condition.operator - Comparison operator
  * @property {*} condition.value - Value to compare against
@@ -297,6 +497,12 @@ export const ConditionOperators = Object.freeze({
   NOT_EXISTS: 'not_exists'
 });
 
+export const LogicalConditionOperators = Object.freeze({
+  AND: 'and',
+  OR: 'or',
+  NOT: 'not'
+});
+
 export const ConditionStepExample = {
   step_id: "check_abuse_score",
   name: "Check if IP is Malicious",
@@ -316,6 +522,29 @@ export const ConditionStepExample = {
   // on_false: "__END__" // End execution if score is low
 };
 
+export const CompoundConditionStepExample = {
+  step_id: "check_high_risk",
+  name: "High severity AND (bad reputation OR VT detections)",
+  type: "condition",
+  timeout_seconds: 5,
+  on_failure: "stop",
+  condition: {
+    operator: "and",
+    conditions: [
+      { field: "trigger_data.severity", operator: "equals", value: "high" },
+      {
+        operator: "or",
+        conditions: [
+          { field: "steps.enrich_source_ip.output.abuse_score", operator: "greater_than", value: 80 },
+          { field: "steps.vt_lookup.output.malicious", operator: "greater_than", value: 3 }
+        ]
+      }
+    ]
+  },
+  on_true: "block_ip",
+  on_false: "notify_analyst"
+};
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // STEP TYPE: APPROVAL (HARDENED)
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -447,11 +676,254 @@ export const NotificationStepExample = {
   action_type: "send_message",
   input: {
     channel: "literal:#soc-alerts",
-    message_template: "literal:🚨 Alert {{trigger_data.rule.name}} - IP {{trigger_data.data.source_ip}} blocked with abuse score {{steps.enrich_source_ip.output.abuse_score}}",
+    message_template: "literal:🚨 Alert {{trigger_data.rule.name}} on {{trigger_data.agent.name | default:'unknown host' | upper}} - IP {{trigger_data.data.source_ip | defang}} blocked with abuse score {{steps.enrich_source_ip.output.abuse_score | default:0}}",
     severity: "trigger_data.severity"
   }
 };
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// STEP TYPE: FOREACH
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * ForEach Step Schema
+ *
+ * Runs a linear sub-sequence of connector steps once per element of an array
+ * (e.g. OTX pulses, several source IPs across correlated alerts).
+ *
+ * ITERATION CONTEXT:
+ * - {{item}} / item.<path>   - Current element
+ * - {{index}} / index        - Zero-based position of the element
+ * - steps.<sub_step_id>.output - Output of an earlier sub-step in the SAME iteration
+ *
+ * RULES:
+ * - Sub-steps run in array order within an iteration; iterations run in
+ *   parallel up to max_concurrency
+ * - Sub-step types: enrichment, action, notification (no branching/approval)
+ * - Every sub-step run counts toward MAX_STEP_EXECUTIONS (loop protection)
+ * - A non-array `items` value is treated as a one-element array; null/missing
+ *   as an empty array
+ * - Sub-step retry_policy is not applied; sub-step on_failure 'continue' moves
+ *   on to the next sub-step, anything else ends that iteration as failed
+ * - timeout_seconds on the foreach step covers the WHOLE loop
+ *
+ * OUTPUT:
+ *   { items_count, succeeded, failed,
+ *     results: [{ index, item, status, outputs: { <sub_step_id>: output }, error }] }
+ *
+ * @typedef {Object} ForEachStep
+ * @property {string|Array} items - Path to the array (e.g. "steps.otx.output.pulses") or a literal array
+ * @property {number} [max_concurrency] - Parallel iterations (1-10, default 5)
+ * @property {string} [on_item_failure] - 'stop' (default, step FAILS) or 'continue' (collect and go on)
+ * @property {Array<Object>} steps - Sub-sequence executed per item
+ */
+export const ForEachItemFailureBehavior = Object.freeze({
+  STOP: 'stop',
+  CONTINUE: 'continue'
+});
+
+export const ForEachStepExample = {
+  step_id: "block_each_source_ip",
+  name: "Block Every Correlated Source IP",
+  type: "foreach",
+  timeout_seconds: 300,
+  on_failure: "stop",
+  items: "trigger_data.correlated_source_ips",
+  max_concurrency: 3,
+  on_item_failure: "continue",
+  steps: [
+    {
+      step_id: "lookup_ip",
+      name: "Lookup IP",
+      type: "enrichment",
+      connector_id: "virustotal",
+      action_type: "lookup_ip",
+      input: { ip: "item" },
+      output_mapping: { malicious: "$.malicious_votes" }
+    },
+    {
+      step_id: "block_ip_item",
+      name: "Block IP",
+      type: "action",
+      connector_id: "cybersentinel_blocklist",
+      action_type: "block_ip",
+      parameters: {
+        ip: "{{item}}",
+        reason: "Correlated source #{{index}} ({{steps.lookup_ip.output.malicious}} VT detections)"
+      }
+    }
+  ],
+  on_success: "notify_soc"
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STEP TYPE: PLAYBOOK (SUB-PLAYBOOK INVOCATION)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Playbook Step Schema
+ *
+ * Runs another versioned playbook as a child execution and waits for it.
+ *
+ * - The child runs the ACTIVE version of playbook_id, or `version` if pinned
+ * - input (optional) is resolved like any step input and becomes the child's
+ *   trigger_data; without it the child receives the parent's trigger_data
+ * - Inputs the child declares (see PLAYBOOK INPUTS & VARS) are taken from
+ *   input by name; a missing required one fails the step (INVALID_INPUTS)
+ * - The child inherits shadow mode from the parent (shadow if either is)
+ * - The child is linked via parent_execution_id / parent_step_id
+ * - Nesting is limited to MAX_PLAYBOOK_DEPTH; a playbook already on the call
+ *   chain cannot be invoked again (PLAYBOOK_RECURSION)
+ * - The step's timeout_seconds covers the whole child run
+ * - Child FAILED → step fails (CHILD_EXECUTION_FAILED). A child that pauses
+ *   for approval cannot be awaited → step fails (CHILD_WAITING_APPROVAL)
+ *
+ * OUTPUT:
+ *   { child_execution_id, playbook_id, version, state, duration_ms,
+ *     outputs: { <child_step_id>: <child step output> } }
+ *
+ * @typedef {Object} PlaybookStep
+ * @property {string} playbook_id - Logical playbook ID to invoke
+ * @property {number} [version] - Pin a specific version (default: active)
+ * @property {InputMapping} [input] - Becomes the child's trigger_data
+ */
+export const PlaybookStepExample = {
+  step_id: "run_ip_containment",
+  name: "Run Shared IP Containment Chain",
+  type: "playbook",
+  timeout_seconds: 600,
+  on_failure: "stop",
+  playbook_id: "PB-IP-CONTAINMENT",
+  input: {
+    source_ip: "trigger_data.data.source_ip",
+    severity: "trigger_data.severity",
+    requested_by: "literal:PB-BRUTE-FORCE-001"
+  },
+  on_success: "notify_soc"
+  // Downstream: steps.run_ip_containment.output.outputs.block_ip.blocked
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STEP TYPE: WAIT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Wait Step Schema
+ *
+ * Parks the execution without holding a timer in the process. The wait is
+ * persisted on the execution (waits[]) and the state becomes WAITING once
+ * no other branch is running. The wait scheduler job wakes it.
+ *
+ * Exactly ONE of:
+ *   - duration_seconds: resume after a delay
+ *   - until: resume at a timestamp (ISO string, or a context path such as
+ *     "trigger_data.data.deadline"); a timestamp in the past resumes at once
+ *   - wait_for: resume when a matching alert arrives on a webhook
+ *
+ * wait_for:
+ *   - webhook_id: webhook to watch (the alert is still ingested normally)
+ *   - conditions: trigger-style conditions on the incoming alert; string
+ *     values are rendered as templates against THIS execution's context,
+ *     so "{{trigger_data.data.srcuser}}" correlates with the original alert
+ *   - match: 'ALL' (default) or 'ANY'; no conditions = any alert matches
+ *   - timeout_seconds: REQUIRED window
+ *   - on_timeout is MANDATORY, same values as approval steps:
+ *     'fail' (WAIT_TIMEOUT), 'continue', 'skip', '__END__', or step_id(s)
+ *
+ * OUTPUT:
+ *   Timer:   { mode, waited_ms, resumed_at, reason: 'elapsed' }
+ *   Matched: { mode: 'event', matched: true, alert, waited_ms, resumed_at }
+ *   Timeout: { mode: 'event', matched: false, timed_out: true, on_timeout_behavior, ... }
+ *
+ * @typedef {Object} WaitStep
+ * @property {number} [duration_seconds] - Delay before resuming
+ * @property {string} [until] - Resume timestamp or context path
+ * @property {Object} [wait_for] - Awaited alert definition
+ * @property {string|string[]} [on_timeout] - Required with wait_for
+ */
+export const WaitStepExample = {
+  step_id: "wait_after_isolation",
+  name: "Wait 15 Minutes After Isolation",
+  type: "wait",
+  duration_seconds: 900,
+  on_success: "recheck_agent"
+};
+
+export const WaitForStepExample = {
+  step_id: "await_user_confirmation",
+  name: "Wait For User Confirmation Alert",
+  type: "wait",
+  wait_for: {
+    webhook_id: "WH-USER-CONFIRM",
+    conditions: [
+      { field: "data.username", operator: "equals", value: "{{trigger_data.data.srcuser}}" },
+      { field: "data.confirmed", operator: "equals", value: true }
+    ],
+    match: "ALL",
+    timeout_seconds: 3600
+  },
+  on_success: "close_case",
+  on_timeout: "escalate_to_soc"
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STEP TYPE: TRANSFORM
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Transform Step Schema
+ *
+ * Reshapes data between steps without calling a connector. `set` maps
+ * output keys to expressions, evaluated in order:
+ *
+ *   "trigger_data.agent.name"            → copy the value at a path
+ *   "literal:value"                       → literal (string args such as
+ *                                           separators and regex patterns
+ *                                           MUST use literal:)
+ *   { fn: "lower", args: [expr, ...] }    → call a library function; args
+ *                                           are expressions, so calls nest
+ *
+ * A key can use keys set before it in the same step as "output.<key>".
+ * Results are the step output: steps.<step_id>.output.<key>.
+ *
+ * FUNCTIONS (see engine/transform-functions.js):
+ *   string: lower, upper, trim, concat, split, replace, substring, to_string
+ *   regex:  regex_extract, regex_test, regex_replace
+ *   url:    url_parse → { scheme, domain, port, path, query, fragment }
+ *   math:   to_number, add, subtract, multiply, divide, round, abs, min, max, sum
+ *   array:  list, length, first, last, unique, compact, flatten, join, pluck,
+ *           includes, sort, slice
+ *   date:   now, to_iso, to_epoch, date_add, date_diff, date_format (UTC)
+ *   json:   json_path, json_parse, json_stringify
+ *   misc:   coalesce
+ *
+ * Missing input data yields null rather than an error. Unknown functions,
+ * wrong argument counts and unsafe literal regex patterns (nested
+ * quantifiers, see engine/safe-regex.js) are rejected at validation time;
+ * regex matches run under the same time limit as trigger regexes.
+ *
+ * @typedef {Object} TransformStep
+ * @property {Object<string, *>} set - Output key → expression
+ */
+export const TransformStepExample = {
+  step_id: "normalize_indicators",
+  name: "Normalize Indicators",
+  type: "transform",
+  set: {
+    hostname: { fn: "lower", args: ["trigger_data.agent.name"] },
+    url: { fn: "url_parse", args: ["trigger_data.data.url"] },
+    domain: "output.url.domain",
+    max_score: { fn: "max", args: ["steps.vt_lookup.output.score", "steps.abuse_lookup.output.score"] },
+    ips: {
+      fn: "unique",
+      args: [{ fn: "compact", args: [{ fn: "list", args: ["trigger_data.data.src_ip", "trigger_data.data.dst_ip"] }] }]
+    },
+    user: { fn: "regex_extract", args: ["trigger_data.full_log", "literal:user (\\S+) from"] }
+  },
+  on_success: "decide_containment"
+  // Downstream: steps.normalize_indicators.output.domain
+};
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // COMPLETE PLAYBOOK DSL EXAMPLE
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -463,6 +935,11 @@ export const CompletePlaybookExample = {
   version: 1,
   status: "active",
   shadow_mode: false,  // When true, actions are SKIPPED
+  recovery_policy: "fail",  // On backend restart: 'resume' or 'fail' (default)
+  max_concurrent_executions: 3,  // Running at once; more alerts wait QUEUED
+  vars: {
+    block_duration: "24h"
+  },
   trigger_type: "webhook",
 
   // Webhook configuration (auto-generated)
@@ -538,7 +1015,7 @@ export const CompletePlaybookExample = {
       action_type: "block_ip",
       input: {
         ip_address: "trigger_data.data.source_ip",
-        duration: "literal:24h"
+        duration: "vars.block_duration"
       }
     },
     {
@@ -608,6 +1085,8 @@ export default {
   // Hardening constants
   STEP_END,
   MAX_STEP_EXECUTIONS,
+  MAX_PLAYBOOK_DEPTH,
+  MAX_WAIT_SECONDS,
   VALID_APPROVAL_TIMEOUT_BEHAVIORS,
 
   // Canonical types
@@ -616,18 +1095,32 @@ export default {
   ExecutionState,
   OnFailureBehavior,
   OnSuccessBehavior,
+  ForEachItemFailureBehavior,
+  RecoveryPolicy,
+  DEFAULT_RECOVERY_POLICY,
+  PlaybookInputType,
   ConditionOperators,
+  LogicalConditionOperators,
   InputMappingPrefix,
+  TemplateFilters,
 
   // Schemas
   BaseStepSchema,
   RetryPolicySchema,
 
   // Examples
+  OutputMappingExample,
   EnrichmentStepExample,
   ConditionStepExample,
+  CompoundConditionStepExample,
   ApprovalStepExample,
   ActionStepExample,
   NotificationStepExample,
+  ForEachStepExample,
+  PlaybookStepExample,
+  WaitStepExample,
+  WaitForStepExample,
+  TransformStepExample,
+  PlaybookInputsExample,
   CompletePlaybookExample
 };
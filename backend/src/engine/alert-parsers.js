@@ -0,0 +1,551 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — ALERT INPUT PARSERS
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Turns webhook payloads in non-Wazuh formats into alert objects, so
+ * firewalls and IDS appliances can post directly. The format is set per
+ * webhook (webhook.input_format):
+ *
+ *   json    - JSON object, used as-is (default)
+ *   cef     - ArcSight Common Event Format line (text/plain)
+ *   leef    - IBM QRadar LEEF 1.0 / 2.0 line (text/plain)
+ *   syslog  - RFC 5424 syslog message (text/plain)
+ *   ecs     - Elastic Common Schema JSON document
+ *
+ * CANONICAL FIELDS:
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Parsed alerts carry the names normalizeTriggerData() aliases for Wazuh
+ * alerts, so triggers and playbook templates work unchanged:
+ *
+ *   source_ip, destination_ip, source_port, destination_port,
+ *   rule_id, rule_name, severity, dst_user,
+ *   rule.{id, description, level}, agent.{id, name, ip}, timestamp
+ *
+ * Format-specific data stays available under cef / leef / syslog (header
+ * fields and all key-value pairs); ECS documents keep their own fields.
+ * CEF / LEEF wrapped in a syslog header are accepted.
+ *
+ * VERSION: 1.0.0
+ * AUTHOR: CyberSentinel SOAR Team
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { InputFormat } from '../models/webhook.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function invalidPayload(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_PAYLOAD';
+  return error;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toPort(value) {
+  const port = parseInt(value, 10);
+  return Number.isInteger(port) && port >= 0 && port <= 65535 ? port : undefined;
+}
+
+/**
+ * Parse a device timestamp: epoch milliseconds / seconds or a date string
+ */
+function toIsoTime(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  let date;
+  if (/^\d+$/.test(String(value))) {
+    const n = parseInt(value, 10);
+    date = new Date(n > 1e12 ? n : n * 1000);
+  } else {
+    date = new Date(value);
+  }
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * Drop undefined values so canonical fields never shadow real ones
+ */
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, v]) => v !== undefined));
+}
+
+function compactOrUndefined(object) {
+  const result = compact(object);
+  return Object.keys(result).length > 0 ? result : undefined;
+}
+
+/**
+ * Build a canonical alert from mapped values
+ */
+function canonicalAlert({ format, timestamp, ruleId, ruleName, severity, level, agent = {}, network = {}, dstUser, extra }) {
+  return compact({
+    timestamp,
+    source_format: format,
+    rule_id: ruleId,
+    rule_name: ruleName,
+    severity,
+    source_ip: network.sourceIp,
+    destination_ip: network.destinationIp,
+    source_port: toPort(network.sourcePort),
+    destination_port: toPort(network.destinationPort),
+    dst_user: dstUser,
+    rule: compactOrUndefined({ id: ruleId, description: ruleName, level }),
+    agent: compactOrUndefined({ id: agent.id, name: agent.name, ip: agent.ip }),
+    ...extra
+  });
+}
+
+/**
+ * Split on an unescaped delimiter, unescaping "\<delimiter>" and "\\"
+ */
+function splitEscaped(text, delimiter, maxParts) {
+  const parts = [];
+  let current = '';
+  let i = 0;
+
+  for (; i < text.length && parts.length < maxParts - 1; i++) {
+    const ch = text[i];
+    if (ch === '\\' && (text[i + 1] === delimiter || text[i + 1] === '\\')) {
+      current += text[i + 1];
+      i++;
+    } else if (ch === delimiter) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+
+  parts.push(current + text.slice(i));
+  return parts;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CEF
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Extension value escapes other than \= and \\
+const CEF_ESCAPES = Object.freeze({ n: '\n', r: '\r' });
+
+/**
+ * Parse CEF extension "key=value key2=value with spaces"; a value runs to
+ * the next unescaped " key=".
+ */
+function parseCefExtension(text) {
+  const extension = {};
+  const keyPattern = /(?:^|\s)([A-Za-z0-9_.[\]-]+)=/g;
+  const keys = [];
+  let match;
+
+  while ((match = keyPattern.exec(text)) !== null) {
+    keys.push({ key: match[1], valueStart: match.index + match[0].length, start: match.index });
+  }
+
+  keys.forEach((entry, i) => {
+    const end = i + 1 < keys.length ? keys[i + 1].start : text.length;
+    extension[entry.key] = text.slice(entry.valueStart, end).trim()
+      .replace(/\\([=\\nr])/g, (escape, ch) => CEF_ESCAPES[ch] ?? ch);
+  });
+
+  return extension;
+}
+
+const CEF_SEVERITY_LEVELS = Object.freeze({ low: 3, medium: 6, high: 8, 'very-high': 10 });
+
+/**
+ * Parse a CEF event:
+ * CEF:Version|Device Vendor|Device Product|Device Version|Signature ID|Name|Severity|Extension
+ *
+ * @param {string} text
+ * @returns {object} - Canonical alert
+ * @throws {Error} code INVALID_PAYLOAD
+ */
+export function parseCEF(text) {
+  const start = text.indexOf('CEF:');
+  if (start === -1) {
+    throw invalidPayload('Payload is not a CEF event (missing "CEF:" header)');
+  }
+
+  const parts = splitEscaped(text.slice(start + 4).trim(), '|', 8);
+  if (parts.length < 7) {
+    throw invalidPayload('CEF header must have 7 pipe-separated fields');
+  }
+
+  const [version, vendor, product, deviceVersion, signatureId, name, rawSeverity] = parts;
+  const extension = parseCefExtension(parts[7] || '');
+  const numericSeverity = /^\d+$/.test(rawSeverity.trim()) ? parseInt(rawSeverity, 10) : null;
+
+  return canonicalAlert({
+    format: InputFormat.CEF,
+    timestamp: toIsoTime(extension.rt) || toIsoTime(extension.end) || toIsoTime(extension.start),
+    ruleId: signatureId,
+    ruleName: name,
+    severity: numericSeverity !== null ? numericSeverity : rawSeverity.trim(),
+    level: numericSeverity !== null ? numericSeverity : CEF_SEVERITY_LEVELS[rawSeverity.trim().toLowerCase()],
+    agent: {
+      id: extension.dvcmac,
+      name: extension.dvchost || `${vendor} ${product}`.trim(),
+      ip: extension.dvc
+    },
+    network: {
+      sourceIp: extension.src,
+      destinationIp: extension.dst,
+      sourcePort: extension.spt,
+      destinationPort: extension.dpt
+    },
+    dstUser: extension.duser,
+    extra: {
+      cef: {
+        version,
+        device_vendor: vendor,
+        device_product: product,
+        device_version: deviceVersion,
+        signature_id: signatureId,
+        name,
+        severity: rawSeverity,
+        extension
+      }
+    }
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LEEF
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * LEEF 2.0 delimiter field: a character, or its hex code (x09 / 0x09);
+ * tab when left empty
+ */
+function leefDelimiter(field) {
+  if (field === '') return '\t';
+  const hex = field.match(/^(?:0?x)([0-9a-fA-F]{2,4})$/);
+  if (hex) return String.fromCharCode(parseInt(hex[1], 16));
+  return field.length === 1 ? field : null;
+}
+
+/**
+ * Parse a LEEF event:
+ * LEEF:1.0|Vendor|Product|Version|EventID|key=value<TAB>key=value
+ * LEEF:2.0|Vendor|Product|Version|EventID|Delimiter|key=value<DELIM>...
+ *
+ * @param {string} text
+ * @returns {object} - Canonical alert
+ * @throws {Error} code INVALID_PAYLOAD
+ */
+export function parseLEEF(text) {
+  const start = text.indexOf('LEEF:');
+  if (start === -1) {
+    throw invalidPayload('Payload is not a LEEF event (missing "LEEF:" header)');
+  }
+
+  const body = text.slice(start + 5);
+  const isV2 = body.startsWith('2');
+  const parts = body.split('|');
+  const headerCount = isV2 ? 6 : 5;
+
+  if (parts.length < headerCount) {
+    throw invalidPayload(`LEEF ${isV2 ? '2.0' : '1.0'} header must have ${headerCount} pipe-separated fields`);
+  }
+
+  const [version, vendor, product, deviceVersion, eventId] = parts;
+  let delimiter = '\t';
+  if (isV2) {
+    delimiter = leefDelimiter(parts[5]);
+    if (!delimiter) {
+      throw invalidPayload(`Invalid LEEF 2.0 delimiter: ${parts[5]}`);
+    }
+  }
+
+  const attributes = {};
+  for (const pair of parts.slice(headerCount).join('|').split(delimiter)) {
+    const eq = pair.indexOf('=');
+    if (eq > 0) {
+      attributes[pair.slice(0, eq).trim()] = pair.slice(eq + 1).trim();
+    }
+  }
+
+  const numericSeverity = /^\d+$/.test(attributes.sev || '') ? parseInt(attributes.sev, 10) : undefined;
+
+  return canonicalAlert({
+    format: InputFormat.LEEF,
+    timestamp: toIsoTime(attributes.devTime),
+    ruleId: eventId,
+    ruleName: attributes.name || attributes.msg || eventId,
+    severity: numericSeverity !== undefined ? numericSeverity : attributes.sev,
+    level: numericSeverity,
+    agent: {
+      name: attributes.identHostName || `${vendor} ${product}`.trim(),
+      ip: attributes.identSrc
+    },
+    network: {
+      sourceIp: attributes.src,
+      destinationIp: attributes.dst,
+      sourcePort: attributes.srcPort,
+      destinationPort: attributes.dstPort
+    },
+    dstUser: attributes.usrName,
+    extra: {
+      leef: {
+        version,
+        vendor,
+        product,
+        product_version: deviceVersion,
+        event_id: eventId,
+        attributes
+      }
+    }
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RFC 5424 SYSLOG
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const SYSLOG_SEVERITIES = Object.freeze([
+  'emergency', 'alert', 'critical', 'error', 'warning', 'notice', 'informational', 'debug'
+]);
+
+const SYSLOG_HEADER = /^<(\d{1,3})>(\d{1,2}) (\S+) (\S+) (\S+) (\S+) (\S+) ?/;
+
+// Structured-data parameters read as canonical network / user fields
+const SD_ALIASES = Object.freeze({
+  sourceIp: ['src', 'srcip', 'src_ip', 'source_ip'],
+  destinationIp: ['dst', 'dstip', 'dst_ip', 'destination_ip'],
+  sourcePort: ['spt', 'srcport', 'src_port', 'source_port'],
+  destinationPort: ['dpt', 'dstport', 'dst_port', 'destination_port'],
+  dstUser: ['duser', 'dstuser', 'dst_user', 'user']
+});
+
+function nil(value) {
+  return value === '-' ? undefined : value;
+}
+
+/**
+ * Parse STRUCTURED-DATA: [id key="value" ...][id2 ...] or "-"
+ *
+ * @returns {{ data: object, rest: string }} - rest is the text after it
+ */
+function parseStructuredData(text) {
+  const data = {};
+  if (text.startsWith('-')) {
+    return { data, rest: text.slice(1) };
+  }
+
+  let i = 0;
+  while (text[i] === '[') {
+    const idEnd = text.slice(i + 1).search(/[ \]]/);
+    if (idEnd === -1) throw invalidPayload('Unterminated syslog structured data');
+
+    const id = text.slice(i + 1, i + 1 + idEnd);
+    const params = {};
+    i += 1 + idEnd;
+
+    while (text[i] === ' ') {
+      const param = text.slice(i + 1).match(/^([^=\s\]"]+)="/);
+      if (!param) throw invalidPayload(`Invalid syslog structured data parameter in [${id}]`);
+      i += 1 + param[0].length;
+
+      let value = '';
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && ['"', '\\', ']'].includes(text[i + 1])) {
+          value += text[i + 1];
+          i += 2;
+        } else {
+          value += text[i++];
+        }
+      }
+      if (text[i] !== '"') throw invalidPayload(`Unterminated syslog structured data value in [${id}]`);
+      params[param[1]] = value;
+      i++;
+    }
+
+    if (text[i] !== ']') throw invalidPayload(`Unterminated syslog structured data element [${id}]`);
+    data[id] = params;
+    i++;
+  }
+
+  if (i === 0) throw invalidPayload('Syslog structured data must be "-" or [id ...] elements');
+  return { data, rest: text.slice(i) };
+}
+
+/**
+ * Parse an RFC 5424 syslog message:
+ * <PRI>VERSION TIMESTAMP HOSTNAME APP-NAME PROCID MSGID STRUCTURED-DATA [MSG]
+ *
+ * @param {string} text
+ * @returns {object} - Canonical alert
+ * @throws {Error} code INVALID_PAYLOAD
+ */
+export function parseSyslog(text) {
+  const header = text.trim().match(SYSLOG_HEADER);
+  if (!header) {
+    throw invalidPayload('Payload is not an RFC 5424 syslog message');
+  }
+
+  const [matched, priText, version, timestamp, hostname, appName, procId, msgId] = header;
+  const pri = parseInt(priText, 10);
+  if (pri > 191) {
+    throw invalidPayload(`Invalid syslog priority <${pri}>`);
+  }
+
+  const { data: structuredData, rest } = parseStructuredData(text.trim().slice(matched.length));
+  const message = rest.replace(/^ /, '').replace(/^\uFEFF/, '') || undefined;
+  const severityCode = pri % 8;
+
+  const sdValue = (aliases) => {
+    for (const params of Object.values(structuredData)) {
+      for (const key of aliases) {
+        if (params[key] !== undefined && params[key] !== '') return params[key];
+      }
+    }
+    return undefined;
+  };
+
+  return canonicalAlert({
+    format: InputFormat.SYSLOG,
+    timestamp: toIsoTime(nil(timestamp)),
+    ruleId: nil(msgId) || nil(appName),
+    ruleName: message || nil(msgId) || nil(appName),
+    severity: SYSLOG_SEVERITIES[severityCode],
+    agent: { name: nil(hostname) },
+    network: {
+      sourceIp: sdValue(SD_ALIASES.sourceIp),
+      destinationIp: sdValue(SD_ALIASES.destinationIp),
+      sourcePort: sdValue(SD_ALIASES.sourcePort),
+      destinationPort: sdValue(SD_ALIASES.destinationPort)
+    },
+    dstUser: sdValue(SD_ALIASES.dstUser),
+    extra: {
+      message,
+      syslog: compact({
+        version: parseInt(version, 10),
+        facility: Math.floor(pri / 8),
+        severity_code: severityCode,
+        hostname: nil(hostname),
+        app_name: nil(appName),
+        proc_id: nil(procId),
+        msg_id: nil(msgId),
+        structured_data: structuredData
+      })
+    }
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ECS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function pick(object, path) {
+  let value = object;
+  for (const part of path.split('.')) {
+    if (value === null || value === undefined) break;
+    value = value[part];
+  }
+  // ECS documents may use dotted keys ("source.ip") instead of nesting
+  if ((value === null || value === undefined) && Object.prototype.hasOwnProperty.call(object, path)) {
+    value = object[path];
+  }
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Map an Elastic Common Schema document. The document is kept; canonical
+ * fields are added where it does not already have them.
+ *
+ * @param {object} doc - ECS JSON document
+ * @returns {object} - Canonical alert
+ * @throws {Error} code INVALID_PAYLOAD
+ */
+export function mapECS(doc) {
+  if (!isPlainObject(doc)) {
+    throw invalidPayload('ECS payload must be a JSON object');
+  }
+
+  const ruleId = pick(doc, 'rule.id');
+  const ruleName = pick(doc, 'rule.name') || pick(doc, 'rule.description') || pick(doc, 'event.action');
+  const severity = pick(doc, 'event.severity');
+
+  const canonical = canonicalAlert({
+    format: InputFormat.ECS,
+    timestamp: toIsoTime(pick(doc, '@timestamp')),
+    ruleId,
+    ruleName,
+    severity,
+    level: typeof severity === 'number' ? severity : undefined,
+    agent: {
+      id: pick(doc, 'host.id') || pick(doc, 'agent.id'),
+      name: pick(doc, 'host.name') || pick(doc, 'agent.name'),
+      ip: pick(doc, 'host.ip')
+    },
+    network: {
+      sourceIp: pick(doc, 'source.ip'),
+      destinationIp: pick(doc, 'destination.ip'),
+      sourcePort: pick(doc, 'source.port'),
+      destinationPort: pick(doc, 'destination.port')
+    },
+    dstUser: pick(doc, 'user.target.name') || pick(doc, 'destination.user.name') || pick(doc, 'user.name')
+  });
+
+  // ECS fields win; canonical keys only fill gaps
+  const alert = { ...canonical, ...doc };
+  for (const key of ['rule', 'agent']) {
+    if (canonical[key] || isPlainObject(doc[key])) {
+      alert[key] = { ...canonical[key], ...(isPlainObject(doc[key]) ? doc[key] : {}) };
+    }
+  }
+  return alert;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DISPATCH
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const TEXT_PARSERS = Object.freeze({
+  [InputFormat.CEF]: parseCEF,
+  [InputFormat.LEEF]: parseLEEF,
+  [InputFormat.SYSLOG]: parseSyslog
+});
+
+/**
+ * Turn a request payload into an alert object for the webhook's format
+ *
+ * @param {*} payload - Parsed request body (object, or string for text formats)
+ * @param {string} [format='json'] - webhook.input_format
+ * @returns {object} - Alert
+ * @throws {Error} code INVALID_PAYLOAD
+ */
+export function parseAlertPayload(payload, format = InputFormat.JSON) {
+  if (!format || format === InputFormat.JSON) {
+    if (!payload || typeof payload !== 'object') {
+      throw invalidPayload('Payload must be a JSON object');
+    }
+    return payload;
+  }
+
+  if (format === InputFormat.ECS) {
+    return mapECS(payload);
+  }
+
+  const parser = TEXT_PARSERS[format];
+  if (!parser) {
+    throw invalidPayload(`Unsupported input format: ${format}`);
+  }
+  if (typeof payload !== 'string' || !payload.trim()) {
+    throw invalidPayload(`Payload must be a ${format.toUpperCase()} message sent as text/plain`);
+  }
+  return parser(payload);
+}
+
+export default {
+  parseAlertPayload,
+  parseCEF,
+  parseLEEF,
+  parseSyslog,
+  mapECS
+};
@@ -49,7 +49,15 @@ export const AuditEvents = Object.freeze({
     description: 'Playbook execution has started',
     resource_type: 'execution',
     required_fields: ['playbook_id', 'playbook_name', 'shadow_mode'],
-    emitted_when: 'Execution begins processing first step'
+    emitted_when: 'Execution begins processing first step (reruns add rerun_of, rerun_from_step, requested_by)'
+  },
+
+  EXECUTION_RERUN_REQUESTED: {
+    action: 'execute',
+    description: 'Execution re-run from a chosen step as a new linked execution (details.mode = rerun)',
+    resource_type: 'execution',
+    required_fields: ['mode', 'rerun_execution_id', 'from_step_id', 'carried_steps'],
+    emitted_when: 'POST /api/executions/:id/rerun accepted (logged on the ORIGINAL execution; the rerun logs execution.started with rerun_of)'
   },
 
   EXECUTION_COMPLETED: {
@@ -65,7 +73,23 @@ export const AuditEvents = Object.freeze({
     description: 'Playbook execution failed',
     resource_type: 'execution',
     required_fields: ['playbook_id', 'error', 'step_id', 'duration_ms'],
-    emitted_when: 'Step fails with on_failure=stop or unhandled error'
+    emitted_when: 'Step fails with on_failure=stop/rollback or unhandled error'
+  },
+
+  EXECUTION_ROLLED_BACK: {
+    action: 'execute',
+    description: 'Recorded compensations replayed in reverse order (details.mode = rollback)',
+    resource_type: 'execution',
+    required_fields: ['mode', 'trigger', 'status', 'compensated', 'failed', 'compensations'],
+    emitted_when: 'POST /api/executions/:id/rollback (trigger manual), or a step failed with on_failure: rollback (trigger on_failure); outcome partial when some compensations failed'
+  },
+
+  EXECUTION_CANCELLED: {
+    action: 'execute',
+    description: 'Execution cancelled; actor_email names who cancelled (details.mode = cancel)',
+    resource_type: 'execution',
+    required_fields: ['mode', 'previous_state', 'skipped_steps', 'interrupted_steps'],
+    emitted_when: 'PATCH /api/executions/:id/cancel, once in-flight branches have stopped; also for sub-playbooks cancelled with their parent'
   },
 
   EXECUTION_RESUMED: {
@@ -76,6 +100,30 @@ export const AuditEvents = Object.freeze({
     emitted_when: 'Execution transitions from WAITING_APPROVAL to EXECUTING'
   },
 
+  EXECUTION_WAITING: {
+    action: 'execution.waiting',
+    description: 'Wait step parked the execution',
+    resource_type: 'execution',
+    required_fields: ['step_id', 'mode', 'resume_at'],
+    emitted_when: 'Wait step persists a timer or awaited-alert wait'
+  },
+
+  EXECUTION_WAIT_RESUMED: {
+    action: 'execution.wait_resumed',
+    description: 'Parked wait step woken',
+    resource_type: 'execution',
+    required_fields: ['step_id', 'mode', 'outcome', 'waited_ms'],
+    emitted_when: 'Execution transitions from WAITING to EXECUTING (elapsed, matched or timeout)'
+  },
+
+  EXECUTION_RECOVERED: {
+    action: 'execution.recovered',
+    description: 'Execution found in EXECUTING at backend startup',
+    resource_type: 'execution',
+    required_fields: ['recovery_policy', 'recovery_count', 'outcome', 'resume_from'],
+    emitted_when: 'Startup recovery pass resumes, completes or fails (INTERRUPTED) a stranded execution'
+  },
+
   // ───────────────────────────────────────────────────────────────────────────
   // STEP LIFECYCLE EVENTS
   // ───────────────────────────────────────────────────────────────────────────
@@ -116,8 +164,8 @@ export const AuditEvents = Object.freeze({
     action: 'step.retry',
     description: 'Step execution is being retried',
     resource_type: 'step',
-    required_fields: ['step_id', 'step_type', 'retry_attempt', 'max_attempts', 'delay_seconds'],
-    emitted_when: 'Retry policy triggers a retry attempt'
+    required_fields: ['step_id', 'step_type', 'retry_attempt', 'max_attempts', 'delay_seconds', 'next_retry_at'],
+    emitted_when: 'Retry policy schedules a retry for a retryable connector error'
   },
 
   // ───────────────────────────────────────────────────────────────────────────
@@ -247,6 +295,20 @@ export const MetricsCounters = Object.freeze({
     increment_when: 'Execution reaches FAILED state'
   },
 
+  WAITS_RESUMED: {
+    name: 'waits_resumed',
+    description: 'Total number of parked wait steps woken',
+    labels: ['playbook_id', 'outcome'],
+    increment_when: 'Wait step resumes (elapsed, matched or timeout)'
+  },
+
+  EXECUTIONS_RECOVERED: {
+    name: 'executions_recovered',
+    description: 'Total number of executions picked up by startup recovery',
+    labels: ['playbook_id', 'recovery_policy'],
+    increment_when: 'Startup recovery pass processes a stranded execution'
+  },
+
   // ───────────────────────────────────────────────────────────────────────────
   // STEP COUNTERS
   // ───────────────────────────────────────────────────────────────────────────
@@ -40,7 +40,10 @@ import { alienvaultOtxConnector } from '../connectors/alienvault-otx.connector.j
  *
  * 3. RETURN outputs matching its declared output_schema
  *
- * 4. HANDLE timeouts gracefully (via AbortController or equivalent)
+ * 4. HANDLE timeouts and cancellation gracefully: execute() receives
+ *    { signal } as a 4th argument, aborted on timeout or when the execution
+ *    is cancelled. Pass it to HTTP clients (axios/fetch `signal`) so no
+ *    side effect is sent after the abort.
  *
  * 5. NORMALIZE errors to standard format:
  *    { code: string, message: string, retryable: boolean }
@@ -73,6 +76,9 @@ import { alienvaultOtxConnector } from '../connectors/alienvault-otx.connector.j
  *   }
  * }
  *
+ * The playbook validator checks steps.<id>.output.<field> references to a
+ * connector step against these fields (unless the step has output_mapping).
+ *
  * ─────────────────────────────────────────────────────────────────────────────
  *
  * CONNECTOR RESULT:
@@ -83,6 +89,19 @@ import { alienvaultOtxConnector } from '../connectors/alienvault-otx.connector.j
  *   duration_ms: number,
  *   metadata: { requests_made: number, rate_limited: boolean }
  * }
+ *
+ * ─────────────────────────────────────────────────────────────────────────────
+ *
+ * COMPENSATIONS (optional, per action):
+ * An action with a side effect may declare the action that undoes it.
+ * Execution rollback replays recorded compensations newest-first.
+ * {
+ *   "block_ip": {
+ *     action: "unblock_ip",
+ *     when:   (inputs, output) => output.status === "blocked",   // optional
+ *     inputs: (inputs, output) => ({ ip: output.ip })
+ *   }
+ * }
  */
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -103,6 +122,9 @@ export const ConnectorErrorCodes = Object.freeze({
   NOT_FOUND: { code: 'NOT_FOUND', retryable: false },
   INVALID_ACTION: { code: 'INVALID_ACTION', retryable: false },
 
+  // Caller aborted (execution cancelled)
+  CANCELLED: { code: 'CANCELLED', retryable: false },
+
   // Internal errors
   INTERNAL_ERROR: { code: 'INTERNAL_ERROR', retryable: false },
   NOT_IMPLEMENTED: { code: 'NOT_IMPLEMENTED', retryable: false }
@@ -173,6 +195,33 @@ function getConnector(connectorId) {
   return connectorRegistry.get(connectorId);
 }
 
+/**
+ * Declared output fields of a registered connector action, or null when the
+ * connector is not registered under this id or declares no output schema.
+ * Used by the playbook validator (no DB access).
+ *
+ * @param {string} connectorId - Connector id as used in the playbook step
+ * @param {string} actionType - Action name
+ * @returns {Object|null} field name → type
+ */
+export function getOutputFields(connectorId, actionType) {
+  return getConnector(connectorId)?.outputSchema?.[actionType]?.output_fields || null;
+}
+
+/**
+ * Get connector configuration from database (try by _id first, then by name)
+ */
+async function findConnectorConfig(connectorId) {
+  let connectorConfig;
+  if (mongoose.Types.ObjectId.isValid(connectorId)) {
+    connectorConfig = await Connector.findById(connectorId);
+  }
+  if (!connectorConfig) {
+    connectorConfig = await Connector.findOne({ name: connectorId });
+  }
+  return connectorConfig;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // MAIN CONNECTOR INVOCATION
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -187,23 +236,29 @@ function getConnector(connectorId) {
  * @param {string} actionType - Action to perform
  * @param {object} inputs - Resolved input parameters
  * @param {number} timeoutSeconds - Maximum execution time
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the call (execution cancelled)
  * @returns {Promise<object>} - Action result (output or error)
  */
-export async function invokeConnector(connectorId, actionType, inputs, timeoutSeconds = 30) {
+export async function invokeConnector(connectorId, actionType, inputs, timeoutSeconds = 30, { signal } = {}) {
   const startTime = Date.now();
 
   logger.info(`[invokeConnector] Invoking ${connectorId}.${actionType}`);
 
+  // Aborted by the caller's signal or by the timeout below; handed to the
+  // implementation so it can drop in-flight requests
+  const controller = new AbortController();
+  const forwardAbort = () => controller.abort();
+  signal?.addEventListener('abort', forwardAbort, { once: true });
+  let timeoutId = null;
+
   try {
-    // Get connector configuration from database (try by _id first, then by name)
-    let connectorConfig;
-    if (mongoose.Types.ObjectId.isValid(connectorId)) {
-      connectorConfig = await Connector.findById(connectorId);
-    }
-    if (!connectorConfig) {
-      connectorConfig = await Connector.findOne({ name: connectorId });
+    if (signal?.aborted) {
+      throw createError('CANCELLED', `Connector call cancelled: ${connectorId}.${actionType}`);
     }
 
+    const connectorConfig = await findConnectorConfig(connectorId);
+
     if (!connectorConfig) {
       throw createError('INVALID_ACTION', `Connector not found: ${connectorId}`);
     }
@@ -224,17 +279,25 @@ export async function invokeConnector(connectorId, actionType, inputs, timeoutSe
       validateInputs(inputs, implementation.inputSchema[actionType]);
     }
 
-    // Create timeout promise
+    // Create timeout promise (rejects before aborting, so it wins the race)
     const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => {
+      timeoutId = setTimeout(() => {
         reject(createError('TIMEOUT', `Connector timeout after ${timeoutSeconds}s`));
+        controller.abort();
       }, timeoutSeconds * 1000);
     });
 
-    // Execute connector with timeout
+    const abortPromise = new Promise((_, reject) => {
+      controller.signal.addEventListener('abort', () => {
+        reject(createError('CANCELLED', `Connector call cancelled: ${connectorId}.${actionType}`));
+      }, { once: true });
+    });
+
+    // Execute connector with timeout / cancellation
     const result = await Promise.race([
-      implementation.execute(actionType, inputs, connectorConfig.config),
-      timeoutPromise
+      implementation.execute(actionType, inputs, connectorConfig.config, { signal: controller.signal }),
+      timeoutPromise,
+      abortPromise
     ]);
 
     const duration = Date.now() - startTime;
@@ -277,9 +340,56 @@ export async function invokeConnector(connectorId, actionType, inputs, timeoutSe
     errorResult.code = normalizedError.code;
     errorResult.retryable = normalizedError.retryable;
     throw errorResult;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', forwardAbort);
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMPENSATIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Resolve the compensating action for a completed connector action.
+ *
+ * @param {string} connectorId - Connector identifier used by the step
+ * @param {string} actionType - Action that ran
+ * @param {object} inputs - Inputs the action ran with
+ * @param {object} output - Output the action returned
+ * @returns {Promise<{action_type: string, inputs: object}|null>} null when the
+ *   action declares no compensation or its `when` guard is not met
+ */
+export async function resolveCompensation(connectorId, actionType, inputs, output) {
+  let implementation = getConnector(connectorId);
+  if (!implementation) {
+    const connectorConfig = await findConnectorConfig(connectorId);
+    if (connectorConfig) {
+      implementation = getConnector(connectorConfig.name) || getConnector(connectorConfig.type);
+    }
+  }
+
+  const declaration = implementation?.compensations?.[actionType];
+  if (!declaration) {
+    return null;
+  }
+
+  if (typeof declaration.when === 'function' && !declaration.when(inputs, output)) {
+    return null;
+  }
+
+  const compensationInputs = typeof declaration.inputs === 'function'
+    ? declaration.inputs(inputs, output)
+    : { ...inputs };
+
+  // A simulated action gets a simulated undo
+  if (output?._simulated === true) {
+    compensationInputs._simulate = true;
+  }
+
+  return { action_type: declaration.action, inputs: compensationInputs };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // INPUT/OUTPUT VALIDATION
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -513,6 +623,8 @@ export default {
   ConnectorResult,
   ConnectorErrorCodes,
   invokeConnector,
+  resolveCompensation,
   registerConnector,
-  getConnector
+  getConnector,
+  getOutputFields
 };
@@ -10,7 +10,7 @@
  * - State machine transitions (EXECUTING → WAITING_APPROVAL → COMPLETED/FAILED)
  * - Shadow mode enforcement (actions SKIPPED when enabled)
  * - Retry policy implementation
- * - Input resolution from trigger_data and step outputs
+ * - Input resolution from trigger_data, step outputs and playbook inputs/vars
  * - Connector invocation via contract interface
  * - Audit event emission
  * - Metrics counter updates
@@ -19,19 +19,44 @@
  * - Loop protection: MAX_STEP_EXECUTIONS limit prevents infinite loops
  * - Condition step termination: No fall-through, must always branch
  * - Approval timeout enforcement: Explicit on_timeout behavior required
+ * - Startup recovery: executions stranded in EXECUTING by a restart are
+ *   resumed or failed (INTERRUPTED) according to the playbook recovery_policy
+ * - Sub-playbooks: `playbook` steps run child executions bounded by
+ *   MAX_PLAYBOOK_DEPTH, with no playbook repeated on the call chain
+ * - Wait steps: parked in execution.waits (state WAITING) and woken by the
+ *   execution-waits job or a matching alert; no in-process timers
+ * - Retries: only for retryable connector errors, persisted as 'retry'
+ *   waits with next_retry_at on the step result
+ * - Cancellation: cancelExecution() aborts in-flight connector calls through
+ *   an AbortSignal and stops the scheduler; pending steps end SKIPPED and
+ *   the execution ends CANCELLED
  *
  * VERSION: 1.1.0 (HARDENED)
  * AUTHOR: CyberSentinel SOAR Team
  * ══════════════════════════════════════════════════════════════════════════════
  */
 
-import Execution, { ExecutionState, StepState } from '../models/execution.js';
+import Execution, { ExecutionState, StepState, CompensationState } from '../models/execution.js';
+import Approval from '../models/approval.js';
 import { logAction } from '../services/audit-service.js';
 import { incrementMetric } from '../services/metrics-service.js';
-import { invokeConnector } from './connector-interface.js';
-import { resolveInputs, evaluateCondition, renderTemplate } from './input-resolver.js';
+import { invokeConnector, resolveCompensation } from './connector-interface.js';
+import {
+  resolveInputs,
+  resolveValue,
+  evaluateCondition,
+  renderTemplate,
+  isCompoundCondition,
+  traceCondition,
+  collectMatchedConditions,
+  mapOutput
+} from './input-resolver.js';
+import { applyTransforms } from './transform-functions.js';
 import { validatePlaybookOrThrow } from './playbook-validator.js';
 import { normalizeBranchTargets } from './branch-targets.js';
+import { applyInputDefaults, resolvePlaybookInputs } from './playbook-inputs.js';
+import { resolvePlaybookConnectorIds } from './playbook-connectors.js';
+import { createApproval } from '../services/approval-service.js';
 import logger from '../utils/logger.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -57,19 +82,107 @@ const MAX_STEP_EXECUTIONS = 100;
 const STEP_TIMEOUT_MS = parseInt(process.env.STEP_TIMEOUT_MS || '60000');
 
 /**
- * Wraps a promise with a timeout. Rejects if the promise does not resolve
- * within the specified duration.
+ * How long a timed-out step gets to stop after its signal is aborted. A run
+ * that settles within it was cancelled and its TIMEOUT is retryable; one
+ * that does not may still be acting, so it is not retried.
  */
-async function withTimeout(promise, ms, stepId) {
+const STEP_ABORT_GRACE_MS = parseInt(process.env.STEP_ABORT_GRACE_MS || '2000');
+
+/**
+ * FOREACH: default parallel iterations and hard cap
+ */
+const DEFAULT_FOREACH_CONCURRENCY = 5;
+const MAX_FOREACH_CONCURRENCY = 10;
+
+/**
+ * PLAYBOOK: maximum sub-playbook nesting depth (top-level execution = 0).
+ * Configurable via MAX_PLAYBOOK_DEPTH environment variable.
+ */
+const MAX_PLAYBOOK_DEPTH = parseInt(process.env.MAX_PLAYBOOK_DEPTH || '5');
+
+/**
+ * OUTPUT MAPPING: step types whose output_mapping is applied to the result.
+ * Only connector calls — every other type has an engine-defined output.
+ */
+const OUTPUT_MAPPING_STEP_TYPES = ['enrichment', 'action', 'notification'];
+
+/**
+ * ROLLBACK: a rollback still 'running' after this long is treated as dead
+ * (process crashed mid-rollback) and can be claimed again.
+ */
+const ROLLBACK_LEASE_MS = 10 * 60 * 1000;
+
+/**
+ * CANCELLATION: states an execution can be cancelled from, and the engines
+ * running in THIS process (execution_id → engine) so a cancel can signal
+ * in-flight branches instead of only flipping the stored state.
+ */
+const CANCELLABLE_STATES = [
+  ExecutionState.QUEUED,
+  ExecutionState.EXECUTING,
+  ExecutionState.WAITING_APPROVAL,
+  ExecutionState.WAITING
+];
+const activeEngines = new Map();
+
+/**
+ * Run `run(signal)` with a timeout. The signal follows `parentSignal`
+ * (execution cancelled) and is aborted with the TIMEOUT error when the
+ * timeout fires, so connector calls stop and the run can tell its late
+ * result must be discarded. The TIMEOUT error is retryable only when the
+ * run settled within STEP_ABORT_GRACE_MS of the abort.
+ */
+async function withTimeout(run, ms, stepId, parentSignal = null) {
+  const controller = new AbortController();
+  const forwardAbort = () => controller.abort(parentSignal.reason);
+  if (parentSignal?.aborted) {
+    forwardAbort();
+  } else {
+    parentSignal?.addEventListener('abort', forwardAbort, { once: true });
+  }
+
+  const promise = run(controller.signal);
   let timer;
-  const timeout = new Promise((_, reject) => {
-    timer = setTimeout(() => reject(new Error(`Step ${stepId} timed out after ${ms}ms`)), ms);
+  const timedOut = Symbol('timedOut');
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(timedOut), ms);
   });
+
   try {
-    return await Promise.race([promise, timeout]);
+    const result = await Promise.race([promise, timeout]);
+    if (result !== timedOut) return result;
   } finally {
     clearTimeout(timer);
+    parentSignal?.removeEventListener('abort', forwardAbort);
+  }
+
+  const error = Object.assign(new Error(`Step ${stepId} timed out after ${ms}ms`), { code: 'TIMEOUT' });
+  controller.abort(error);
+  error.retryable = await settlesWithin(promise, STEP_ABORT_GRACE_MS);
+  if (!error.retryable) {
+    logger.warn(`[ExecutionEngine] Step ${stepId} did not stop within ${STEP_ABORT_GRACE_MS}ms of its timeout; not retrying`);
   }
+  throw error;
+}
+
+/**
+ * Resolve true if the promise settles (either way) within ms, else false
+ */
+function settlesWithin(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise.then(() => true, () => true),
+    new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * True once withTimeout() has given up on the run owning this signal
+ */
+function isTimedOut(signal) {
+  return signal?.aborted === true && signal.reason?.code === 'TIMEOUT';
 }
 
 /**
@@ -77,6 +190,20 @@ async function withTimeout(promise, ms, stepId) {
  */
 const STEP_END = '__END__';
 
+/**
+ * Startup recovery: playbook-level policy applied to executions found in
+ * EXECUTING when the backend starts. 'fail' is the default because 'resume'
+ * re-invokes whichever steps were in flight when the process died.
+ */
+const VALID_RECOVERY_POLICIES = ['resume', 'fail'];
+const DEFAULT_RECOVERY_POLICY = 'fail';
+
+/**
+ * Maximum number of times a single execution is recovered. Guards against a
+ * step that reliably crashes the process turning every restart into a replay.
+ */
+const MAX_RECOVERY_ATTEMPTS = parseInt(process.env.EXECUTION_MAX_RECOVERY_ATTEMPTS || '3');
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // EXECUTION STATE MACHINE
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -122,21 +249,41 @@ const STEP_END = '__END__';
  *                 ┌────────────┐
  *                 │ COMPLETED  │
  *                 └────────────┘
+ *
+ * EXECUTING, WAITING_APPROVAL and WAITING can also move to CANCELLED
+ * (terminal) through cancelExecution().
+ *
+ * Alert-triggered executions start QUEUED; the execution queue moves them
+ * to EXECUTING when a concurrency slot is free (services/execution-queue.js).
  */
 
 // Valid state transitions
 const ValidTransitions = {
+  [ExecutionState.QUEUED]: [
+    ExecutionState.EXECUTING,  // Dispatched by the execution queue
+    ExecutionState.FAILED,     // Playbook gone at dispatch time
+    ExecutionState.CANCELLED
+  ],
   [ExecutionState.EXECUTING]: [
     ExecutionState.WAITING_APPROVAL,
+    ExecutionState.WAITING,
     ExecutionState.COMPLETED,
-    ExecutionState.FAILED
+    ExecutionState.FAILED,
+    ExecutionState.CANCELLED
   ],
   [ExecutionState.WAITING_APPROVAL]: [
     ExecutionState.EXECUTING,  // Resume after approval
-    ExecutionState.FAILED      // Rejection or timeout
+    ExecutionState.FAILED,     // Rejection or timeout
+    ExecutionState.CANCELLED
+  ],
+  [ExecutionState.WAITING]: [
+    ExecutionState.EXECUTING,  // Wait elapsed, alert matched, or wait_for timeout
+    ExecutionState.FAILED,     // wait_for timeout with on_timeout: fail
+    ExecutionState.CANCELLED
   ],
   [ExecutionState.COMPLETED]: [], // Terminal state
-  [ExecutionState.FAILED]: []     // Terminal state
+  [ExecutionState.FAILED]: [],    // Terminal state
+  [ExecutionState.CANCELLED]: []  // Terminal state
 };
 
 /**
@@ -230,10 +377,16 @@ export class ExecutionEngine {
     this.execution = execution;
     this.playbook = playbook;
     this.triggerData = execution.trigger_data;
+    // Resolved at execution creation; alert-triggered runs get declared defaults
+    this.inputs = execution.inputs || applyInputDefaults(playbook.inputs);
     this.stepOutputs = new Map();
     this.currentStepIndex = 0;
     this.shadowMode = playbook.shadow_mode || false;
 
+    // Playbook IDs from the top-level execution down to this one.
+    // Child engines extend it; a repeat means sub-playbook recursion.
+    this.callChain = [playbook.playbook_id];
+
     // ═══════════════════════════════════════════════════════════════════════════
     // HARDENING: Step execution counter for loop detection
     // ═══════════════════════════════════════════════════════════════════════════
@@ -249,6 +402,36 @@ export class ExecutionEngine {
     // scheduler.
     // ═══════════════════════════════════════════════════════════════════════════
     this._saveChain = Promise.resolve();
+
+    // Set by a step failing with on_failure: rollback; execute() replays
+    // compensations once every in-flight branch has finished.
+    this.rollbackRequested = null;
+
+    // Set by requestCancel(). The signal is passed to every connector call;
+    // running sub-playbook engines are cancelled along with this one.
+    this.cancellation = null;
+    this.abortController = new AbortController();
+    this.childEngines = new Set();
+
+    // Promise of the current execute() run (awaited by cancelExecution)
+    this.finished = null;
+  }
+
+  /**
+   * Record the connectors this execution can call so it counts against
+   * per-connector queue limits while it runs. Queued executions have them
+   * from enqueue; sub-playbook executions are counted on their parent.
+   */
+  async recordConnectorIds() {
+    if (this.execution.parent_execution_id || this.execution.connector_ids) {
+      return;
+    }
+    try {
+      this.execution.connector_ids = await resolvePlaybookConnectorIds(this.playbook);
+      await this._saveExecution();
+    } catch (error) {
+      logger.error(`[ExecutionEngine] Failed to record connectors for ${this.execution.execution_id}: ${error.message}`);
+    }
   }
 
   /**
@@ -271,6 +454,8 @@ export class ExecutionEngine {
     return {
       trigger_data: normalizeTriggerData(this.triggerData),
       steps: Object.fromEntries(this.stepOutputs),
+      inputs: this.inputs,
+      vars: this.playbook.vars || {},
       playbook: {
         id: this.playbook.playbook_id,
         name: this.playbook.name,
@@ -307,14 +492,38 @@ export class ExecutionEngine {
    *   way: pending has 1 entry, running has 1 entry, scheduler walks them
    *   one at a time. No fan-out, no race effect.
    *
+   * CANCELLATION:
+   * - The engine is registered in activeEngines while it runs
+   * - Once cancelled, nothing new launches; in-flight branches are drained
+   *   (their connector calls abort) and finishCancellation() records the
+   *   CANCELLED state instead of settling or failing the execution
+   *
    * @param {string[]|null} seedStepIds - Optional seed for the pending queue.
    *   Used by approval-resume handlers to restart from a specific successor.
    *   If null, the first step in the playbook is seeded.
    */
   async execute(seedStepIds = null) {
+    const executionId = this.execution.execution_id;
+    activeEngines.set(executionId, this);
+    this.finished = this._runScheduler(seedStepIds);
+    try {
+      return await this.finished;
+    } finally {
+      if (activeEngines.get(executionId) === this) {
+        activeEngines.delete(executionId);
+      }
+    }
+  }
+
+  /**
+   * Scheduler body of execute().
+   */
+  async _runScheduler(seedStepIds) {
     const isResume = Array.isArray(seedStepIds) && seedStepIds.length > 0;
     logger.info(`[ExecutionEngine] ${isResume ? 'Resuming' : 'Starting'} execution ${this.execution.execution_id}${isResume ? ` from ${JSON.stringify(seedStepIds)}` : ''}`);
 
+    await this.recordConnectorIds();
+
     if (!isResume) {
       await this.emitAuditEvent('execution.started', {
         playbook_id: this.playbook.playbook_id,
@@ -336,25 +545,15 @@ export class ExecutionEngine {
     //   3. steps[0].step_id — original "always start from first array entry"
     //      behavior. Preserved for backward compat with playbooks that have
     //      no trigger.next_steps yet.
-    let pendingIds;
-    if (isResume) {
-      pendingIds = [...seedStepIds];
-    } else {
-      const triggerSeeds = normalizeBranchTargets(
-        this.playbook.trigger?.next_steps ?? this.playbook.trigger?.next_step
-      ).filter((id) => stepsById.has(id));
-      if (triggerSeeds.length > 0) {
-        pendingIds = triggerSeeds;
-      } else {
-        pendingIds = steps.length > 0 ? [steps[0].step_id] : [];
-      }
-    }
+    const pendingIds = isResume ? [...seedStepIds] : entryStepIds(this.playbook);
 
     // In-flight steps: Map<step_id, Promise> for the race loop.
     const runningPromises = new Map();
     let failError = null;
 
     const launchStep = (stepId) => {
+      if (this.cancellation) return;
+
       // Terminal sentinels: do not launch.
       if (stepId === STEP_END) return;
       if (stepId === 'fail') {
@@ -369,21 +568,8 @@ export class ExecutionEngine {
       }
 
       // Loop detection — total across all branches.
-      this.stepExecutionCount++;
-      if (this.stepExecutionCount > this.maxStepExecutions) {
-        const loopError = new Error(
-          `Execution loop detected: exceeded ${this.maxStepExecutions} step executions. ` +
-          `Last step: ${stepId}. Check for circular goto/branching.`
-        );
-        loopError.code = 'LOOP_DETECTED';
-        logger.error(`[ExecutionEngine] LOOP DETECTED in execution ${this.execution.execution_id}`);
-        // Emit audit fire-and-forget (we're inside a sync section of the loop)
-        this.emitAuditEvent('execution.loop_detected', {
-          step_id: stepId,
-          step_execution_count: this.stepExecutionCount,
-          max_allowed: this.maxStepExecutions
-        }).catch(() => {});
-        incrementMetric('executions_loop_detected').catch(() => {});
+      const loopError = this.consumeStepExecution(stepId);
+      if (loopError) {
         failError = loopError;
         return;
       }
@@ -391,10 +577,15 @@ export class ExecutionEngine {
       const stepIndex = steps.findIndex((s) => s.step_id === stepId);
       const stepTimeout = step.timeout_seconds ? step.timeout_seconds * 1000 : STEP_TIMEOUT_MS;
 
-      const p = withTimeout(this.executeStep(step, stepIndex), stepTimeout, stepId)
+      // A playbook step is bounded by its child's own step timeouts; timing
+      // it out here would leave the child engine running unattached.
+      const p = (step.type === 'playbook'
+        ? this.executeStep(step, stepIndex)
+        : this.withStepTimeout(step, signal => this.executeStep(step, stepIndex, signal), stepTimeout))
         .then((result) => {
           runningPromises.delete(stepId);
           if (failError) return;            // another branch already failed
+          if (this.cancellation) return;    // cancelled — launch nothing new
           if (result.terminate) return;     // approval pause — no successors
 
           const successors = Array.isArray(result.nextStepIds) && result.nextStepIds.length > 0
@@ -422,16 +613,23 @@ export class ExecutionEngine {
     };
 
     try {
-      while ((pendingIds.length > 0 || runningPromises.size > 0) && !failError) {
+      while ((pendingIds.length > 0 || runningPromises.size > 0) && !failError && !this.cancellation) {
         // Launch every currently-pending step (parallel fan-out).
-        while (pendingIds.length > 0 && !failError) {
+        while (pendingIds.length > 0 && !failError && !this.cancellation) {
           launchStep(pendingIds.shift());
         }
-        if (failError || runningPromises.size === 0) break;
+        if (failError || this.cancellation || runningPromises.size === 0) break;
         // Wait for at least one branch to advance.
         await Promise.race([...runningPromises.values()]);
       }
 
+      // Cancelled: let in-flight branches observe the abort, then record it.
+      if (this.cancellation) {
+        await Promise.allSettled([...runningPromises.values()]);
+        await this.finishCancellation();
+        return this.execution;
+      }
+
       // If a branch failed, drain in-flight before reporting.
       if (failError) {
         await Promise.allSettled([...runningPromises.values()]);
@@ -439,18 +637,68 @@ export class ExecutionEngine {
       }
 
       // All branches finished cleanly.
-      if (!this.execution.state.match(/FAILED|WAITING_APPROVAL/)) {
-        await this.transitionState(ExecutionState.COMPLETED);
-        await incrementMetric('executions_completed');
-      }
+      await this.settleExecution();
     } catch (error) {
       logger.error(`[ExecutionEngine] Execution failed: ${error.message}`);
       await this.failExecution(error);
     }
 
+    if (this.rollbackRequested && this.execution.state === ExecutionState.FAILED) {
+      await this._saveChain.catch(() => {});
+      try {
+        await rollbackExecution(this.execution.execution_id, {
+          trigger: 'on_failure',
+          reason: `Step ${this.rollbackRequested.step_id} failed with on_failure: rollback`
+        });
+      } catch (error) {
+        logger.error(`[ExecutionEngine] Rollback of ${this.execution.execution_id} failed: ${error.message}`);
+      }
+    }
+
     return this.execution;
   }
 
+  /**
+   * Bound a step run by its timeout. A timeout aborts the step's connector
+   * call and goes through handleStepError() like any other step failure, so
+   * retry_policy (only if the call stopped) and on_failure apply.
+   */
+  async withStepTimeout(step, run, timeoutMs) {
+    try {
+      return await withTimeout(run, timeoutMs, step.step_id, this.abortController.signal);
+    } catch (error) {
+      if (error.code !== 'TIMEOUT') throw error;
+      return this.handleStepError(step, error, { terminate: false, nextStepIds: [], nextStepId: null });
+    }
+  }
+
+  /**
+   * Count one step execution against MAX_STEP_EXECUTIONS.
+   * Shared by the scheduler and foreach iterations so loop protection covers
+   * both. Returns a LOOP_DETECTED error once the budget is exceeded, else null.
+   */
+  consumeStepExecution(stepId) {
+    this.stepExecutionCount++;
+    if (this.stepExecutionCount <= this.maxStepExecutions) {
+      return null;
+    }
+
+    const loopError = new Error(
+      `Execution loop detected: exceeded ${this.maxStepExecutions} step executions. ` +
+      `Last step: ${stepId}. Check for circular goto/branching.`
+    );
+    loopError.code = 'LOOP_DETECTED';
+    logger.error(`[ExecutionEngine] LOOP DETECTED in execution ${this.execution.execution_id}`);
+    // Emit audit fire-and-forget (callers may be inside a sync section)
+    this.emitAuditEvent('execution.loop_detected', {
+      step_id: stepId,
+      step_execution_count: this.stepExecutionCount,
+      max_allowed: this.maxStepExecutions
+    }).catch(() => {});
+    incrementMetric('executions_loop_detected');
+    return loopError;
+  }
+
   /**
    * Execute a single step. Returns:
    *   { terminate: bool, nextStepIds: string[], nextStepId?: string }
@@ -459,24 +707,34 @@ export class ExecutionEngine {
    * '__END__'/'fail' sentinels). nextStepId is kept as a single-target alias
    * for backward compatibility with code paths that still consult it (e.g.
    * the retry-policy path which loops back to the same step).
+   *
+   * `signal` aborts the step's connector calls; once it is aborted by a
+   * timeout the step's result is discarded and its record left alone, since
+   * withStepTimeout() has already handled the failure.
    */
-  async executeStep(step, stepIndex) {
+  async executeStep(step, stepIndex, signal = this.abortController.signal) {
     const stepResult = {
       terminate: false,
       nextStepIds: [],
       nextStepId: null
     };
 
+    if (this.cancellation) {
+      stepResult.terminate = true;
+      return stepResult;
+    }
+
     logger.info(`[ExecutionEngine] Executing step ${step.step_id}: ${step.name}`);
 
     // Mark step as EXECUTING
     await this.updateStepState(step.step_id, StepState.EXECUTING);
 
     const context = this.buildContext();
+    const unresolved = [];   // template variables that did not resolve
     let resolvedInputs;
 
     try {
-      const inputMapping = step.input || this.buildInputMapping(step, context) || {};
+      const inputMapping = step.input || this.buildInputMapping(step, context, unresolved) || {};
       resolvedInputs = resolveInputs(inputMapping, context);
     } catch (error) {
       return await this.handleStepError(step, error, stepResult);
@@ -488,7 +746,7 @@ export class ExecutionEngine {
 
       switch (step.type) {
         case 'enrichment':
-          output = await this.executeEnrichmentStep(step, resolvedInputs);
+          output = await this.executeEnrichmentStep(step, resolvedInputs, { signal });
           break;
 
         case 'condition': {
@@ -510,17 +768,54 @@ export class ExecutionEngine {
         }
 
         case 'action':
-          output = await this.executeActionStep(step, resolvedInputs);
+          output = await this.executeActionStep(step, resolvedInputs, { signal });
           break;
 
         case 'notification':
-          output = await this.executeNotificationStep(step, resolvedInputs, context);
+          output = await this.executeNotificationStep(step, resolvedInputs, context, unresolved, { signal });
+          break;
+
+        case 'foreach':
+          output = await this.executeForeachStep(step, context, signal);
+          break;
+
+        case 'playbook':
+          output = await this.executePlaybookStep(step, resolvedInputs);
           break;
 
+        case 'transform':
+          output = this.executeTransformStep(step, context);
+          break;
+
+        case 'wait': {
+          const waitResult = await this.executeWaitStep(step, context);
+          if (waitResult.waiting) {
+            stepResult.terminate = true;
+            return stepResult;
+          }
+          output = waitResult.output;
+          break;
+        }
+
         default:
           throw new Error(`Unknown step type: ${step.type}`);
       }
 
+      if (isTimedOut(signal)) {
+        logger.warn(`[ExecutionEngine] Step ${step.step_id} finished after its timeout; result discarded`);
+        stepResult.terminate = true;
+        return stepResult;
+      }
+
+      output = this.applyOutputMapping(step, output);
+
+      if (unresolved.length > 0) {
+        logger.warn(`[ExecutionEngine] Step ${step.step_id} rendered with unresolved variables: ${[...new Set(unresolved)].join(', ')}`);
+        if (output && typeof output === 'object' && !Array.isArray(output)) {
+          output = { ...output, unresolved_variables: [...new Set(unresolved)] };
+        }
+      }
+
       this.stepOutputs.set(step.step_id, { output });
       await this.updateStepState(step.step_id, StepState.COMPLETED, output);
       await this.emitAuditEvent('step.completed', {
@@ -559,43 +854,114 @@ export class ExecutionEngine {
 
       return stepResult;
     } catch (error) {
+      if (isTimedOut(signal)) {
+        stepResult.terminate = true;
+        return stepResult;
+      }
       return await this.handleStepError(step, error, stepResult);
     }
   }
 
+  /**
+   * Apply the step's output_mapping (JSONPath per output name) to its raw
+   * result. Shadow-mode skips keep their marker output.
+   */
+  applyOutputMapping(step, output) {
+    if (!step.output_mapping || !OUTPUT_MAPPING_STEP_TYPES.includes(step.type)) {
+      return output;
+    }
+    if (output?.skipped && output.reason === 'shadow_mode') {
+      return output;
+    }
+    return mapOutput(output, step.output_mapping);
+  }
+
   /**
    * Handle step execution error with retry logic
+   *
+   * A retry is persisted, not awaited: the attempt is recorded, the step gets
+   * next_retry_at, a 'retry' wait is parked on the execution and this branch
+   * ends. resumeWaitStep() re-runs the step when the retry is due.
    */
   async handleStepError(step, error, stepResult) {
+    // Cancelled: no retry, no on_failure — finishCancellation() marks the step
+    if (this.cancellation) {
+      logger.info(`[ExecutionEngine] Step ${step.step_id} stopped by cancellation: ${error.message}`);
+      stepResult.terminate = true;
+      return stepResult;
+    }
+
     logger.error(`[ExecutionEngine] Step ${step.step_id} failed: ${error.message}`);
 
     // Check retry policy
     const retryPolicy = step.retry_policy;
     const stepRecord = this.execution.steps.find(s => s.step_id === step.step_id);
     const retryCount = stepRecord?.retry_count || 0;
+    const retryable = error.retryable === true;
+
+    // Every failed attempt stays visible on the step result
+    const attempt = {
+      attempt: retryCount + 1,
+      started_at: stepRecord?.started_at,
+      failed_at: new Date(),
+      error: {
+        message: error.message,
+        code: error.code || 'STEP_EXECUTION_FAILED',
+        retryable
+      },
+      next_retry_at: null
+    };
+    if (stepRecord) {
+      stepRecord.attempts.push(attempt);
+      stepRecord.next_retry_at = null;
+    }
 
-    if (retryPolicy?.enabled && retryCount < retryPolicy.max_attempts) {
+    if (retryPolicy?.enabled && retryable && retryCount < retryPolicy.max_attempts) {
       // Calculate delay with exponential backoff
       const delay = Math.min(
         retryPolicy.delay_seconds * Math.pow(retryPolicy.backoff_multiplier || 2, retryCount),
         retryPolicy.max_delay_seconds || 60
       );
+      const nextRetryAt = new Date(Date.now() + delay * 1000);
 
       logger.info(`[ExecutionEngine] Retrying step ${step.step_id} in ${delay}s (attempt ${retryCount + 1}/${retryPolicy.max_attempts})`);
 
-      await incrementMetric('step_retries');
+      if (stepRecord) {
+        stepRecord.retry_count = retryCount + 1;
+        stepRecord.next_retry_at = nextRetryAt;
+        stepRecord.attempts[stepRecord.attempts.length - 1].next_retry_at = nextRetryAt;
+      }
 
-      // Update retry count
-      await this.updateStepRetryCount(step.step_id, retryCount + 1);
+      this.execution.waits.push({
+        step_id: step.step_id,
+        mode: 'retry',
+        started_at: new Date(),
+        resume_at: nextRetryAt
+      });
+
+      await this._saveExecution();
+
+      await this.emitAuditEvent('step.retry', {
+        step_id: step.step_id,
+        step_type: step.type,
+        retry_attempt: retryCount + 1,
+        max_attempts: retryPolicy.max_attempts,
+        delay_seconds: delay,
+        next_retry_at: nextRetryAt,
+        error_code: error.code
+      });
 
-      // Wait and retry (in real implementation, this would be event-driven)
-      await new Promise(resolve => setTimeout(resolve, delay * 1000));
+      await incrementMetric('step_retries');
 
-      // Retry by returning to same step
-      stepResult.nextStepId = step.step_id;
+      // Branch parks here; the retry is re-launched by resumeWaitStep()
+      stepResult.terminate = true;
       return stepResult;
     }
 
+    if (retryPolicy?.enabled && !retryable) {
+      logger.info(`[ExecutionEngine] Step ${step.step_id} error ${error.code || 'STEP_EXECUTION_FAILED'} is not retryable, skipping retry_policy`);
+    }
+
     // No more retries - handle failure
     await this.updateStepState(step.step_id, StepState.FAILED, null, {
       message: error.message,
@@ -605,7 +971,8 @@ export class ExecutionEngine {
     await this.emitAuditEvent('step.failed', {
       step_id: step.step_id,
       step_type: step.type,
-      error: error.message
+      error: error.message,
+      retry_count: retryCount
     });
 
     await incrementMetric('steps_failed');
@@ -628,6 +995,13 @@ export class ExecutionEngine {
         await this.transitionState(ExecutionState.COMPLETED);
         break;
 
+      case 'rollback':
+        // Fail now; execute() undoes completed actions once branches drain
+        stepResult.terminate = true;
+        this.rollbackRequested = { step_id: step.step_id };
+        await this.failExecution(error, step.step_id);
+        break;
+
       default:
         // Default: stop on failure
         stepResult.terminate = true;
@@ -645,8 +1019,10 @@ export class ExecutionEngine {
    * Build input mapping from step.parameters when step.input is not defined.
    * Bridges the frontend DSL format (parameters/observable_field) to the
    * engine's declarative input mapping format.
+   *
+   * Template variables that do not resolve are pushed onto `unresolved`.
    */
-  buildInputMapping(step, context) {
+  buildInputMapping(step, context, unresolved = null) {
     const params = step.parameters;
 
     if (step.type === 'enrichment' && params?.observable_field) {
@@ -697,7 +1073,7 @@ export class ExecutionEngine {
       const resolved = {};
       for (const [key, val] of Object.entries(params)) {
         if (typeof val === 'string' && val.includes('{{')) {
-          resolved[key] = `literal:${renderTemplate(val, context)}`;
+          resolved[key] = `literal:${renderTemplate(val, context, unresolved)}`;
         } else if (val !== undefined && val !== '') {
           resolved[key] = typeof val === 'string' ? `literal:${val}` : val;
         }
@@ -708,9 +1084,9 @@ export class ExecutionEngine {
     if (step.type === 'notification') {
       // Notification steps store fields directly on the step object
       const resolved = {};
-      if (step.recipients) resolved.to = `literal:${renderTemplate(step.recipients, context)}`;
-      if (step.subject) resolved.subject = `literal:${renderTemplate(step.subject, context)}`;
-      if (step.message) resolved.message = `literal:${renderTemplate(step.message, context)}`;
+      if (step.recipients) resolved.to = `literal:${renderTemplate(step.recipients, context, unresolved)}`;
+      if (step.subject) resolved.subject = `literal:${renderTemplate(step.subject, context, unresolved)}`;
+      if (step.message) resolved.message = `literal:${renderTemplate(step.message, context, unresolved)}`;
       return resolved;
     }
 
@@ -724,12 +1100,13 @@ export class ExecutionEngine {
   /**
    * Execute ENRICHMENT step
    */
-  async executeEnrichmentStep(step, inputs) {
+  async executeEnrichmentStep(step, inputs, { signal = this.abortController.signal } = {}) {
     return await invokeConnector(
       step.connector_id,
       step.action_type,
       inputs,
-      step.timeout_seconds
+      step.timeout_seconds,
+      { signal }
     );
   }
 
@@ -739,9 +1116,18 @@ export class ExecutionEngine {
    * HARDENING: Condition steps are TERMINAL in execution path.
    * They MUST always branch via on_true or on_false.
    * NO fall-through to next step index is allowed.
+   *
+   * step.condition is either a single { field, operator, value } comparison
+   * or a nested and/or/not group. Groups record the full result tree and the
+   * leaf comparisons that matched in the step output.
    */
   async executeConditionStep(step, inputs, context) {
     const condition = step.condition;
+
+    if (isCompoundCondition(condition)) {
+      return this.branchOnCondition(step, traceCondition(condition, context));
+    }
+
     const fieldValue = this.resolveFieldPath(condition.field, context);
 
     const result = evaluateCondition(
@@ -750,6 +1136,22 @@ export class ExecutionEngine {
       condition.value
     );
 
+    return this.branchOnCondition(step, {
+      result,
+      actual: fieldValue,
+      field: condition.field,
+      operator: condition.operator,
+      value: condition.value
+    });
+  }
+
+  /**
+   * Resolve condition branch targets from an evaluated condition.
+   * `evaluation` is a leaf or group result from traceCondition().
+   */
+  branchOnCondition(step, evaluation) {
+    const result = evaluation.result;
+
     // ═══════════════════════════════════════════════════════════════════════════
     // HARDENING #1: Condition MUST provide branch target(s)
     // Branch fields accept string or string[]; normalize to array.
@@ -767,12 +1169,31 @@ export class ExecutionEngine {
       throw error;
     }
 
-    logger.info(`[ExecutionEngine] Condition ${step.step_id}: ${fieldValue} ${condition.operator} ${condition.value} = ${result} → ${JSON.stringify(nextSteps)}`);
+    if (evaluation.conditions) {
+      const matched = collectMatchedConditions(evaluation);
+
+      logger.info(`[ExecutionEngine] Condition ${step.step_id}: ${evaluation.operator} group (${matched.length} leaf match(es)) = ${result} → ${JSON.stringify(nextSteps)}`);
+
+      return {
+        output: {
+          result,
+          branch_taken: result ? 'on_true' : 'on_false',
+          next_steps: nextSteps,
+          condition_results: evaluation,
+          matched_conditions: matched.map(({ path, field, operator, value, actual }) => ({
+            path, field, operator, value, actual
+          }))
+        },
+        nextSteps
+      };
+    }
+
+    logger.info(`[ExecutionEngine] Condition ${step.step_id}: ${evaluation.actual} ${evaluation.operator} ${evaluation.value} = ${result} → ${JSON.stringify(nextSteps)}`);
 
     return {
       output: {
         result,
-        evaluated_value: fieldValue,
+        evaluated_value: evaluation.actual,
         branch_taken: result ? 'on_true' : 'on_false',
         next_steps: nextSteps
       },
@@ -796,7 +1217,7 @@ export class ExecutionEngine {
       created_at: new Date()
     };
 
-    // Store approval in database (implementation in approval-service)
+    // Persist the Approval record analysts act on via /api/approvals
     const approvalId = await this.createApprovalRequest(approvalRequest);
 
     // Transition execution to WAITING_APPROVAL
@@ -821,20 +1242,25 @@ export class ExecutionEngine {
   /**
    * Execute ACTION step
    * SHADOW MODE: Actions are SKIPPED, not executed
+   *
+   * recordState=false is used for foreach sub-steps, which have no record
+   * in execution.steps.
    */
-  async executeActionStep(step, inputs) {
+  async executeActionStep(step, inputs, { recordState = true, compensationStepId = null, signal = this.abortController.signal } = {}) {
     // SHADOW MODE ENFORCEMENT
     if (this.shadowMode) {
       logger.info(`[ExecutionEngine] SHADOW MODE: Skipping action ${step.step_id}`);
 
-      await this.updateStepState(step.step_id, StepState.SKIPPED, {
-        shadow_mode: true,
-        would_execute: {
-          connector_id: step.connector_id,
-          action_type: step.action_type,
-          inputs
-        }
-      });
+      if (recordState) {
+        await this.updateStepState(step.step_id, StepState.SKIPPED, {
+          shadow_mode: true,
+          would_execute: {
+            connector_id: step.connector_id,
+            action_type: step.action_type,
+            inputs
+          }
+        });
+      }
 
       await this.emitAuditEvent('action.skipped.shadow_mode', {
         step_id: step.step_id,
@@ -856,21 +1282,50 @@ export class ExecutionEngine {
       step.connector_id,
       step.action_type,
       inputs,
-      step.timeout_seconds
+      step.timeout_seconds,
+      { signal }
     );
 
     await incrementMetric('actions_executed');
 
+    await this.recordCompensation(compensationStepId || step.step_id, step, inputs, result);
+
     return result;
   }
 
+  /**
+   * Record the connector-declared undo of a successful action, for rollback.
+   * Never fails the step: an unresolvable compensation is only logged.
+   */
+  async recordCompensation(stepId, step, inputs, output) {
+    let compensation;
+    try {
+      compensation = await resolveCompensation(step.connector_id, step.action_type, inputs, output);
+    } catch (error) {
+      logger.warn(`[ExecutionEngine] Could not resolve compensation for ${stepId}: ${error.message}`);
+      return;
+    }
+    if (!compensation) return;
+
+    this.execution.compensations.push({
+      step_id: stepId,
+      connector_id: step.connector_id,
+      original_action: step.action_type,
+      action_type: compensation.action_type,
+      inputs: compensation.inputs,
+      state: CompensationState.PENDING,
+      recorded_at: new Date()
+    });
+    await this._saveExecution();
+  }
+
   /**
    * Execute NOTIFICATION step
    */
-  async executeNotificationStep(step, inputs, context) {
+  async executeNotificationStep(step, inputs, context, unresolved = null, { signal = this.abortController.signal } = {}) {
     // Render message template — step.input format (engine DSL) or inputs.message (parameters format)
     const renderedMessage = step.input?.message_template
-      ? renderTemplate(step.input.message_template.replace('literal:', ''), context)
+      ? renderTemplate(step.input.message_template.replace('literal:', ''), context, unresolved)
       : inputs.message;
 
     const notificationInputs = {
@@ -882,84 +1337,536 @@ export class ExecutionEngine {
       step.connector_id,
       step.action_type,
       notificationInputs,
-      step.timeout_seconds
+      step.timeout_seconds,
+      { signal }
     );
   }
 
-  // ═══════════════════════════════════════════════════════════════════════════
-  // STATE MANAGEMENT
-  // ═══════════════════════════════════════════════════════════════════════════
-
   /**
-   * Transition execution state with validation
+   * Execute FOREACH step
+   *
+   * Runs step.steps (a linear sub-sequence of connector steps) once per
+   * element of step.items. Iterations run in parallel up to max_concurrency;
+   * every sub-step run counts toward MAX_STEP_EXECUTIONS.
+   *
+   * Per-iteration context adds `item`, `index`, and the outputs of earlier
+   * sub-steps in the same iteration under steps.<sub_step_id>.
    */
-  async transitionState(newState) {
-    const currentState = this.execution.state;
+  async executeForeachStep(step, context, signal = this.abortController.signal) {
+    const rawItems = Array.isArray(step.items)
+      ? step.items
+      : this.resolveFieldPath(step.items, context);
+    const items = rawItems == null ? [] : (Array.isArray(rawItems) ? rawItems : [rawItems]);
+
+    const concurrency = Math.min(
+      Math.max(parseInt(step.max_concurrency) || DEFAULT_FOREACH_CONCURRENCY, 1),
+      MAX_FOREACH_CONCURRENCY
+    );
+    const stopOnItemFailure = (step.on_item_failure || 'stop') === 'stop';
 
-    if (!canTransition(currentState, newState)) {
-      throw new Error(`Invalid state transition: ${currentState} → ${newState}`);
-    }
+    logger.info(`[ExecutionEngine] ForEach ${step.step_id}: ${items.length} item(s), concurrency ${concurrency}`);
 
-    logger.info(`[ExecutionEngine] State transition: ${currentState} → ${newState}`);
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let abortError = null;
 
-    this.execution.state = newState;
+    const runIteration = async (index) => {
+      const item = items[index];
+      const outputs = {};
+      const iterationResult = { index, item, status: 'completed', outputs, error: null };
+      const unresolved = [];
 
-    if (newState === ExecutionState.COMPLETED || newState === ExecutionState.FAILED) {
-      this.execution.completed_at = new Date();
-      this.execution.duration_ms = this.execution.completed_at - this.execution.started_at;
-    }
+      for (const subStep of step.steps) {
+        if (abortError || this.cancellation || signal.aborted) {
+          iterationResult.status = 'aborted';
+          break;
+        }
 
-    await this._saveExecution();
-  }
+        const loopError = this.consumeStepExecution(`${step.step_id}.${subStep.step_id}`);
+        if (loopError) {
+          abortError = loopError;
+          throw loopError;
+        }
 
-  /**
-   * Update step state
-   */
-  async updateStepState(stepId, state, output = null, error = null) {
-    const step = this.execution.steps.find(s => s.step_id === stepId);
-    if (!step) {
-      throw new Error(`Step not found: ${stepId}`);
-    }
+        const iterationContext = {
+          ...context,
+          item,
+          index,
+          steps: {
+            ...context.steps,
+            ...Object.fromEntries(Object.entries(outputs).map(([id, output]) => [id, { output }]))
+          }
+        };
+
+        try {
+          const inputMapping = subStep.input || this.buildInputMapping(subStep, iterationContext, unresolved) || {};
+          const inputs = resolveInputs(inputMapping, iterationContext);
+          const subTimeout = subStep.timeout_seconds ? subStep.timeout_seconds * 1000 : STEP_TIMEOUT_MS;
+
+          let subOutput;
+          switch (subStep.type) {
+            case 'enrichment':
+              subOutput = await withTimeout(
+                subSignal => this.executeEnrichmentStep(subStep, inputs, { signal: subSignal }),
+                subTimeout,
+                subStep.step_id,
+                signal
+              );
+              break;
+            case 'action':
+              subOutput = await withTimeout(
+                subSignal => this.executeActionStep(subStep, inputs, {
+                  recordState: false,
+                  compensationStepId: `${step.step_id}[${index}].${subStep.step_id}`,
+                  signal: subSignal
+                }),
+                subTimeout,
+                subStep.step_id,
+                signal
+              );
+              break;
+            case 'notification':
+              subOutput = await withTimeout(
+                subSignal => this.executeNotificationStep(subStep, inputs, iterationContext, unresolved, { signal: subSignal }),
+                subTimeout,
+                subStep.step_id,
+                signal
+              );
+              break;
+            default:
+              throw new Error(`Step type '${subStep.type}' is not allowed inside foreach`);
+          }
 
-    step.state = state;
+          outputs[subStep.step_id] = this.applyOutputMapping(subStep, subOutput);
+        } catch (error) {
+          logger.warn(`[ExecutionEngine] ForEach ${step.step_id}[${index}] sub-step ${subStep.step_id} failed: ${error.message}`);
 
-    if (state === StepState.EXECUTING) {
-      step.started_at = new Date();
-    }
+          if (subStep.on_failure === 'continue') {
+            outputs[subStep.step_id] = { error: error.message, code: error.code || 'STEP_EXECUTION_FAILED' };
+            continue;
+          }
 
-    if (state === StepState.COMPLETED || state === StepState.FAILED || state === StepState.SKIPPED) {
-      step.completed_at = new Date();
-      if (step.started_at) {
-        step.duration_ms = step.completed_at - step.started_at;
+          iterationResult.status = 'failed';
+          iterationResult.error = {
+            step_id: subStep.step_id,
+            message: error.message,
+            code: error.code || 'STEP_EXECUTION_FAILED'
+          };
+          break;
+        }
       }
-    }
 
-    if (output !== null) {
-      step.output = output;
+      if (unresolved.length > 0) {
+        iterationResult.unresolved_variables = [...new Set(unresolved)];
+      }
+
+      results[index] = iterationResult;
+
+      if (iterationResult.status === 'failed' && stopOnItemFailure && !abortError) {
+        abortError = Object.assign(
+          new Error(`ForEach ${step.step_id} item ${index} failed at ${iterationResult.error.step_id}: ${iterationResult.error.message}`),
+          { code: 'FOREACH_ITEM_FAILED' }
+        );
+      }
+    };
+
+    const worker = async () => {
+      while (!abortError && !this.cancellation && !signal.aborted && nextIndex < items.length) {
+        await runIteration(nextIndex++);
+      }
+    };
+
+    await Promise.allSettled(
+      Array.from({ length: Math.min(concurrency, items.length) }, () => worker())
+    );
+
+    if (abortError) {
+      throw abortError;
     }
 
-    if (error !== null) {
-      step.error = error;
+    if (this.cancellation) {
+      throw Object.assign(new Error(`ForEach ${step.step_id} stopped: execution cancelled`), { code: 'CANCELLED' });
     }
 
-    await this._saveExecution();
+    const succeeded = results.filter(r => r?.status === 'completed').length;
+
+    return {
+      items_count: items.length,
+      succeeded,
+      failed: items.length - succeeded,
+      results
+    };
   }
 
   /**
-   * Update step retry count
+   * Execute PLAYBOOK step - run another versioned playbook as a child
+   * execution and wait for it to finish.
+   *
+   * - Child trigger_data is the resolved step input, or the parent's
+   *   trigger_data when the step has no input mapping
+   * - Inputs declared by the child are read from the step input by name
+   *   (INVALID_INPUTS if a required one is missing or mistyped)
+   * - Child is linked via parent_execution_id / parent_step_id / call_depth
+   * - Child runs in shadow mode if the parent does
+   * - Output exposes every child step output keyed by child step_id
+   * - A child that pauses on an approval or wait step is cancelled and the
+   *   step fails (CHILD_WAITING_APPROVAL / CHILD_WAITING)
+   * - The step has no timeout of its own; the child's steps have theirs
    */
-  async updateStepRetryCount(stepId, count) {
-    const step = this.execution.steps.find(s => s.step_id === stepId);
-    if (step) {
-      step.retry_count = count;
+  async executePlaybookStep(step, inputs) {
+    const callDepth = (this.execution.call_depth || 0) + 1;
+
+    if (callDepth > MAX_PLAYBOOK_DEPTH) {
+      const error = new Error(
+        `Sub-playbook depth limit exceeded: ${step.playbook_id} would run at depth ${callDepth} (max ${MAX_PLAYBOOK_DEPTH})`
+      );
+      error.code = 'PLAYBOOK_DEPTH_EXCEEDED';
+      throw error;
+    }
+
+    if (this.callChain.includes(step.playbook_id)) {
+      const error = new Error(
+        `Sub-playbook recursion: ${[...this.callChain, step.playbook_id].join(' → ')}`
+      );
+      error.code = 'PLAYBOOK_RECURSION';
+      throw error;
+    }
+
+    const PlaybookVersioned = (await import('../models/playbook-v2.js')).default;
+    const playbookDoc = step.version
+      ? await PlaybookVersioned.getSpecificVersion(step.playbook_id, step.version)
+      : await PlaybookVersioned.getActiveVersion(step.playbook_id);
+
+    if (!playbookDoc) {
+      const error = new Error(
+        step.version
+          ? `Sub-playbook not found: ${step.playbook_id} v${step.version}`
+          : `Sub-playbook not found or inactive: ${step.playbook_id}`
+      );
+      error.code = 'PLAYBOOK_NOT_FOUND';
+      throw error;
+    }
+
+    const childPlaybook = {
+      playbook_id: playbookDoc.playbook_id,
+      name: playbookDoc.name,
+      description: playbookDoc.description,
+      shadow_mode: this.shadowMode || playbookDoc.dsl?.shadow_mode || false,
+      steps: playbookDoc.dsl?.steps || [],
+      trigger: playbookDoc.dsl?.trigger,
+      inputs: playbookDoc.dsl?.inputs,
+      vars: playbookDoc.dsl?.vars,
+      version: playbookDoc.version,
+      enabled: playbookDoc.enabled
+    };
+
+    validatePlaybookOrThrow(childPlaybook);
+
+    // Declared child inputs are taken from the step input by name
+    const childInputs = resolvePlaybookInputs(childPlaybook.inputs, step.input ? inputs : {}, { allowUnknown: true });
+
+    // The child shares the parent's alert identity; the fingerprint is
+    // suffixed so it never collides with the parent in dedup lookups.
+    const child = new Execution({
+      playbook_id: childPlaybook.playbook_id,
+      playbook_name: childPlaybook.name,
+      playbook_version: childPlaybook.version,
+      state: ExecutionState.EXECUTING,
+      trigger_data: step.input ? inputs : this.triggerData,
+      inputs: childInputs,
+      trigger_source: 'playbook',
+      trigger_snapshot: {
+        trigger_id: 'PLAYBOOK',
+        version: 1,
+        conditions: [],
+        match: 'ALL',
+        snapshot_at: new Date()
+      },
+      event_time: this.execution.event_time || new Date(),
+      event_time_source: this.execution.event_time_source || 'arrival_time',
+      webhook_id: this.execution.webhook_id || `PLAYBOOK-${this.execution.execution_id}`,
+      fingerprint: `${this.execution.fingerprint || this.execution.execution_id}:${step.step_id}`,
+      parent_execution_id: this.execution.execution_id,
+      parent_step_id: step.step_id,
+      call_depth: callDepth,
+      steps: childPlaybook.steps.map(s => ({
+        step_id: s.step_id,
+        state: StepState.PENDING
+      })),
+      started_at: new Date(),
+      acknowledged_at: new Date()
+    });
+
+    await child.save();
+
+    // Link the child on the parent step while it runs
+    const record = this.execution.steps.find(s => s.step_id === step.step_id);
+    if (record) {
+      record.output = { child_execution_id: child.execution_id };
       await this._saveExecution();
     }
+
+    logger.info(`[ExecutionEngine] Step ${step.step_id} started sub-playbook ${childPlaybook.playbook_id} v${childPlaybook.version} as ${child.execution_id} (depth ${callDepth})`);
+
+    const childEngine = new ExecutionEngine(child, childPlaybook);
+    childEngine.callChain = [...this.callChain, childPlaybook.playbook_id];
+    if (this.cancellation) {
+      childEngine.requestCancel(this.childCancellation());
+    }
+
+    this.childEngines.add(childEngine);
+    try {
+      await childEngine.execute();
+    } finally {
+      this.childEngines.delete(childEngine);
+    }
+
+    if (child.state === ExecutionState.CANCELLED) {
+      const error = new Error(
+        `Sub-playbook ${childPlaybook.playbook_id} was cancelled (${child.execution_id})`
+      );
+      error.code = 'CHILD_EXECUTION_CANCELLED';
+      throw error;
+    }
+
+    if (child.state === ExecutionState.FAILED) {
+      const error = new Error(
+        `Sub-playbook ${childPlaybook.playbook_id} failed (${child.execution_id}): ${child.error?.message || 'unknown error'}`
+      );
+      error.code = 'CHILD_EXECUTION_FAILED';
+      throw error;
+    }
+
+    // Nothing resumes a parked child on behalf of its parent: cancel it, so a
+    // later approval or wake-up cannot run it after this step has failed.
+    if (child.state === ExecutionState.WAITING_APPROVAL) {
+      await this.cancelParkedChild(child, 'approval');
+      const error = new Error(
+        `Sub-playbook ${childPlaybook.playbook_id} paused for approval (${child.execution_id}); approval steps cannot be awaited from a parent playbook`
+      );
+      error.code = 'CHILD_WAITING_APPROVAL';
+      throw error;
+    }
+
+    if (child.state === ExecutionState.WAITING) {
+      await this.cancelParkedChild(child, 'wait');
+      const error = new Error(
+        `Sub-playbook ${childPlaybook.playbook_id} parked on a wait step (${child.execution_id}); wait steps cannot be awaited from a parent playbook`
+      );
+      error.code = 'CHILD_WAITING';
+      throw error;
+    }
+
+    const outputs = {};
+    for (const childStep of child.steps) {
+      if (childStep.state === StepState.COMPLETED || childStep.state === StepState.SKIPPED) {
+        outputs[childStep.step_id] = childStep.output;
+      }
+    }
+
+    return {
+      child_execution_id: child.execution_id,
+      playbook_id: childPlaybook.playbook_id,
+      version: childPlaybook.version,
+      state: child.state,
+      duration_ms: child.duration_ms,
+      outputs
+    };
+  }
+
+  /**
+   * Cancel a sub-playbook that paused on an approval or wait step
+   */
+  async cancelParkedChild(child, parkedOn) {
+    try {
+      await cancelExecution(child.execution_id, {
+        cancelledBy: 'system',
+        reason: `Parent execution ${this.execution.execution_id} cannot await a sub-playbook paused on ${parkedOn === 'approval' ? 'an approval' : 'a wait'}`
+      });
+    } catch (error) {
+      logger.error(`[ExecutionEngine] Could not cancel parked sub-playbook ${child.execution_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Execute TRANSFORM step
+   *
+   * Evaluates step.set (key → expression, see transform-functions.js) in
+   * order. The resulting object is the step output, so downstream steps read
+   * steps.<step_id>.output.<key>. No connector is called.
+   */
+  executeTransformStep(step, context) {
+    return applyTransforms(step.set || {}, context);
+  }
+
+  /**
+   * Execute WAIT step - persist the wait on the execution and end this
+   * branch. Nothing is scheduled in-process; resumeWaitStep() picks the
+   * step up again when the wait elapses or a matching alert arrives.
+   *
+   * Returns { waiting: true }, or { waiting: false, output } when an
+   * `until` timestamp has already passed.
+   */
+  async executeWaitStep(step, context) {
+    // Already parked (re-entered by startup recovery) — keep the original wait
+    if (this.execution.waits?.some(w => w.step_id === step.step_id)) {
+      return { waiting: true };
+    }
+
+    const now = new Date();
+    let wait;
+
+    if (step.wait_for) {
+      wait = {
+        step_id: step.step_id,
+        mode: 'event',
+        started_at: now,
+        resume_at: new Date(now.getTime() + step.wait_for.timeout_seconds * 1000),
+        webhook_id: step.wait_for.webhook_id,
+        // Values may correlate with this execution, e.g. "{{trigger_data.data.srcuser}}"
+        conditions: (step.wait_for.conditions || []).map(c => ({
+          field: c.field,
+          operator: c.operator,
+          value: typeof c.value === 'string' ? renderTemplate(c.value, context) : c.value
+        })),
+        match: step.wait_for.match || 'ALL'
+      };
+    } else if (step.until != null) {
+      const until = new Date(resolveValue(step.until, context) ?? step.until);
+      if (isNaN(until.getTime())) {
+        const error = new Error(`Wait step ${step.step_id} until '${step.until}' is not a valid timestamp`);
+        error.code = 'WAIT_INVALID_UNTIL';
+        throw error;
+      }
+
+      if (until <= now) {
+        return {
+          waiting: false,
+          output: { mode: 'until', waited_ms: 0, resumed_at: now, reason: 'elapsed' }
+        };
+      }
+
+      wait = { step_id: step.step_id, mode: 'until', started_at: now, resume_at: until };
+    } else {
+      wait = {
+        step_id: step.step_id,
+        mode: 'duration',
+        started_at: now,
+        resume_at: new Date(now.getTime() + step.duration_seconds * 1000)
+      };
+    }
+
+    this.execution.waits.push(wait);
+
+    const record = this.execution.steps.find(s => s.step_id === step.step_id);
+    if (record) {
+      record.output = { waiting: true, mode: wait.mode, resume_at: wait.resume_at, webhook_id: wait.webhook_id };
+    }
+
+    await this._saveExecution();
+
+    await this.emitAuditEvent('execution.waiting', {
+      step_id: step.step_id,
+      mode: wait.mode,
+      resume_at: wait.resume_at,
+      webhook_id: wait.webhook_id
+    });
+
+    logger.info(`[ExecutionEngine] Step ${step.step_id} parked (${wait.mode}) until ${wait.resume_at.toISOString()}`);
+
+    return { waiting: true };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STATE MANAGEMENT
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Settle an execution once no branch is running: park it in WAITING while
+   * wait steps are pending, otherwise complete it. No-op unless EXECUTING.
+   */
+  async settleExecution() {
+    if (this.execution.state !== ExecutionState.EXECUTING || this.cancellation) {
+      return;
+    }
+
+    if (this.execution.waits?.length > 0) {
+      await this.transitionState(ExecutionState.WAITING);
+      return;
+    }
+
+    await this.transitionState(ExecutionState.COMPLETED);
+    await incrementMetric('executions_completed');
+  }
+
+  /**
+   * Transition execution state with validation
+   */
+  async transitionState(newState) {
+    // A cancelled execution only ever ends CANCELLED (finishCancellation)
+    if (this.cancellation) {
+      return;
+    }
+
+    const currentState = this.execution.state;
+
+    if (!canTransition(currentState, newState)) {
+      throw new Error(`Invalid state transition: ${currentState} → ${newState}`);
+    }
+
+    logger.info(`[ExecutionEngine] State transition: ${currentState} → ${newState}`);
+
+    this.execution.state = newState;
+
+    if (newState === ExecutionState.COMPLETED || newState === ExecutionState.FAILED) {
+      this.execution.completed_at = new Date();
+      this.execution.duration_ms = this.execution.completed_at - this.execution.started_at;
+    }
+
+    await this._saveExecution();
+  }
+
+  /**
+   * Update step state
+   */
+  async updateStepState(stepId, state, output = null, error = null) {
+    const step = this.execution.steps.find(s => s.step_id === stepId);
+    if (!step) {
+      throw new Error(`Step not found: ${stepId}`);
+    }
+
+    step.state = state;
+
+    if (state === StepState.EXECUTING) {
+      step.started_at = new Date();
+    }
+
+    if (state === StepState.COMPLETED || state === StepState.FAILED || state === StepState.SKIPPED) {
+      step.completed_at = new Date();
+      if (step.started_at) {
+        step.duration_ms = step.completed_at - step.started_at;
+      }
+    }
+
+    if (output !== null) {
+      step.output = output;
+    }
+
+    if (error !== null) {
+      step.error = error;
+    }
+
+    await this._saveExecution();
   }
 
   /**
    * Mark execution as failed
    */
   async failExecution(error, stepId = null) {
+    if (this.cancellation) {
+      return;
+    }
+
     await this.transitionState(ExecutionState.FAILED);
 
     this.execution.error = {
@@ -979,6 +1886,57 @@ export class ExecutionEngine {
     await incrementMetric('executions_failed');
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CANCELLATION
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Signal cancellation: abort in-flight connector calls, stop launching
+   * steps and cascade to running sub-playbooks. The scheduler records the
+   * outcome once its branches drain. Returns false if already cancelled.
+   */
+  requestCancel({ cancelledBy = 'system', reason = null } = {}) {
+    if (this.cancellation) {
+      return false;
+    }
+
+    this.cancellation = {
+      cancelled_by: cancelledBy,
+      cancelled_at: new Date(),
+      reason,
+      previous_state: this.execution.state
+    };
+
+    logger.info(`[ExecutionEngine] Cancelling execution ${this.execution.execution_id} (by ${cancelledBy})`);
+
+    this.abortController.abort();
+    for (const child of this.childEngines) {
+      child.requestCancel(this.childCancellation());
+    }
+
+    return true;
+  }
+
+  /**
+   * Cancellation request passed down to sub-playbook engines
+   */
+  childCancellation() {
+    return {
+      cancelledBy: this.cancellation.cancelled_by,
+      reason: `Parent execution ${this.execution.execution_id} cancelled`
+    };
+  }
+
+  /**
+   * Record a cancellation once no branch is running
+   */
+  async finishCancellation() {
+    await this._saveChain.catch(() => {});
+    const result = applyCancellation(this.execution, this.cancellation);
+    await this._saveExecution();
+    await recordCancellation(this.execution, this.cancellation, result);
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // HELPER METHODS
   // ═══════════════════════════════════════════════════════════════════════════
@@ -1001,12 +1959,37 @@ export class ExecutionEngine {
   }
 
   /**
-   * Create approval request (stub - implemented in approval-service)
+   * Create approval request via approval-service.
+   *
+   * The engine keeps ownership of the WAITING_APPROVAL transition
+   * (suspendExecution: false) so the state change goes through
+   * transitionState() and the serialized save chain.
+   *
+   * Approvers of the form 'role:<name>' map to the record's required_role
+   * (first one wins); the full list is stored alongside.
+   *
+   * @returns {Promise<string>} Approval _id (as string)
    */
   async createApprovalRequest(request) {
-    // This would be implemented in approval-service
-    // Returns approval_id
-    return `APR-${Date.now().toString(36).toUpperCase()}`;
+    const approvers = Array.isArray(request.approvers)
+      ? request.approvers
+      : (request.approvers ? [request.approvers] : []);
+    const roleApprover = approvers.find(a => typeof a === 'string' && a.startsWith('role:'));
+
+    const approval = await createApproval(
+      this.execution._id,
+      request.step_id,
+      request.message,
+      roleApprover ? roleApprover.slice('role:'.length) : undefined,
+      request.timeout_hours,
+      {
+        approvers,
+        context: request.context,
+        suspendExecution: false
+      }
+    );
+
+    return approval.approval_id;
   }
 
   /**
@@ -1058,6 +2041,8 @@ export async function startExecution(playbook, triggerData) {
       description: playbook.description,
       shadow_mode: playbook.dsl.shadow_mode || false,
       steps: playbook.dsl.steps || [],
+      inputs: playbook.dsl.inputs,
+      vars: playbook.dsl.vars,
       version: playbook.version,
       enabled: playbook.enabled
     };
@@ -1113,8 +2098,17 @@ export async function startExecution(playbook, triggerData) {
  *
  * OPTION A COMPLIANCE:
  * - Uses PlaybookVersioned.getActiveVersion() for playbook lookup
+ *
+ * @param {string} executionId - Logical execution_id
+ * @param {string} approvalDecision - 'approved' | 'rejected' | 'timeout'
+ * @param {Object} [decision] - Decision metadata from approval-service
+ * @param {string} [decision.stepId] - Approval step to resume (required when
+ *   parallel branches leave several steps EXECUTING)
+ * @param {string} [decision.approvalId] - Approval record _id
+ * @param {string} [decision.decidedBy] - Analyst email, 'system' for timeouts
+ * @param {string} [decision.note] - Decision note
  */
-export async function resumeExecution(executionId, approvalDecision) {
+export async function resumeExecution(executionId, approvalDecision, decision = {}) {
   const execution = await Execution.findOne({ execution_id: executionId });
   if (!execution) {
     throw new Error(`Execution not found: ${executionId}`);
@@ -1139,12 +2133,15 @@ export async function resumeExecution(executionId, approvalDecision) {
     description: playbookDoc.description,
     shadow_mode: playbookDoc.dsl?.shadow_mode || false,
     steps: playbookDoc.dsl?.steps || [],
+    inputs: playbookDoc.dsl?.inputs,
+    vars: playbookDoc.dsl?.vars,
     version: playbookDoc.version,
     enabled: playbookDoc.enabled
   };
 
   // Find the approval step
   const approvalStep = playbook.steps.find(s =>
+    (!decision.stepId || s.step_id === decision.stepId) &&
     execution.steps.find(es => es.step_id === s.step_id && es.state === StepState.EXECUTING)
   );
 
@@ -1160,10 +2157,10 @@ export async function resumeExecution(executionId, approvalDecision) {
 
   switch (approvalDecision) {
     case 'approved':
-      return await handleApprovalApproved(execution, playbook, approvalStep);
+      return await handleApprovalApproved(execution, playbook, approvalStep, decision);
 
     case 'rejected':
-      return await handleApprovalRejected(execution, playbook, approvalStep);
+      return await handleApprovalRejected(execution, playbook, approvalStep, decision);
 
     case 'timeout':
       return await handleApprovalTimeout(execution, playbook, approvalStep);
@@ -1176,7 +2173,7 @@ export async function resumeExecution(executionId, approvalDecision) {
 /**
  * Handle approval APPROVED
  */
-async function handleApprovalApproved(execution, playbook, approvalStep) {
+async function handleApprovalApproved(execution, playbook, approvalStep, decision = {}) {
   // Transition back to EXECUTING
   execution.state = ExecutionState.EXECUTING;
   await execution.save();
@@ -1194,11 +2191,22 @@ async function handleApprovalApproved(execution, playbook, approvalStep) {
   // Mark approval step as completed
   await engine.updateStepState(approvalStep.step_id, StepState.COMPLETED, {
     decision: 'approved',
+    approval_id: decision.approvalId || null,
+    decided_by: decision.decidedBy || null,
+    note: decision.note || null,
     decided_at: new Date()
   });
 
   await engine.emitAuditEvent('approval.approved', {
-    step_id: approvalStep.step_id
+    step_id: approvalStep.step_id,
+    approval_id: decision.approvalId || null,
+    decided_by: decision.decidedBy || null
+  });
+
+  await engine.emitAuditEvent('execution.resumed', {
+    approval_id: decision.approvalId || null,
+    decision: 'approved',
+    decided_by: decision.decidedBy || null
   });
 
   await incrementMetric('approvals_approved');
@@ -1229,14 +2237,20 @@ async function handleApprovalApproved(execution, playbook, approvalStep) {
 /**
  * Handle approval REJECTED
  */
-async function handleApprovalRejected(execution, playbook, approvalStep) {
+async function handleApprovalRejected(execution, playbook, approvalStep, decision = {}) {
   const onRejected = approvalStep.on_rejected || 'fail';
 
   await logAction({
     action: 'approval.rejected',
     resource_type: 'execution',
     resource_id: execution.execution_id,
-    details: { step_id: approvalStep.step_id, on_rejected: onRejected },
+    actor_email: decision.decidedBy,
+    details: {
+      step_id: approvalStep.step_id,
+      on_rejected: onRejected,
+      approval_id: decision.approvalId || null,
+      decided_by: decision.decidedBy || null
+    },
     outcome: 'success'
   });
 
@@ -1245,6 +2259,19 @@ async function handleApprovalRejected(execution, playbook, approvalStep) {
   // Treat sentinel scalars first; array form would have been rejected by the
   // validator's APPROVAL_REJECTED_ARRAY_SENTINEL rule.
   if (onRejected === 'fail' || onRejected === 'stop') {
+    const approvalRecord = execution.steps.find(s => s.step_id === approvalStep.step_id);
+    if (approvalRecord) {
+      approvalRecord.state = StepState.FAILED;
+      approvalRecord.completed_at = new Date();
+      approvalRecord.output = {
+        decision: 'rejected',
+        approval_id: decision.approvalId || null,
+        decided_by: decision.decidedBy || null,
+        note: decision.note || null,
+        decided_at: new Date()
+      };
+    }
+
     execution.state = ExecutionState.FAILED;
     execution.completed_at = new Date();
     execution.error = {
@@ -1269,6 +2296,9 @@ async function handleApprovalRejected(execution, playbook, approvalStep) {
 
     await engine.updateStepState(approvalStep.step_id, StepState.COMPLETED, {
       decision: 'rejected',
+      approval_id: decision.approvalId || null,
+      decided_by: decision.decidedBy || null,
+      note: decision.note || null,
       decided_at: new Date()
     });
 
@@ -1426,8 +2456,930 @@ async function handleApprovalTimeout(execution, playbook, approvalStep) {
   return execution;
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// WAIT STEP RESUMPTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Wake a parked wait step (or a scheduled step retry) and continue the
+ * execution. Retries re-run their step; wait steps complete and continue
+ * with their successors.
+ *
+ * The execution is claimed atomically (WAITING → EXECUTING, wait removed),
+ * so a wait fires at most once even with several wake-up sources or
+ * replicas. An execution that still has a branch running is not WAITING
+ * yet and is picked up on a later attempt.
+ *
+ * @param {string} executionId - Logical execution_id
+ * @param {string} stepId - Parked wait step, or the step to retry
+ * @param {'elapsed'|'matched'|'timeout'|'retry'} outcome
+ * @param {Object} [details]
+ * @param {Object} [details.alert] - Matching alert payload (outcome 'matched')
+ * @returns {Promise<Object|null>} The execution, or null if not claimable
+ */
+export async function resumeWaitStep(executionId, stepId, outcome, details = {}) {
+  const claimed = await Execution.findOneAndUpdate(
+    { execution_id: executionId, state: ExecutionState.WAITING, 'waits.step_id': stepId },
+    { $set: { state: ExecutionState.EXECUTING }, $pull: { waits: { step_id: stepId } } },
+    { new: false }
+  ).lean();
+
+  if (!claimed) {
+    return null;
+  }
+
+  const wait = claimed.waits.find(w => w.step_id === stepId);
+  const execution = await Execution.findOne({ execution_id: executionId });
+
+  const PlaybookVersioned = (await import('../models/playbook-v2.js')).default;
+  const playbookDoc = await PlaybookVersioned.getActiveVersion(execution.playbook_id);
+
+  const playbook = {
+    playbook_id: execution.playbook_id,
+    name: playbookDoc?.name || execution.playbook_name,
+    description: playbookDoc?.description,
+    shadow_mode: playbookDoc?.dsl?.shadow_mode || false,
+    steps: playbookDoc?.dsl?.steps || [],
+    inputs: playbookDoc?.dsl?.inputs,
+    vars: playbookDoc?.dsl?.vars,
+    version: playbookDoc?.version,
+    enabled: playbookDoc?.enabled
+  };
+
+  const engine = new ExecutionEngine(execution, playbook);
+  for (const record of execution.steps) {
+    if (record.output) {
+      engine.stepOutputs.set(record.step_id, { output: record.output });
+    }
+  }
+  engine.stepExecutionCount = execution.steps.filter(s => s.state !== StepState.PENDING).length;
+
+  const waitStep = playbook.steps.find(s => s.step_id === stepId);
+  if (!waitStep) {
+    const error = new Error(`${wait.mode === 'retry' ? 'Retried' : 'Wait'} step ${stepId} not found in active playbook ${execution.playbook_id}`);
+    error.code = 'WAIT_STEP_NOT_FOUND';
+    await engine.failExecution(error, stepId);
+    return execution;
+  }
+
+  const resumedAt = new Date();
+  const waitedMs = resumedAt - new Date(wait.started_at);
+  const output = {
+    mode: wait.mode,
+    started_at: wait.started_at,
+    resumed_at: resumedAt,
+    waited_ms: waitedMs
+  };
+
+  logger.info(`[resumeWaitStep] ${executionId} step ${stepId} woken (${outcome}) after ${waitedMs}ms`);
+
+  await engine.emitAuditEvent('execution.wait_resumed', {
+    step_id: stepId,
+    mode: wait.mode,
+    outcome,
+    waited_ms: waitedMs
+  });
+  await incrementMetric('waits_resumed');
+
+  const record = execution.steps.find(s => s.step_id === stepId);
+
+  if (wait.mode === 'retry') {
+    // Re-run the failed step; it is still EXECUTING with its attempts recorded
+    if (record) {
+      record.next_retry_at = null;
+    }
+    await engine._saveExecution();
+
+    setImmediate(() => {
+      engine.execute([stepId]).catch(error => {
+        logger.error(`[resumeWaitStep] Execution failed: ${error.message}`);
+      });
+    });
+
+    return execution;
+  }
+
+  let seedIds;
+
+  if (outcome === 'timeout') {
+    const onTimeout = waitStep.on_timeout || 'fail';
+    Object.assign(output, { matched: false, timed_out: true, webhook_id: wait.webhook_id, on_timeout_behavior: onTimeout });
+
+    if (onTimeout === 'fail') {
+      await engine.updateStepState(stepId, StepState.FAILED, output, {
+        message: 'No matching alert arrived before the wait_for timeout',
+        code: 'WAIT_TIMEOUT'
+      });
+      const error = new Error(`Wait step ${stepId} timed out waiting for an alert on ${wait.webhook_id}`);
+      error.code = 'WAIT_TIMEOUT';
+      await engine.failExecution(error, stepId);
+      return execution;
+    }
+
+    await engine.updateStepState(stepId, StepState.COMPLETED, output);
+
+    if (onTimeout === 'continue') {
+      seedIds = resolvePersistedSuccessors(waitStep, record, playbook.steps);
+    } else if (onTimeout === 'skip' || onTimeout === STEP_END) {
+      seedIds = [];
+    } else {
+      seedIds = normalizeBranchTargets(onTimeout);
+    }
+  } else {
+    if (outcome === 'matched') {
+      Object.assign(output, { matched: true, webhook_id: wait.webhook_id, alert: details.alert ?? null });
+    } else {
+      output.reason = 'elapsed';
+    }
+
+    await engine.updateStepState(stepId, StepState.COMPLETED, output);
+    seedIds = resolvePersistedSuccessors(waitStep, record, playbook.steps);
+  }
+
+  engine.stepOutputs.set(stepId, { output });
+
+  if (seedIds.length === 0) {
+    // Branch ends here — complete, or park again if other waits are pending
+    await engine.settleExecution();
+    return execution;
+  }
+
+  setImmediate(() => {
+    engine.execute(seedIds).catch(error => {
+      logger.error(`[resumeWaitStep] Execution failed: ${error.message}`);
+    });
+  });
+
+  return execution;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RERUN FROM STEP
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Re-run a finished (or cancelled) execution from a chosen step, as a NEW
+ * linked execution.
+ *
+ * The rerun gets the original trigger_data and inputs, and carries over
+ * every step that had COMPLETED (or been SKIPPED) before the chosen step
+ * started — or every such step, if the chosen step never ran. Carried steps
+ * keep their output, so downstream steps resolve steps.<id>.output.*
+ * without re-running enrichment or re-firing containment. Everything else
+ * starts PENDING and the scheduler is seeded with [fromStepId].
+ *
+ * Runs against the ACTIVE playbook version.
+ *
+ * @param {string} executionId - Original execution
+ * @param {string} fromStepId - Step to start from
+ * @param {Object} [options]
+ * @param {string} [options.requestedBy] - Actor email for the audit trail
+ * @returns {Promise<Object>} The new Execution document (running in background)
+ */
+export async function rerunExecution(executionId, fromStepId, { requestedBy = 'system' } = {}) {
+  const original = await Execution.findOne({ execution_id: executionId }).lean();
+  if (!original) {
+    const error = new Error(`Execution not found: ${executionId}`);
+    error.code = 'EXECUTION_NOT_FOUND';
+    throw error;
+  }
+
+  if (![ExecutionState.COMPLETED, ExecutionState.FAILED, ExecutionState.CANCELLED].includes(original.state)) {
+    const error = new Error(`Execution ${executionId} is ${original.state}; only COMPLETED, FAILED or CANCELLED executions can be re-run`);
+    error.code = 'EXECUTION_NOT_FINISHED';
+    throw error;
+  }
+
+  const PlaybookVersioned = (await import('../models/playbook-v2.js')).default;
+  const playbookDoc = await PlaybookVersioned.getActiveVersion(original.playbook_id);
+  if (!playbookDoc) {
+    const error = new Error(`Playbook not found or inactive: ${original.playbook_id}`);
+    error.code = 'PLAYBOOK_NOT_FOUND';
+    throw error;
+  }
+
+  const playbook = {
+    playbook_id: playbookDoc.playbook_id,
+    name: playbookDoc.name,
+    description: playbookDoc.description,
+    shadow_mode: playbookDoc.dsl?.shadow_mode || false,
+    steps: playbookDoc.dsl?.steps || [],
+    trigger: playbookDoc.dsl?.trigger,
+    inputs: playbookDoc.dsl?.inputs,
+    vars: playbookDoc.dsl?.vars,
+    version: playbookDoc.version,
+    enabled: playbookDoc.enabled
+  };
+
+  if (!playbook.steps.some(s => s.step_id === fromStepId)) {
+    const error = new Error(`Step ${fromStepId} not found in active playbook ${playbook.playbook_id} v${playbook.version}`);
+    error.code = 'STEP_NOT_FOUND';
+    throw error;
+  }
+
+  validatePlaybookOrThrow(playbook);
+
+  // Carry over what finished before the chosen step started
+  const originalRecords = new Map((original.steps || []).map(r => [r.step_id, r]));
+  const fromStartedAt = originalRecords.get(fromStepId)?.started_at;
+  const isCarried = (record) =>
+    !!record &&
+    record.step_id !== fromStepId &&
+    [StepState.COMPLETED, StepState.SKIPPED].includes(record.state) &&
+    (!fromStartedAt || (record.completed_at && new Date(record.completed_at) <= new Date(fromStartedAt)));
+
+  const now = new Date();
+  const carried = [];
+
+  const execution = new Execution({
+    playbook_id: playbook.playbook_id,
+    playbook_name: playbook.name,
+    playbook_version: playbook.version,
+    state: ExecutionState.EXECUTING,
+    trigger_data: original.trigger_data,
+    inputs: original.inputs,
+    trigger_source: 'rerun',
+    trigger_snapshot: original.trigger_snapshot,
+    event_time: original.event_time,
+    event_time_source: original.event_time_source,
+    webhook_id: original.webhook_id,
+    // Suffixed so the rerun never collides with the original in dedup lookups
+    fingerprint: `${original.fingerprint}:rerun`,
+    rerun_of: original.execution_id,
+    rerun_from_step: fromStepId,
+    rerun_by: requestedBy,
+    steps: playbook.steps.map((step) => {
+      const record = originalRecords.get(step.step_id);
+      if (!isCarried(record)) {
+        return { step_id: step.step_id, state: StepState.PENDING };
+      }
+      carried.push(step.step_id);
+      return {
+        step_id: step.step_id,
+        state: record.state,
+        started_at: record.started_at,
+        completed_at: record.completed_at,
+        duration_ms: record.duration_ms,
+        output: record.output,
+        carried_over: true
+      };
+    }),
+    started_at: now,
+    acknowledged_at: now
+  });
+
+  await execution.save();
+
+  logger.info(`[rerunExecution] ${original.execution_id} re-run from ${fromStepId} as ${execution.execution_id} by ${requestedBy} (${carried.length} step(s) carried over)`);
+
+  const engine = new ExecutionEngine(execution, playbook);
+  for (const record of execution.steps) {
+    if (record.carried_over && record.output) {
+      engine.stepOutputs.set(record.step_id, { output: record.output });
+    }
+  }
+
+  // Audit both sides of the link
+  await logAction({
+    action: 'execute',
+    resource_type: 'execution',
+    resource_id: original.execution_id,
+    resource_name: original.playbook_name,
+    actor_email: requestedBy,
+    details: {
+      mode: 'rerun',
+      execution_id: original.execution_id,
+      playbook_id: original.playbook_id,
+      rerun_execution_id: execution.execution_id,
+      from_step_id: fromStepId,
+      carried_steps: carried
+    },
+    outcome: 'success'
+  });
+
+  await engine.emitAuditEvent('execution.started', {
+    playbook_name: playbook.name,
+    shadow_mode: engine.shadowMode,
+    rerun_of: original.execution_id,
+    rerun_from_step: fromStepId,
+    requested_by: requestedBy
+  });
+  await incrementMetric('executions_started');
+
+  setImmediate(() => {
+    engine.execute([fromStepId]).catch(error => {
+      logger.error(`[rerunExecution] Execution failed: ${error.message}`);
+    });
+  });
+
+  return execution;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ROLLBACK (COMPENSATIONS)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Undo a finished execution's actions by replaying its recorded
+ * compensations newest-first (unblock, release isolation, re-enable user).
+ *
+ * Compensations already COMPLETED are skipped, so re-running a partial
+ * rollback only retries what failed. A failed compensation does not stop
+ * the ones after it. Sub-playbook executions keep their own compensations
+ * and are not rolled back with the parent.
+ *
+ * @param {string} executionId - Execution to roll back
+ * @param {Object} [options]
+ * @param {string} [options.requestedBy] - Actor email for the audit trail
+ * @param {string} [options.reason] - Free-text reason (e.g. "false positive")
+ * @param {'manual'|'on_failure'} [options.trigger]
+ * @returns {Promise<{execution_id: string, status: string, compensated: number, failed: number, compensations: Array}>}
+ */
+export async function rollbackExecution(executionId, { requestedBy = 'system', reason = null, trigger = 'manual' } = {}) {
+  const existing = await Execution.findOne({ execution_id: executionId })
+    .select('state compensations rollback')
+    .lean();
+  if (!existing) {
+    const error = new Error(`Execution not found: ${executionId}`);
+    error.code = 'EXECUTION_NOT_FOUND';
+    throw error;
+  }
+
+  if (![ExecutionState.COMPLETED, ExecutionState.FAILED, ExecutionState.CANCELLED].includes(existing.state)) {
+    const error = new Error(`Execution ${executionId} is ${existing.state}; only COMPLETED, FAILED or CANCELLED executions can be rolled back`);
+    error.code = 'EXECUTION_NOT_FINISHED';
+    throw error;
+  }
+
+  if (!(existing.compensations || []).some(c => c.state !== CompensationState.COMPLETED)) {
+    const error = new Error(`Execution ${executionId} has no actions left to roll back`);
+    error.code = 'NOTHING_TO_ROLLBACK';
+    throw error;
+  }
+
+  // Claim atomically so two rollbacks never replay the same compensations
+  const startedAt = new Date();
+  const execution = await Execution.findOneAndUpdate(
+    {
+      execution_id: executionId,
+      state: { $in: [ExecutionState.COMPLETED, ExecutionState.FAILED, ExecutionState.CANCELLED] },
+      $or: [
+        { 'rollback.status': { $ne: 'running' } },
+        { 'rollback.started_at': { $lt: new Date(startedAt.getTime() - ROLLBACK_LEASE_MS) } }
+      ]
+    },
+    {
+      $set: {
+        rollback: {
+          status: 'running',
+          trigger,
+          requested_by: requestedBy,
+          reason,
+          started_at: startedAt
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!execution) {
+    const error = new Error(`Rollback of ${executionId} is already in progress`);
+    error.code = 'ROLLBACK_IN_PROGRESS';
+    throw error;
+  }
+
+  logger.info(`[rollbackExecution] Rolling back ${executionId} (${trigger}, by ${requestedBy})`);
+
+  let compensated = 0;
+  let failed = 0;
+
+  for (const compensation of [...execution.compensations].reverse()) {
+    if (compensation.state === CompensationState.COMPLETED) continue;
+
+    try {
+      const output = await invokeConnector(
+        compensation.connector_id,
+        compensation.action_type,
+        compensation.inputs || {}
+      );
+
+      // Response-style connectors report failure in the output
+      if (output?.success === false) {
+        throw Object.assign(
+          new Error(output.error || `${compensation.action_type} reported failure`),
+          { code: output.details?.code }
+        );
+      }
+
+      compensation.state = CompensationState.COMPLETED;
+      compensation.output = output;
+      compensation.error = undefined;
+      compensated++;
+    } catch (error) {
+      logger.error(`[rollbackExecution] ${executionId}: ${compensation.connector_id}.${compensation.action_type} for ${compensation.step_id} failed: ${error.message}`);
+      compensation.state = CompensationState.FAILED;
+      compensation.error = { message: error.message, code: error.code || 'COMPENSATION_FAILED' };
+      failed++;
+    }
+
+    compensation.executed_at = new Date();
+    await execution.save();
+  }
+
+  const status = failed === 0 ? 'completed' : (compensated === 0 ? 'failed' : 'partial');
+  execution.rollback.status = status;
+  execution.rollback.completed_at = new Date();
+  execution.rollback.compensated = compensated;
+  execution.rollback.failed = failed;
+  await execution.save();
+
+  const summary = execution.compensations.map(c => ({
+    step_id: c.step_id,
+    connector_id: c.connector_id,
+    action_type: c.action_type,
+    state: c.state,
+    error: c.error?.message || null
+  }));
+
+  await logAction({
+    action: 'execute',
+    resource_type: 'execution',
+    resource_id: executionId,
+    resource_name: execution.playbook_name,
+    actor_email: requestedBy,
+    details: {
+      mode: 'rollback',
+      execution_id: executionId,
+      playbook_id: execution.playbook_id,
+      trigger,
+      reason,
+      status,
+      compensated,
+      failed,
+      compensations: summary
+    },
+    outcome: status === 'completed' ? 'success' : (status === 'partial' ? 'partial' : 'failure')
+  });
+
+  await incrementMetric('executions_rolled_back');
+  if (failed > 0) {
+    await incrementMetric('compensations_failed', failed);
+  }
+
+  logger.info(`[rollbackExecution] ${executionId} rollback ${status}: ${compensated} compensated, ${failed} failed`);
+
+  return {
+    execution_id: executionId,
+    status,
+    compensated,
+    failed,
+    compensations: summary
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CANCELLATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Apply a cancellation to an execution document (not saved): PENDING steps
+ * become SKIPPED, steps still EXECUTING become FAILED (EXECUTION_CANCELLED),
+ * parked waits are dropped and the execution ends CANCELLED.
+ *
+ * @returns {{skipped: string[], interrupted: string[]}} Affected step IDs
+ */
+function applyCancellation(execution, cancellation) {
+  const now = new Date();
+  const skipped = [];
+  const interrupted = [];
+
+  for (const record of execution.steps) {
+    if (record.state === StepState.PENDING) {
+      record.state = StepState.SKIPPED;
+      record.output = { cancelled: true };
+      record.completed_at = now;
+      skipped.push(record.step_id);
+    } else if (record.state === StepState.EXECUTING) {
+      record.state = StepState.FAILED;
+      record.error = {
+        message: `Execution cancelled by ${cancellation.cancelled_by}`,
+        code: 'EXECUTION_CANCELLED'
+      };
+      record.next_retry_at = null;
+      record.completed_at = now;
+      if (record.started_at) {
+        record.duration_ms = now - record.started_at;
+      }
+      interrupted.push(record.step_id);
+    }
+  }
+
+  execution.state = ExecutionState.CANCELLED;
+  execution.waits = [];
+  execution.cancellation = cancellation;
+  execution.completed_at = now;
+  if (execution.started_at) {
+    execution.duration_ms = now - execution.started_at;
+  }
+
+  return { skipped, interrupted };
+}
+
+/**
+ * Audit a cancellation (naming who cancelled), withdraw the execution's
+ * pending approval requests and count it.
+ */
+async function recordCancellation(execution, cancellation, { skipped, interrupted }) {
+  await logAction({
+    action: 'execute',
+    resource_type: 'execution',
+    resource_id: execution.execution_id,
+    resource_name: execution.playbook_name,
+    actor_email: cancellation.cancelled_by,
+    details: {
+      mode: 'cancel',
+      execution_id: execution.execution_id,
+      playbook_id: execution.playbook_id,
+      reason: cancellation.reason,
+      previous_state: cancellation.previous_state,
+      skipped_steps: skipped,
+      interrupted_steps: interrupted
+    },
+    outcome: 'success'
+  });
+
+  await Approval.updateMany(
+    { execution_id: execution._id, status: 'pending' },
+    { $set: { status: 'cancelled', decision_note: `Execution cancelled by ${cancellation.cancelled_by}` } }
+  );
+
+  await incrementMetric('executions_cancelled');
+
+  logger.info(`[cancelExecution] ${execution.execution_id} cancelled by ${cancellation.cancelled_by} (${interrupted.length} interrupted, ${skipped.length} skipped)`);
+}
+
+/**
+ * Cancel a QUEUED, EXECUTING, WAITING_APPROVAL or WAITING execution.
+ *
+ * If this process is running the execution, its engine is signalled: no new
+ * step launches, in-flight connector calls are aborted and running
+ * sub-playbooks are cancelled too; the call returns once the branches have
+ * drained. Otherwise (queued, parked on an approval or wait, or stranded)
+ * the execution is claimed atomically and cancelled in place.
+ *
+ * LIMITATION: an engine running the execution on ANOTHER replica is not
+ * signalled. The stored state becomes CANCELLED, but that engine keeps its
+ * in-flight steps going and may still write its own final state.
+ *
+ * @param {string} executionId - Logical execution_id
+ * @param {Object} [options]
+ * @param {string} [options.cancelledBy] - Actor email for the audit trail
+ * @param {string} [options.reason] - Free-text reason
+ * @returns {Promise<Object>} The cancelled Execution document
+ */
+export async function cancelExecution(executionId, { cancelledBy = 'system', reason = null } = {}) {
+  const existing = await Execution.findOne({ execution_id: executionId }).select('state').lean();
+  if (!existing) {
+    const error = new Error(`Execution not found: ${executionId}`);
+    error.code = 'EXECUTION_NOT_FOUND';
+    throw error;
+  }
+
+  const notCancellable = (state) => {
+    const error = new Error(`Execution ${executionId} is ${state}; only QUEUED, EXECUTING, WAITING_APPROVAL or WAITING executions can be cancelled`);
+    error.code = 'EXECUTION_NOT_CANCELLABLE';
+    return error;
+  };
+
+  if (!CANCELLABLE_STATES.includes(existing.state)) {
+    throw notCancellable(existing.state);
+  }
+
+  const engine = activeEngines.get(executionId);
+  if (engine) {
+    engine.requestCancel({ cancelledBy, reason });
+    await engine.finished.catch(() => {});
+    return engine.execution;
+  }
+
+  const claimed = await Execution.findOneAndUpdate(
+    { execution_id: executionId, state: { $in: CANCELLABLE_STATES } },
+    { $set: { state: ExecutionState.CANCELLED } },
+    { new: false }
+  )
+    .select('state')
+    .lean();
+
+  if (!claimed) {
+    const current = await Execution.findOne({ execution_id: executionId }).select('state').lean();
+    throw notCancellable(current?.state);
+  }
+
+  const execution = await Execution.findOne({ execution_id: executionId });
+  const cancellation = {
+    cancelled_by: cancelledBy,
+    cancelled_at: new Date(),
+    reason,
+    previous_state: claimed.state
+  };
+
+  const result = applyCancellation(execution, cancellation);
+  await execution.save();
+  await recordCancellation(execution, cancellation, result);
+
+  return execution;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STARTUP RECOVERY
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// The fan-out scheduler in execute() keeps pendingIds / runningPromises /
+// stepOutputs in process memory only. When the backend restarts mid-run the
+// Execution document is left in EXECUTING with no process driving it. The
+// recovery pass below runs once at startup, rebuilds the engine state from
+// the persisted step records and applies the playbook's recovery_policy.
+//
+// WAITING_APPROVAL and WAITING executions are NOT touched: they are already
+// durable and are resumed by the approval decision / wait wake-up paths.
+
+/**
+ * Steps a fresh execution starts from: trigger.next_steps (or the legacy
+ * trigger.next_step) when they name existing steps, else steps[0].
+ */
+function entryStepIds(playbook) {
+  const steps = playbook.steps || [];
+  const triggerSeeds = normalizeBranchTargets(
+    playbook.trigger?.next_steps ?? playbook.trigger?.next_step
+  ).filter(id => steps.some(s => s.step_id === id));
+
+  if (triggerSeeds.length > 0) {
+    return triggerSeeds;
+  }
+  return steps.length > 0 ? [steps[0].step_id] : [];
+}
+
+/**
+ * Determine the successors a COMPLETED step committed to, using only what
+ * was persisted on its step record plus the static edges in the DSL.
+ * Mirrors the branch resolution in executeStep() and the approval handlers.
+ */
+function resolvePersistedSuccessors(step, record, steps) {
+  const output = record.output || {};
+
+  // Condition steps persist the branch they took.
+  if (Array.isArray(output.next_steps)) {
+    return output.next_steps;
+  }
+
+  const nextInArrayOrder = () => {
+    const index = steps.findIndex(s => s.step_id === step.step_id);
+    return (index !== -1 && index + 1 < steps.length) ? [steps[index + 1].step_id] : [];
+  };
+
+  if (step.type === 'approval') {
+    switch (output.decision) {
+      case 'approved': {
+        const targets = normalizeBranchTargets(step.on_approved);
+        if (targets.length === 0 || (targets.length === 1 && targets[0] === STEP_END)) {
+          return nextInArrayOrder();
+        }
+        return targets;
+      }
+      case 'rejected':
+        return normalizeBranchTargets(step.on_rejected);
+      case 'timeout':
+        return output.on_timeout_behavior === 'continue'
+          ? nextInArrayOrder()
+          : normalizeBranchTargets(step.on_timeout);
+      default:
+        return [];
+    }
+  }
+
+  if (step.on_success && typeof step.on_success === 'object' && !Array.isArray(step.on_success)) {
+    if (step.on_success.behavior === 'end') return [];
+    if (step.on_success.behavior === 'goto') {
+      return normalizeBranchTargets(step.on_success.step_ids ?? step.on_success.step_id);
+    }
+  }
+
+  return normalizeBranchTargets(step.on_success ?? step.on_complete);
+}
+
+/**
+ * Compute the pending queue to resume an interrupted execution from:
+ *   1. every step persisted as EXECUTING (in flight when the process died),
+ *      except steps parked in execution.waits (wait steps, scheduled
+ *      retries) — those are woken by the wait scheduler
+ *   2. every PENDING successor of a COMPLETED step (queued in memory only)
+ *
+ * An execution that died before its first step started (every record
+ * PENDING, apart from steps a rerun carried over) starts from its entry
+ * steps: the rerun's from-step, else trigger.next_steps / steps[0].
+ *
+ * @returns {string[]} Seed step IDs for execute(seedStepIds)
+ */
+export function computeRecoverySeeds(execution, playbook) {
+  const neverStarted = execution.steps.every(r => r.state === StepState.PENDING || r.carried_over)
+    && (execution.waits || []).length === 0;
+  if (neverStarted) {
+    return execution.rerun_from_step ? [execution.rerun_from_step] : entryStepIds(playbook);
+  }
+
+  const stepsById = new Map(playbook.steps.map(s => [s.step_id, s]));
+  const records = new Map(execution.steps.map(r => [r.step_id, r]));
+  const seeds = [];
+
+  const addSeed = (stepId) => {
+    if (!seeds.includes(stepId)) seeds.push(stepId);
+  };
+
+  const parked = new Set((execution.waits || []).map(w => w.step_id));
+
+  for (const record of execution.steps) {
+    if (record.state === StepState.EXECUTING && !parked.has(record.step_id)) {
+      addSeed(record.step_id);
+    }
+  }
+
+  for (const record of execution.steps) {
+    if (record.state !== StepState.COMPLETED) continue;
+
+    const step = stepsById.get(record.step_id);
+    if (!step) continue;
+
+    for (const next of resolvePersistedSuccessors(step, record, playbook.steps)) {
+      if (next === STEP_END || next === 'fail') continue;
+      if (records.get(next)?.state === StepState.PENDING) {
+        addSeed(next);
+      }
+    }
+  }
+
+  return seeds;
+}
+
+/**
+ * Fail an interrupted execution: in-flight steps → FAILED, execution →
+ * FAILED with error code INTERRUPTED.
+ */
+async function failInterruptedExecution(engine, reason) {
+  const interrupted = engine.execution.steps.filter(s => s.state === StepState.EXECUTING);
+
+  for (const record of interrupted) {
+    await engine.updateStepState(record.step_id, StepState.FAILED, null, {
+      message: 'Step was in flight when the backend stopped',
+      code: 'INTERRUPTED'
+    });
+  }
+
+  const error = new Error(reason);
+  error.code = 'INTERRUPTED';
+  await engine.failExecution(error, interrupted[0]?.step_id || null);
+}
+
+/**
+ * Recover a single execution left in EXECUTING by a previous process.
+ *
+ * @returns {Promise<'resumed'|'failed'|'completed'>}
+ */
+export async function recoverExecution(execution) {
+  const PlaybookVersioned = (await import('../models/playbook-v2.js')).default;
+
+  // Resume against the version the execution started with; executions
+  // recorded before playbook_version existed fall back to the active one
+  const version = execution.playbook_version ?? execution.queue?.playbook_version;
+  const playbookDoc = version != null
+    ? await PlaybookVersioned.getSpecificVersion(execution.playbook_id, version)
+    : await PlaybookVersioned.getActiveVersion(execution.playbook_id);
+
+  const playbook = {
+    playbook_id: execution.playbook_id,
+    name: playbookDoc?.name || execution.playbook_name,
+    description: playbookDoc?.description,
+    shadow_mode: playbookDoc?.dsl?.shadow_mode || false,
+    steps: playbookDoc?.dsl?.steps || [],
+    trigger: playbookDoc?.dsl?.trigger || null,
+    inputs: playbookDoc?.dsl?.inputs,
+    vars: playbookDoc?.dsl?.vars,
+    version: playbookDoc?.version,
+    enabled: playbookDoc?.enabled,
+    recovery_policy: playbookDoc?.dsl?.recovery_policy
+  };
+
+  const policy = VALID_RECOVERY_POLICIES.includes(playbook.recovery_policy)
+    ? playbook.recovery_policy
+    : DEFAULT_RECOVERY_POLICY;
+
+  execution.recovery_count = (execution.recovery_count || 0) + 1;
+  execution.recovered_at = new Date();
+
+  const engine = new ExecutionEngine(execution, playbook);
+
+  // Rebuild stepOutputs exactly as the approval-resume handlers do.
+  for (const step of execution.steps) {
+    if (step.output) {
+      engine.stepOutputs.set(step.step_id, { output: step.output });
+    }
+  }
+
+  // Loop protection carries over: count every step that already started.
+  engine.stepExecutionCount = execution.steps.filter(s => s.state !== StepState.PENDING).length;
+
+  // Decide whether resuming is possible at all.
+  let failReason = null;
+  let seedIds = [];
+
+  if (execution.parent_execution_id) {
+    // Sub-playbook runs are owned by the parent's playbook step, which is
+    // recovered (re-run or failed) with the parent.
+    failReason = `Sub-playbook execution interrupted by backend restart; parent ${execution.parent_execution_id} recovers the calling step`;
+  } else if (policy !== 'resume') {
+    failReason = 'Execution interrupted by backend restart (recovery_policy: fail)';
+  } else if (!playbookDoc) {
+    failReason = `Execution interrupted by backend restart; playbook ${execution.playbook_id} is no longer active`;
+  } else if (execution.recovery_count > MAX_RECOVERY_ATTEMPTS) {
+    failReason = `Execution interrupted by backend restart; exceeded ${MAX_RECOVERY_ATTEMPTS} recovery attempts`;
+  } else {
+    seedIds = computeRecoverySeeds(execution, playbook);
+    const missing = seedIds.filter(id => !playbook.steps.some(s => s.step_id === id));
+    if (missing.length > 0) {
+      failReason = `Execution interrupted by backend restart; steps no longer in playbook: ${missing.join(', ')}`;
+    }
+  }
+
+  await engine.emitAuditEvent('execution.recovered', {
+    recovery_policy: policy,
+    recovery_count: execution.recovery_count,
+    outcome: failReason ? 'failed' : (seedIds.length > 0 ? 'resumed' : 'completed'),
+    resume_from: seedIds
+  });
+  await incrementMetric('executions_recovered');
+
+  if (failReason) {
+    logger.warn(`[recoverExecution] Failing ${execution.execution_id}: ${failReason}`);
+    await failInterruptedExecution(engine, failReason);
+    return 'failed';
+  }
+
+  if (seedIds.length === 0) {
+    // Every branch had already finished or parked — only the final state
+    // write was lost. Parked waits move the execution to WAITING instead.
+    logger.info(`[recoverExecution] ${execution.execution_id} had no unfinished steps, settling`);
+    await engine.settleExecution();
+    return 'completed';
+  }
+
+  await engine._saveExecution();
+
+  logger.info(`[recoverExecution] Resuming ${execution.execution_id} from ${JSON.stringify(seedIds)}`);
+  setImmediate(() => {
+    engine.execute(seedIds).catch(error => {
+      logger.error(`[recoverExecution] Execution failed: ${error.message}`);
+    });
+  });
+
+  return 'resumed';
+}
+
+/**
+ * Startup recovery pass. Call once after MongoDB is connected and before the
+ * server starts accepting traffic.
+ *
+ * @returns {Promise<{found: number, resumed: number, failed: number, completed: number, errors: number}>}
+ */
+export async function recoverInterruptedExecutions() {
+  const executions = await Execution.find({ state: ExecutionState.EXECUTING });
+  const summary = { found: executions.length, resumed: 0, failed: 0, completed: 0, errors: 0 };
+
+  if (executions.length === 0) {
+    return summary;
+  }
+
+  logger.warn(`[recoverInterruptedExecutions] Found ${executions.length} execution(s) left in EXECUTING`);
+
+  for (const execution of executions) {
+    try {
+      const outcome = await recoverExecution(execution);
+      summary[outcome]++;
+    } catch (error) {
+      summary.errors++;
+      logger.error(`[recoverInterruptedExecutions] Failed to recover ${execution.execution_id}: ${error.message}`);
+    }
+  }
+
+  logger.info(`[recoverInterruptedExecutions] Recovery complete: ${JSON.stringify(summary)}`);
+  return summary;
+}
+
 export default {
   ExecutionEngine,
   startExecution,
-  resumeExecution
+  resumeExecution,
+  resumeWaitStep,
+  rerunExecution,
+  rollbackExecution,
+  cancelExecution,
+  recoverInterruptedExecutions
 };
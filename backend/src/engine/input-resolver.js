@@ -5,7 +5,7 @@
  *
  * Resolves declarative input mappings to concrete values.
  * Evaluates conditions for branching logic.
- * Renders message templates.
+ * Renders message templates (with filters).
  *
  * PURE DECLARATIVE - NO CODE EXECUTION
  *
@@ -27,10 +27,12 @@ import logger from '../utils/logger.js';
  * - "trigger_data.field.path"     → Value from trigger data
  * - "steps.step_id.output.field"  → Value from step output
  * - "playbook.field"              → Value from playbook config
+ * - "inputs.name"                 → Playbook input parameter
+ * - "vars.name"                   → Playbook constant variable
  * - "literal:value"               → Literal value
  *
  * @param {object} inputMapping - Map of field name → path expression
- * @param {object} context - Execution context with trigger_data, steps, playbook
+ * @param {object} context - Execution context with trigger_data, steps, playbook, inputs, vars
  * @returns {object} - Resolved input values
  */
 export function resolveInputs(inputMapping, context) {
@@ -266,24 +268,55 @@ function toString(value) {
  *
  * Template format: "Hello {{trigger_data.agent.name}}, score is {{steps.enrich.output.score}}"
  *
+ * Filters are chained with "|" and take ":"-prefixed, comma-separated args
+ * (quote args containing commas or spaces):
+ *
+ *   {{trigger_data.agent.name | default:"unknown host" | upper}}
+ *   {{steps.enrich.output.ips | join:", "}}
+ *   {{trigger_data.full_log | truncate:200}}
+ *   {{trigger_data.timestamp | date:"YYYY-MM-DD HH:mm"}}
+ *   {{trigger_data.data.url | defang}}
+ *
+ * A variable that is missing (null/undefined) and has no `default` renders
+ * as an empty string and its path is pushed onto `unresolved`, so callers
+ * can report it instead of sending the literal placeholder.
+ *
  * @param {string} template - Template string with {{path}} placeholders
  * @param {object} context - Context for variable resolution
+ * @param {string[]} [unresolved] - Collects paths that did not resolve
  * @returns {string} - Rendered string
  */
-export function renderTemplate(template, context) {
+export function renderTemplate(template, context, unresolved = null) {
   if (!template || typeof template !== 'string') {
     return template;
   }
 
-  // Match {{path.to.value}} patterns
+  // Match {{path.to.value | filter:arg}} patterns
   const pattern = /\{\{([^}]+)\}\}/g;
 
-  return template.replace(pattern, (match, path) => {
+  return template.replace(pattern, (match, expression) => {
+    const [path, ...filters] = splitOutsideQuotes(expression, '|');
     const trimmedPath = path.trim();
-    const value = getNestedValue(context, trimmedPath);
+    let value = getNestedValue(context, trimmedPath);
+
+    const hasDefault = filters.some(f => parseFilter(f).name === 'default');
+    if ((value === undefined || value === null) && !hasDefault) {
+      unresolved?.push(trimmedPath);
+      return '';
+    }
+
+    for (const filter of filters) {
+      const { name, args } = parseFilter(filter);
+      const fn = TEMPLATE_FILTERS[name];
+      if (!fn) {
+        logger.warn(`[renderTemplate] Unknown filter '${name}' in ${match}`);
+        continue;
+      }
+      value = fn(value, ...args);
+    }
 
     if (value === undefined || value === null) {
-      return match; // Keep original if not found
+      return '';
     }
 
     if (typeof value === 'object') {
@@ -295,45 +328,239 @@ export function renderTemplate(template, context) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// COMPOUND CONDITIONS (AND/OR)
+// TEMPLATE FILTERS
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Evaluate compound condition with AND/OR logic
+ * Format a date in UTC. Tokens: YYYY MM DD HH mm ss SSS; anything else is
+ * copied through. 'iso', 'epoch' and 'epoch_ms' are shorthands.
+ * Accepts Dates, date strings and epoch seconds or milliseconds.
+ * Returns null for values that are not dates.
+ */
+export function formatDate(value, pattern = 'iso') {
+  if (value === null || value === undefined || value === '') return null;
+  const epoch = typeof value === 'number' ? value : (typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : null);
+  // Epoch seconds vs milliseconds
+  const date = value instanceof Date
+    ? value
+    : new Date(epoch !== null ? (epoch < 1e11 ? epoch * 1000 : epoch) : value);
+  if (isNaN(date.getTime())) return null;
+
+  if (pattern === 'iso') return date.toISOString();
+  if (pattern === 'epoch') return Math.floor(date.getTime() / 1000);
+  if (pattern === 'epoch_ms') return date.getTime();
+
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  const tokens = {
+    YYYY: date.getUTCFullYear(),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds()),
+    SSS: pad(date.getUTCMilliseconds(), 3)
+  };
+  return String(pattern).replace(/YYYY|SSS|MM|DD|HH|mm|ss/g, token => tokens[token]);
+}
+
+/**
+ * Defang an IOC so it cannot be clicked or resolved:
+ *   https://evil.example.com/x → hxxps[://]evil[.]example[.]com/x
+ *   user@evil.com              → user[@]evil[.]com
+ */
+export function defang(value) {
+  return toString(value)
+    .replace(/^http/i, m => (m[0] === 'H' ? 'HXXP' : 'hxxp'))
+    .replace(/:\/\//g, '[://]')
+    .replace(/\./g, '[.]')
+    .replace(/@/g, '[@]');
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Template filters: name → (value, ...args) => value
+ */
+export const TEMPLATE_FILTERS = Object.freeze({
+  default: (value, fallback = '') => (isBlank(value) ? fallback : value),
+  upper: value => toString(value).toUpperCase(),
+  lower: value => toString(value).toLowerCase(),
+  join: (value, separator = ', ') =>
+    (Array.isArray(value) ? value.map(v => (typeof v === 'object' && v !== null ? JSON.stringify(v) : toString(v))).join(separator) : value),
+  truncate: (value, length = 100, suffix = '...') => {
+    const text = typeof value === 'object' && value !== null ? JSON.stringify(value) : toString(value);
+    const max = toNumber(length);
+    return text.length > max ? text.slice(0, Math.max(0, max - suffix.length)) + suffix : text;
+  },
+  date: (value, format = 'iso') => formatDate(value, format) ?? value,
+  json: value => JSON.stringify(value ?? null),
+  defang: value => (Array.isArray(value) ? value.map(defang) : defang(value)),
+  urlencode: value => encodeURIComponent(typeof value === 'object' && value !== null ? JSON.stringify(value) : toString(value))
+});
+
+/**
+ * Split on a separator, ignoring separators inside single or double quotes
+ */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let start = 0;
+  let index;
+
+  while ((index = indexOutsideQuotes(text, separator, start)) !== -1) {
+    parts.push(text.slice(start, index));
+    start = index + separator.length;
+  }
+  parts.push(text.slice(start));
+
+  return parts;
+}
+
+/**
+ * Position of the first `token` at or after `from` that is not inside
+ * single or double quotes, or -1
+ */
+function indexOutsideQuotes(text, token, from = 0) {
+  let quote = null;
+
+  for (let i = from; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (text.startsWith(token, i)) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Parse 'name:arg1,"arg 2"' into { name, args }. Quoted args stay strings;
+ * bare numeric args become numbers.
+ */
+function parseFilter(filter) {
+  const trimmed = filter.trim();
+  const colon = trimmed.indexOf(':');
+  if (colon === -1) {
+    return { name: trimmed, args: [] };
+  }
+
+  const args = splitOutsideQuotes(trimmed.slice(colon + 1), ',').map((arg) => {
+    const a = arg.trim();
+    if (/^(["']).*\1$/s.test(a)) return a.slice(1, -1);
+    if (/^-?\d+(\.\d+)?$/.test(a)) return parseFloat(a);
+    return a;
+  });
+
+  return { name: trimmed.slice(0, colon).trim(), args };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMPOUND CONDITIONS (AND/OR/NOT)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Logical group operators. Any condition whose operator is one of these is a
+ * group: { operator: 'and'|'or'|'not', conditions: [...] }. 'not' takes
+ * exactly one child. Everything else is a leaf { field, operator, value }.
+ */
+export const LOGICAL_OPERATORS = Object.freeze(['and', 'or', 'not']);
+
+/**
+ * Check whether a condition is a logical group rather than a leaf comparison
+ */
+export function isCompoundCondition(condition) {
+  return !!condition && LOGICAL_OPERATORS.includes(condition.operator);
+}
+
+/**
+ * Evaluate a (possibly nested) condition and return a result tree that
+ * mirrors it, so callers can show which sub-conditions matched.
+ *
+ * Every child is evaluated (no short-circuit) so the trace is complete.
+ *
+ * Leaf:  { path, field, operator, value, actual, result }
+ * Group: { path, operator, result, conditions: [...] }
  *
- * @param {object} compoundCondition - { operator: 'and'|'or', conditions: [...] }
+ * @param {object} condition - Leaf or group condition
  * @param {object} context - Execution context
- * @returns {boolean} - Result
+ * @param {string} [path] - Position in the tree, e.g. "condition.conditions[1]"
+ * @returns {object} - Result tree
  */
-export function evaluateCompoundCondition(compoundCondition, context) {
-  const { operator, conditions } = compoundCondition;
+export function traceCondition(condition, context, path = 'condition') {
+  if (!isCompoundCondition(condition)) {
+    const actual = getNestedValue(context, condition.field);
+    return {
+      path,
+      field: condition.field,
+      operator: condition.operator,
+      value: condition.value,
+      actual,
+      result: evaluateCondition(actual, condition.operator, condition.value)
+    };
+  }
+
+  const { operator, conditions } = condition;
 
   if (!Array.isArray(conditions)) {
-    logger.warn('[evaluateCompoundCondition] conditions must be an array');
-    return false;
+    logger.warn('[traceCondition] conditions must be an array');
+    return { path, operator, result: false, conditions: [] };
   }
 
-  const results = conditions.map(cond => {
-    if (cond.operator === 'and' || cond.operator === 'or') {
-      // Nested compound condition
-      return evaluateCompoundCondition(cond, context);
-    }
+  const children = conditions.map((child, i) =>
+    traceCondition(child, context, `${path}.conditions[${i}]`)
+  );
 
-    // Simple condition
-    const fieldValue = getNestedValue(context, cond.field);
-    return evaluateCondition(fieldValue, cond.operator, cond.value);
-  });
+  let result;
+  switch (operator) {
+    case 'and':
+      result = children.every(c => c.result === true);
+      break;
+    case 'or':
+      result = children.some(c => c.result === true);
+      break;
+    case 'not':
+      if (children.length !== 1) {
+        logger.warn(`[traceCondition] 'not' expects exactly one condition, got ${children.length}`);
+        result = false;
+      } else {
+        result = children[0].result !== true;
+      }
+      break;
+  }
 
-  if (operator === 'and') {
-    return results.every(r => r === true);
+  return { path, operator, result, conditions: children };
+}
+
+/**
+ * Flatten a result tree from traceCondition() into the leaf comparisons that
+ * evaluated to true.
+ */
+export function collectMatchedConditions(trace) {
+  if (!trace.conditions) {
+    return trace.result ? [trace] : [];
   }
+  return trace.conditions.flatMap(collectMatchedConditions);
+}
 
-  if (operator === 'or') {
-    return results.some(r => r === true);
+/**
+ * Evaluate compound condition with AND/OR/NOT logic
+ *
+ * @param {object} compoundCondition - { operator: 'and'|'or'|'not', conditions: [...] }
+ * @param {object} context - Execution context
+ * @returns {boolean} - Result
+ */
+export function evaluateCompoundCondition(compoundCondition, context) {
+  if (!isCompoundCondition(compoundCondition)) {
+    logger.warn(`[evaluateCompoundCondition] Unknown operator: ${compoundCondition?.operator}`);
+    return false;
   }
 
-  logger.warn(`[evaluateCompoundCondition] Unknown operator: ${operator}`);
-  return false;
+  return traceCondition(compoundCondition, context).result;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -341,7 +568,11 @@ export function evaluateCompoundCondition(compoundCondition, context) {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Map connector output to step output using JSONPath-like expressions
+ * Map connector output to step output using JSONPath expressions
+ *
+ * A step's `output_mapping` turns the raw connector response into stable
+ * names, so downstream steps can reference steps.<id>.output.<name>
+ * regardless of the response shape. Only mapped names are kept.
  *
  * @param {object} rawOutput - Raw connector output
  * @param {object} outputMapping - Map of field name → JSONPath expression
@@ -367,25 +598,185 @@ export function mapOutput(rawOutput, outputMapping) {
 }
 
 /**
- * Resolve simple JSONPath expression
- * Supports: $.field, $.nested.field, $.array[0].field
+ * Resolve a JSONPath expression
+ *
+ * Supports:
+ *   $.field, $.nested.field, $['key with spaces']
+ *   $.array[0].field, $.array[-1]          - index (negative from the end)
+ *   $.array[*].field, $.object.*           - wildcard
+ *   $.items[?(@.score > 50)].name          - filter
+ *   $.items[?(@.type == 'ip' && @.malicious)]
+ *
+ * Filter comparisons: ==, !=, >, >=, <, <= against a quoted string,
+ * number, true, false or null; a bare @.path tests that the value is
+ * truthy. Terms combine with && and || (&& binds tighter, no parentheses);
+ * quoted values may contain &&, || and )].
+ *
+ * A path with a wildcard or filter returns an array of every match (empty
+ * when nothing matches); other paths return a single value. Paths without
+ * a leading $ are plain dot paths.
+ *
+ * @throws {Error} code INVALID_JSON_PATH on a malformed expression
  */
-function resolveJsonPath(obj, path) {
+export function resolveJsonPath(obj, path) {
   if (!path.startsWith('$')) {
     return getNestedValue(obj, path);
   }
 
-  // Remove leading $. or $
-  const normalizedPath = path.replace(/^\$\.?/, '');
+  const segments = compileJsonPath(path);
+  let nodes = [obj];
+  let multi = false;
+
+  for (const segment of segments) {
+    const next = [];
+
+    for (const node of nodes) {
+      if (node === null || node === undefined) continue;
+
+      switch (segment.type) {
+        case 'key':
+          if (typeof node === 'object' && Object.hasOwn(node, segment.key)) next.push(node[segment.key]);
+          break;
+        case 'index':
+          if (Array.isArray(node)) {
+            const index = segment.index < 0 ? node.length + segment.index : segment.index;
+            if (index >= 0 && index < node.length) next.push(node[index]);
+          }
+          break;
+        case 'wildcard':
+          if (typeof node === 'object') next.push(...Object.values(node));
+          break;
+        case 'filter':
+          if (typeof node === 'object') {
+            next.push(...Object.values(node).filter(item => evaluateJsonPathFilter(segment.filter, item)));
+          }
+          break;
+      }
+    }
 
-  if (!normalizedPath) {
-    return obj;
+    if (segment.type === 'wildcard' || segment.type === 'filter') multi = true;
+    nodes = next;
   }
 
-  // Convert bracket notation to dot notation
-  const dotPath = normalizedPath.replace(/\[(\d+)\]/g, '.$1');
+  return multi ? nodes.filter(v => v !== undefined) : nodes[0];
+}
+
+function jsonPathError(path, message) {
+  const error = new Error(`Invalid JSONPath '${path}': ${message}`);
+  error.code = 'INVALID_JSON_PATH';
+  return error;
+}
 
-  return getNestedValue(obj, dotPath);
+/**
+ * Parse a $-rooted JSONPath into segments:
+ * { type: 'key', key } | { type: 'index', index } | { type: 'wildcard' } |
+ * { type: 'filter', filter }. Used by resolveJsonPath and by the playbook
+ * validator to reject malformed output_mapping entries at save time.
+ *
+ * @throws {Error} code INVALID_JSON_PATH
+ */
+export function compileJsonPath(path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw jsonPathError(path, 'must start with $');
+  }
+
+  const segments = [];
+  let i = 1;
+
+  while (i < path.length) {
+    if (path.startsWith('..', i)) {
+      throw jsonPathError(path, 'recursive descent (..) is not supported');
+    }
+
+    if (path[i] === '.') {
+      if (path[i + 1] === '*') {
+        segments.push({ type: 'wildcard' });
+        i += 2;
+        continue;
+      }
+      const match = /^[A-Za-z0-9_$-]+/.exec(path.slice(i + 1));
+      if (!match) throw jsonPathError(path, `expected a field name at position ${i + 1}`);
+      segments.push({ type: 'key', key: match[0] });
+      i += 1 + match[0].length;
+      continue;
+    }
+
+    if (path[i] === '[') {
+      if (path.startsWith('[?(', i)) {
+        const close = indexOutsideQuotes(path, ')]', i + 3);
+        if (close === -1) throw jsonPathError(path, 'unterminated filter');
+        segments.push({ type: 'filter', filter: parseJsonPathFilter(path, path.slice(i + 3, close)) });
+        i = close + 2;
+        continue;
+      }
+
+      const close = path.indexOf(']', i);
+      if (close === -1) throw jsonPathError(path, 'unterminated [');
+      const inner = path.slice(i + 1, close).trim();
+
+      if (inner === '*') {
+        segments.push({ type: 'wildcard' });
+      } else if (/^-?\d+$/.test(inner)) {
+        segments.push({ type: 'index', index: parseInt(inner, 10) });
+      } else if (/^'[^']*'$|^"[^"]*"$/.test(inner)) {
+        segments.push({ type: 'key', key: inner.slice(1, -1) });
+      } else {
+        throw jsonPathError(path, `unsupported selector [${inner}]`);
+      }
+      i = close + 1;
+      continue;
+    }
+
+    throw jsonPathError(path, `unexpected '${path[i]}' at position ${i}`);
+  }
+
+  return segments;
+}
+
+const FILTER_TERM = /^(@(?:\.[A-Za-z0-9_$-]+|\[-?\d+\])*)\s*(?:(==|!=|>=|<=|>|<)\s*(.+))?$/;
+
+/**
+ * Parse a filter body (between "[?(" and ")]") into OR-of-AND terms.
+ */
+function parseJsonPathFilter(path, body) {
+  return splitOutsideQuotes(body, '||').map(orPart => splitOutsideQuotes(orPart, '&&').map(rawTerm => {
+    const term = rawTerm.trim();
+    const match = FILTER_TERM.exec(term);
+    if (!match) throw jsonPathError(path, `invalid filter term '${term}'`);
+
+    const [, target, operator, rawValue] = match;
+    return {
+      path: target.slice(1).replace(/^\./, '').replace(/\[(-?\d+)\]/g, '.$1'),
+      operator: operator || null,
+      value: operator ? parseFilterLiteral(path, rawValue.trim()) : undefined
+    };
+  }));
+}
+
+function parseFilterLiteral(path, raw) {
+  if (/^'[^']*'$|^"[^"]*"$/.test(raw)) return raw.slice(1, -1);
+  if (/^-?\d+(\.\d+)?$/.test(raw)) return parseFloat(raw);
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  if (raw === 'null') return null;
+  throw jsonPathError(path, `invalid filter value ${raw}`);
+}
+
+function evaluateJsonPathFilter(filter, item) {
+  return filter.some(andTerms => andTerms.every(term => {
+    const value = term.path ? getNestedValue(item, term.path) : item;
+
+    switch (term.operator) {
+      case null: return !!value;
+      case '==': return value === term.value;
+      case '!=': return value !== term.value;
+      case '>': return typeof value === 'number' && value > term.value;
+      case '>=': return typeof value === 'number' && value >= term.value;
+      case '<': return typeof value === 'number' && value < term.value;
+      case '<=': return typeof value === 'number' && value <= term.value;
+      default: return false;
+    }
+  }));
 }
 
 export default {
@@ -394,6 +785,14 @@ export default {
   getNestedValue,
   evaluateCondition,
   evaluateCompoundCondition,
+  isCompoundCondition,
+  traceCondition,
+  collectMatchedConditions,
   renderTemplate,
-  mapOutput
+  formatDate,
+  defang,
+  TEMPLATE_FILTERS,
+  mapOutput,
+  resolveJsonPath,
+  compileJsonPath
 };
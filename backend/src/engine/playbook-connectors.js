@@ -0,0 +1,63 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — PLAYBOOK CONNECTORS
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Resolves the connector IDs a playbook can call: connector steps, foreach
+ * sub-steps and, through `playbook` steps, the connectors of every
+ * sub-playbook it calls (the pinned version, else the active one).
+ *
+ * Recorded on each top-level execution as execution.connector_ids so the
+ * execution queue can count running executions per connector. A
+ * sub-playbook runs inside its parent's `playbook` step, so its connectors
+ * are counted on the parent and the child execution records none.
+ *
+ * Sub-playbooks that are missing, recursive or deeper than
+ * MAX_PLAYBOOK_DEPTH are skipped; the engine fails those steps at run time.
+ *
+ * VERSION: 1.0.0
+ * AUTHOR: CyberSentinel SOAR Team
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import PlaybookVersioned from '../models/playbook-v2.js';
+
+const MAX_PLAYBOOK_DEPTH = parseInt(process.env.MAX_PLAYBOOK_DEPTH || '5');
+
+/**
+ * Collect connector IDs from a step list into `ids`, following
+ * sub-playbooks not already on the call chain.
+ */
+async function collectFromSteps(steps, ids, callChain) {
+  for (const step of steps || []) {
+    if (step.connector_id) ids.add(step.connector_id);
+
+    if (Array.isArray(step.steps)) {
+      await collectFromSteps(step.steps, ids, callChain);
+    }
+
+    if (step.type !== 'playbook' || !step.playbook_id) continue;
+    if (callChain.includes(step.playbook_id) || callChain.length > MAX_PLAYBOOK_DEPTH) continue;
+
+    const child = step.version
+      ? await PlaybookVersioned.getSpecificVersion(step.playbook_id, step.version)
+      : await PlaybookVersioned.getActiveVersion(step.playbook_id);
+    if (child) {
+      await collectFromSteps(child.dsl?.steps || [], ids, [...callChain, step.playbook_id]);
+    }
+  }
+}
+
+/**
+ * Connector IDs a playbook can call, including its sub-playbooks.
+ *
+ * @param {Object} playbook - PlaybookVersioned document or normalized playbook
+ * @returns {Promise<string[]>}
+ */
+export async function resolvePlaybookConnectorIds(playbook) {
+  const ids = new Set();
+  await collectFromSteps(playbook.dsl?.steps || playbook.steps, ids, [playbook.playbook_id]);
+  return [...ids];
+}
+
+export default { resolvePlaybookConnectorIds };
@@ -0,0 +1,288 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — PLAYBOOK INPUTS & VARS
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Playbooks may declare typed input parameters and constant variables:
+ *
+ *   "inputs": {
+ *     "agent_id": { "type": "string", "required": true, "pattern": "^[0-9]{3,}$" },
+ *     "reason":   { "type": "string", "default": "Analyst request" },
+ *     "level":    { "type": "integer", "min": 1, "max": 15, "default": 10 }
+ *   },
+ *   "vars": { "isolation_ticket_queue": "SOC-L2" }
+ *
+ * Steps read them as {{inputs.agent_id}} / {{vars.isolation_ticket_queue}}
+ * in templates and as "inputs.agent_id" / "vars.x" in input mappings.
+ *
+ * WHERE INPUT VALUES COME FROM:
+ * ─────────────────────────────────────────────────────────────────────────────
+ * - Manual runs (POST /api/executions, POST /api/executions/trigger):
+ *   request body `inputs`, checked with resolvePlaybookInputs() and rejected
+ *   with INVALID_INPUTS before an execution is created
+ * - Sub-playbooks: the playbook step's resolved input, keys the child does
+ *   not declare are ignored
+ * - Scheduled runs: the schedule's `inputs`, checked when the schedule is
+ *   saved (see services/playbook-schedule-service.js)
+ * - Alert-triggered runs: declared defaults only
+ *
+ * Resolved values are persisted on execution.inputs, so resumes, reruns and
+ * recovery see the same values the run started with.
+ *
+ * VERSION: 1.0.0
+ * AUTHOR: CyberSentinel SOAR Team
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const INPUT_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+
+// Names must be usable as a template path segment ({{inputs.<name>}})
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const DECLARATION_KEYS = ['type', 'required', 'default', 'enum', 'pattern', 'min', 'max', 'description'];
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    default: return false;
+  }
+}
+
+/**
+ * Check one value against its declaration. Returns an error message, or
+ * null when the value is acceptable.
+ */
+function checkValue(value, decl) {
+  if (!matchesType(value, decl.type)) {
+    return `must be of type ${decl.type}`;
+  }
+
+  if (Array.isArray(decl.enum) && !decl.enum.some(allowed => allowed === value)) {
+    return `must be one of: ${decl.enum.join(', ')}`;
+  }
+
+  if (decl.pattern && typeof value === 'string' && !new RegExp(decl.pattern).test(value)) {
+    return `must match pattern ${decl.pattern}`;
+  }
+
+  if (typeof value === 'number') {
+    if (typeof decl.min === 'number' && value < decl.min) return `must be >= ${decl.min}`;
+    if (typeof decl.max === 'number' && value > decl.max) return `must be <= ${decl.max}`;
+  }
+
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DECLARATION VALIDATION (PLAYBOOK SAVE)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validate a playbook `inputs` declaration block.
+ *
+ * @param {Object} inputs - DSL `inputs` (name → declaration)
+ * @returns {Array<{input: string|null, message: string}>} Problems found
+ */
+export function validateInputDeclarations(inputs) {
+  if (!isPlainObject(inputs)) {
+    return [{ input: null, message: 'inputs must be an object keyed by input name' }];
+  }
+
+  const problems = [];
+
+  for (const [name, decl] of Object.entries(inputs)) {
+    const add = (message) => problems.push({ input: name, message });
+
+    if (!NAME_PATTERN.test(name)) {
+      add(`Input name '${name}' must start with a letter or underscore and contain only letters, digits and underscores`);
+      continue;
+    }
+
+    if (!isPlainObject(decl)) {
+      add(`Input '${name}' must be an object`);
+      continue;
+    }
+
+    const unknownKeys = Object.keys(decl).filter(k => !DECLARATION_KEYS.includes(k));
+    if (unknownKeys.length > 0) {
+      add(`Input '${name}' has unknown field(s): ${unknownKeys.join(', ')}`);
+    }
+
+    if (!INPUT_TYPES.includes(decl.type)) {
+      add(`Input '${name}' has invalid type '${decl.type}'. Valid types: ${INPUT_TYPES.join(', ')}`);
+      continue;
+    }
+
+    if (decl.required !== undefined && typeof decl.required !== 'boolean') {
+      add(`Input '${name}' required must be a boolean`);
+    }
+
+    if (decl.enum !== undefined && (!Array.isArray(decl.enum) || decl.enum.length === 0)) {
+      add(`Input '${name}' enum must be a non-empty array`);
+    }
+
+    if (decl.pattern !== undefined) {
+      if (decl.type !== 'string') {
+        add(`Input '${name}' pattern is only allowed on string inputs`);
+      } else {
+        try {
+          new RegExp(decl.pattern);
+        } catch (error) {
+          add(`Input '${name}' pattern is not a valid regular expression: ${error.message}`);
+        }
+      }
+    }
+
+    for (const bound of ['min', 'max']) {
+      if (decl[bound] === undefined) continue;
+      if (decl.type !== 'number' && decl.type !== 'integer') {
+        add(`Input '${name}' ${bound} is only allowed on number and integer inputs`);
+      } else if (typeof decl[bound] !== 'number') {
+        add(`Input '${name}' ${bound} must be a number`);
+      }
+    }
+
+    if (decl.default !== undefined) {
+      const problem = checkValue(decl.default, decl);
+      if (problem) {
+        add(`Input '${name}' default ${problem}`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a playbook `vars` block: an object of constants keyed by name.
+ *
+ * @param {Object} vars - DSL `vars`
+ * @returns {Array<{var: string|null, message: string}>} Problems found
+ */
+export function validateVars(vars) {
+  if (!isPlainObject(vars)) {
+    return [{ var: null, message: 'vars must be an object keyed by variable name' }];
+  }
+
+  return Object.keys(vars)
+    .filter(name => !NAME_PATTERN.test(name))
+    .map(name => ({
+      var: name,
+      message: `Variable name '${name}' must start with a letter or underscore and contain only letters, digits and underscores`
+    }));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RESOLUTION (EXECUTION START)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Apply declared defaults without checking anything else. Used for runs
+ * that cannot supply inputs (alert-triggered executions).
+ *
+ * @param {Object} [declared] - DSL `inputs`
+ * @returns {Object} name → default value
+ */
+export function applyInputDefaults(declared) {
+  const values = {};
+  if (!isPlainObject(declared)) return values;
+
+  for (const [name, decl] of Object.entries(declared)) {
+    if (isPlainObject(decl) && decl.default !== undefined) {
+      values[name] = decl.default;
+    }
+  }
+  return values;
+}
+
+/**
+ * Check provided input values against the playbook declaration and fill in
+ * defaults.
+ *
+ * @param {Object} [declared] - DSL `inputs`
+ * @param {Object} [provided] - Values supplied by the caller
+ * @param {Object} [options]
+ * @param {boolean} [options.allowUnknown=false] - Ignore undeclared keys
+ *   instead of rejecting them (sub-playbook step input)
+ * @returns {Object} Resolved inputs
+ * @throws {Error} code INVALID_INPUTS, with `details` listing every problem
+ */
+export function resolvePlaybookInputs(declared, provided, { allowUnknown = false } = {}) {
+  const declarations = isPlainObject(declared) ? declared : {};
+  const problems = [];
+
+  if (provided != null && !isPlainObject(provided)) {
+    const error = new Error('inputs must be an object');
+    error.code = 'INVALID_INPUTS';
+    error.details = [{ input: null, message: 'inputs must be an object' }];
+    throw error;
+  }
+
+  const values = provided || {};
+
+  if (!allowUnknown) {
+    for (const name of Object.keys(values)) {
+      if (!Object.prototype.hasOwnProperty.call(declarations, name)) {
+        problems.push({ input: name, message: 'is not declared by the playbook' });
+      }
+    }
+  }
+
+  const resolved = {};
+
+  for (const [name, decl] of Object.entries(declarations)) {
+    const value = values[name];
+
+    if (value === undefined || value === null) {
+      if (decl.default !== undefined) {
+        resolved[name] = decl.default;
+      } else if (decl.required) {
+        problems.push({ input: name, message: 'is required' });
+      }
+      continue;
+    }
+
+    const problem = checkValue(value, decl);
+    if (problem) {
+      problems.push({ input: name, message: problem });
+    } else {
+      resolved[name] = value;
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(
+      `Invalid playbook inputs: ${problems.map(p => (p.input ? `${p.input} ${p.message}` : p.message)).join('; ')}`
+    );
+    error.code = 'INVALID_INPUTS';
+    error.details = problems;
+    throw error;
+  }
+
+  return resolved;
+}
+
+export default {
+  INPUT_TYPES,
+  validateInputDeclarations,
+  validateVars,
+  applyInputDefaults,
+  resolvePlaybookInputs
+};
@@ -20,14 +20,18 @@
 
 import logger from '../utils/logger.js';
 import { normalizeBranchTargets } from './branch-targets.js';
+import { checkTransformExpression } from './transform-functions.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CANONICAL DEFINITIONS
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const VALID_STEP_TYPES = ['enrichment', 'condition', 'approval', 'action', 'notification'];
-const VALID_ON_FAILURE = ['stop', 'continue', 'retry', 'skip'];
+const VALID_STEP_TYPES = ['enrichment', 'condition', 'approval', 'action', 'notification', 'foreach', 'playbook', 'wait', 'transform'];
+const VALID_FOREACH_SUB_STEP_TYPES = ['enrichment', 'action', 'notification'];
+const VALID_ON_FAILURE = ['stop', 'continue', 'retry', 'skip', 'rollback'];
 const VALID_APPROVAL_TIMEOUT_BEHAVIORS = ['fail', 'continue', 'skip'];
+const VALID_RECOVERY_POLICIES = ['resume', 'fail'];
+const LOGICAL_CONDITION_OPERATORS = ['and', 'or', 'not'];
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // VALIDATION RESULT
@@ -82,6 +86,13 @@ export function validatePlaybook(playbook) {
     return result;
   }
 
+  if (playbook.recovery_policy != null && !VALID_RECOVERY_POLICIES.includes(playbook.recovery_policy)) {
+    result.addError('INVALID_RECOVERY_POLICY',
+      `Invalid recovery_policy '${playbook.recovery_policy}'. Allowed: ${VALID_RECOVERY_POLICIES.join(', ')}`,
+      { value: playbook.recovery_policy }
+    );
+  }
+
   // Collect all step_ids for reference validation
   const stepIds = new Set();
   const duplicateIds = new Set();
@@ -104,6 +115,13 @@ export function validatePlaybook(playbook) {
   for (let i = 0; i < playbook.steps.length; i++) {
     const step = playbook.steps[i];
     validateStep(step, i, stepIds, result);
+
+    if (step.type === 'playbook' && playbook.playbook_id && step.playbook_id === playbook.playbook_id) {
+      result.addError('PLAYBOOK_SELF_REFERENCE',
+        `Playbook step ${step.step_id} invokes its own playbook ${playbook.playbook_id}`,
+        { step_id: step.step_id, step_index: i }
+      );
+    }
   }
 
   // Log validation result
@@ -149,6 +167,18 @@ function validateStep(step, index, allStepIds, result) {
     case 'approval':
       validateApprovalStep(step, allStepIds, result);
       break;
+    case 'foreach':
+      validateForeachStep(step, allStepIds, result);
+      break;
+    case 'playbook':
+      validatePlaybookStep(step, result);
+      break;
+    case 'wait':
+      validateWaitStep(step, allStepIds, result);
+      break;
+    case 'transform':
+      validateTransformStep(step, result);
+      break;
     case 'enrichment':
     case 'action':
     case 'notification':
@@ -211,24 +241,7 @@ function validateConditionStep(step, allStepIds, result) {
       stepContext
     );
   } else {
-    if (!step.condition.field) {
-      result.addError('CONDITION_MISSING_FIELD',
-        `Condition step ${step.step_id} missing condition.field`,
-        stepContext
-      );
-    }
-    if (!step.condition.operator) {
-      result.addError('CONDITION_MISSING_OPERATOR',
-        `Condition step ${step.step_id} missing condition.operator`,
-        stepContext
-      );
-    }
-    if (step.condition.value === undefined) {
-      result.addError('CONDITION_MISSING_VALUE',
-        `Condition step ${step.step_id} missing condition.value`,
-        stepContext
-      );
-    }
+    validateConditionExpression(step, step.condition, 'condition', stepContext, result);
   }
 
   // ═══════════════════════════════════════════════════════════════════════════
@@ -272,6 +285,55 @@ function validateConditionStep(step, allStepIds, result) {
   }
 }
 
+/**
+ * Validate a condition expression: a single { field, operator, value }
+ * comparison or a nested and/or/not group of them.
+ */
+function validateConditionExpression(step, condition, path, stepContext, result) {
+  if (!condition || typeof condition !== 'object') {
+    result.addError('CONDITION_INVALID_GROUP',
+      `Condition step ${step.step_id} has invalid ${path}`,
+      { ...stepContext, path }
+    );
+    return;
+  }
+
+  if (LOGICAL_CONDITION_OPERATORS.includes(condition.operator)) {
+    const children = condition.conditions;
+    if (!Array.isArray(children) || children.length === 0 ||
+        (condition.operator === 'not' && children.length !== 1)) {
+      result.addError('CONDITION_INVALID_GROUP',
+        `Condition step ${step.step_id} '${condition.operator}' group at ${path} needs ${condition.operator === 'not' ? 'exactly one condition' : 'at least one condition'}`,
+        { ...stepContext, path }
+      );
+      return;
+    }
+    children.forEach((child, i) => {
+      validateConditionExpression(step, child, `${path}.conditions[${i}]`, stepContext, result);
+    });
+    return;
+  }
+
+  if (!condition.field) {
+    result.addError('CONDITION_MISSING_FIELD',
+      `Condition step ${step.step_id} missing ${path}.field`,
+      { ...stepContext, path }
+    );
+  }
+  if (!condition.operator) {
+    result.addError('CONDITION_MISSING_OPERATOR',
+      `Condition step ${step.step_id} missing ${path}.operator`,
+      { ...stepContext, path }
+    );
+  }
+  if (condition.value === undefined && !['exists', 'not_exists'].includes(condition.operator)) {
+    result.addError('CONDITION_MISSING_VALUE',
+      `Condition step ${step.step_id} missing ${path}.value`,
+      { ...stepContext, path }
+    );
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // APPROVAL STEP VALIDATION (HARDENING #3)
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -374,6 +436,156 @@ function validateApprovalStep(step, allStepIds, result) {
   }
 }
 
+/**
+ * Validate FOREACH step - items source plus a linear sub-sequence of
+ * connector steps with ids unique across the whole playbook
+ */
+function validateForeachStep(step, allStepIds, result) {
+  const stepContext = { step_id: step.step_id, step_type: 'foreach' };
+
+  if (step.items == null || step.items === '') {
+    result.addError('FOREACH_MISSING_ITEMS',
+      `ForEach step ${step.step_id} missing items`,
+      stepContext
+    );
+  }
+
+  if (!Array.isArray(step.steps) || step.steps.length === 0) {
+    result.addError('FOREACH_MISSING_STEPS',
+      `ForEach step ${step.step_id} must define at least one sub-step`,
+      stepContext
+    );
+    return;
+  }
+
+  const subStepIds = new Set();
+  for (const subStep of step.steps) {
+    if (!subStep?.step_id || subStepIds.has(subStep.step_id) || allStepIds.has(subStep.step_id)) {
+      result.addError('FOREACH_INVALID_SUB_STEP',
+        `ForEach step ${step.step_id} has a sub-step with a missing or duplicate step_id '${subStep?.step_id}'`,
+        stepContext
+      );
+      continue;
+    }
+    subStepIds.add(subStep.step_id);
+
+    if (!VALID_FOREACH_SUB_STEP_TYPES.includes(subStep.type)) {
+      result.addError('FOREACH_INVALID_SUB_STEP',
+        `ForEach step ${step.step_id} sub-step ${subStep.step_id} has type '${subStep.type}'. Allowed: ${VALID_FOREACH_SUB_STEP_TYPES.join(', ')}`,
+        { ...stepContext, sub_step_id: subStep.step_id }
+      );
+      continue;
+    }
+
+    validateConnectorStep(subStep, result);
+  }
+}
+
+/**
+ * Validate PLAYBOOK step - target playbook_id and optional pinned version
+ */
+function validatePlaybookStep(step, result) {
+  const stepContext = { step_id: step.step_id, step_type: 'playbook' };
+
+  if (!step.playbook_id) {
+    result.addError('PLAYBOOK_MISSING_PLAYBOOK_ID',
+      `Playbook step ${step.step_id} must define playbook_id`,
+      stepContext
+    );
+  }
+
+  if (step.version != null && (!Number.isInteger(step.version) || step.version < 1)) {
+    result.addError('PLAYBOOK_INVALID_VERSION',
+      `Playbook step ${step.step_id} version must be a positive integer`,
+      { ...stepContext, version: step.version }
+    );
+  }
+}
+
+/**
+ * Validate TRANSFORM step - non-empty set whose expressions call known
+ * functions with a valid argument count
+ */
+function validateTransformStep(step, result) {
+  const stepContext = { step_id: step.step_id, step_type: 'transform' };
+
+  if (!step.set || typeof step.set !== 'object' || Object.keys(step.set).length === 0) {
+    result.addError('TRANSFORM_MISSING_SET',
+      `Transform step ${step.step_id} must define set`,
+      stepContext
+    );
+    return;
+  }
+
+  for (const [key, expression] of Object.entries(step.set)) {
+    for (const issue of checkTransformExpression(expression, `set.${key}`)) {
+      result.addError(issue.code,
+        `Transform step ${step.step_id} ${issue.message}`,
+        { ...stepContext, field: issue.path }
+      );
+    }
+  }
+}
+
+/**
+ * Validate WAIT step - exactly one of duration_seconds / until / wait_for;
+ * wait_for needs webhook_id, timeout_seconds and an explicit on_timeout
+ */
+function validateWaitStep(step, allStepIds, result) {
+  const stepContext = { step_id: step.step_id, step_type: 'wait' };
+
+  const modes = ['duration_seconds', 'until', 'wait_for'].filter(key => step[key] != null);
+  if (modes.length !== 1) {
+    result.addError('WAIT_INVALID_MODE',
+      `Wait step ${step.step_id} must define exactly one of duration_seconds, until, wait_for`,
+      stepContext
+    );
+    return;
+  }
+
+  if (modes[0] === 'duration_seconds' && !(step.duration_seconds > 0)) {
+    result.addError('WAIT_INVALID_DURATION',
+      `Wait step ${step.step_id} duration_seconds must be a positive number`,
+      stepContext
+    );
+  }
+
+  if (modes[0] !== 'wait_for') {
+    return;
+  }
+
+  if (!step.wait_for.webhook_id) {
+    result.addError('WAIT_FOR_MISSING_WEBHOOK',
+      `Wait step ${step.step_id} wait_for must define webhook_id`,
+      stepContext
+    );
+  }
+
+  if (!(step.wait_for.timeout_seconds > 0)) {
+    result.addError('WAIT_FOR_INVALID_TIMEOUT',
+      `Wait step ${step.step_id} wait_for.timeout_seconds must be a positive number`,
+      stepContext
+    );
+  }
+
+  const targets = normalizeBranchTargets(step.on_timeout);
+  if (targets.length === 0) {
+    result.addError('WAIT_MISSING_ON_TIMEOUT',
+      `Wait step ${step.step_id} with wait_for MUST define on_timeout`,
+      stepContext
+    );
+  }
+
+  for (const target of targets) {
+    if (!VALID_APPROVAL_TIMEOUT_BEHAVIORS.includes(target) && target !== '__END__' && !allStepIds.has(target)) {
+      result.addError('WAIT_INVALID_ON_TIMEOUT',
+        `Wait step ${step.step_id} references non-existent step '${target}' in on_timeout`,
+        { ...stepContext, target }
+      );
+    }
+  }
+}
+
 /**
  * Validate connector-based steps (enrichment, action, notification)
  */
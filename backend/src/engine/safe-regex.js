@@ -0,0 +1,226 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — SAFE REGEX
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Regex patterns come from trigger authors and are run against every
+ * incoming alert, so a catastrophic-backtracking pattern would stall
+ * ingestion. Two layers of protection:
+ *
+ * 1. At save time, checkRegexPattern() rejects patterns that are too long,
+ *    do not compile, or nest quantifiers (e.g. (a+)+, (\w*)*, (?:x+y?){2,}),
+ *    the usual source of exponential backtracking.
+ * 2. At evaluation time, safeRegexTest() caps the input length and runs the
+ *    match in a vm context with a time limit (TRIGGER_REGEX_TIMEOUT_MS,
+ *    default 50ms). A timed-out match counts as no match.
+ *    safeRegexExec() / safeRegexReplace() apply the same limits for transform
+ *    functions, which need the match itself; they throw REGEX_TIMEOUT.
+ *
+ * VERSION: 1.0.0
+ * AUTHOR: CyberSentinel SOAR Team
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import vm from 'vm';
+import logger from '../utils/logger.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LIMITS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const MAX_REGEX_PATTERN_LENGTH = 500;
+export const MAX_REGEX_INPUT_LENGTH = 10000;
+export const REGEX_TIMEOUT_MS = parseInt(process.env.TRIGGER_REGEX_TIMEOUT_MS || '50');
+
+const ALLOWED_FLAGS = /^[imsu]*$/;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PATTERN CHECKS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Detect a quantified group that itself contains a quantifier.
+ * Walks the pattern tracking, per open group, whether a quantifier was seen
+ * inside it; escapes and character classes are skipped.
+ */
+function hasNestedQuantifier(pattern) {
+  const groups = [];   // per open group: { quantified: boolean }
+  let inClass = false;
+
+  const isQuantifierAt = (i) => {
+    const ch = pattern[i];
+    return ch === '*' || ch === '+' || ch === '?' || (ch === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(i)));
+  };
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+
+    if (ch === '\\') {
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (ch === ']') inClass = false;
+      continue;
+    }
+    if (ch === '[') {
+      inClass = true;
+      continue;
+    }
+    if (ch === '(') {
+      groups.push({ quantified: false });
+      continue;
+    }
+    if (ch === ')') {
+      const group = groups.pop();
+      // ? after a group only makes it optional; it cannot multiply backtracking
+      const next = pattern[i + 1];
+      if (group?.quantified && next !== undefined && next !== '?' && isQuantifierAt(i + 1)) {
+        return true;
+      }
+      if (group?.quantified && groups.length > 0) {
+        groups[groups.length - 1].quantified = true;
+      }
+      continue;
+    }
+    // A '?' right after '(' is group syntax ((?:, (?=, ...), not a quantifier
+    if (ch === '?' && pattern[i - 1] === '(') {
+      continue;
+    }
+    if (isQuantifierAt(i) && groups.length > 0) {
+      groups[groups.length - 1].quantified = true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check a regex pattern before it is stored.
+ *
+ * @param {string} pattern - Regex source
+ * @param {string} [flags] - Regex flags (i, m, s, u)
+ * @returns {string|null} Error message, or null when the pattern is safe
+ */
+export function checkRegexPattern(pattern, flags = '') {
+  if (typeof pattern !== 'string' || pattern.length === 0) {
+    return 'pattern must be a non-empty string';
+  }
+  if (pattern.length > MAX_REGEX_PATTERN_LENGTH) {
+    return `pattern exceeds ${MAX_REGEX_PATTERN_LENGTH} characters`;
+  }
+  if (typeof flags !== 'string' || !ALLOWED_FLAGS.test(flags)) {
+    return `flags may only contain i, m, s, u`;
+  }
+  try {
+    new RegExp(pattern, flags);
+  } catch (error) {
+    return `invalid regular expression: ${error.message}`;
+  }
+  if (hasNestedQuantifier(pattern)) {
+    return 'nested quantifiers (e.g. (a+)+) can cause catastrophic backtracking';
+  }
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EVALUATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const regexContext = vm.createContext({});
+const regexScript = new vm.Script('regex.test(input)');
+const execScript = new vm.Script('regex.exec(input)');
+const replaceScript = new vm.Script('input.replace(regex, replacement)');
+
+/**
+ * Run a script against regex / input in the sandbox with the time limit
+ */
+function runLimited(script, regex, value, replacement = null) {
+  regexContext.regex = regex;
+  regexContext.input = String(value).slice(0, MAX_REGEX_INPUT_LENGTH);
+  regexContext.replacement = replacement;
+
+  try {
+    return script.runInContext(regexContext, { timeout: REGEX_TIMEOUT_MS });
+  } finally {
+    regexContext.regex = null;
+    regexContext.input = null;
+    regexContext.replacement = null;
+  }
+}
+
+function regexTimeout(regex, error) {
+  logger.warn(`[SafeRegex] ${regex} aborted: ${error.message}`);
+  const timeout = new Error(`Regex ${regex} exceeded ${REGEX_TIMEOUT_MS}ms`);
+  timeout.code = 'REGEX_TIMEOUT';
+  return timeout;
+}
+
+/**
+ * Test a value against a pattern with input and time limits.
+ *
+ * @param {string} pattern - Regex source (already checked at save time)
+ * @param {string} flags - Regex flags
+ * @param {*} value - Strings and numbers are tested; anything else is no match
+ * @returns {boolean}
+ */
+export function safeRegexTest(pattern, flags, value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return false;
+
+  let regex;
+  try {
+    regex = new RegExp(pattern, flags || '');
+  } catch {
+    return false;
+  }
+
+  try {
+    return runLimited(regexScript, regex, value) === true;
+  } catch (error) {
+    logger.warn(`[SafeRegex] /${pattern}/ aborted: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * regex.exec() with input and time limits.
+ *
+ * @param {RegExp} regex
+ * @param {string} value
+ * @returns {Array|null} Match
+ * @throws {Error} code REGEX_TIMEOUT
+ */
+export function safeRegexExec(regex, value) {
+  try {
+    return runLimited(execScript, regex, value);
+  } catch (error) {
+    throw regexTimeout(regex, error);
+  }
+}
+
+/**
+ * String.replace() with input and time limits.
+ *
+ * @param {RegExp} regex
+ * @param {string} value
+ * @param {string} replacement - May reference groups ($1, $<name>)
+ * @returns {string}
+ * @throws {Error} code REGEX_TIMEOUT
+ */
+export function safeRegexReplace(regex, value, replacement) {
+  try {
+    return runLimited(replaceScript, regex, value, replacement);
+  } catch (error) {
+    throw regexTimeout(regex, error);
+  }
+}
+
+export default {
+  MAX_REGEX_PATTERN_LENGTH,
+  MAX_REGEX_INPUT_LENGTH,
+  REGEX_TIMEOUT_MS,
+  checkRegexPattern,
+  safeRegexTest,
+  safeRegexExec,
+  safeRegexReplace
+};
@@ -0,0 +1,409 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — TRANSFORM FUNCTIONS
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Fixed function library for `transform` steps. Playbooks reshape data by
+ * naming a function and its arguments — there is no expression language and
+ * no way to run arbitrary code.
+ *
+ * EXPRESSION FORMAT:
+ * ─────────────────────────────────────────────────────────────────────────────
+ *   "trigger_data.agent.name"             → value at that path (copy)
+ *   "literal:value"                        → literal (same rules as inputs)
+ *   42, true, null, [..], {..}             → used as-is
+ *   { fn: "lower", args: [<expr>, ...] }   → function call; args are
+ *                                            expressions, so calls nest
+ *
+ * Inside a transform step, keys set earlier in the same step are visible
+ * as "output.<key>".
+ *
+ * FUNCTIONS:
+ * ─────────────────────────────────────────────────────────────────────────────
+ *   string: lower, upper, trim, concat, split, replace, substring, to_string
+ *   regex:  regex_extract, regex_test, regex_replace
+ *   url:    url_parse
+ *   math:   to_number, add, subtract, multiply, divide, round, abs, min, max, sum
+ *   array:  list, length, first, last, unique, compact, flatten, join, pluck,
+ *           includes, sort, slice
+ *   date:   now, to_iso, to_epoch, date_add, date_diff, date_format
+ *   json:   json_path, json_parse, json_stringify
+ *   misc:   coalesce
+ *
+ * VERSION: 1.0.0
+ * AUTHOR: CyberSentinel SOAR Team
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { resolveValue, resolveJsonPath, formatDate } from './input-resolver.js';
+import { checkRegexPattern, safeRegexExec, safeRegexReplace } from './safe-regex.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LIMITS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Nested { fn } calls allowed inside one expression
+export const MAX_TRANSFORM_DEPTH = 10;
+
+// Functions whose second argument is a regex pattern
+const REGEX_FUNCTIONS = ['regex_extract', 'regex_test', 'regex_replace'];
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function transformError(message, code = 'TRANSFORM_FAILED') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function str(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function num(value) {
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function arr(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Patterns come from playbook authors (or alert fields), inputs from alerts:
+// checked like trigger regexes and run with the safe-regex time limit
+function regex(pattern, flags = '') {
+  const problem = checkRegexPattern(pattern);
+  if (problem) {
+    throw transformError(`Invalid regex: ${problem}`);
+  }
+  return new RegExp(pattern, flags);
+}
+
+function regexCall(operation) {
+  try {
+    return operation();
+  } catch (error) {
+    throw transformError(error.message, error.code || 'TRANSFORM_FAILED');
+  }
+}
+
+function toDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? value : new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+const DATE_UNITS_MS = {
+  ms: 1,
+  seconds: 1000,
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000
+};
+
+function parseUrl(value) {
+  const raw = str(value).trim();
+  if (!raw) return null;
+  try {
+    // Bare hosts ("evil.example/path") are common in alerts
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `http://${raw}`);
+    return {
+      scheme: url.protocol.replace(/:$/, ''),
+      domain: url.hostname,
+      port: url.port ? parseInt(url.port, 10) : null,
+      path: url.pathname,
+      query: url.search.replace(/^\?/, ''),
+      fragment: url.hash.replace(/^#/, '')
+    };
+  } catch {
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FUNCTION LIBRARY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * name → { min, max, fn }. min/max bound the argument count (max null = any).
+ * Functions receive already-evaluated arguments and must not throw on
+ * missing data — they return null instead, so a transform does not fail
+ * just because an optional alert field is absent.
+ */
+export const TRANSFORM_FUNCTIONS = Object.freeze({
+  // ─── String ────────────────────────────────────────────────────────────────
+  lower: { min: 1, max: 1, fn: v => (v == null ? null : str(v).toLowerCase()) },
+  upper: { min: 1, max: 1, fn: v => (v == null ? null : str(v).toUpperCase()) },
+  trim: { min: 1, max: 1, fn: v => (v == null ? null : str(v).trim()) },
+  concat: { min: 1, max: null, fn: (...parts) => parts.map(str).join('') },
+  split: { min: 2, max: 3, fn: (v, sep, limit) => (v == null ? [] : str(v).split(str(sep), limit ?? undefined)) },
+  replace: { min: 3, max: 3, fn: (v, search, replacement) => (v == null ? null : str(v).split(str(search)).join(str(replacement))) },
+  substring: { min: 2, max: 3, fn: (v, start, end) => (v == null ? null : str(v).substring(num(start) ?? 0, end == null ? undefined : num(end))) },
+  to_string: { min: 1, max: 1, fn: v => (v == null ? null : str(v)) },
+
+  // ─── Regex ─────────────────────────────────────────────────────────────────
+  // regex_extract(value, pattern, group = 1 if the pattern has one, else 0)
+  // group may be a number or a named group
+  regex_extract: {
+    min: 2, max: 3,
+    fn: (v, pattern, group) => {
+      if (v == null) return null;
+      const match = regexCall(() => safeRegexExec(regex(pattern), str(v)));
+      if (!match) return null;
+      if (group === undefined || group === null) {
+        return match.length > 1 ? (match[1] ?? null) : match[0];
+      }
+      return (typeof group === 'number' ? match[group] : match.groups?.[group]) ?? null;
+    }
+  },
+  regex_test: { min: 2, max: 2, fn: (v, pattern) => v != null && regexCall(() => safeRegexExec(regex(pattern), str(v))) !== null },
+  regex_replace: { min: 3, max: 3, fn: (v, pattern, replacement) => (v == null ? null : regexCall(() => safeRegexReplace(regex(pattern, 'g'), str(v), str(replacement)))) },
+
+  // ─── URL ───────────────────────────────────────────────────────────────────
+  // → { scheme, domain, port, path, query, fragment } or null
+  url_parse: { min: 1, max: 1, fn: parseUrl },
+
+  // ─── Math ──────────────────────────────────────────────────────────────────
+  to_number: { min: 1, max: 1, fn: num },
+  add: { min: 2, max: null, fn: (...values) => values.reduce((total, v) => total + (num(v) ?? 0), 0) },
+  subtract: { min: 2, max: 2, fn: (a, b) => (num(a) ?? 0) - (num(b) ?? 0) },
+  multiply: { min: 2, max: null, fn: (...values) => values.reduce((total, v) => total * (num(v) ?? 0), 1) },
+  divide: { min: 2, max: 2, fn: (a, b) => (num(b) ? (num(a) ?? 0) / num(b) : null) },
+  round: {
+    min: 1, max: 2,
+    fn: (v, decimals) => {
+      const n = num(v);
+      if (n === null) return null;
+      const factor = 10 ** (num(decimals) ?? 0);
+      return Math.round(n * factor) / factor;
+    }
+  },
+  abs: { min: 1, max: 1, fn: v => (num(v) === null ? null : Math.abs(num(v))) },
+  // min/max/sum accept values and/or arrays: max(a, b) or max([a, b])
+  min: { min: 1, max: null, fn: (...values) => { const ns = values.flat().map(num).filter(n => n !== null); return ns.length ? Math.min(...ns) : null; } },
+  max: { min: 1, max: null, fn: (...values) => { const ns = values.flat().map(num).filter(n => n !== null); return ns.length ? Math.max(...ns) : null; } },
+  sum: { min: 1, max: null, fn: (...values) => values.flat().map(num).filter(n => n !== null).reduce((a, b) => a + b, 0) },
+
+  // ─── Array ─────────────────────────────────────────────────────────────────
+  list: { min: 0, max: null, fn: (...values) => values },
+  length: { min: 1, max: 1, fn: v => (v == null ? 0 : (Array.isArray(v) || typeof v === 'string' ? v.length : (typeof v === 'object' ? Object.keys(v).length : 1))) },
+  first: { min: 1, max: 1, fn: v => arr(v)[0] ?? null },
+  last: { min: 1, max: 1, fn: v => arr(v).at(-1) ?? null },
+  unique: {
+    min: 1, max: 1,
+    fn: (v) => {
+      const seen = new Set();
+      return arr(v).filter((item) => {
+        const key = typeof item === 'object' && item !== null ? JSON.stringify(item) : `${typeof item}:${item}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+  },
+  // Drop null, undefined and empty strings
+  compact: { min: 1, max: 1, fn: v => arr(v).filter(item => item !== null && item !== undefined && item !== '') },
+  flatten: { min: 1, max: 1, fn: v => arr(v).flat(Infinity) },
+  join: { min: 1, max: 2, fn: (v, sep) => arr(v).map(str).join(sep == null ? ',' : str(sep)) },
+  // pluck(array, path) → the value at `path` in each element
+  pluck: { min: 2, max: 2, fn: (v, path) => arr(v).map(item => resolveJsonPath(item, str(path)) ?? null) },
+  includes: { min: 2, max: 2, fn: (v, item) => (Array.isArray(v) ? v.includes(item) : str(v).includes(str(item))) },
+  sort: {
+    min: 1, max: 2,
+    fn: (v, order) => {
+      const sorted = [...arr(v)].sort((a, b) =>
+        (typeof a === 'number' && typeof b === 'number') ? a - b : str(a).localeCompare(str(b))
+      );
+      return order === 'desc' ? sorted.reverse() : sorted;
+    }
+  },
+  slice: { min: 2, max: 3, fn: (v, start, end) => arr(v).slice(num(start) ?? 0, end == null ? undefined : num(end)) },
+
+  // ─── Date (UTC) ────────────────────────────────────────────────────────────
+  now: { min: 0, max: 0, fn: () => new Date().toISOString() },
+  to_iso: { min: 1, max: 1, fn: v => toDate(v)?.toISOString() ?? null },
+  to_epoch: { min: 1, max: 1, fn: v => { const d = toDate(v); return d ? Math.floor(d.getTime() / 1000) : null; } },
+  // date_add(date, amount, unit = 'seconds') → ISO string
+  date_add: {
+    min: 2, max: 3,
+    fn: (v, amount, unit = 'seconds') => {
+      const date = toDate(v);
+      const unitMs = DATE_UNITS_MS[unit];
+      if (!date || num(amount) === null) return null;
+      if (!unitMs) throw transformError(`Unknown date unit '${unit}'. Valid: ${Object.keys(DATE_UNITS_MS).join(', ')}`);
+      return new Date(date.getTime() + num(amount) * unitMs).toISOString();
+    }
+  },
+  // date_diff(a, b, unit = 'seconds') → a - b
+  date_diff: {
+    min: 2, max: 3,
+    fn: (a, b, unit = 'seconds') => {
+      const da = toDate(a);
+      const db = toDate(b);
+      const unitMs = DATE_UNITS_MS[unit];
+      if (!da || !db) return null;
+      if (!unitMs) throw transformError(`Unknown date unit '${unit}'. Valid: ${Object.keys(DATE_UNITS_MS).join(', ')}`);
+      return (da.getTime() - db.getTime()) / unitMs;
+    }
+  },
+  date_format: { min: 1, max: 2, fn: (v, pattern) => formatDate(v, pattern ?? 'iso') },
+
+  // ─── JSON ──────────────────────────────────────────────────────────────────
+  // json_path(value, "$.a.b[0]") — same syntax as output_mapping
+  json_path: { min: 2, max: 2, fn: (v, path) => (v == null ? null : resolveJsonPath(v, str(path)) ?? null) },
+  json_parse: {
+    min: 1, max: 1,
+    fn: (v) => {
+      if (typeof v !== 'string') return v ?? null;
+      try {
+        return JSON.parse(v);
+      } catch {
+        return null;
+      }
+    }
+  },
+  json_stringify: { min: 1, max: 1, fn: v => JSON.stringify(v ?? null) },
+
+  // ─── Misc ──────────────────────────────────────────────────────────────────
+  // First argument that is not null/undefined/''
+  coalesce: { min: 1, max: null, fn: (...values) => values.find(v => v !== null && v !== undefined && v !== '') ?? null }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EVALUATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function isCall(expression) {
+  return !!expression && typeof expression === 'object' && !Array.isArray(expression) &&
+    typeof expression.fn === 'string';
+}
+
+/**
+ * Evaluate one transform expression against a context.
+ *
+ * @param {*} expression - Path string, literal, or { fn, args }
+ * @param {object} context - Execution context (plus `output` for the step)
+ * @param {number} [depth=0]
+ * @returns {*} Result
+ */
+export function evaluateTransformExpression(expression, context, depth = 0) {
+  if (!isCall(expression)) {
+    const value = resolveValue(expression, context);
+    return value === undefined ? null : value;
+  }
+
+  if (depth >= MAX_TRANSFORM_DEPTH) {
+    throw transformError(`Transform nesting exceeds ${MAX_TRANSFORM_DEPTH} levels`);
+  }
+
+  const definition = TRANSFORM_FUNCTIONS[expression.fn];
+  if (!definition) {
+    throw transformError(`Unknown transform function '${expression.fn}'`, 'TRANSFORM_UNKNOWN_FUNCTION');
+  }
+
+  const args = (expression.args ?? []).map(arg => evaluateTransformExpression(arg, context, depth + 1));
+  return definition.fn(...args);
+}
+
+/**
+ * Evaluate a transform step's `set` map in declaration order. Each key can
+ * read the keys before it as "output.<key>".
+ *
+ * @param {object} set - key → expression
+ * @param {object} context - Execution context
+ * @returns {object} key → value (the step output)
+ */
+export function applyTransforms(set, context) {
+  const output = {};
+  const scope = { ...context, output };
+
+  for (const [key, expression] of Object.entries(set)) {
+    try {
+      output[key] = evaluateTransformExpression(expression, scope);
+    } catch (error) {
+      const wrapped = transformError(`Transform '${key}' failed: ${error.message}`, error.code || 'TRANSFORM_FAILED');
+      wrapped.transform_key = key;
+      throw wrapped;
+    }
+  }
+
+  return output;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Statically check an expression: known functions, argument counts, depth,
+ * literal regex patterns.
+ * Shared by both playbook validators.
+ *
+ * @param {*} expression
+ * @param {string} path - Location for messages, e.g. "set.hostname"
+ * @returns {Array<{code: string, path: string, message: string}>}
+ */
+export function checkTransformExpression(expression, path, depth = 0) {
+  if (!isCall(expression)) {
+    if (expression && typeof expression === 'object' && !Array.isArray(expression) && 'fn' in expression) {
+      return [{ code: 'TRANSFORM_INVALID_EXPRESSION', path, message: `${path}: fn must be a function name` }];
+    }
+    return [];
+  }
+
+  if (depth >= MAX_TRANSFORM_DEPTH) {
+    return [{ code: 'TRANSFORM_INVALID_EXPRESSION', path, message: `${path}: nesting exceeds ${MAX_TRANSFORM_DEPTH} levels` }];
+  }
+
+  const definition = TRANSFORM_FUNCTIONS[expression.fn];
+  if (!definition) {
+    return [{
+      code: 'TRANSFORM_UNKNOWN_FUNCTION',
+      path,
+      message: `${path}: unknown function '${expression.fn}'. Valid functions: ${Object.keys(TRANSFORM_FUNCTIONS).join(', ')}`
+    }];
+  }
+
+  if (expression.args !== undefined && !Array.isArray(expression.args)) {
+    return [{ code: 'TRANSFORM_INVALID_EXPRESSION', path, message: `${path}: args must be an array` }];
+  }
+
+  const args = expression.args ?? [];
+  const issues = [];
+  if (args.length < definition.min || (definition.max !== null && args.length > definition.max)) {
+    const expected = definition.max === null ? `at least ${definition.min}`
+      : (definition.min === definition.max ? `${definition.min}` : `${definition.min}-${definition.max}`);
+    issues.push({
+      code: 'TRANSFORM_INVALID_ARGS',
+      path,
+      message: `${path}: ${expression.fn}() takes ${expected} argument(s), got ${args.length}`
+    });
+  }
+
+  // A literal pattern is checked now; one read from data is checked when it runs
+  if (REGEX_FUNCTIONS.includes(expression.fn) && typeof args[1] === 'string' && args[1].startsWith('literal:')) {
+    const problem = checkRegexPattern(args[1].substring(8));
+    if (problem) {
+      issues.push({ code: 'TRANSFORM_INVALID_REGEX', path: `${path}.args[1]`, message: `${path}: ${expression.fn}() pattern ${problem}` });
+    }
+  }
+
+  args.forEach((arg, i) => {
+    issues.push(...checkTransformExpression(arg, `${path}.args[${i}]`, depth + 1));
+  });
+
+  return issues;
+}
+
+export default {
+  TRANSFORM_FUNCTIONS,
+  MAX_TRANSFORM_DEPTH,
+  evaluateTransformExpression,
+  applyTransforms,
+  checkTransformExpression
+};
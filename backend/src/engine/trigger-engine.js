@@ -8,7 +8,8 @@
  *
  * DESIGN PRINCIPLES:
  * ─────────────────────────────────────────────────────────────────────────────
- * 1. DECLARATIVE ONLY - No regex scripting, no inline JS
+ * 1. DECLARATIVE ONLY - No inline JS; regex only via matches_regex, which is
+ *    checked at save time and time-limited at evaluation (engine/safe-regex.js)
  * 2. FAIL SAFE - Evaluation errors drop the alert, never execute
  * 3. DETERMINISTIC - Same input always produces same output
  * 4. EFFICIENT - Short-circuit evaluation where possible
@@ -19,13 +20,39 @@
  * contains, not_contains, starts_with, ends_with
  * in, not_in, array_contains, array_contains_any
  * exists, not_exists
+ * matches_regex, in_cidr, not_in_cidr, between, length_gt, time_window
+ *
+ * VALUE FORMATS (new operators):
+ * ─────────────────────────────────────────────────────────────────────────────
+ * matches_regex  "pattern" or { pattern, flags } (flags: i, m, s, u)
+ * in_cidr        "10.0.0.0/8" or ["10.0.0.0/8", "2001:db8::/32", "1.2.3.4"]
+ * not_in_cidr    same; a field that is not a valid IP never matches
+ * between        [min, max], inclusive, numeric fields only
+ * length_gt      N; string length or array size greater than N
+ * time_window    { start: "08:00", end: "18:00", days?: ["mon".."sun"],
+ *                  timezone?: "UTC" | IANA name, outside?: boolean }
+ *                start > end wraps past midnight; outside: true matches
+ *                everything NOT in the window (e.g. outside business hours).
+ *                Field is a timestamp (ISO string, epoch s or ms).
+ *
+ * CONDITION GROUPS:
+ * ─────────────────────────────────────────────────────────────────────────────
+ * A condition may be a group { match: 'ALL'|'ANY', negate?, conditions: [...] }
+ * (see models/trigger.js). Groups short-circuit like the top level and
+ * negate: true inverts the group's result. condition_results mirrors the
+ * tree: leaves as { field, operator, expected, actual, field_found,
+ * partial_path, matched }, groups as { group: true, match, negate, matched,
+ * conditions: [...] }. Conditions skipped by short-circuit are omitted.
+ * conditions_evaluated / conditions_matched count leaves only.
  *
  * VERSION: 1.0.0
  * AUTHOR: CyberSentinel SOAR Team
  * ══════════════════════════════════════════════════════════════════════════════
  */
 
-import { TriggerOperator, MatchMode } from '../models/trigger.js';
+import net from 'net';
+import { TriggerOperator, MatchMode, MAX_CONDITION_DEPTH, AggregationLimits, DedupWindowLimits, isConditionGroup } from '../models/trigger.js';
+import { checkRegexPattern, safeRegexTest } from './safe-regex.js';
 import logger from '../utils/logger.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -50,8 +77,8 @@ export class TriggerEvaluationResult {
     result.matched = true;
     result.trigger_id = trigger.trigger_id;
     result.playbook_id = trigger.playbook_id;
-    result.conditions_evaluated = conditionResults.length;
-    result.conditions_matched = conditionResults.filter(c => c.matched).length;
+    result.conditions_evaluated = countLeafResults(conditionResults);
+    result.conditions_matched = countLeafResults(conditionResults, true);
     result.evaluation_ms = evaluationMs;
     result.decision = 'matched';
     result.condition_results = conditionResults;
@@ -63,8 +90,8 @@ export class TriggerEvaluationResult {
     result.matched = false;
     result.trigger_id = trigger?.trigger_id || null;
     result.playbook_id = trigger?.playbook_id || null;
-    result.conditions_evaluated = conditionResults?.length || 0;
-    result.conditions_matched = conditionResults?.filter(c => c.matched).length || 0;
+    result.conditions_evaluated = countLeafResults(conditionResults);
+    result.conditions_matched = countLeafResults(conditionResults, true);
     result.evaluation_ms = evaluationMs;
     result.decision = 'dropped';
     result.drop_reason = reason;
@@ -73,6 +100,22 @@ export class TriggerEvaluationResult {
   }
 }
 
+/**
+ * Count leaf results in a (possibly nested) condition_results array,
+ * optionally only those that matched
+ */
+function countLeafResults(conditionResults, matchedOnly = false) {
+  let count = 0;
+  for (const entry of conditionResults || []) {
+    if (entry.group) {
+      count += countLeafResults(entry.conditions, matchedOnly);
+    } else if (!matchedOnly || entry.matched) {
+      count++;
+    }
+  }
+  return count;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // HARDENING: Field Path Resolution Result
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -184,6 +227,191 @@ export function resolveFieldPathLegacy(path, alert) {
   return result.found ? result.value : undefined;
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// OPERATOR HELPERS (regex, CIDR, time window)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function regexSpec(conditionValue) {
+  return typeof conditionValue === 'string'
+    ? { pattern: conditionValue, flags: '' }
+    : { pattern: conditionValue?.pattern, flags: conditionValue?.flags || '' };
+}
+
+function ipFamily(address) {
+  const version = net.isIP(address);
+  return version === 4 ? 'ipv4' : version === 6 ? 'ipv6' : null;
+}
+
+/**
+ * Parse "a.b.c.d/nn", "x::/nn" or a bare address into { network, prefix, family }.
+ * Returns null when invalid.
+ */
+function parseCidr(cidr) {
+  if (typeof cidr !== 'string') return null;
+  const [network, prefixText, extra] = cidr.trim().split('/');
+  const family = ipFamily(network);
+  if (!family || extra !== undefined) return null;
+
+  const maxPrefix = family === 'ipv4' ? 32 : 128;
+  if (prefixText === undefined) return { network, prefix: maxPrefix, family };
+  if (!/^\d{1,3}$/.test(prefixText) || parseInt(prefixText, 10) > maxPrefix) return null;
+  return { network, prefix: parseInt(prefixText, 10), family };
+}
+
+// CIDR lists are small and repeat for every alert: cache the built BlockList
+const cidrListCache = new Map();
+const MAX_CIDR_CACHE = 500;
+
+function cidrBlockList(conditionValue) {
+  const cidrs = Array.isArray(conditionValue) ? conditionValue : [conditionValue];
+  const key = JSON.stringify(cidrs);
+  let list = cidrListCache.get(key);
+
+  if (!list) {
+    list = new net.BlockList();
+    for (const cidr of cidrs) {
+      const parsed = parseCidr(cidr);
+      if (parsed) list.addSubnet(parsed.network, parsed.prefix, parsed.family);
+    }
+    if (cidrListCache.size >= MAX_CIDR_CACHE) cidrListCache.clear();
+    cidrListCache.set(key, list);
+  }
+  return list;
+}
+
+/**
+ * Whether an IP field value falls in any of the CIDRs.
+ * Returns null when the field value is not an IP address.
+ */
+function ipInCidrs(fieldValue, conditionValue) {
+  if (typeof fieldValue !== 'string') return null;
+  const address = fieldValue.trim();
+  const family = ipFamily(address);
+  if (!family) return null;
+  return cidrBlockList(conditionValue).check(address, family);
+}
+
+function toTimestamp(value) {
+  if (typeof value === 'number') {
+    // Epoch seconds vs milliseconds
+    return new Date(value < 1e11 ? value * 1000 : value);
+  }
+  if (typeof value === 'string' && value !== '') {
+    return /^\d+$/.test(value) ? toTimestamp(Number(value)) : new Date(value);
+  }
+  return null;
+}
+
+/**
+ * Weekday ('mon') and minutes since midnight of a Date in a time zone.
+ */
+function localTimeParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  return {
+    day: get('weekday').toLowerCase().slice(0, 3),
+    minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+  };
+}
+
+function minutesOf(timeOfDay) {
+  const [, hours, minutes] = TIME_OF_DAY.exec(timeOfDay);
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+function inTimeWindow(fieldValue, window) {
+  const date = toTimestamp(fieldValue);
+  if (!date || isNaN(date.getTime())) return false;
+
+  const { day, minutes } = localTimeParts(date, window.timezone || 'UTC');
+  const start = minutesOf(window.start);
+  const end = minutesOf(window.end);
+
+  // start > end wraps past midnight: 22:00-06:00 → [22:00, 24:00) ∪ [00:00, 06:00)
+  const inTime = start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+  const inDay = !Array.isArray(window.days) || window.days.length === 0 ||
+    window.days.map(d => String(d).toLowerCase()).includes(day);
+
+  const inside = inTime && inDay;
+  return window.outside ? !inside : inside;
+}
+
+/**
+ * Check the condition value shape for operators that need one.
+ *
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateConditionValue(operator, value) {
+  switch (operator) {
+    case TriggerOperator.MATCHES_REGEX: {
+      if (typeof value !== 'string' && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+        return 'must be a regex pattern string or { pattern, flags }';
+      }
+      const { pattern, flags } = regexSpec(value);
+      return checkRegexPattern(pattern, flags);
+    }
+
+    case TriggerOperator.IN_CIDR:
+    case TriggerOperator.NOT_IN_CIDR: {
+      const cidrs = Array.isArray(value) ? value : [value];
+      if (cidrs.length === 0) return 'must be a CIDR or a non-empty array of CIDRs';
+      const invalid = cidrs.filter(c => !parseCidr(c));
+      return invalid.length > 0 ? `invalid CIDR(s): ${invalid.map(c => JSON.stringify(c)).join(', ')}` : null;
+    }
+
+    case TriggerOperator.BETWEEN:
+      if (!Array.isArray(value) || value.length !== 2 ||
+          !value.every(v => typeof v === 'number' && Number.isFinite(v)) || value[0] > value[1]) {
+        return 'must be [min, max] numbers with min <= max';
+      }
+      return null;
+
+    case TriggerOperator.LENGTH_GT:
+      return Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer';
+
+    case TriggerOperator.TIME_WINDOW: {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return 'must be { start, end, days?, timezone?, outside? }';
+      }
+      if (!TIME_OF_DAY.test(value.start || '') || !TIME_OF_DAY.test(value.end || '')) {
+        return 'start and end must be HH:MM (24h)';
+      }
+      if (value.start === value.end) {
+        return 'start and end must differ';
+      }
+      if (value.days !== undefined &&
+          (!Array.isArray(value.days) || !value.days.every(d => WEEKDAYS.includes(String(d).toLowerCase())))) {
+        return `days must be an array of ${WEEKDAYS.join(', ')}`;
+      }
+      if (value.timezone !== undefined) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value.timezone });
+        } catch {
+          return `unknown timezone '${value.timezone}'`;
+        }
+      }
+      if (value.outside !== undefined && typeof value.outside !== 'boolean') {
+        return 'outside must be a boolean';
+      }
+      return null;
+    }
+
+    default:
+      return null;
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONDITION EVALUATORS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -322,6 +550,37 @@ export function evaluateCondition(fieldResult, operator, conditionValue) {
         if (!Array.isArray(fieldValue) || !Array.isArray(conditionValue)) return false;
         return conditionValue.some(cv => fieldValue.some(fv => fv === cv));
 
+      // ─────────────────────────────────────────────────────────────────────────
+      // PATTERN / NETWORK / RANGE
+      // ─────────────────────────────────────────────────────────────────────────
+
+      case TriggerOperator.MATCHES_REGEX: {
+        const { pattern, flags } = regexSpec(conditionValue);
+        return safeRegexTest(pattern, flags, fieldValue);
+      }
+
+      case TriggerOperator.IN_CIDR:
+        return ipInCidrs(fieldValue, conditionValue) === true;
+
+      case TriggerOperator.NOT_IN_CIDR:
+        // Not an IP → no match (never treat garbage as "outside our ranges")
+        return ipInCidrs(fieldValue, conditionValue) === false;
+
+      case TriggerOperator.BETWEEN:
+        if (typeof fieldValue !== 'number' || !Array.isArray(conditionValue)) return false;
+        return fieldValue >= conditionValue[0] && fieldValue <= conditionValue[1];
+
+      case TriggerOperator.LENGTH_GT:
+        if (typeof conditionValue !== 'number') return false;
+        if (typeof fieldValue === 'string' || Array.isArray(fieldValue)) {
+          return fieldValue.length > conditionValue;
+        }
+        return false;
+
+      case TriggerOperator.TIME_WINDOW:
+        if (!conditionValue || typeof conditionValue !== 'object') return false;
+        return inTimeWindow(fieldValue, conditionValue);
+
       // ─────────────────────────────────────────────────────────────────────────
       // UNKNOWN OPERATOR
       // ─────────────────────────────────────────────────────────────────────────
@@ -340,12 +599,72 @@ export function evaluateCondition(fieldResult, operator, conditionValue) {
 // MAIN TRIGGER EVALUATOR
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/**
+ * Evaluate a list of conditions (leaves and groups) in declared order,
+ * short-circuiting per match mode. Results for every evaluated entry are
+ * pushed to `results`.
+ *
+ * @returns {boolean} Whether the list matched (before any negation)
+ */
+function evaluateConditionList(conditions, matchMode, alert, results) {
+  for (const condition of conditions) {
+    let matched;
+
+    if (isConditionGroup(condition)) {
+      const groupResults = [];
+      const groupMatch = condition.match || MatchMode.ALL;
+      const listMatched = evaluateConditionList(condition.conditions, groupMatch, alert, groupResults);
+      matched = condition.negate === true ? !listMatched : listMatched;
+
+      results.push({
+        group: true,
+        match: groupMatch,
+        negate: condition.negate === true,
+        matched,
+        conditions: groupResults
+      });
+    } else {
+      // HARDENING: Use new field resolution that returns found/value/partialPath
+      const fieldResult = resolveFieldPath(condition.field, alert);
+
+      // HARDENING: Evaluate with strict comparison
+      matched = evaluateCondition(fieldResult, condition.operator, condition.value);
+
+      results.push({
+        field: condition.field,
+        operator: condition.operator,
+        expected: condition.value,
+        actual: fieldResult.found ? fieldResult.value : undefined,
+        field_found: fieldResult.found,
+        partial_path: fieldResult.partialPath,
+        matched
+      });
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // HARDENING: Short-circuit evaluation
+    // ═══════════════════════════════════════════════════════════════════════════
+    if (matchMode === MatchMode.ALL && !matched) {
+      // ALL mode: First failure means no match
+      return false;
+    }
+
+    if (matchMode === MatchMode.ANY && matched) {
+      // ANY mode: First success means match
+      return true;
+    }
+  }
+
+  // ALL mode: every condition passed; ANY mode: none matched
+  return matchMode === MatchMode.ALL;
+}
+
 /**
  * Evaluate an alert against a trigger definition (HARDENED)
  *
  * HARDENING RULES:
- * - Conditions evaluated in declared order
- * - Short-circuit evaluation enforced
+ * - Conditions evaluated in declared order, depth-first through groups
+ * - Short-circuit evaluation enforced at every level
  * - Dot-path resolution is exact (partial path → condition fails)
  * - No implicit truthy/falsey coercion
  *
@@ -375,69 +694,115 @@ export function evaluateTrigger(trigger, alert) {
   }
 
   const matchMode = trigger.match || MatchMode.ALL;
+  const matched = evaluateConditionList(trigger.conditions, matchMode, alert, conditionResults);
+  const evaluationMs = Date.now() - startTime;
 
-  // ═══════════════════════════════════════════════════════════════════════════
-  // HARDENING: Evaluate each condition IN DECLARED ORDER
-  // ═══════════════════════════════════════════════════════════════════════════
-  for (let i = 0; i < trigger.conditions.length; i++) {
-    const condition = trigger.conditions[i];
+  if (matched) {
+    return TriggerEvaluationResult.match(trigger, conditionResults, evaluationMs);
+  }
 
-    // HARDENING: Use new field resolution that returns found/value/partialPath
-    const fieldResult = resolveFieldPath(condition.field, alert);
+  return TriggerEvaluationResult.drop(
+    trigger,
+    'NO_TRIGGER_MATCH',
+    conditionResults,
+    evaluationMs
+  );
+}
 
-    // HARDENING: Evaluate with strict comparison
-    const matched = evaluateCondition(fieldResult, condition.operator, condition.value);
+// ═══════════════════════════════════════════════════════════════════════════════
+// TRIGGER VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════════
 
-    conditionResults.push({
-      field: condition.field,
-      operator: condition.operator,
-      expected: condition.value,
-      actual: fieldResult.found ? fieldResult.value : undefined,
-      field_found: fieldResult.found,
-      partial_path: fieldResult.partialPath,
-      matched
-    });
+/**
+ * Validate a list of conditions, recursing into groups
+ */
+function validateConditionList(conditions, path, depth, errors) {
+  conditions.forEach((cond, index) => {
+    const at = `${path}[${index}]`;
 
-    // ═══════════════════════════════════════════════════════════════════════════
-    // HARDENING: Short-circuit evaluation
-    // ═══════════════════════════════════════════════════════════════════════════
-    if (matchMode === MatchMode.ALL && !matched) {
-      // ALL mode: First failure means no match
-      return TriggerEvaluationResult.drop(
-        trigger,
-        'NO_TRIGGER_MATCH',
-        conditionResults,
-        Date.now() - startTime
-      );
+    if (!cond || typeof cond !== 'object' || Array.isArray(cond)) {
+      errors.push(`${at} must be an object`);
+      return;
     }
 
-    if (matchMode === MatchMode.ANY && matched) {
-      // ANY mode: First success means match
-      return TriggerEvaluationResult.match(trigger, conditionResults, Date.now() - startTime);
+    if (isConditionGroup(cond)) {
+      if (depth >= MAX_CONDITION_DEPTH) {
+        errors.push(`${at} nests condition groups deeper than ${MAX_CONDITION_DEPTH} levels`);
+        return;
+      }
+      if (cond.match !== undefined && !Object.values(MatchMode).includes(cond.match)) {
+        errors.push(`${at}.match must be one of: ${Object.values(MatchMode).join(', ')}`);
+      }
+      if (cond.negate !== undefined && typeof cond.negate !== 'boolean') {
+        errors.push(`${at}.negate must be a boolean`);
+      }
+      if (cond.field !== undefined || cond.operator !== undefined) {
+        errors.push(`${at} is a group and cannot also have field or operator`);
+      }
+      if (cond.conditions.length === 0) {
+        errors.push(`${at}.conditions must contain at least one condition`);
+      } else {
+        validateConditionList(cond.conditions, `${at}.conditions`, depth + 1, errors);
+      }
+      return;
     }
+
+    if (cond.conditions !== undefined) {
+      errors.push(`${at}.conditions must be an array`);
+      return;
+    }
+    if (!cond.field) {
+      errors.push(`${at}.field is required`);
+    }
+    if (!cond.operator) {
+      errors.push(`${at}.operator is required`);
+    } else if (!Object.values(TriggerOperator).includes(cond.operator)) {
+      errors.push(`${at}.operator '${cond.operator}' is invalid`);
+    }
+    if (cond.value === undefined && !['exists', 'not_exists'].includes(cond.operator)) {
+      errors.push(`${at}.value is required for operator '${cond.operator}'`);
+    } else if (cond.value !== undefined) {
+      const valueError = validateConditionValue(cond.operator, cond.value);
+      if (valueError) {
+        errors.push(`${at}.value for '${cond.operator}' ${valueError}`);
+      }
+    }
+  });
+}
+
+/**
+ * Validate a trigger `aggregation` block (threshold / correlation)
+ */
+function validateAggregation(aggregation, errors) {
+  if (typeof aggregation !== 'object' || Array.isArray(aggregation)) {
+    errors.push('aggregation must be an object');
+    return;
   }
 
-  // Final decision
-  const evaluationMs = Date.now() - startTime;
+  const isIntegerIn = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
 
-  if (matchMode === MatchMode.ALL) {
-    // ALL conditions passed
-    return TriggerEvaluationResult.match(trigger, conditionResults, evaluationMs);
-  } else {
-    // ANY mode: No condition matched
-    return TriggerEvaluationResult.drop(
-      trigger,
-      'NO_TRIGGER_MATCH',
-      conditionResults,
-      evaluationMs
-    );
+  if (aggregation.group_by !== undefined) {
+    if (!Array.isArray(aggregation.group_by) || aggregation.group_by.some(f => typeof f !== 'string' || !f)) {
+      errors.push('aggregation.group_by must be an array of field paths');
+    } else if (aggregation.group_by.length > AggregationLimits.MAX_GROUP_BY_FIELDS) {
+      errors.push(`aggregation.group_by takes at most ${AggregationLimits.MAX_GROUP_BY_FIELDS} fields`);
+    }
+  }
+  if (!isIntegerIn(aggregation.window_minutes, 1, AggregationLimits.MAX_WINDOW_MINUTES)) {
+    errors.push(`aggregation.window_minutes must be an integer between 1 and ${AggregationLimits.MAX_WINDOW_MINUTES}`);
+  }
+  if (!isIntegerIn(aggregation.threshold, 1, AggregationLimits.MAX_WINDOW_ALERTS)) {
+    errors.push(`aggregation.threshold must be an integer between 1 and ${AggregationLimits.MAX_WINDOW_ALERTS}`);
+  }
+  if (aggregation.distinct_field !== undefined && (typeof aggregation.distinct_field !== 'string' || !aggregation.distinct_field)) {
+    errors.push('aggregation.distinct_field must be a field path');
+  }
+  if (aggregation.cooldown_minutes !== undefined &&
+      !isIntegerIn(aggregation.cooldown_minutes, 0, AggregationLimits.MAX_WINDOW_MINUTES)) {
+    errors.push(`aggregation.cooldown_minutes must be an integer between 0 and ${AggregationLimits.MAX_WINDOW_MINUTES}`);
   }
 }
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// TRIGGER VALIDATION
-// ═══════════════════════════════════════════════════════════════════════════════
-
 /**
  * Validate a trigger definition
  *
@@ -457,19 +822,7 @@ export function validateTriggerDefinition(trigger) {
   } else if (trigger.conditions.length === 0) {
     errors.push('At least one condition is required');
   } else {
-    trigger.conditions.forEach((cond, index) => {
-      if (!cond.field) {
-        errors.push(`conditions[${index}].field is required`);
-      }
-      if (!cond.operator) {
-        errors.push(`conditions[${index}].operator is required`);
-      } else if (!Object.values(TriggerOperator).includes(cond.operator)) {
-        errors.push(`conditions[${index}].operator '${cond.operator}' is invalid`);
-      }
-      if (cond.value === undefined && !['exists', 'not_exists'].includes(cond.operator)) {
-        errors.push(`conditions[${index}].value is required for operator '${cond.operator}'`);
-      }
-    });
+    validateConditionList(trigger.conditions, 'conditions', 0, errors);
   }
 
   // Validate match mode
@@ -477,6 +830,17 @@ export function validateTriggerDefinition(trigger) {
     errors.push(`match must be one of: ${Object.values(MatchMode).join(', ')}`);
   }
 
+  if (trigger.aggregation !== undefined && trigger.aggregation !== null) {
+    validateAggregation(trigger.aggregation, errors);
+  }
+
+  if (trigger.dedup_window_seconds !== undefined &&
+      !(Number.isInteger(trigger.dedup_window_seconds) &&
+        trigger.dedup_window_seconds >= 1 &&
+        trigger.dedup_window_seconds <= DedupWindowLimits.MAX_SECONDS)) {
+    errors.push(`dedup_window_seconds must be an integer between 1 and ${DedupWindowLimits.MAX_SECONDS}`);
+  }
+
   return {
     valid: errors.length === 0,
     errors
@@ -494,5 +858,6 @@ export default {
   resolveFieldPathLegacy,
   evaluateCondition,
   evaluateTrigger,
-  validateTriggerDefinition
+  validateTriggerDefinition,
+  validateConditionValue
 };
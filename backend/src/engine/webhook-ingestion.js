@@ -22,20 +22,43 @@
  *         ↓
  * Event Time Normalization
  *         ↓
+ * Deliver to executions waiting on this webhook (wait_for steps)
+ *         ↓
+ * Router webhook? → steps below once per enabled trigger, in priority order
+ *         ↓         (first_match stops at the first matching trigger)
+ * No trigger? → run the webhook's playbook directly (DIRECT snapshot)
+ *         ↓
  * Fingerprint Check → Duplicate? → DROP (200 OK)
  *         ↓
  * Trigger Evaluation
  *         ↓
  * MATCH?
  *   ├─ NO  → DROP (200 OK, commit offset)
- *   └─ YES → Create Execution + Trigger Snapshot → Pass trigger_data → Engine
+ *   └─ YES → Aggregation trigger? → window below threshold / cooling down → DROP (200 OK)
+ *         ↓
+ *       Flood control (per playbook, then global) → over limit → REJECT (429)
  *         ↓
+ *       Create QUEUED Execution + Trigger Snapshot → Execution queue
+ *         ↓                        (engine starts when a concurrency slot is free)
  * Return 202 Accepted with execution_id
  *
  * IDEMPOTENCY (HARDENED):
  * ─────────────────────────────────────────────────────────────────────────────
  * Fingerprint = SHA256(webhook_id + rule.id + agent.id + event_time_bucket + matched_fields_hash)
- * Event time bucket = floor(normalized_event_time / 60s) * 60
+ * Event time bucket = floor(normalized_event_time / window) * window
+ * window = trigger.dedup_window_seconds (default 60s; router webhooks use the
+ * smallest window among their triggers)
+ *
+ * Fingerprints are claimed in the dedup store (services/dedup-store.js), so
+ * a duplicate is dropped whichever replica receives it, also after a
+ * restart. A claim is held for the window plus a retry grace period; an
+ * alert refused by flood control releases it, so a resend is ingested.
+ *
+ * BATCHES:
+ * ─────────────────────────────────────────────────────────────────────────────
+ * processWebhookBatch() runs the full flow once per alert of a JSON array or
+ * NDJSON body and returns a per-item decision, so the forwarder can commit
+ * offsets per alert.
  *
  * VERSION: 1.1.0 (HARDENED)
  * AUTHOR: CyberSentinel SOAR Team
@@ -43,14 +66,26 @@
  */
 
 import crypto from 'crypto';
-import Webhook, { WebhookStatus } from '../models/webhook.js';
-import Trigger from '../models/trigger.js';
+import Webhook, { WebhookStatus, RoutingMode } from '../models/webhook.js';
+import Trigger, { isConditionGroup, DedupWindowLimits } from '../models/trigger.js';
 import Execution, { ExecutionState, StepState } from '../models/execution.js';
 import PlaybookVersioned from '../models/playbook-v2.js';
+import Playbook from '../models/playbook.js';
 import { evaluateTrigger, resolveFieldPathLegacy } from './trigger-engine.js';
 import { logAction } from '../services/audit-service.js';
 import { incrementMetric } from '../services/metrics-service.js';
 import { applySLAPolicy } from '../services/sla-enforcement-service.js';
+import { deliverAlertToWaits } from '../services/wait-service.js';
+import { getDedupStore } from '../services/dedup-store.js';
+import { parseAlertPayload } from './alert-parsers.js';
+import { buildQueueEntry, requestDispatch } from '../services/execution-queue.js';
+import { resolvePlaybookConnectorIds } from './playbook-connectors.js';
+import { checkFloodControl } from '../middleware/webhook-security.js';
+import {
+  AggregationOutcome,
+  recordAggregatedAlert,
+  buildAggregatedTriggerData
+} from '../services/trigger-aggregation-service.js';
 import logger from '../utils/logger.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -68,30 +103,31 @@ export const DropReason = Object.freeze({
   TRIGGER_DISABLED: 'TRIGGER_DISABLED',           // Trigger is disabled
   INVALID_PAYLOAD: 'INVALID_PAYLOAD',             // Payload not a valid JSON object
   RATE_LIMITED: 'RATE_LIMITED',                   // Request rate limit exceeded
+  FLOOD_CONTROL: 'FLOOD_CONTROL',                 // Execution flood limit (playbook or global) reached
   WEBHOOK_NOT_FOUND: 'WEBHOOK_NOT_FOUND',         // No webhook with this ID
   WEBHOOK_SUSPENDED: 'WEBHOOK_SUSPENDED',         // Webhook auto-suspended for abuse
   NO_TRIGGER_DEFINED: 'NO_TRIGGER_DEFINED',       // No trigger exists for webhook
-  PLAYBOOK_INACTIVE: 'PLAYBOOK_INACTIVE'          // Playbook not active
+  PLAYBOOK_INACTIVE: 'PLAYBOOK_INACTIVE',         // Playbook not active
+  AGGREGATION_PENDING: 'AGGREGATION_PENDING',         // Counted in window, threshold not reached
+  AGGREGATION_SUPPRESSED: 'AGGREGATION_SUPPRESSED',   // Window fired recently (cooldown)
+  AGGREGATION_KEY_MISSING: 'AGGREGATION_KEY_MISSING'  // Alert lacks an aggregation group_by field
+});
+
+// Drop reason for each aggregation outcome that does not start a run
+export const AggregationDropReason = Object.freeze({
+  [AggregationOutcome.BELOW_THRESHOLD]: DropReason.AGGREGATION_PENDING,
+  [AggregationOutcome.SUPPRESSED]: DropReason.AGGREGATION_SUPPRESSED,
+  [AggregationOutcome.GROUP_KEY_MISSING]: DropReason.AGGREGATION_KEY_MISSING
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// FINGERPRINT CACHE (In-Memory with TTL)
+// FINGERPRINT STORE
 // ═══════════════════════════════════════════════════════════════════════════════
 
-// Simple in-memory cache for fingerprints (TTL: 5 minutes)
-const FINGERPRINT_CACHE = new Map();
-const FINGERPRINT_TTL_MS = 5 * 60 * 1000;  // 5 minutes
-const FINGERPRINT_BUCKET_SECONDS = 60;     // 1 minute bucket
-
-// Clean up expired fingerprints periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, timestamp] of FINGERPRINT_CACHE.entries()) {
-    if (now - timestamp > FINGERPRINT_TTL_MS) {
-      FINGERPRINT_CACHE.delete(key);
-    }
-  }
-}, 60000);  // Clean every minute
+const FINGERPRINT_NAMESPACE = 'fingerprint';
+export const DEFAULT_DEDUP_WINDOW_SECONDS = DedupWindowLimits.DEFAULT_SECONDS;
+// Fingerprints outlive their bucket so late retries of the same alert are caught
+const FINGERPRINT_RETRY_GRACE_MS = 5 * 60 * 1000;
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // HARDENING: EVENT TIME NORMALIZATION
@@ -163,7 +199,7 @@ export function normalizeEventTime(payload) {
  * - webhook_id
  * - rule.id
  * - agent.id (if present)
- * - normalized event_time bucket (60s)
+ * - normalized event_time bucket (dedup window, default 60s)
  * - hash of condition-matched payload subset
  *
  * This prevents:
@@ -176,18 +212,19 @@ export function normalizeEventTime(payload) {
  * @param {object} alert - Alert object
  * @param {Date} normalizedEventTime - Normalized event time
  * @param {Array} conditionFields - Fields used in trigger conditions (optional)
+ * @param {number} bucketSeconds - Dedup window (trigger.dedup_window_seconds)
  * @returns {string} - SHA256 fingerprint
  */
-export function generateFingerprint(webhookId, alert, normalizedEventTime, conditionFields = []) {
+export function generateFingerprint(webhookId, alert, normalizedEventTime, conditionFields = [], bucketSeconds = DEFAULT_DEDUP_WINDOW_SECONDS) {
   // Extract key fields for fingerprinting
   const ruleId = resolveFieldPathLegacy('rule.id', alert) || resolveFieldPathLegacy('id', alert) || 'unknown';
   const agentId = resolveFieldPathLegacy('agent.id', alert) || resolveFieldPathLegacy('agent_id', alert) || '';
 
-  // Use normalized event time bucket (60 seconds)
+  // Use normalized event time bucket (dedup window)
   const eventTimeMs = normalizedEventTime instanceof Date
     ? normalizedEventTime.getTime()
     : Date.now();
-  const timestampBucket = Math.floor(eventTimeMs / (FINGERPRINT_BUCKET_SECONDS * 1000)) * FINGERPRINT_BUCKET_SECONDS;
+  const timestampBucket = Math.floor(eventTimeMs / (bucketSeconds * 1000)) * bucketSeconds;
 
   // ═══════════════════════════════════════════════════════════════════════════
   // HARDENING: Hash condition-matched payload subset
@@ -221,48 +258,74 @@ export function generateFingerprint(webhookId, alert, normalizedEventTime, condi
  * Extract condition fields from trigger for fingerprint generation
  *
  * @param {object} trigger - Trigger document
- * @returns {string[]} - Array of field paths used in conditions
+ * @returns {string[]} - Array of field paths used in conditions (groups flattened in order)
  */
 export function extractConditionFields(trigger) {
   if (!trigger || !trigger.conditions) {
     return [];
   }
-  return trigger.conditions.map(c => c.field);
+  const collect = (conditions) => conditions.flatMap(c =>
+    (isConditionGroup(c) ? collect(c.conditions) : [c.field])
+  );
+  return collect(trigger.conditions);
+}
+
+/**
+ * Dedup window of a trigger, in seconds
+ *
+ * @param {object} trigger - Trigger document
+ * @returns {number}
+ */
+export function getDedupWindowSeconds(trigger) {
+  return trigger?.dedup_window_seconds || DEFAULT_DEDUP_WINDOW_SECONDS;
+}
+
+function fingerprintTtlMs(windowSeconds) {
+  return windowSeconds * 1000 + FINGERPRINT_RETRY_GRACE_MS;
 }
 
 /**
  * Check if fingerprint exists (duplicate alert)
  *
  * @param {string} fingerprint - Fingerprint to check
- * @returns {boolean} - True if duplicate
+ * @returns {Promise<boolean>} - True if duplicate
  */
-export function isDuplicateFingerprint(fingerprint) {
-  return FINGERPRINT_CACHE.has(fingerprint);
+export async function isDuplicateFingerprint(fingerprint) {
+  return getDedupStore().has(FINGERPRINT_NAMESPACE, fingerprint);
 }
 
 /**
  * Record a fingerprint
  *
  * @param {string} fingerprint - Fingerprint to record
+ * @param {number} windowSeconds - Dedup window the fingerprint was bucketed with
  */
-export function recordFingerprint(fingerprint) {
-  FINGERPRINT_CACHE.set(fingerprint, Date.now());
+export async function recordFingerprint(fingerprint, windowSeconds = DEFAULT_DEDUP_WINDOW_SECONDS) {
+  await getDedupStore().claim(FINGERPRINT_NAMESPACE, fingerprint, fingerprintTtlMs(windowSeconds));
 }
 
 /**
  * Atomically claim a fingerprint (check + record in one step).
- * Prevents race condition where two concurrent requests both pass
- * isDuplicateFingerprint() before either calls recordFingerprint().
+ * Prevents race condition where two concurrent requests — on this or
+ * another replica — both pass isDuplicateFingerprint() before either calls
+ * recordFingerprint().
  *
  * @param {string} fingerprint - Fingerprint to claim
- * @returns {boolean} - True if claimed (first caller wins), false if already exists
+ * @param {number} windowSeconds - Dedup window the fingerprint was bucketed with
+ * @returns {Promise<boolean>} - True if claimed (first caller wins), false if already exists
  */
-export function claimFingerprint(fingerprint) {
-  if (FINGERPRINT_CACHE.has(fingerprint)) {
-    return false;
-  }
-  FINGERPRINT_CACHE.set(fingerprint, Date.now());
-  return true;
+export async function claimFingerprint(fingerprint, windowSeconds = DEFAULT_DEDUP_WINDOW_SECONDS) {
+  return getDedupStore().claim(FINGERPRINT_NAMESPACE, fingerprint, fingerprintTtlMs(windowSeconds));
+}
+
+/**
+ * Release a claimed fingerprint, so a resend of an alert that started no
+ * execution is not dropped as a duplicate
+ *
+ * @param {string} fingerprint - Fingerprint to release
+ */
+export async function releaseFingerprint(fingerprint) {
+  await getDedupStore().release?.(FINGERPRINT_NAMESPACE, fingerprint);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -279,9 +342,14 @@ export class IngestionResult {
     this.decision = null;  // 'accepted', 'dropped', 'rejected', 'error'
     this.drop_reason = null;
     this.reject_reason = null;
+    this.message = null;
     this.error = null;
     this.latency_ms = 0;
     this.http_status = 200;
+    // Router webhooks only
+    this.routing_mode = null;
+    this.routes = [];           // Per-trigger decisions, in evaluation order
+    this.execution_ids = [];
   }
 
   static accepted(webhookId, triggerId, playbookId, executionId, latencyMs) {
@@ -310,15 +378,55 @@ export class IngestionResult {
     return result;
   }
 
-  static rejected(webhookId, reason, latencyMs) {
+  /**
+   * Combine per-trigger decisions of a router webhook. Accepted when any
+   * trigger created an execution (execution_id is the first); rejected when
+   * none did and a matching trigger was refused (flood control); error when
+   * every evaluated trigger failed; otherwise dropped with the reason of the
+   * first matching trigger, or NO_TRIGGER_MATCH.
+   */
+  static routed(webhookId, routingMode, routes, latencyMs) {
+    const acceptedRoutes = routes.filter(r => r.decision === 'accepted');
+    const rejectedRoute = routes.find(r => r.decision === 'rejected');
+    const firstMatched = routes.find(r => r.matched);
+    let result;
+
+    if (acceptedRoutes.length > 0) {
+      const first = acceptedRoutes[0];
+      result = IngestionResult.accepted(webhookId, first.trigger_id, first.playbook_id, first.execution_id, latencyMs);
+    } else if (rejectedRoute) {
+      result = IngestionResult.rejected(webhookId, rejectedRoute.reject_reason, latencyMs, rejectedRoute.message);
+      result.trigger_id = rejectedRoute.trigger_id;
+      result.playbook_id = rejectedRoute.playbook_id;
+    } else if (routes.every(r => r.decision === 'error')) {
+      result = IngestionResult.error(webhookId, 'ALL_ROUTES_FAILED', latencyMs);
+    } else {
+      result = IngestionResult.dropped(
+        webhookId,
+        firstMatched?.trigger_id || null,
+        firstMatched?.playbook_id || null,
+        firstMatched?.drop_reason || DropReason.NO_TRIGGER_MATCH,
+        latencyMs
+      );
+    }
+
+    result.routing_mode = routingMode;
+    result.routes = routes;
+    result.execution_ids = acceptedRoutes.map(r => r.execution_id);
+    return result;
+  }
+
+  static rejected(webhookId, reason, latencyMs, message = null) {
     const result = new IngestionResult();
     result.accepted = false;
     result.webhook_id = webhookId;
     result.decision = 'rejected';
     result.reject_reason = reason;
+    result.message = message;
     result.latency_ms = latencyMs;
     result.http_status = reason === 'UNAUTHORIZED' ? 401 :
                          reason === 'RATE_LIMITED' ? 429 :
+                         reason === 'FLOOD_CONTROL' ? 429 :
                          reason === 'WEBHOOK_NOT_FOUND' ? 404 :
                          400;
     return result;
@@ -335,6 +443,51 @@ export class IngestionResult {
     return result;
   }
 
+  /**
+   * HTTP response body for the ingestion endpoints (never includes the alert)
+   */
+  toResponseBody() {
+    let body;
+
+    if (this.decision === 'accepted') {
+      body = {
+        status: 'accepted',
+        execution_id: this.execution_id,
+        playbook_id: this.playbook_id,
+        trigger_id: this.trigger_id,
+        latency_ms: this.latency_ms
+      };
+    } else if (this.decision === 'dropped') {
+      body = {
+        status: 'dropped',
+        reason: this.drop_reason,
+        playbook_id: this.playbook_id,
+        latency_ms: this.latency_ms
+      };
+    } else if (this.decision === 'rejected') {
+      body = {
+        status: 'rejected',
+        reason: this.reject_reason
+      };
+      if (this.message) {
+        body.message = this.message;
+      }
+    } else {
+      body = {
+        status: 'error',
+        message: this.error
+      };
+    }
+
+    if (this.routing_mode) {
+      body.routing_mode = this.routing_mode;
+      body.execution_ids = this.execution_ids;
+      body.routes = this.routes;
+    }
+
+    return body;
+  }
+
   toLogObject() {
     return {
       webhook_id: this.webhook_id,
@@ -342,6 +495,7 @@ export class IngestionResult {
       playbook_id: this.playbook_id,
       execution_id: this.execution_id,
       decision: this.decision,
+      routing_mode: this.routing_mode || undefined,
       latency_ms: this.latency_ms
     };
   }
@@ -365,7 +519,8 @@ export class IngestionResult {
  *
  * @param {string} webhookId - Webhook identifier from URL
  * @param {string} providedSecret - Secret from header or query param
- * @param {object} alertPayload - Alert JSON body
+ * @param {object|string} alertPayload - Alert JSON body, or the raw text for
+ *   CEF / LEEF / syslog webhooks (webhook.input_format)
  * @returns {Promise<IngestionResult>}
  */
 export async function processWebhookIngestion(webhookId, providedSecret, alertPayload) {
@@ -457,12 +612,18 @@ export async function processWebhookIngestion(webhookId, providedSecret, alertPa
   await webhook.incrementRateLimitCounter();
 
   // ─────────────────────────────────────────────────────────────────────────────
-  // STEP 5: Validate payload
+  // STEP 5: Validate payload (parse CEF / LEEF / syslog / ECS into an alert)
   // ─────────────────────────────────────────────────────────────────────────────
 
-  if (!alertPayload || typeof alertPayload !== 'object') {
-    logger.warn(`[WebhookIngestion] DROP: ${DropReason.INVALID_PAYLOAD}`, { webhook_id: webhookId });
-    await webhook.recordRejected(DropReason.INVALID_PAYLOAD, 'Payload must be a JSON object');
+  try {
+    alertPayload = parseAlertPayload(alertPayload, webhook.input_format);
+  } catch (error) {
+    if (error.code !== 'INVALID_PAYLOAD') throw error;
+    logger.warn(`[WebhookIngestion] DROP: ${DropReason.INVALID_PAYLOAD}`, {
+      webhook_id: webhookId,
+      input_format: webhook.input_format
+    });
+    await webhook.recordRejected(DropReason.INVALID_PAYLOAD, error.message);
     await incrementMetric('webhook_requests_rejected');
     return IngestionResult.rejected(webhookId, DropReason.INVALID_PAYLOAD, Date.now() - startTime);
   }
@@ -479,6 +640,26 @@ export async function processWebhookIngestion(webhookId, providedSecret, alertPa
     });
   }
 
+  // ─────────────────────────────────────────────────────────────────────────────
+  // STEP 6b: Resume executions waiting for an alert on this webhook
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Independent of trigger evaluation: a confirmation alert can resume a
+  // waiting execution even if it does not start a new one.
+
+  try {
+    await deliverAlertToWaits(webhookId, alertPayload);
+  } catch (error) {
+    logger.error(`[WebhookIngestion] Failed to deliver alert to waiting executions: ${error.message}`);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // STEP 6c: Router webhooks fan out to every enabled trigger
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  if (webhook.isRouter()) {
+    return routeToTriggers(webhook, alertPayload, eventTimeResult, startTime);
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // STEP 7: Find trigger (needed for fingerprint)
   // ─────────────────────────────────────────────────────────────────────────────
@@ -492,6 +673,12 @@ export async function processWebhookIngestion(webhookId, providedSecret, alertPa
     return IngestionResult.error(webhookId, 'DATABASE_ERROR', Date.now() - startTime);
   }
 
+  if (!trigger && webhook.playbook_id) {
+    const result = await ingestDirect(webhook, alertPayload, eventTimeResult, startTime);
+    await recordWebhookOutcome(webhook, result);
+    return result;
+  }
+
   if (!trigger) {
     logger.warn(`[WebhookIngestion] DROP: ${DropReason.NO_TRIGGER_DEFINED}`, { webhook_id: webhookId });
     await webhook.recordDropped(Date.now() - startTime);
@@ -510,29 +697,121 @@ export async function processWebhookIngestion(webhookId, providedSecret, alertPa
   // ─────────────────────────────────────────────────────────────────────────────
 
   const conditionFields = extractConditionFields(trigger);
+  const dedupWindowSeconds = getDedupWindowSeconds(trigger);
   const fingerprint = generateFingerprint(
     webhookId,
     alertPayload,
     eventTimeResult.event_time,
-    conditionFields
+    conditionFields,
+    dedupWindowSeconds
   );
 
   // Atomically claim fingerprint to prevent race condition with concurrent requests
-  if (!claimFingerprint(fingerprint)) {
-    logger.info(`[WebhookIngestion] DROP: ${DropReason.DUPLICATE_FINGERPRINT}`, {
-      webhook_id: webhookId,
-      fingerprint_prefix: fingerprint.substring(0, 16)
-    });
-    await incrementMetric('webhook_requests_deduplicated');
-    return IngestionResult.dropped(
-      webhookId,
-      trigger.trigger_id,
-      webhook.playbook_id,
-      DropReason.DUPLICATE_FINGERPRINT,
-      Date.now() - startTime
-    );
+  const claim = await claimAlertFingerprint(webhook, fingerprint, dedupWindowSeconds, startTime);
+  if (claim.error) {
+    return claim.error;
+  }
+  if (!claim.claimed) {
+    return dropDuplicate(webhook, trigger.trigger_id, webhook.playbook_id, fingerprint, startTime);
+  }
+
+  const result = await ingestForTrigger(webhook, trigger, alertPayload, eventTimeResult, fingerprint, startTime);
+  await releaseUnusedFingerprint(result, fingerprint);
+  await recordWebhookOutcome(webhook, result);
+  return result;
+}
+
+/**
+ * Claim an alert fingerprint in the dedup store (INTERNAL)
+ *
+ * @returns {Promise<{ claimed: boolean, error: IngestionResult|null }>}
+ */
+async function claimAlertFingerprint(webhook, fingerprint, dedupWindowSeconds, startTime) {
+  try {
+    return { claimed: await claimFingerprint(fingerprint, dedupWindowSeconds), error: null };
+  } catch (error) {
+    logger.error(`[WebhookIngestion] Dedup store error claiming fingerprint: ${error.message}`);
+    await webhook.recordError('DATABASE_ERROR', error.message);
+    return { claimed: false, error: IngestionResult.error(webhook.webhook_id, 'DATABASE_ERROR', Date.now() - startTime) };
+  }
+}
+
+/**
+ * Drop a duplicate alert and count it against the webhook (INTERNAL)
+ *
+ * @returns {Promise<IngestionResult>}
+ */
+async function dropDuplicate(webhook, triggerId, playbookId, fingerprint, startTime) {
+  logger.info(`[WebhookIngestion] DROP: ${DropReason.DUPLICATE_FINGERPRINT}`, {
+    webhook_id: webhook.webhook_id,
+    fingerprint_prefix: fingerprint.substring(0, 16)
+  });
+  await webhook.recordDeduplicated(Date.now() - startTime);
+  await incrementMetric('webhook_requests_deduplicated');
+  return IngestionResult.dropped(
+    webhook.webhook_id,
+    triggerId,
+    playbookId,
+    DropReason.DUPLICATE_FINGERPRINT,
+    Date.now() - startTime
+  );
+}
+
+/**
+ * Apply execution flood control to a playbook about to run (INTERNAL).
+ * Only alerts that would create an execution count against the limits.
+ *
+ * @returns {Promise<IngestionResult|null>} - FLOOD_CONTROL rejection, or null when allowed
+ */
+async function rejectFlood(webhook, triggerId, playbookId, startTime) {
+  const flood = await checkFloodControl(playbookId);
+  if (flood.allowed) {
+    return null;
   }
 
+  logger.warn(`[WebhookIngestion] DROP: ${DropReason.FLOOD_CONTROL}`, {
+    webhook_id: webhook.webhook_id,
+    trigger_id: triggerId,
+    playbook_id: playbookId,
+    limit: flood.reason
+  });
+  await incrementMetric('webhook_requests_flood_limited');
+
+  const result = IngestionResult.rejected(webhook.webhook_id, DropReason.FLOOD_CONTROL, Date.now() - startTime, flood.message);
+  result.trigger_id = triggerId;
+  result.playbook_id = playbookId;
+  return result;
+}
+
+/**
+ * Release the fingerprint of an alert that was refused without starting
+ * any execution, so the sender can retry it (INTERNAL)
+ */
+async function releaseUnusedFingerprint(result, fingerprint) {
+  if (result.decision !== 'rejected') {
+    return;
+  }
+  try {
+    await releaseFingerprint(fingerprint);
+  } catch (error) {
+    logger.error(`[WebhookIngestion] Dedup store error releasing fingerprint: ${error.message}`);
+  }
+}
+
+/**
+ * Run one trigger against an alert whose fingerprint is already claimed:
+ * evaluate, resolve the playbook, apply aggregation and create the
+ * execution (INTERNAL). Steps 9-13 of the ingestion flow.
+ *
+ * Webhook accepted/dropped/rejected stats are left to the caller, which
+ * records one outcome per request (see recordWebhookOutcome); errors are
+ * recorded here.
+ *
+ * @returns {Promise<IngestionResult>}
+ */
+async function ingestForTrigger(webhook, trigger, alertPayload, eventTimeResult, fingerprint, startTime) {
+  const webhookId = webhook.webhook_id;
+
   // ─────────────────────────────────────────────────────────────────────────────
   // STEP 9: Evaluate trigger conditions
   // ─────────────────────────────────────────────────────────────────────────────
@@ -554,7 +833,6 @@ export async function processWebhookIngestion(webhookId, providedSecret, alertPa
       latency_ms: Date.now() - startTime
     });
 
-    await webhook.recordDropped(Date.now() - startTime);
     await incrementMetric('webhook_requests_dropped');
 
     return IngestionResult.dropped(
@@ -587,7 +865,6 @@ export async function processWebhookIngestion(webhookId, providedSecret, alertPa
       playbook_id: trigger.playbook_id,
       reason: 'No enabled version found for playbook'
     });
-    await webhook.recordDropped(Date.now() - startTime);
     await incrementMetric('webhook_requests_playbook_inactive');
     return IngestionResult.dropped(
       webhookId,
@@ -598,12 +875,60 @@ export async function processWebhookIngestion(webhookId, providedSecret, alertPa
     );
   }
 
+  // ─────────────────────────────────────────────────────────────────────────────
+  // STEP 10b: Aggregation triggers - count in the sliding window
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Only the alert that reaches the threshold starts a run; its trigger_data
+  // carries every alert in the window.
+
+  let triggerData = alertPayload;
+
+  if (trigger.aggregation) {
+    let aggregated;
+    try {
+      aggregated = await recordAggregatedAlert(trigger, alertPayload, eventTimeResult.event_time);
+    } catch (error) {
+      logger.error(`[WebhookIngestion] Database error updating aggregation window: ${error.message}`);
+      await webhook.recordError('DATABASE_ERROR', error.message);
+      return IngestionResult.error(webhookId, 'DATABASE_ERROR', Date.now() - startTime);
+    }
+
+    if (aggregated.outcome !== AggregationOutcome.FIRED) {
+      const reason = AggregationDropReason[aggregated.outcome];
+      logger.info(`[WebhookIngestion] DROP: ${reason}`, {
+        webhook_id: webhookId,
+        trigger_id: trigger.trigger_id,
+        window_count: aggregated.count,
+        threshold: trigger.aggregation.threshold
+      });
+      await incrementMetric('webhook_requests_aggregated');
+      return IngestionResult.dropped(
+        webhookId,
+        trigger.trigger_id,
+        trigger.playbook_id,
+        reason,
+        Date.now() - startTime
+      );
+    }
+
+    triggerData = buildAggregatedTriggerData(trigger, alertPayload, aggregated);
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // HARDENING STEP 11: Create trigger snapshot for audit
   // ─────────────────────────────────────────────────────────────────────────────
 
   const triggerSnapshot = trigger.createSnapshot();
 
+  // ─────────────────────────────────────────────────────────────────────────────
+  // STEP 11b: Execution flood control (per playbook, then global)
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  const floodRejection = await rejectFlood(webhook, trigger.trigger_id, trigger.playbook_id, startTime);
+  if (floodRejection) {
+    return floodRejection;
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // STEP 12: Create execution (ATOMIC)
   // ─────────────────────────────────────────────────────────────────────────────
@@ -615,7 +940,7 @@ export async function processWebhookIngestion(webhookId, providedSecret, alertPa
     // Create execution with hardened metadata
     execution = await createHardenedExecution(
       playbook,
-      alertPayload,
+      triggerData,
       webhookId,
       triggerSnapshot,
       eventTimeResult,
@@ -632,7 +957,7 @@ export async function processWebhookIngestion(webhookId, providedSecret, alertPa
       await new Promise(resolve => setTimeout(resolve, 100));  // Brief delay
       execution = await createHardenedExecution(
         playbook,
-        alertPayload,
+        triggerData,
         webhookId,
         triggerSnapshot,
         eventTimeResult,
@@ -650,7 +975,6 @@ export async function processWebhookIngestion(webhookId, providedSecret, alertPa
 
   const latencyMs = Date.now() - startTime;
 
-  await webhook.recordAccepted(latencyMs);
   await incrementMetric('webhook_requests_accepted');
   await incrementMetric('executions_triggered');
 
@@ -668,7 +992,8 @@ export async function processWebhookIngestion(webhookId, providedSecret, alertPa
       event_time: eventTimeResult.event_time.toISOString(),
       event_time_source: eventTimeResult.source,
       latency_ms: latencyMs,
-      fingerprint_prefix: fingerprint.substring(0, 16)
+      fingerprint_prefix: fingerprint.substring(0, 16),
+      aggregated_alerts: trigger.aggregation ? triggerData.aggregation.alert_count : undefined
     },
     outcome: 'success'
   });
@@ -691,11 +1016,223 @@ export async function processWebhookIngestion(webhookId, providedSecret, alertPa
   );
 }
 
+/**
+ * Run the webhook's playbook for an alert when no trigger is bound to the
+ * webhook (INTERNAL). Every alert runs, deduplicated on the default window;
+ * the execution gets a DIRECT trigger snapshot. Falls back to an active v1
+ * Playbook when the playbook has no enabled version.
+ *
+ * @returns {Promise<IngestionResult>}
+ */
+async function ingestDirect(webhook, alertPayload, eventTimeResult, startTime) {
+  const webhookId = webhook.webhook_id;
+  const playbookId = webhook.playbook_id;
+
+  const fingerprint = generateFingerprint(webhookId, alertPayload, eventTimeResult.event_time);
+
+  const claim = await claimAlertFingerprint(webhook, fingerprint, DEFAULT_DEDUP_WINDOW_SECONDS, startTime);
+  if (claim.error) {
+    return claim.error;
+  }
+  if (!claim.claimed) {
+    return dropDuplicate(webhook, null, playbookId, fingerprint, startTime);
+  }
+
+  let playbook;
+  try {
+    playbook = await PlaybookVersioned.getActiveVersion(playbookId)
+      || await Playbook.findOne({ playbook_id: playbookId, status: 'active' });
+  } catch (error) {
+    logger.error(`[WebhookIngestion] Database error finding playbook: ${error.message}`);
+    await webhook.recordError('DATABASE_ERROR', error.message);
+    return IngestionResult.error(webhookId, 'DATABASE_ERROR', Date.now() - startTime);
+  }
+
+  if (!playbook) {
+    logger.warn(`[WebhookIngestion] DROP: ${DropReason.PLAYBOOK_INACTIVE}`, {
+      webhook_id: webhookId,
+      playbook_id: playbookId
+    });
+    await incrementMetric('webhook_requests_playbook_inactive');
+    return IngestionResult.dropped(webhookId, null, playbookId, DropReason.PLAYBOOK_INACTIVE, Date.now() - startTime);
+  }
+
+  const triggerSnapshot = {
+    trigger_id: 'DIRECT',
+    version: 1,
+    conditions: [],
+    match: 'ALL',
+    snapshot_at: new Date()
+  };
+
+  const floodRejection = await rejectFlood(webhook, null, playbookId, startTime);
+  if (floodRejection) {
+    await releaseUnusedFingerprint(floodRejection, fingerprint);
+    return floodRejection;
+  }
+
+  let execution;
+  try {
+    execution = await createHardenedExecution(playbook, alertPayload, webhookId, triggerSnapshot, eventTimeResult, fingerprint);
+  } catch (error) {
+    logger.error(`[WebhookIngestion] Failed to create execution: ${error.message}`);
+    await webhook.recordError('EXECUTION_FAILED', error.message);
+    await incrementMetric('webhook_requests_execution_failed');
+    return IngestionResult.error(webhookId, 'EXECUTION_CREATION_FAILED', Date.now() - startTime);
+  }
+
+  const latencyMs = Date.now() - startTime;
+
+  await incrementMetric('webhook_requests_accepted');
+  await incrementMetric('executions_triggered');
+
+  await logAction({
+    action: 'webhook.triggered',
+    resource_type: 'webhook',
+    resource_id: webhookId,
+    details: {
+      webhook_id: webhookId,
+      trigger_id: 'DIRECT',
+      playbook_id: playbookId,
+      execution_id: execution.execution_id,
+      event_time: eventTimeResult.event_time.toISOString(),
+      event_time_source: eventTimeResult.source,
+      latency_ms: latencyMs,
+      fingerprint_prefix: fingerprint.substring(0, 16)
+    },
+    outcome: 'success'
+  });
+
+  logger.info(`[WebhookIngestion] Execution created`, {
+    webhook_id: webhookId,
+    trigger_id: 'DIRECT',
+    playbook_id: playbookId,
+    execution_id: execution.execution_id,
+    latency_ms: latencyMs
+  });
+
+  return IngestionResult.accepted(webhookId, null, playbookId, execution.execution_id, latencyMs);
+}
+
+/**
+ * Record the request's final decision in webhook stats (INTERNAL)
+ */
+async function recordWebhookOutcome(webhook, result) {
+  if (result.decision === 'accepted') {
+    await webhook.recordAccepted(result.latency_ms);
+  } else if (result.decision === 'dropped') {
+    await webhook.recordDropped(result.latency_ms);
+  } else if (result.decision === 'rejected') {
+    await webhook.recordRejected(result.reject_reason, result.message);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ROUTER WEBHOOKS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Evaluate an alert against every enabled trigger in priority order (INTERNAL)
+ *
+ * - One fingerprint per alert, over the condition fields of all candidate
+ *   triggers, so a retried alert is dropped before any trigger runs
+ * - first_match stops at the first trigger whose conditions matched, even
+ *   if that trigger then drops the alert (aggregation window, inactive
+ *   playbook); a trigger that errors does not stop routing
+ * - all_match runs every trigger; each match creates its own execution
+ * - Flood control applies per routed playbook; a trigger refused by it
+ *   counts as matched
+ *
+ * Every evaluated trigger gets an entry in result.routes.
+ *
+ * @returns {Promise<IngestionResult>}
+ */
+async function routeToTriggers(webhook, alertPayload, eventTimeResult, startTime) {
+  const webhookId = webhook.webhook_id;
+  const routingMode = webhook.routing_mode || RoutingMode.FIRST_MATCH;
+
+  let triggers;
+  try {
+    triggers = await Trigger.findEnabledByPriority();
+  } catch (error) {
+    logger.error(`[WebhookIngestion] Database error finding triggers: ${error.message}`);
+    await webhook.recordError('DATABASE_ERROR', error.message);
+    return IngestionResult.error(webhookId, 'DATABASE_ERROR', Date.now() - startTime);
+  }
+
+  if (triggers.length === 0) {
+    logger.warn(`[WebhookIngestion] DROP: ${DropReason.NO_TRIGGER_DEFINED}`, { webhook_id: webhookId });
+    await webhook.recordDropped(Date.now() - startTime);
+    await incrementMetric('webhook_requests_no_trigger');
+    return IngestionResult.dropped(webhookId, null, null, DropReason.NO_TRIGGER_DEFINED, Date.now() - startTime);
+  }
+
+  const conditionFields = [...new Set(triggers.flatMap(t => extractConditionFields(t)))];
+  const dedupWindowSeconds = Math.min(...triggers.map(t => getDedupWindowSeconds(t)));
+  const fingerprint = generateFingerprint(
+    webhookId,
+    alertPayload,
+    eventTimeResult.event_time,
+    conditionFields,
+    dedupWindowSeconds
+  );
+
+  const claim = await claimAlertFingerprint(webhook, fingerprint, dedupWindowSeconds, startTime);
+  if (claim.error) {
+    return claim.error;
+  }
+  if (!claim.claimed) {
+    return dropDuplicate(webhook, null, null, fingerprint, startTime);
+  }
+
+  const routes = [];
+
+  for (const trigger of triggers) {
+    const triggerResult = await ingestForTrigger(webhook, trigger, alertPayload, eventTimeResult, fingerprint, startTime);
+    const matched = triggerResult.decision === 'accepted' ||
+      triggerResult.decision === 'rejected' ||
+      (triggerResult.decision === 'dropped' && triggerResult.drop_reason !== DropReason.NO_TRIGGER_MATCH);
+
+    routes.push({
+      trigger_id: trigger.trigger_id,
+      trigger_version: trigger.version,
+      playbook_id: trigger.playbook_id,
+      priority: trigger.priority,
+      matched,
+      decision: triggerResult.decision,
+      drop_reason: triggerResult.drop_reason,
+      reject_reason: triggerResult.reject_reason,
+      message: triggerResult.message,
+      execution_id: triggerResult.execution_id,
+      error: triggerResult.error
+    });
+
+    if (routingMode === RoutingMode.FIRST_MATCH && matched) {
+      break;
+    }
+  }
+
+  const result = IngestionResult.routed(webhookId, routingMode, routes, Date.now() - startTime);
+  await releaseUnusedFingerprint(result, fingerprint);
+  await recordWebhookOutcome(webhook, result);
+
+  logger.info(`[WebhookIngestion] Routed alert`, {
+    webhook_id: webhookId,
+    routing_mode: routingMode,
+    triggers_evaluated: routes.length,
+    executions: result.execution_ids.length,
+    latency_ms: result.latency_ms
+  });
+
+  return result;
+}
+
 /**
  * Create execution with hardened metadata (INTERNAL)
  *
  * Embeds trigger snapshot, normalized event time, and fingerprint
- * for full audit trail.
+ * for full audit trail. The execution is created QUEUED; the execution
+ * queue starts the engine once a concurrency slot is free.
  *
  * OPTION A COMPLIANCE:
  * - playbook_id comes from trigger (not looked up)
@@ -712,7 +1249,10 @@ async function createHardenedExecution(playbook, alertPayload, webhookId, trigge
   const execution = new Execution({
     playbook_id: playbook.playbook_id,
     playbook_name: playbook.name,
-    state: ExecutionState.EXECUTING,
+    playbook_version: playbook.version,
+    state: ExecutionState.QUEUED,
+    queue: buildQueueEntry(playbook, alertPayload),
+    connector_ids: await resolvePlaybookConnectorIds(playbook),
     trigger_data: alertPayload,
     trigger_snapshot: triggerSnapshot,
     event_time: eventTimeResult.event_time,
@@ -739,42 +1279,144 @@ async function createHardenedExecution(playbook, alertPayload, webhookId, trigge
     // Don't fail execution creation if SLA policy fails
   }
 
-  // Import and run execution engine
-  const { ExecutionEngine } = await import('./execution-engine.js');
+  requestDispatch();
 
-  // Convert PlaybookVersioned to execution-compatible format
-  const playbookForExecution = {
-    playbook_id: playbook.playbook_id,
-    name: playbook.name,
-    description: playbook.description,
-    shadow_mode: playbook.dsl?.shadow_mode || false,
-    steps: playbookSteps,
-    // Trigger forwarded so the engine can seed pending IDs from
-    // trigger.next_steps (multi-target trigger fan-out).
-    trigger: playbook.dsl?.trigger || playbook.trigger || null,
-    version: playbook.version,
-    enabled: playbook.enabled
-  };
+  return execution;
+}
 
-  const engine = new ExecutionEngine(execution, playbookForExecution);
-
-  // Execute asynchronously
-  setImmediate(() => {
-    engine.execute().catch(async (error) => {
-      logger.error(`[createHardenedExecution] Execution failed: ${error.message}`);
-      try {
-        execution.state = 'FAILED';
-        execution.error = { message: error.message };
-        execution.completed_at = new Date();
-        await execution.save();
-        logger.info(`[createHardenedExecution] Execution ${execution.execution_id} marked FAILED`);
-      } catch (saveErr) {
-        logger.error(`[createHardenedExecution] Failed to update execution state: ${saveErr.message}`);
-      }
-    });
+// ═══════════════════════════════════════════════════════════════════════════════
+// BATCH INGESTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Most alerts accepted in one batch request
+export const BATCH_MAX_ALERTS = parseInt(process.env.WEBHOOK_BATCH_MAX_ALERTS, 10) || 500;
+
+// Rejections that concern the request rather than the alert: once an item
+// gets one, the remaining items are rejected with the same reason without
+// running the pipeline (no repeated audit entries or abuse counting)
+const BATCH_ABORT_REASONS = new Set([
+  DropReason.WEBHOOK_NOT_FOUND,
+  DropReason.WEBHOOK_SUSPENDED,
+  DropReason.RATE_LIMITED,
+  'UNAUTHORIZED'
+]);
+
+function batchError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Split a batch request body into alerts
+ *
+ * - JSON array: one alert per element
+ * - NDJSON / text string: one alert per non-empty line; lines that are not
+ *   JSON objects stay raw text (one CEF / LEEF / syslog event per line)
+ *
+ * Other elements become null. Whether an item is a valid alert is decided
+ * by the pipeline for the webhook's input format (INVALID_PAYLOAD), so every
+ * item keeps its index in the results.
+ *
+ * @param {Array|string} body - Parsed request body
+ * @param {number} maxAlerts - Batch size limit
+ * @returns {Array<object|null>}
+ * @throws {Error} codes INVALID_BATCH, BATCH_TOO_LARGE
+ */
+export function parseAlertBatch(body, maxAlerts = BATCH_MAX_ALERTS) {
+  let items;
+
+  if (Array.isArray(body)) {
+    items = body;
+  } else if (typeof body === 'string') {
+    items = body.split('\n').map(line => line.trim()).filter(Boolean);
+  } else {
+    throw batchError('INVALID_BATCH', 'Batch body must be a JSON array, NDJSON (application/x-ndjson) or text lines');
+  }
+
+  if (items.length === 0) {
+    throw batchError('INVALID_BATCH', 'Batch contains no alerts');
+  }
+  if (items.length > maxAlerts) {
+    throw batchError('BATCH_TOO_LARGE', `Batch contains ${items.length} alerts (max ${maxAlerts})`);
+  }
+
+  if (typeof body === 'string') {
+    items = items.map(parseBatchLine);
+  }
+
+  return items.map(item => (typeof item === 'string' || isPlainObject(item) ? item : null));
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * An NDJSON line is an alert object; any other line stays raw text
+ */
+function parseBatchLine(line) {
+  try {
+    const parsed = JSON.parse(line);
+    return isPlainObject(parsed) ? parsed : line;
+  } catch {
+    return line;
+  }
+}
+
+/**
+ * Ingest a batch of alerts: processWebhookIngestion() once per alert, in
+ * order. Each alert counts against the webhook rate limit and execution
+ * flood control and is deduplicated individually; alerts over the flood
+ * limit are rejected with FLOOD_CONTROL while the rest of the batch runs.
+ *
+ * @param {string} webhookId - Webhook identifier from URL
+ * @param {string} providedSecret - Secret from URL
+ * @param {Array<object|null>} alerts - Output of parseAlertBatch()
+ * @returns {Promise<object>} - { webhook_id, total, accepted, dropped,
+ *   rejected, errors, aborted_reason, results[], latency_ms }; results[i]
+ *   is the single-alert response body plus its index
+ */
+export async function processWebhookBatch(webhookId, providedSecret, alerts) {
+  const startTime = Date.now();
+  const counts = { accepted: 0, dropped: 0, rejected: 0, error: 0 };
+  const results = [];
+  let abortedReason = null;
+
+  for (let index = 0; index < alerts.length; index++) {
+    const result = abortedReason
+      ? IngestionResult.rejected(webhookId, abortedReason, 0)
+      : await processWebhookIngestion(webhookId, providedSecret, alerts[index]);
+
+    if (!abortedReason && result.decision === 'rejected' && BATCH_ABORT_REASONS.has(result.reject_reason)) {
+      abortedReason = result.reject_reason;
+    }
+
+    counts[result.decision]++;
+    results.push({ index, ...result.toResponseBody() });
+  }
+
+  const latencyMs = Date.now() - startTime;
+
+  logger.info(`[WebhookIngestion] Batch processed`, {
+    webhook_id: webhookId,
+    total: alerts.length,
+    ...counts,
+    aborted_reason: abortedReason || undefined,
+    latency_ms: latencyMs
   });
 
-  return execution;
+  return {
+    webhook_id: webhookId,
+    total: alerts.length,
+    accepted: counts.accepted,
+    dropped: counts.dropped,
+    rejected: counts.rejected,
+    errors: counts.error,
+    aborted_reason: abortedReason,
+    results,
+    latency_ms: latencyMs
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -802,6 +1444,7 @@ export async function createWebhookForPlaybook(playbookId, triggerDefinition, cr
     description: triggerDefinition.description,
     conditions: triggerDefinition.conditions,
     match: triggerDefinition.match || 'ALL',
+    aggregation: triggerDefinition.aggregation || null,
     alert_categories: triggerDefinition.alert_categories || [],
     created_by: createdBy
   });
@@ -883,6 +1526,7 @@ export async function getWebhookInfo(playbookId, baseUrl) {
       name: trigger.name,
       conditions: trigger.conditions,
       match: trigger.match,
+      aggregation: trigger.aggregation,
       enabled: trigger.enabled,
       stats: trigger.stats
     } : null,
@@ -898,8 +1542,14 @@ export default {
   // Main ingestion
   processWebhookIngestion,
 
+  // Batch ingestion
+  processWebhookBatch,
+  parseAlertBatch,
+  BATCH_MAX_ALERTS,
+
   // HARDENING: Drop reason enum
   DropReason,
+  AggregationDropReason,
 
   // HARDENING: Event time normalization
   normalizeEventTime,
@@ -908,9 +1558,12 @@ export default {
   // HARDENING: Fingerprint generation
   generateFingerprint,
   extractConditionFields,
+  getDedupWindowSeconds,
+  DEFAULT_DEDUP_WINDOW_SECONDS,
   isDuplicateFingerprint,
   recordFingerprint,
   claimFingerprint,
+  releaseFingerprint,
 
   // Webhook lifecycle
   createWebhookForPlaybook,
@@ -24,6 +24,8 @@ import playbookRoutes from './routes/playbook-routes.js';
 import { webhookSecurityMiddleware, securityRouter } from './middleware/webhook-security.js';
 import authMiddleware from './middleware/auth.js';
 import { seedDefaultUsers } from './services/auth-service.js';
+import { recoverInterruptedExecutions } from './engine/execution-engine.js';
+import { registerBuiltInJobs, startScheduler, stopScheduler } from './services/job-scheduler.js';
 
 // Load environment variables
 dotenv.config();
@@ -50,6 +52,8 @@ app.use(cors({
   credentials: true,
 }));
 app.use(express.json({ limit: '10mb' }));
+// CEF / LEEF / syslog alerts and batch (NDJSON) webhook ingestion
+app.use('/api/webhooks', express.text({ type: ['text/plain', 'application/x-ndjson'], limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Routes
@@ -125,6 +129,9 @@ app.use((err, req, res, next) => {
 function gracefulShutdown(signal) {
   logger.info(`${signal} received. Shutting down gracefully...`);
 
+  // Stop scheduling new background job runs
+  stopScheduler();
+
   // Close server
   if (global.server) {
     global.server.close(() => {
@@ -199,6 +206,18 @@ async function start() {
     // Seed default users if they don't exist
     await seedDefaultUsers();
 
+    // Recover executions stranded in EXECUTING by the previous process.
+    // Never blocks startup: a failed pass leaves them for the next restart.
+    try {
+      await recoverInterruptedExecutions();
+    } catch (error) {
+      logger.error('Execution recovery pass failed:', error);
+    }
+
+    // Start background jobs (approval timeouts, SLA checks, health checks)
+    registerBuiltInJobs();
+    await startScheduler();
+
     // Start Express server
     const server = app.listen(PORT, () => {
       logger.info(`Backend server running on port ${PORT}`);
@@ -211,6 +230,7 @@ async function start() {
       logger.info('  - Alert ingestion: DISABLED (use webhooks)');
       logger.info('  - Playbook execution: ACTIVE');
       logger.info('  - Case management: ACTIVE');
+      logger.info('  - Background jobs: ACTIVE');
       logger.info('');
       logger.info('Architecture Notes:');
       logger.info('  - Alerts exist ONLY as trigger_data in executions');
@@ -26,9 +26,9 @@ export function requireRole(...roles) {
   };
 }
 
-// Paths that match webhook ingestion: /webhooks/<id>/<secret>
+// Paths that match webhook ingestion: /webhooks/<id>/<secret>[/batch]
 // These use URL-based secret auth instead of JWT.
-const WEBHOOK_INGESTION_PATTERN = /^\/webhooks\/[^/]+\/[^/]+$/;
+const WEBHOOK_INGESTION_PATTERN = /^\/webhooks\/[^/]+\/[^/]+(\/batch)?$/;
 
 /**
  * Express middleware that enforces JWT authentication.
@@ -36,6 +36,7 @@ const WEBHOOK_INGESTION_PATTERN = /^\/webhooks\/[^/]+\/[^/]+$/;
  *
  * Exempt routes (handled outside this middleware or via other auth):
  *   - POST /api/webhooks/:webhook_id/:secret (secret-in-URL auth)
+ *   - POST /api/webhooks/:webhook_id/:secret/batch (secret-in-URL auth)
  */
 export default function authMiddleware(req, res, next) {
   // Skip JWT for webhook ingestion routes (they use secret-in-URL auth)
@@ -4,7 +4,7 @@
  */
 
 const VALID_SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
-const VALID_EXEC_STATES = ['EXECUTING', 'WAITING_APPROVAL', 'COMPLETED', 'FAILED'];
+const VALID_EXEC_STATES = ['QUEUED', 'EXECUTING', 'WAITING_APPROVAL', 'WAITING', 'COMPLETED', 'FAILED', 'CANCELLED'];
 const VALID_CASE_STATUSES = ['OPEN', 'INVESTIGATING', 'PENDING', 'RESOLVED', 'CLOSED'];
 const MAX_LIMIT = 500;
 const MAX_OFFSET = 100000;
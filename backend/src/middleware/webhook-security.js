@@ -21,12 +21,21 @@
  * - NO changes to execution state machine
  * - Backward compatible with existing secret-in-URL authentication
  *
+ * SHARED STATE:
+ * Nonces and flood-control counters live in the dedup store
+ * (services/dedup-store.js, MongoDB by default), so replay protection and
+ * execution limits hold across replicas and restarts. If the store is
+ * unreachable these checks fail open and log an error. Per-IP rate limiting
+ * stays in process memory: it guards each instance against bursts and
+ * needs no coordination.
+ *
  * VERSION: 1.0.0
  * ══════════════════════════════════════════════════════════════════════════════
  */
 
 import crypto from 'crypto';
 import logger from '../utils/logger.js';
+import { getDedupStore } from '../services/dedup-store.js';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // CONFIGURATION
@@ -70,23 +79,19 @@ const CONFIG = {
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
-// IN-MEMORY CACHES (Production: Use Redis for distributed deployment)
+// IN-MEMORY CACHES (per instance)
 // ═══════════════════════════════════════════════════════════════════════════
 
 // Per-IP rate limiting cache
 // Structure: { ip: { count: number, windowStart: number, burstCount: number, burstStart: number, blockedUntil: number } }
 const ipRateLimitCache = new Map();
 
-// Nonce cache for replay prevention
-// Structure: { nonce: timestamp }
-const nonceCache = new Map();
-
-// Per-playbook execution rate cache
-// Structure: { playbook_id: { count: number, windowStart: number } }
-const playbookRateCache = new Map();
-
-// Global execution rate counter
-let globalExecCounter = { count: 0, windowStart: Date.now() };
+// Dedup store namespaces (nonces, flood-control counters)
+const StoreNamespace = Object.freeze({
+  NONCE: 'nonce',
+  FLOOD_PLAYBOOK: 'flood:playbook',
+  FLOOD_GLOBAL: 'flood:global'
+});
 
 // Security event counters for observability
 const securityMetrics = {
@@ -259,9 +264,9 @@ function generateNonce(webhookId, payload, timestamp) {
 
 /**
  * Check for replay attack
- * Returns: { allowed: boolean, reason?: string }
+ * Returns: Promise<{ allowed: boolean, reason?: string }>
  */
-function checkReplayAttack(webhookId, payload, requestTimestamp) {
+async function checkReplayAttack(webhookId, payload, requestTimestamp) {
   const now = Date.now();
   const config = CONFIG.REPLAY_PROTECTION;
 
@@ -307,8 +312,16 @@ function checkReplayAttack(webhookId, payload, requestTimestamp) {
   // Generate nonce for this request
   const nonce = generateNonce(webhookId, payload, requestTimestamp || now);
 
-  // Check if nonce was seen before
-  if (nonceCache.has(nonce)) {
+  // Claim the nonce; fails if any instance saw it within the TTL
+  let claimed;
+  try {
+    claimed = await getDedupStore().claim(StoreNamespace.NONCE, nonce, config.NONCE_TTL_MS);
+  } catch (error) {
+    logger.error(`Replay protection store unavailable, allowing request: ${error.message}`);
+    return { allowed: true };
+  }
+
+  if (!claimed) {
     return {
       allowed: false,
       reason: 'DUPLICATE_NONCE',
@@ -316,16 +329,13 @@ function checkReplayAttack(webhookId, payload, requestTimestamp) {
     };
   }
 
-  // Store nonce
-  nonceCache.set(nonce, now);
-
   return { allowed: true };
 }
 
 /**
  * Express middleware for replay attack prevention
  */
-export function replayProtectionMiddleware(req, res, next) {
+export async function replayProtectionMiddleware(req, res, next) {
   // Only apply to webhook ingestion endpoints
   if (!req.path.includes('/webhooks/')) {
     return next();
@@ -335,7 +345,7 @@ export function replayProtectionMiddleware(req, res, next) {
   const payload = req.body;
   const timestamp = req.headers[CONFIG.HMAC.TIMESTAMP_HEADER] || req.body?.timestamp;
 
-  const result = checkReplayAttack(webhookId, payload, timestamp);
+  const result = await checkReplayAttack(webhookId, payload, timestamp);
 
   if (!result.allowed) {
     securityMetrics.replay.blocked++;
@@ -497,60 +507,54 @@ export function validateHMACIfPresent(req, webhookSecret) {
 // ═══════════════════════════════════════════════════════════════════════════
 
 /**
- * Check if playbook execution is allowed (per-playbook rate limiting)
- * Returns: { allowed: boolean, reason?: string }
+ * Check if playbook execution is allowed (per-playbook, then global,
+ * fixed-window counters in the dedup store). The counters are atomic
+ * increments, so an attempt counts against its window even when rejected;
+ * attempts rejected by the per-playbook limit do not count globally.
+ * Returns: Promise<{ allowed: boolean, reason?: string, playbook_count, global_count }>
  */
-function checkPlaybookFloodControl(playbookId) {
-  const now = Date.now();
+async function checkPlaybookFloodControl(playbookId) {
   const config = CONFIG.FLOOD_CONTROL;
+  const store = getDedupStore();
 
-  // Check global rate limit
-  if (now - globalExecCounter.windowStart > config.GLOBAL_WINDOW_MS) {
-    globalExecCounter = { count: 0, windowStart: now };
-  }
-
-  if (globalExecCounter.count >= config.GLOBAL_MAX) {
+  const playbook = await store.increment(StoreNamespace.FLOOD_PLAYBOOK, playbookId, config.PER_PLAYBOOK_WINDOW_MS);
+  if (playbook.count > config.PER_PLAYBOOK_MAX) {
     return {
       allowed: false,
-      reason: 'GLOBAL_FLOOD_LIMIT',
-      message: 'System execution rate limit exceeded. Please try again later.'
+      reason: 'PLAYBOOK_FLOOD_LIMIT',
+      message: `Playbook ${playbookId} execution rate limit exceeded. Please try again later.`,
+      playbook_count: playbook.count,
+      global_count: null
     };
   }
 
-  // Check per-playbook rate limit
-  let entry = playbookRateCache.get(playbookId);
-  if (!entry) {
-    entry = { count: 0, windowStart: now };
-    playbookRateCache.set(playbookId, entry);
-  }
-
-  // Reset window if expired
-  if (now - entry.windowStart > config.PER_PLAYBOOK_WINDOW_MS) {
-    entry.count = 0;
-    entry.windowStart = now;
-  }
-
-  if (entry.count >= config.PER_PLAYBOOK_MAX) {
+  const global = await store.increment(StoreNamespace.FLOOD_GLOBAL, 'all', config.GLOBAL_WINDOW_MS);
+  if (global.count > config.GLOBAL_MAX) {
     return {
       allowed: false,
-      reason: 'PLAYBOOK_FLOOD_LIMIT',
-      message: `Playbook ${playbookId} execution rate limit exceeded. Please try again later.`
+      reason: 'GLOBAL_FLOOD_LIMIT',
+      message: 'System execution rate limit exceeded. Please try again later.',
+      playbook_count: playbook.count,
+      global_count: global.count
     };
   }
 
-  // Allow and increment
-  entry.count++;
-  globalExecCounter.count++;
-
-  return { allowed: true };
+  return { allowed: true, playbook_count: playbook.count, global_count: global.count };
 }
 
 /**
  * Check flood control before execution creation
  * Call this from webhook handler before creating execution
  */
-export function checkFloodControl(playbookId) {
-  const result = checkPlaybookFloodControl(playbookId);
+export async function checkFloodControl(playbookId) {
+  let result;
+  try {
+    result = await checkPlaybookFloodControl(playbookId);
+  } catch (error) {
+    logger.error(`Flood control store unavailable, allowing execution: ${error.message}`);
+    securityMetrics.flood.allowed++;
+    return { allowed: true };
+  }
 
   if (!result.allowed) {
     securityMetrics.flood.blocked++;
@@ -558,8 +562,8 @@ export function checkFloodControl(playbookId) {
     logSecurityEvent('FLOOD_CONTROL', {
       playbook_id: playbookId,
       reason: result.reason,
-      global_count: globalExecCounter.count,
-      playbook_count: playbookRateCache.get(playbookId)?.count || 0
+      global_count: result.global_count,
+      playbook_count: result.playbook_count
     });
 
     return result;
@@ -602,11 +606,13 @@ export function getSecurityMetrics() {
       blocked: securityMetrics.flood.blocked,
       allowed: securityMetrics.flood.allowed
     },
+    // nonce_cache / playbook_rate are only known for the memory store (null otherwise)
     cache_sizes: {
       ip_rate_limit: ipRateLimitCache.size,
-      nonce_cache: nonceCache.size,
-      playbook_rate: playbookRateCache.size
-    }
+      nonce_cache: getDedupStore().size?.(StoreNamespace.NONCE) ?? null,
+      playbook_rate: getDedupStore().size?.(StoreNamespace.FLOOD_PLAYBOOK) ?? null
+    },
+    dedup_store: getDedupStore().type || 'custom'
   };
 }
 
@@ -626,11 +632,11 @@ export function resetSecurityMetrics() {
 // ═══════════════════════════════════════════════════════════════════════════
 
 /**
- * Clean expired entries from caches
+ * Clean expired entries from the per-IP cache (the dedup store expires its own keys)
  */
 function cleanupCaches() {
   const now = Date.now();
-  let cleaned = { ip: 0, nonce: 0, playbook: 0 };
+  let cleaned = { ip: 0 };
 
   // Clean IP rate limit cache (entries older than block duration + window)
   const ipExpiry = CONFIG.IP_RATE_LIMIT.BLOCK_DURATION_MS + CONFIG.IP_RATE_LIMIT.WINDOW_MS;
@@ -641,29 +647,11 @@ function cleanupCaches() {
     }
   }
 
-  // Clean nonce cache
-  for (const [nonce, timestamp] of nonceCache.entries()) {
-    if (now - timestamp > CONFIG.REPLAY_PROTECTION.NONCE_TTL_MS) {
-      nonceCache.delete(nonce);
-      cleaned.nonce++;
-    }
-  }
-
-  // Clean playbook rate cache
-  for (const [playbookId, entry] of playbookRateCache.entries()) {
-    if (now - entry.windowStart > CONFIG.FLOOD_CONTROL.PER_PLAYBOOK_WINDOW_MS * 2) {
-      playbookRateCache.delete(playbookId);
-      cleaned.playbook++;
-    }
-  }
-
-  if (cleaned.ip > 0 || cleaned.nonce > 0 || cleaned.playbook > 0) {
+  if (cleaned.ip > 0) {
     logger.debug('Security cache cleanup', {
       cleaned,
       remaining: {
-        ip: ipRateLimitCache.size,
-        nonce: nonceCache.size,
-        playbook: playbookRateCache.size
+        ip: ipRateLimitCache.size
       }
     });
   }
@@ -690,7 +678,7 @@ function getTrustedIPs() {
     .filter(Boolean);
 }
 
-export function webhookSecurityMiddleware(req, res, next) {
+export async function webhookSecurityMiddleware(req, res, next) {
   const ip = getClientIP(req);
 
   // Skip rate limiting for trusted IPs (internal forwarders)
@@ -731,7 +719,7 @@ export function webhookSecurityMiddleware(req, res, next) {
     const webhookId = req.params.webhook_id;
     const timestamp = req.headers[CONFIG.HMAC.TIMESTAMP_HEADER] || req.body?.timestamp;
 
-    const replayResult = checkReplayAttack(webhookId, req.body, timestamp);
+    const replayResult = await checkReplayAttack(webhookId, req.body, timestamp);
 
     if (!replayResult.allowed) {
       securityMetrics.replay.blocked++;
@@ -796,6 +784,7 @@ securityRouter.get('/config', (req, res) => {
         max_timestamp_skew_seconds: CONFIG.REPLAY_PROTECTION.MAX_TIMESTAMP_SKEW_MS / 1000,
         nonce_ttl_seconds: CONFIG.REPLAY_PROTECTION.NONCE_TTL_MS / 1000
       },
+      dedup_store: getDedupStore().type || 'custom',
       hmac: {
         header: CONFIG.HMAC.HEADER_NAME,
         timestamp_header: CONFIG.HMAC.TIMESTAMP_HEADER,
@@ -25,7 +25,7 @@ const approvalSchema = new mongoose.Schema({
 
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'expired'],
+    enum: ['pending', 'approved', 'rejected', 'expired', 'cancelled'],
     default: 'pending',
     index: true
   },
@@ -43,6 +43,15 @@ const approvalSchema = new mongoose.Schema({
   },
   reason: String,
 
+  // Populated when the request comes from a playbook approval step:
+  // the step's approvers list, resolved step inputs and timeout.
+  approvers: [String],
+  context: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  timeout_hours: Number,
+
   // Approval decision
   approved_by: String,
   approved_at: Date,
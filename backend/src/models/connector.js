@@ -81,6 +81,13 @@ const connectorSchema = new mongoose.Schema({
     time_window_ms: Number
   },
 
+  // Execution queue: max running executions whose playbook uses this
+  // connector (default EXECUTION_QUEUE_MAX_PER_CONNECTOR)
+  max_concurrent_executions: {
+    type: Number,
+    min: 1
+  },
+
   // Metadata
   created_by: {
     type: String,
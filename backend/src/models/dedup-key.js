@@ -0,0 +1,58 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — DEDUP KEY MODEL
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Backing collection of the MongoDB dedup / rate-limit store
+ * (services/dedup-store.js), shared by every backend replica:
+ *
+ * - Claims (alert fingerprints, request nonces): one document per key. The
+ *   unique (namespace, key) index makes the insert the atomic claim; the
+ *   first replica to insert wins.
+ * - Counters (flood control): one document per key and fixed window,
+ *   incremented atomically.
+ *
+ * Documents expire through the TTL index on expires_at. The TTL monitor
+ * runs about once a minute, so the store also treats a document past
+ * expires_at as absent.
+ *
+ * VERSION: 1.0.0
+ * AUTHOR: CyberSentinel SOAR Team
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import mongoose from 'mongoose';
+
+const DedupKeySchema = new mongoose.Schema({
+  // Key family (e.g. "fingerprint", "nonce", "flood:playbook")
+  namespace: {
+    type: String,
+    required: true
+  },
+
+  key: {
+    type: String,
+    required: true
+  },
+
+  // Counter value (claims keep 1)
+  count: {
+    type: Number,
+    default: 1
+  },
+
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false },
+  collection: 'dedup_keys'
+});
+
+DedupKeySchema.index({ namespace: 1, key: 1 }, { unique: true });
+DedupKeySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const DedupKey = mongoose.model('DedupKey', DedupKeySchema);
+
+export default DedupKey;
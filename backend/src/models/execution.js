@@ -4,10 +4,13 @@
  * This is the PRIMARY entity - alerts only exist as trigger_data within executions
  *
  * STATE VALUES (CANONICAL):
+ *   - QUEUED: Waiting for a concurrency slot (see services/execution-queue.js)
  *   - EXECUTING: Currently running
  *   - WAITING_APPROVAL: Paused waiting for approval
+ *   - WAITING: Parked on a wait step or a scheduled step retry
  *   - COMPLETED: Successfully finished
  *   - FAILED: Execution failed
+ *   - CANCELLED: Stopped by an operator (see cancellation)
  *
  * STEP STATE VALUES (CANONICAL):
  *   - PENDING: Not yet started
@@ -36,10 +39,13 @@ function generateExecutionId() {
 
 // Valid execution states (CANONICAL - no other values allowed)
 export const ExecutionState = {
+  QUEUED: 'QUEUED',
   EXECUTING: 'EXECUTING',
   WAITING_APPROVAL: 'WAITING_APPROVAL',
+  WAITING: 'WAITING',
   COMPLETED: 'COMPLETED',
-  FAILED: 'FAILED'
+  FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED'
 };
 
 // Valid step states
@@ -76,9 +82,129 @@ const stepResultSchema = new mongoose.Schema({
   retry_count: {
     type: Number,
     default: 0
+  },
+  // Scheduled retry (retry_policy) — null when no retry is pending
+  next_retry_at: {
+    type: Date,
+    default: null
+  },
+  // One entry per failed attempt, including the final one
+  attempts: [{
+    _id: false,
+    attempt: Number,
+    started_at: Date,
+    failed_at: Date,
+    error: {
+      message: String,
+      code: String,
+      retryable: Boolean
+    },
+    next_retry_at: Date
+  }],
+  // Copied from the original execution by a rerun — not executed here
+  carried_over: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// A parked `wait` step or scheduled step retry. resume_at is when the wait
+// scheduler wakes it: the end of the delay, the wait_for deadline for event
+// waits, or next_retry_at for retries.
+const waitSchema = new mongoose.Schema({
+  step_id: {
+    type: String,
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['duration', 'until', 'event', 'retry'],
+    required: true
+  },
+  started_at: {
+    type: Date,
+    default: Date.now
+  },
+  resume_at: {
+    type: Date,
+    required: true
+  },
+  // Event waits only: alert source and match conditions
+  webhook_id: String,
+  conditions: [{
+    field: { type: String, required: true },
+    operator: { type: String, required: true },
+    value: mongoose.Schema.Types.Mixed
+  }],
+  match: {
+    type: String,
+    enum: ['ALL', 'ANY'],
+    default: 'ALL'
+  }
+}, { _id: false });
+
+// Compensation states: PENDING (recorded, not replayed), COMPLETED (undone),
+// FAILED (undo attempted and failed — a later rollback retries it)
+export const CompensationState = {
+  PENDING: 'PENDING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+};
+
+// Undo recorded for a successful action step, replayed newest-first by
+// rollback. step_id is `<foreach>[i].<sub_step>` for foreach sub-actions.
+const compensationSchema = new mongoose.Schema({
+  step_id: {
+    type: String,
+    required: true
+  },
+  connector_id: {
+    type: String,
+    required: true
+  },
+  original_action: {
+    type: String,
+    required: true
+  },
+  action_type: {
+    type: String,
+    required: true
+  },
+  inputs: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  state: {
+    type: String,
+    enum: Object.values(CompensationState),
+    default: CompensationState.PENDING
+  },
+  recorded_at: {
+    type: Date,
+    default: Date.now
+  },
+  executed_at: Date,
+  output: mongoose.Schema.Types.Mixed,
+  error: {
+    message: String,
+    code: String
   }
 }, { _id: false });
 
+// Trigger condition captured in trigger_snapshot: a leaf, or a group whose
+// `conditions` holds further entries (see models/trigger.js).
+const triggerSnapshotConditionSchema = new mongoose.Schema({
+  field: String,
+  operator: String,
+  value: mongoose.Schema.Types.Mixed,
+  match: { type: String, enum: ['ALL', 'ANY'] },
+  negate: Boolean
+}, { _id: false });
+
+triggerSnapshotConditionSchema.add({
+  conditions: { type: [triggerSnapshotConditionSchema], default: undefined }
+});
+
 const executionSchema = new mongoose.Schema({
   // Human-readable unique execution identifier (e.g., "EXE-20260116-A1B2C3")
   // This is the PRIMARY identifier for external use (NOT MongoDB _id)
@@ -101,6 +227,10 @@ const executionSchema = new mongoose.Schema({
     required: true
   },
 
+  // Playbook version the execution runs; startup recovery resumes against
+  // this version rather than whichever is active by then
+  playbook_version: Number,
+
   // Execution state - ONLY these values allowed
   state: {
     type: String,
@@ -118,10 +248,17 @@ const executionSchema = new mongoose.Schema({
     default: {}
   },
 
+  // Playbook input values ({{inputs.*}}), resolved against the DSL `inputs`
+  // declaration when the execution was created (see engine/playbook-inputs.js)
+  inputs: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+
   // Trigger source - how this execution was initiated
   trigger_source: {
     type: String,
-    enum: ['webhook', 'manual', 'simulation', 'api'],
+    enum: ['webhook', 'manual', 'simulation', 'api', 'playbook', 'rerun', 'scheduled'],
     default: 'webhook',
     index: true
   },
@@ -134,12 +271,11 @@ const executionSchema = new mongoose.Schema({
   trigger_snapshot: {
     trigger_id: { type: String, required: true },
     version: { type: Number, required: true },
-    conditions: [{
-      field: { type: String, required: true },
-      operator: { type: String, required: true },
-      value: mongoose.Schema.Types.Mixed
-    }],
+    // Leaves { field, operator, value } and nested groups
+    // { match, negate, conditions } exactly as the trigger defined them
+    conditions: [triggerSnapshotConditionSchema],
     match: { type: String, enum: ['ALL', 'ANY'], required: true },
+    aggregation: { type: mongoose.Schema.Types.Mixed, default: null },
     snapshot_at: { type: Date, required: true, default: Date.now }
   },
 
@@ -272,6 +408,134 @@ const executionSchema = new mongoose.Schema({
   approval_id: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Approval'
+  },
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // EXECUTION QUEUE
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // queue is set on alert-triggered executions, created QUEUED and started
+  // by the execution queue once a slot is free.
+  queue: {
+    priority: Number,
+    severity: String,
+    enqueued_at: Date,
+    dispatched_at: Date,
+    playbook_version: Number,
+    max_per_playbook: Number
+  },
+
+  // Connectors the playbook can call, sub-playbooks included. Recorded on
+  // every top-level execution (at enqueue, else when the engine starts) and
+  // counted against per-connector limits while it runs. Sub-playbook
+  // executions record none; their parent counts them.
+  connector_ids: {
+    type: [String],
+    default: undefined
+  },
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // SUB-PLAYBOOK LINKAGE
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // Set on executions started by a `playbook` step of another execution.
+  // call_depth is 0 for top-level executions, parent depth + 1 for children.
+  parent_execution_id: {
+    type: String,
+    default: null,
+    index: true
+  },
+  parent_step_id: {
+    type: String,
+    default: null
+  },
+  call_depth: {
+    type: Number,
+    default: 0
+  },
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // RERUN LINKAGE
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // Set on executions created by POST /api/executions/:id/rerun. Steps carried
+  // over from the original are flagged carried_over in steps[].
+  rerun_of: {
+    type: String,
+    default: null,
+    index: true
+  },
+  rerun_from_step: {
+    type: String,
+    default: null
+  },
+  rerun_by: {
+    type: String,
+    default: null
+  },
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // CANCELLATION
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // Set when an operator cancels the execution (state CANCELLED). Steps still
+  // PENDING become SKIPPED; steps interrupted mid-run fail with
+  // EXECUTION_CANCELLED.
+  cancellation: {
+    cancelled_by: String,
+    cancelled_at: Date,
+    reason: String,
+    previous_state: String
+  },
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // COMPENSATIONS / ROLLBACK
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // Every successful action step whose connector declares a compensating
+  // action records it here. POST /api/executions/:id/rollback, or a step with
+  // on_failure: rollback, replays them in reverse order.
+  compensations: {
+    type: [compensationSchema],
+    default: []
+  },
+  rollback: {
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'partial', 'failed', null],
+      default: null
+    },
+    trigger: {
+      type: String,
+      enum: ['manual', 'on_failure', null],
+      default: null
+    },
+    requested_by: String,
+    reason: String,
+    started_at: Date,
+    completed_at: Date,
+    compensated: Number,
+    failed: Number
+  },
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // PARKED WAIT STEPS
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // Wait steps and step retries persist here instead of holding a timer in
+  // the process. The execution moves to WAITING once no branch is running.
+  waits: {
+    type: [waitSchema],
+    default: []
+  },
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // STARTUP RECOVERY TRACKING
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // Incremented each time a backend restart finds this execution stranded in
+  // EXECUTING. Bounded by the engine so a step that crashes the process cannot
+  // cause an endless recover → crash loop.
+  recovery_count: {
+    type: Number,
+    default: 0
+  },
+  recovered_at: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: {
@@ -290,6 +554,10 @@ executionSchema.index({ playbook_id: 1, created_at: -1 });
 executionSchema.index({ state: 1, created_at: -1 });
 executionSchema.index({ started_at: -1 });
 
+// Execution queue: dispatch order, and running counts per connector
+executionSchema.index({ state: 1, 'queue.priority': -1, 'queue.enqueued_at': 1 });
+executionSchema.index({ state: 1, connector_ids: 1 });
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // AGENT 8 OPTIMIZATION INDEXES
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -384,6 +652,17 @@ executionSchema.index(
   { name: 'idx_containment_at', background: true, sparse: true }
 );
 
+// Wait wake-ups: due timers, and alerts arriving on an awaited webhook
+executionSchema.index(
+  { state: 1, 'waits.resume_at': 1 },
+  { name: 'idx_waits_resume_at', background: true }
+);
+
+executionSchema.index(
+  { state: 1, 'waits.webhook_id': 1 },
+  { name: 'idx_waits_webhook_id', background: true }
+);
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // INDEX JUSTIFICATION
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -12,8 +12,12 @@ import AuditLog from './audit-log.js';
 import User from './user.js';
 import Webhook, { WebhookStatus } from './webhook.js';
 import Trigger, { TriggerOperator, MatchMode } from './trigger.js';
+import TriggerWindow from './trigger-window.js';
 import SLAPolicy, { SLAScope, SeverityLevel } from './sla-policy.js';
 import SOCHealthAlert, { SOCHealthAlertType, AlertSeverity, AlertStatus } from './soc-health-alert.js';
+import ScheduledJob, { JobStatus } from './scheduled-job.js';
+import PlaybookSchedule, { MissedRunPolicy } from './playbook-schedule.js';
+import DedupKey from './dedup-key.js';
 
 export {
   Playbook,
@@ -30,13 +34,19 @@ export {
   Trigger,
   TriggerOperator,
   MatchMode,
+  TriggerWindow,
   SLAPolicy,
   SLAScope,
   SeverityLevel,
   SOCHealthAlert,
   SOCHealthAlertType,
   AlertSeverity,
-  AlertStatus
+  AlertStatus,
+  ScheduledJob,
+  JobStatus,
+  PlaybookSchedule,
+  MissedRunPolicy,
+  DedupKey
 };
 
 export default {
@@ -54,11 +64,17 @@ export default {
   Trigger,
   TriggerOperator,
   MatchMode,
+  TriggerWindow,
   SLAPolicy,
   SLAScope,
   SeverityLevel,
   SOCHealthAlert,
   SOCHealthAlertType,
   AlertSeverity,
-  AlertStatus
+  AlertStatus,
+  ScheduledJob,
+  JobStatus,
+  PlaybookSchedule,
+  MissedRunPolicy,
+  DedupKey
 };
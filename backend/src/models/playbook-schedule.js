@@ -0,0 +1,141 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — PLAYBOOK SCHEDULE MODEL
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Cron schedule for a versioned playbook. One document per playbook_id; each
+ * run starts the playbook's enabled version at that moment, with
+ * trigger_source 'scheduled' (services/playbook-schedule-service.js).
+ *
+ * next_run_at doubles as the run claim: a run advances it atomically from
+ * the value it read, so a due run is started by exactly one replica.
+ *
+ * MISSED RUNS:
+ * ─────────────────────────────────────────────────────────────────────────────
+ * A run is missed when it is picked up more than the misfire grace period
+ * after its scheduled time (downtime, scheduler stopped). missed_run_policy:
+ * - skip:     missed runs are dropped; only an on-time run starts
+ * - run_once: one catch-up run for the most recent missed time (default)
+ * - run_all:  a catch-up run per missed time, at most max_catchup_runs
+ *             (the most recent ones)
+ *
+ * VERSION: 1.0.0
+ * AUTHOR: CyberSentinel SOAR Team
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import mongoose from 'mongoose';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MISSED RUN POLICY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const MissedRunPolicy = Object.freeze({
+  SKIP: 'skip',
+  RUN_ONCE: 'run_once',
+  RUN_ALL: 'run_all'
+});
+
+export const MAX_CATCHUP_RUNS_LIMIT = 50;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PLAYBOOK SCHEDULE SCHEMA
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const PlaybookScheduleSchema = new mongoose.Schema({
+  // Logical playbook identifier (PlaybookVersioned.playbook_id)
+  playbook_id: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  // 5-field cron expression or @shortcut (utils/cron-expression.js)
+  cron: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // IANA timezone the cron expression is evaluated in
+  timezone: {
+    type: String,
+    required: true,
+    default: 'UTC'
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Values for the playbook's declared inputs ({{inputs.*}}), checked
+  // against the enabled version when the schedule is saved and on each run
+  inputs: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+
+  missed_run_policy: {
+    type: String,
+    enum: Object.values(MissedRunPolicy),
+    default: MissedRunPolicy.RUN_ONCE
+  },
+
+  max_catchup_runs: {
+    type: Number,
+    min: 1,
+    max: MAX_CATCHUP_RUNS_LIMIT,
+    default: 10
+  },
+
+  // Next scheduled time (null when disabled or the expression never matches)
+  next_run_at: {
+    type: Date,
+    default: null,
+    index: true
+  },
+
+  // Run history (last run only)
+  last_run_at: Date,
+  last_scheduled_for: Date,
+  last_execution_id: String,
+  last_error: {
+    message: String,
+    code: String,
+    at: Date
+  },
+
+  run_count: {
+    type: Number,
+    default: 0
+  },
+  failure_count: {
+    type: Number,
+    default: 0
+  },
+  missed_count: {
+    type: Number,
+    default: 0
+  },
+
+  created_by: {
+    type: String,
+    default: 'system'
+  },
+  updated_by: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  collection: 'playbook_schedules'
+});
+
+PlaybookScheduleSchema.index({ enabled: 1, next_run_at: 1 });
+
+const PlaybookSchedule = mongoose.model('PlaybookSchedule', PlaybookScheduleSchema);
+
+export default PlaybookSchedule;
@@ -0,0 +1,113 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — SCHEDULED JOB MODEL
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Persisted state for background jobs run by the job scheduler
+ * (services/job-scheduler.js). One document per job_id.
+ *
+ * The document doubles as the run lock: a run claims the job by atomically
+ * moving it to RUNNING with a lease (locked_until). A crashed run releases
+ * the job once its lease expires.
+ *
+ * VERSION: 1.0.0
+ * AUTHOR: CyberSentinel SOAR Team
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import mongoose from 'mongoose';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// JOB STATUS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const JobStatus = Object.freeze({
+  IDLE: 'idle',
+  RUNNING: 'running'
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCHEDULED JOB SCHEMA
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const ScheduledJobSchema = new mongoose.Schema({
+  // Stable job identifier (e.g., "approval-timeouts")
+  job_id: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: true
+  },
+
+  description: String,
+
+  // Run every interval_ms (measured from the end of the previous run)
+  interval_ms: {
+    type: Number,
+    required: true,
+    min: 1000
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(JobStatus),
+    default: JobStatus.IDLE,
+    index: true
+  },
+
+  // Run lease — a RUNNING job with an expired lease is considered abandoned
+  locked_until: {
+    type: Date,
+    default: null
+  },
+
+  // Run history (last run only)
+  last_run_at: Date,
+  last_finished_at: Date,
+  last_duration_ms: Number,
+  last_trigger: {
+    type: String,
+    enum: ['scheduled', 'manual', null],
+    default: null
+  },
+  last_triggered_by: String,
+  last_result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  last_error: {
+    message: String,
+    at: Date
+  },
+
+  next_run_at: {
+    type: Date,
+    index: true
+  },
+
+  run_count: {
+    type: Number,
+    default: 0
+  },
+  failure_count: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  collection: 'scheduled_jobs'
+});
+
+const ScheduledJob = mongoose.model('ScheduledJob', ScheduledJobSchema);
+
+export default ScheduledJob;
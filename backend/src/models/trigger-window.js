@@ -0,0 +1,94 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — TRIGGER WINDOW MODEL
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Sliding-window state for aggregation triggers (trigger.aggregation).
+ * One document per trigger version and group key, e.g. all alerts matching
+ * TRG-X v3 with data.srcip = 10.0.0.5.
+ *
+ * `alerts` holds the matching alerts still inside the window, oldest first,
+ * capped at AggregationLimits.MAX_WINDOW_ALERTS. Firing empties it and sets
+ * fired_at; while fired_at is within the cooldown new matches are absorbed.
+ * Idle windows are removed by the TTL index on expires_at.
+ *
+ * VERSION: 1.0.0
+ * AUTHOR: CyberSentinel SOAR Team
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import mongoose from 'mongoose';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TRIGGER WINDOW SCHEMA
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const WindowAlertSchema = new mongoose.Schema({
+  received_at: { type: Date, required: true },
+  event_time: Date,
+  // Value of aggregation.distinct_field (undefined when not configured or missing)
+  distinct_value: mongoose.Schema.Types.Mixed,
+  alert: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const TriggerWindowSchema = new mongoose.Schema({
+  trigger_id: {
+    type: String,
+    required: true
+  },
+  trigger_version: {
+    type: Number,
+    required: true
+  },
+
+  // Stable key built from the group_by values (see trigger-aggregation-service)
+  group_key: {
+    type: String,
+    required: true
+  },
+  // group_by field → value, for display and trigger_data
+  group: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  alerts: {
+    type: [WindowAlertSchema],
+    default: []
+  },
+
+  fired_at: {
+    type: Date,
+    default: null
+  },
+  fire_count: {
+    type: Number,
+    default: 0
+  },
+  // Matches absorbed during a cooldown
+  suppressed_count: {
+    type: Number,
+    default: 0
+  },
+
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  collection: 'trigger_windows'
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// INDEXES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+TriggerWindowSchema.index({ trigger_id: 1, trigger_version: 1, group_key: 1 }, { unique: true });
+
+// TTL - drop windows once they are idle past window + cooldown
+TriggerWindowSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const TriggerWindow = mongoose.model('TriggerWindow', TriggerWindowSchema);
+
+export default TriggerWindow;
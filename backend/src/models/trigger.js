@@ -12,6 +12,43 @@
  * 3. is_active flag - Only one version per trigger_id can be active
  * 4. trigger_snapshot - Conditions are snapshotted in executions for audit
  *
+ * CONDITION GROUPS:
+ * ─────────────────────────────────────────────────────────────────────────────
+ * An entry in `conditions` is either a leaf { field, operator, value } or a
+ * group { match: 'ALL'|'ANY', negate?: boolean, conditions: [...] }. Groups
+ * nest up to MAX_CONDITION_DEPTH levels; negate: true inverts the group
+ * (NOT). The trigger's own `match` combines the top-level entries.
+ *
+ *   "match": "ALL",
+ *   "conditions": [
+ *     { "field": "rule.level", "operator": "gte", "value": 10 },
+ *     { "match": "ANY", "conditions": [
+ *       { "field": "rule.groups", "operator": "array_contains", "value": "sshd" },
+ *       { "field": "rule.groups", "operator": "array_contains", "value": "authentication_failed" }
+ *     ]},
+ *     { "match": "ALL", "negate": true, "conditions": [
+ *       { "field": "agent.name", "operator": "in", "value": ["honeypot-01", "honeypot-02"] }
+ *     ]}
+ *   ]
+ *
+ * AGGREGATION (THRESHOLD / CORRELATION):
+ * ─────────────────────────────────────────────────────────────────────────────
+ * With `aggregation` set, a matching alert does not start a run by itself.
+ * Matches are counted per group in a sliding window (persisted in the
+ * trigger_windows collection, see models/trigger-window.js) and the trigger
+ * fires once the threshold is reached:
+ *
+ *   "aggregation": {
+ *     "group_by": ["data.srcuser"],     // alerts with the same values share a window
+ *     "window_minutes": 10,             // sliding window length
+ *     "threshold": 3,                   // fire at >= 3 ...
+ *     "distinct_field": "agent.id",     // ... distinct agent.id values (omit to count alerts)
+ *     "cooldown_minutes": 30            // after firing, absorb the group's alerts (default: window)
+ *   }
+ *
+ * The run's trigger_data is the alert that crossed the threshold plus an
+ * `aggregation` object listing every alert in the window.
+ *
  * SUPPORTED ALERT FIELDS (CyberSentinel Schema):
  * ─────────────────────────────────────────────────────────────────────────────
  * rule.id                 - Unique rule identifier (e.g., "5710", "120000")
@@ -78,7 +115,15 @@ export const TriggerOperator = Object.freeze({
 
   // Existence
   EXISTS: 'exists',
-  NOT_EXISTS: 'not_exists'
+  NOT_EXISTS: 'not_exists',
+
+  // Pattern / network / range (see engine/trigger-engine.js for value formats)
+  MATCHES_REGEX: 'matches_regex',
+  IN_CIDR: 'in_cidr',
+  NOT_IN_CIDR: 'not_in_cidr',
+  BETWEEN: 'between',
+  LENGTH_GT: 'length_gt',
+  TIME_WINDOW: 'time_window'
 });
 
 export const VALID_OPERATORS = Object.values(TriggerOperator);
@@ -92,26 +137,53 @@ export const MatchMode = Object.freeze({
   ANY: 'ANY'   // At least one condition must match (OR)
 });
 
+// Maximum nesting of condition groups below the trigger's top level
+export const MAX_CONDITION_DEPTH = 5;
+
+// Aggregation limits; a window never holds more than MAX_WINDOW_ALERTS alerts
+export const AggregationLimits = Object.freeze({
+  MAX_GROUP_BY_FIELDS: 5,
+  MAX_WINDOW_MINUTES: 1440,
+  MAX_WINDOW_ALERTS: 500
+});
+
+// Fingerprint dedup window bounds (seconds); see engine/webhook-ingestion.js
+export const DedupWindowLimits = Object.freeze({
+  DEFAULT_SECONDS: 60,
+  MAX_SECONDS: 86400
+});
+
+const FIELD_PATH_PATTERN = /^[a-zA-Z_@][a-zA-Z0-9_]*(\.[a-zA-Z_@][a-zA-Z0-9_]*|\[\d+\])*$/;
+
+/**
+ * Check whether a condition entry is a group rather than a leaf comparison
+ */
+export function isConditionGroup(condition) {
+  return !!condition && Array.isArray(condition.conditions);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // TRIGGER CONDITION SCHEMA
 // ═══════════════════════════════════════════════════════════════════════════════
 
+// One schema for leaves and groups; which fields are required depends on
+// whether the entry has a `conditions` array (see isConditionGroup).
 const TriggerConditionSchema = new mongoose.Schema({
   field: {
     type: String,
-    required: [true, 'Condition field is required'],
+    required: [function() { return !isConditionGroup(this); }, 'Condition field is required'],
     trim: true,
     validate: {
       validator: function(v) {
         // Valid field paths: alphanumeric with dots, brackets, underscores
-        return /^[a-zA-Z_@][a-zA-Z0-9_]*(\.[a-zA-Z_@][a-zA-Z0-9_]*|\[\d+\])*$/.test(v);
+        return FIELD_PATH_PATTERN.test(v);
       },
       message: props => `'${props.value}' is not a valid field path`
     }
   },
   operator: {
     type: String,
-    required: [true, 'Condition operator is required'],
+    required: [function() { return !isConditionGroup(this); }, 'Condition operator is required'],
     enum: {
       values: VALID_OPERATORS,
       message: 'Invalid operator: {VALUE}'
@@ -120,12 +192,106 @@ const TriggerConditionSchema = new mongoose.Schema({
   value: {
     type: mongoose.Schema.Types.Mixed,
     required: function() {
-      // value not required for exists/not_exists operators
-      return !['exists', 'not_exists'].includes(this.operator);
+      // value not required for groups or exists/not_exists operators
+      return !isConditionGroup(this) && !['exists', 'not_exists'].includes(this.operator);
+    }
+  },
+
+  // Group-only fields
+  match: {
+    type: String,
+    enum: Object.values(MatchMode)
+  },
+  negate: {
+    type: Boolean
+  }
+}, { _id: false });
+
+TriggerConditionSchema.add({
+  conditions: {
+    type: [TriggerConditionSchema],
+    default: undefined,
+    validate: {
+      validator: function(v) {
+        return v === undefined || v.length > 0;
+      },
+      message: 'A condition group must contain at least one condition'
+    }
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TRIGGER AGGREGATION SCHEMA
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const TriggerAggregationSchema = new mongoose.Schema({
+  group_by: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: function(v) {
+        return v.length <= AggregationLimits.MAX_GROUP_BY_FIELDS && v.every(f => FIELD_PATH_PATTERN.test(f));
+      },
+      message: `group_by takes up to ${AggregationLimits.MAX_GROUP_BY_FIELDS} valid field paths`
+    }
+  },
+  window_minutes: {
+    type: Number,
+    required: [true, 'aggregation.window_minutes is required'],
+    min: 1,
+    max: AggregationLimits.MAX_WINDOW_MINUTES
+  },
+  threshold: {
+    type: Number,
+    required: [true, 'aggregation.threshold is required'],
+    min: 1,
+    max: AggregationLimits.MAX_WINDOW_ALERTS
+  },
+  distinct_field: {
+    type: String,
+    validate: {
+      validator: v => FIELD_PATH_PATTERN.test(v),
+      message: props => `'${props.value}' is not a valid field path`
     }
+  },
+  cooldown_minutes: {
+    type: Number,
+    min: 0,
+    max: AggregationLimits.MAX_WINDOW_MINUTES
   }
 }, { _id: false });
 
+/**
+ * Deepest group nesting in a conditions array (0 for a flat list)
+ */
+function conditionDepth(conditions) {
+  let depth = 0;
+  for (const condition of conditions || []) {
+    if (isConditionGroup(condition)) {
+      depth = Math.max(depth, 1 + conditionDepth(condition.conditions));
+    }
+  }
+  return depth;
+}
+
+/**
+ * Copy a condition tree into plain objects (leaves keep field/operator/value,
+ * groups keep match/negate/conditions)
+ */
+export function snapshotConditions(conditions) {
+  return (conditions || []).map(c => (isConditionGroup(c)
+    ? {
+      match: c.match || MatchMode.ALL,
+      negate: c.negate === true,
+      conditions: snapshotConditions(c.conditions)
+    }
+    : {
+      field: c.field,
+      operator: c.operator,
+      value: c.value
+    }));
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // TRIGGER SCHEMA (HARDENED - IMMUTABLE VERSIONING)
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -200,16 +366,24 @@ const TriggerSchema = new mongoose.Schema({
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
 
-  // Trigger conditions array (IMMUTABLE)
+  // Trigger conditions array (IMMUTABLE); entries may be nested groups
   conditions: {
     type: [TriggerConditionSchema],
     required: true,
-    validate: {
-      validator: function(v) {
-        return v && v.length > 0;
+    validate: [
+      {
+        validator: function(v) {
+          return v && v.length > 0;
+        },
+        message: 'At least one condition is required'
       },
-      message: 'At least one condition is required'
-    }
+      {
+        validator: function(v) {
+          return conditionDepth(v) <= MAX_CONDITION_DEPTH;
+        },
+        message: `Condition groups cannot nest deeper than ${MAX_CONDITION_DEPTH} levels`
+      }
+    ]
   },
 
   // How to combine conditions: ALL (AND) or ANY (OR)
@@ -220,6 +394,12 @@ const TriggerSchema = new mongoose.Schema({
     required: true
   },
 
+  // Threshold / correlation over a sliding window (IMMUTABLE); null = fire per alert
+  aggregation: {
+    type: TriggerAggregationSchema,
+    default: null
+  },
+
   // ─────────────────────────────────────────────────────────────────────────────
   // EXPECTED ALERT CATEGORIES (for documentation/filtering)
   // ─────────────────────────────────────────────────────────────────────────────
@@ -264,6 +444,14 @@ const TriggerSchema = new mongoose.Schema({
     max: 1000
   },
 
+  // Alerts with the same fingerprint within this window are dropped as duplicates
+  dedup_window_seconds: {
+    type: Number,
+    default: DedupWindowLimits.DEFAULT_SECONDS,
+    min: 1,
+    max: DedupWindowLimits.MAX_SECONDS
+  },
+
   // ─────────────────────────────────────────────────────────────────────────────
   // STATISTICS (updated by trigger engine)
   // ─────────────────────────────────────────────────────────────────────────────
@@ -350,6 +538,14 @@ TriggerSchema.statics.findByWebhookId = function(webhookId) {
   return this.findOne({ webhook_id: webhookId, enabled: true, is_active: true });
 };
 
+/**
+ * Find all enabled ACTIVE triggers in routing order (router webhooks):
+ * priority ascending, then oldest first
+ */
+TriggerSchema.statics.findEnabledByPriority = function() {
+  return this.find({ enabled: true, is_active: true }).sort({ priority: 1, created_at: 1 });
+};
+
 /**
  * Find all versions of a trigger
  */
@@ -405,9 +601,11 @@ TriggerSchema.statics.createNewVersion = async function(triggerId, updates, upda
     description: updates.description !== undefined ? updates.description : currentTrigger.description,
     conditions: updates.conditions || currentTrigger.conditions,
     match: updates.match || currentTrigger.match,
+    aggregation: updates.aggregation !== undefined ? updates.aggregation : currentTrigger.aggregation,
     alert_categories: updates.alert_categories || currentTrigger.alert_categories,
     enabled: updates.enabled !== undefined ? updates.enabled : currentTrigger.enabled,
     priority: updates.priority || currentTrigger.priority,
+    dedup_window_seconds: updates.dedup_window_seconds || currentTrigger.dedup_window_seconds,
     created_by: updatedBy,
     supersedes: `${triggerId}:${currentTrigger.version}`
   });
@@ -428,12 +626,9 @@ TriggerSchema.methods.createSnapshot = function() {
   return {
     trigger_id: this.trigger_id,
     version: this.version,
-    conditions: this.conditions.map(c => ({
-      field: c.field,
-      operator: c.operator,
-      value: c.value
-    })),
+    conditions: snapshotConditions(this.conditions),
     match: this.match,
+    aggregation: this.aggregation ? this.aggregation.toObject() : null,
     snapshot_at: new Date()
   };
 };
@@ -488,13 +683,13 @@ TriggerSchema.pre('save', async function(next) {
 
   // HARDENING: Prevent modification of immutable fields on existing documents
   if (!this.isNew) {
-    const immutableFields = ['trigger_id', 'version', 'conditions', 'match', 'playbook_id', 'webhook_id'];
+    const immutableFields = ['trigger_id', 'version', 'conditions', 'match', 'aggregation', 'playbook_id', 'webhook_id'];
     const modifiedPaths = this.modifiedPaths();
 
     for (const field of immutableFields) {
       if (modifiedPaths.includes(field)) {
         // Only allow modification of conditions if creating new version
-        if (field === 'conditions' || field === 'match') {
+        if (field === 'conditions' || field === 'match' || field === 'aggregation') {
           return next(new Error(`Cannot modify ${field}. Use createNewVersion() instead.`));
         }
       }
@@ -511,4 +706,4 @@ TriggerSchema.pre('save', async function(next) {
 const Trigger = mongoose.model('Trigger', TriggerSchema);
 
 export default Trigger;
-export { TriggerSchema, TriggerConditionSchema };
+export { TriggerSchema, TriggerConditionSchema, TriggerAggregationSchema };
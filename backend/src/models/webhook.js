@@ -6,6 +6,20 @@
  * Manages webhook endpoints for playbook ingestion.
  * Each playbook gets exactly one webhook (1:1 relationship).
  *
+ * ROUTER WEBHOOKS:
+ * ─────────────────────────────────────────────────────────────────────────────
+ * A webhook with kind 'router' is not bound to a playbook. It evaluates every
+ * enabled trigger in priority order (lower first), so a forwarder can send
+ * all alerts to one endpoint:
+ *   - first_match: stop at the first trigger whose conditions match
+ *   - all_match:   evaluate every trigger; each match starts its playbook
+ *
+ * INPUT FORMATS:
+ * ─────────────────────────────────────────────────────────────────────────────
+ * input_format selects how the request body is read: json (default), cef,
+ * leef, syslog (RFC 5424) or ecs. Non-JSON payloads are mapped to canonical
+ * alert fields by engine/alert-parsers.js before trigger evaluation.
+ *
  * WEBHOOK LIFECYCLE:
  * ─────────────────────────────────────────────────────────────────────────────
  * 1. CREATE  - Webhook created when playbook is created
@@ -35,6 +49,24 @@ export const WebhookStatus = Object.freeze({
   SUSPENDED: 'suspended'  // Auto-suspended due to errors
 });
 
+export const WebhookKind = Object.freeze({
+  PLAYBOOK: 'playbook',  // Bound to one playbook through its trigger
+  ROUTER: 'router'       // Fans out to all enabled triggers
+});
+
+export const RoutingMode = Object.freeze({
+  FIRST_MATCH: 'first_match',
+  ALL_MATCH: 'all_match'
+});
+
+export const InputFormat = Object.freeze({
+  JSON: 'json',      // JSON object (Wazuh / forwarder)
+  CEF: 'cef',        // ArcSight Common Event Format, text/plain
+  LEEF: 'leef',      // IBM QRadar Log Event Extended Format, text/plain
+  SYSLOG: 'syslog',  // RFC 5424 syslog, text/plain
+  ECS: 'ecs'         // Elastic Common Schema JSON
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // WEBHOOK SCHEMA
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -58,13 +90,35 @@ const WebhookSchema = new mongoose.Schema({
     }
   },
 
+  kind: {
+    type: String,
+    enum: Object.values(WebhookKind),
+    default: WebhookKind.PLAYBOOK,
+    index: true
+  },
+
   playbook_id: {
     type: String,
-    required: [true, 'playbook_id is required'],
+    required: [function() { return this.kind !== WebhookKind.ROUTER; }, 'playbook_id is required'],
     unique: true,  // 1:1 binding
+    sparse: true,  // Router webhooks have no playbook
     index: true
   },
 
+  // Router webhooks only
+  routing_mode: {
+    type: String,
+    enum: Object.values(RoutingMode),
+    default: function() { return this.kind === WebhookKind.ROUTER ? RoutingMode.FIRST_MATCH : undefined; }
+  },
+
+  // Payload format posted to this webhook (engine/alert-parsers.js)
+  input_format: {
+    type: String,
+    enum: Object.values(InputFormat),
+    default: InputFormat.JSON
+  },
+
   // ═══════════════════════════════════════════════════════════════════════════════
   // HARDENING: trigger_id for bidirectional 1:1:1 cardinality lock
   // ═══════════════════════════════════════════════════════════════════════════════
@@ -176,11 +230,13 @@ const WebhookSchema = new mongoose.Schema({
     total_accepted: { type: Number, default: 0 },
     total_rejected: { type: Number, default: 0 },
     total_dropped: { type: Number, default: 0 },  // Dropped by trigger (no match)
+    total_deduplicated: { type: Number, default: 0 },  // Dedup hits (also counted in total_dropped)
     total_errors: { type: Number, default: 0 },
 
     last_request_at: { type: Date },
     last_accepted_at: { type: Date },
     last_rejected_at: { type: Date },
+    last_deduplicated_at: { type: Date },
 
     avg_processing_ms: { type: Number, default: 0 }
   },
@@ -268,10 +324,37 @@ WebhookSchema.statics.createForPlaybook = async function(playbookId, createdBy)
   return webhook;
 };
 
+/**
+ * Create a router webhook (not bound to a playbook)
+ */
+WebhookSchema.statics.createRouter = async function(createdBy, { routingMode = RoutingMode.FIRST_MATCH, description } = {}) {
+  const secret = this.generateSecret();
+
+  const webhook = new this({
+    webhook_id: this.generateWebhookId(),
+    kind: WebhookKind.ROUTER,
+    routing_mode: routingMode,
+    secret: secret,
+    secret_prefix: secret.substring(0, 8),
+    created_by: createdBy,
+    description
+  });
+
+  await webhook.save();
+  return webhook;
+};
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // INSTANCE METHODS
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/**
+ * Whether this webhook routes to all enabled triggers
+ */
+WebhookSchema.methods.isRouter = function() {
+  return this.kind === WebhookKind.ROUTER;
+};
+
 /**
  * Validate webhook secret
  */
@@ -425,6 +508,15 @@ WebhookSchema.methods.recordDropped = async function(processingMs) {
   await this.save();
 };
 
+/**
+ * Record a duplicate alert dropped by the fingerprint check
+ */
+WebhookSchema.methods.recordDeduplicated = async function(processingMs) {
+  this.stats.total_deduplicated++;
+  this.stats.last_deduplicated_at = new Date();
+  await this.recordDropped(processingMs);
+};
+
 /**
  * Record a rejected request (auth failure, validation failure)
  */
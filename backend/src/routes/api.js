@@ -7,6 +7,7 @@
  * EXECUTION STATE VALUES (CANONICAL):
  *   - EXECUTING: Currently running
  *   - WAITING_APPROVAL: Paused waiting for approval
+ *   - WAITING: Parked on a wait step (timer or awaited alert)
  *   - COMPLETED: Successfully finished
  *   - FAILED: Execution failed
  */
@@ -52,6 +53,7 @@ import {
   getResourceAuditLogs,
   getAuditStats
 } from '../services/audit-service.js';
+import { rerunExecution, rollbackExecution } from '../engine/execution-engine.js';
 import logger from '../utils/logger.js';
 import { Execution, PlaybookVersioned } from '../models/index.js';
 import Case from '../models/case.js';
@@ -241,7 +243,7 @@ router.patch('/playbooks/:id/webhook/toggle', requireRole('admin', 'engineer', '
  * Retrieve all executions with filtering
  *
  * Query params:
- *   - state: EXECUTING | WAITING_APPROVAL | COMPLETED | FAILED
+ *   - state: EXECUTING | WAITING_APPROVAL | WAITING | COMPLETED | FAILED
  *   - playbook_id: Filter by playbook
  *   - severity: Filter by trigger_data.severity (exact match or comma-separated)
  *   - rule_id: Filter by trigger_data.rule_id
@@ -344,21 +346,28 @@ router.get('/executions/:id', async (req, res) => {
 /**
  * POST /api/executions
  * Manually create/trigger an execution
+ *
+ * Body: { playbook_id, trigger_data?, inputs?, trigger_source? }
+ * At least one of trigger_data / inputs is required. inputs are checked
+ * against the playbook's declared inputs (400 INVALID_INPUTS).
  */
 router.post('/executions', async (req, res) => {
   try {
-    const { playbook_id, trigger_data, trigger_source } = req.body;
+    const { playbook_id, trigger_data, inputs, trigger_source } = req.body;
 
-    if (!playbook_id || !trigger_data) {
+    if (!playbook_id || (!trigger_data && !inputs)) {
       return res.status(400).json({
         error: 'Missing required fields',
-        message: 'playbook_id and trigger_data are required'
+        message: 'playbook_id and trigger_data or inputs are required'
       });
     }
 
-    const execution = await createExecution(playbook_id, trigger_data, trigger_source || 'manual');
+    const execution = await createExecution(playbook_id, trigger_data || {}, trigger_source || 'manual', inputs);
     res.status(201).json(execution);
   } catch (error) {
+    if (error.code === 'INVALID_INPUTS') {
+      return res.status(400).json({ error: 'Invalid playbook inputs', code: error.code, message: error.message, details: error.details });
+    }
     logger.error('Error creating execution:', error);
     res.status(500).json({ error: 'Failed to create execution', message: error.message });
   }
@@ -366,19 +375,111 @@ router.post('/executions', async (req, res) => {
 
 /**
  * PATCH /api/executions/:id/cancel
- * Cancel a running execution
+ * Cancel a QUEUED, EXECUTING, WAITING_APPROVAL or WAITING execution.
+ * In-flight connector calls are aborted, pending steps are SKIPPED and the
+ * execution ends CANCELLED.
+ *
+ * Body: { reason? }
  */
 router.patch('/executions/:id/cancel', async (req, res) => {
   try {
     const userId = req.user?.email || 'system';
-    const execution = await cancelExecution(req.params.id, userId);
+    const { reason } = req.body || {};
+    const execution = await cancelExecution(req.params.id, userId, typeof reason === 'string' ? reason : null);
     res.json(execution);
   } catch (error) {
+    const statusCodes = {
+      EXECUTION_NOT_FOUND: 404,
+      EXECUTION_NOT_CANCELLABLE: 409
+    };
+    if (statusCodes[error.code]) {
+      return res.status(statusCodes[error.code]).json({ error: 'Cannot cancel execution', code: error.code, message: error.message });
+    }
     logger.error('Error cancelling execution:', error);
     res.status(500).json({ error: 'Failed to cancel execution', message: error.message });
   }
 });
 
+/**
+ * POST /api/executions/:id/rerun
+ * Re-run a COMPLETED, FAILED or CANCELLED execution from a chosen step as
+ * a new, linked execution. Steps that finished before that step are carried
+ * over with their outputs instead of running again.
+ *
+ * Body: { step_id }
+ */
+router.post('/executions/:id/rerun', requireRole('admin', 'engineer', 'senior_analyst'), async (req, res) => {
+  try {
+    const { step_id } = req.body || {};
+    const userId = req.user?.email || 'system';
+
+    if (!step_id || typeof step_id !== 'string') {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'step_id is required'
+      });
+    }
+
+    const rerun = await rerunExecution(req.params.id, step_id, { requestedBy: userId });
+
+    res.status(201).json({
+      execution_id: rerun.execution_id,
+      rerun_of: rerun.rerun_of,
+      rerun_from_step: rerun.rerun_from_step,
+      carried_steps: rerun.steps.filter(s => s.carried_over).map(s => s.step_id),
+      state: rerun.state
+    });
+  } catch (error) {
+    const statusCodes = {
+      EXECUTION_NOT_FOUND: 404,
+      PLAYBOOK_NOT_FOUND: 404,
+      STEP_NOT_FOUND: 400,
+      PLAYBOOK_VALIDATION_FAILED: 400,
+      EXECUTION_NOT_FINISHED: 409
+    };
+    if (statusCodes[error.code]) {
+      return res.status(statusCodes[error.code]).json({ error: 'Cannot re-run execution', code: error.code, message: error.message });
+    }
+    logger.error('Error re-running execution:', error);
+    res.status(500).json({ error: 'Failed to re-run execution', message: error.message });
+  }
+});
+
+/**
+ * POST /api/executions/:id/rollback
+ * Undo a COMPLETED, FAILED or CANCELLED execution's actions (unblock IPs,
+ * release isolation, re-enable users) by replaying its recorded
+ * compensations in reverse order. Calling it again retries only
+ * compensations that failed.
+ *
+ * Body: { reason? }
+ */
+router.post('/executions/:id/rollback', requireRole('admin', 'engineer', 'senior_analyst'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const userId = req.user?.email || 'system';
+
+    const result = await rollbackExecution(req.params.id, {
+      requestedBy: userId,
+      reason: typeof reason === 'string' ? reason : null
+    });
+
+    res.json(result);
+  } catch (error) {
+    const statusCodes = {
+      EXECUTION_NOT_FOUND: 404,
+      EXECUTION_NOT_FINISHED: 409,
+      NOTHING_TO_ROLLBACK: 409,
+      ROLLBACK_IN_PROGRESS: 409
+    };
+    if (statusCodes[error.code]) {
+      return res.status(statusCodes[error.code]).json({ error: 'Cannot roll back execution', code: error.code, message: error.message });
+    }
+    logger.error('Error rolling back execution:', error);
+    res.status(500).json({ error: 'Failed to roll back execution', message: error.message });
+  }
+});
+
 /**
  * GET /api/stats/executions
  * Get execution statistics
@@ -13,6 +13,9 @@
  * - PATCH  /api/playbooks/:playbook_id/toggle Toggle enabled state
  * - GET    /api/playbooks/:playbook_id/versions Get all versions of playbook
  * - DELETE /api/playbooks/:playbook_id       NOT ALLOWED (audit safety)
+ * - GET    /api/v2/playbooks/:playbook_id/schedule  Get cron schedule
+ * - PUT    /api/v2/playbooks/:playbook_id/schedule  Create or replace cron schedule
+ * - DELETE /api/v2/playbooks/:playbook_id/schedule  Remove cron schedule
  *
  * VERSIONING:
  * - Updates always create new versions
@@ -43,6 +46,7 @@ import {
   togglePlaybook,
   deletePlaybook
 } from '../services/playbook-service-v2.js';
+import { getSchedule, upsertSchedule, deleteSchedule } from '../services/playbook-schedule-service.js';
 import { ValidationError } from '../validators/playbook-validator.js';
 import { logAction, actorFromReq } from '../services/audit-service.js';
 import logger from '../utils/logger.js';
@@ -69,7 +73,10 @@ function handleError(error, req, res) {
       'DUPLICATE_PLAYBOOK_ID': 409,
       'PLAYBOOK_NOT_FOUND': 404,
       'DELETE_NOT_ALLOWED': 403,
-      'INVALID_DSL': 400
+      'INVALID_DSL': 400,
+      'INVALID_SCHEDULE': 400,
+      'INVALID_INPUTS': 400,
+      'SCHEDULE_NOT_FOUND': 404
     };
 
     const statusCode = statusCodes[error.code] || 500;
@@ -648,6 +655,145 @@ router.post('/playbooks/:playbook_id/clone', async (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════════════════════
+// GET /api/v2/playbooks/:playbook_id/schedule - Get cron schedule
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Get the cron schedule of a playbook
+ *
+ * Response: 200 OK
+ * {
+ *   "playbook_id": "PB-HUNT-001",
+ *   "cron": "0 * * * *",
+ *   "timezone": "UTC",
+ *   "enabled": true,
+ *   "missed_run_policy": "run_once",
+ *   "next_run_at": "2026-01-20T11:00:00.000Z",
+ *   "upcoming_runs": [ ... ],
+ *   "last_execution_id": "EXE-...",
+ *   ...
+ * }
+ *
+ * Errors:
+ * - 404: Playbook has no schedule
+ */
+router.get('/playbooks/:playbook_id/schedule', async (req, res) => {
+  try {
+    const { playbook_id } = req.params;
+    const schedule = await getSchedule(playbook_id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        code: 'SCHEDULE_NOT_FOUND',
+        message: `Playbook ${playbook_id} has no schedule`,
+        details: { playbook_id }
+      });
+    }
+
+    res.json(schedule);
+  } catch (error) {
+    handleError(error, req, res);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PUT /api/v2/playbooks/:playbook_id/schedule - Create or replace schedule
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create or replace the cron schedule of a playbook. Each run starts the
+ * playbook's enabled version with trigger_source 'scheduled'.
+ *
+ * Request body:
+ * {
+ *   "cron": "0 * * * *",               // 5-field cron or @hourly, @daily, ...
+ *   "timezone": "Europe/Berlin",       // IANA timezone (default UTC)
+ *   "enabled": true,                   // default true
+ *   "inputs": { "lookback_hours": 24 },// values for declared playbook inputs
+ *   "missed_run_policy": "run_once",   // skip | run_once | run_all
+ *   "max_catchup_runs": 10             // run_all only (1-50)
+ * }
+ *
+ * Response: 201 Created (new schedule) / 200 OK (replaced)
+ *
+ * Errors:
+ * - 400: INVALID_SCHEDULE or INVALID_INPUTS
+ * - 404: Playbook not found or has no enabled version
+ */
+router.put('/playbooks/:playbook_id/schedule', async (req, res) => {
+  try {
+    const { playbook_id } = req.params;
+    const userId = req.user?.email || 'system';
+
+    const { schedule, created } = await upsertSchedule(playbook_id, req.body, userId);
+
+    logAction({
+      action: created ? 'create' : 'update',
+      resource_type: 'playbook',
+      resource_id: playbook_id,
+      resource_name: playbook_id,
+      ...actorFromReq(req),
+      outcome: 'success',
+      details: {
+        schedule: {
+          cron: schedule.cron,
+          timezone: schedule.timezone,
+          enabled: schedule.enabled,
+          missed_run_policy: schedule.missed_run_policy
+        }
+      },
+    }).catch(() => {});
+
+    res.status(created ? 201 : 200).json(schedule);
+  } catch (error) {
+    handleError(error, req, res);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DELETE /api/v2/playbooks/:playbook_id/schedule - Remove schedule
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Remove the cron schedule of a playbook. Executions already started are
+ * not affected.
+ *
+ * Response: 200 OK
+ * { "playbook_id": "PB-HUNT-001", "message": "Schedule deleted successfully" }
+ *
+ * Errors:
+ * - 404: Playbook has no schedule
+ */
+router.delete('/playbooks/:playbook_id/schedule', async (req, res) => {
+  try {
+    const { playbook_id } = req.params;
+    const deleted = await deleteSchedule(playbook_id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        code: 'SCHEDULE_NOT_FOUND',
+        message: `Playbook ${playbook_id} has no schedule`,
+        details: { playbook_id }
+      });
+    }
+
+    logAction({
+      action: 'delete',
+      resource_type: 'playbook',
+      resource_id: playbook_id,
+      resource_name: playbook_id,
+      ...actorFromReq(req),
+      outcome: 'success',
+      details: { schedule_deleted: true },
+    }).catch(() => {});
+
+    res.json({ playbook_id, message: 'Schedule deleted successfully' });
+  } catch (error) {
+    handleError(error, req, res);
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════
 // EXPORTS
 // ═══════════════════════════════════════════════════════════════════════════
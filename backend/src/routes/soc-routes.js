@@ -23,6 +23,8 @@
  * GET /api/soc/playbooks/:id/performance - Per-playbook metrics
  * GET /api/soc/executions/:id/timeline - Execution timeline drill-down
  * GET /api/soc/health/alerts     - SOC health alerts
+ * GET /api/soc/jobs              - Background job status
+ * POST /api/soc/jobs/:id/run     - Trigger a background job now
  *
  * VERSION: 1.0.0
  * AUTHOR: SOC Metrics & SLA Architect
@@ -37,6 +39,7 @@ import SOCHealthAlert, { AlertStatus } from '../models/soc-health-alert.js';
 import Execution from '../models/execution.js';
 import logger from '../utils/logger.js';
 import { requireRole } from '../middleware/auth.js';
+import { listJobs, runJob } from '../services/job-scheduler.js';
 
 const router = express.Router();
 
@@ -205,7 +208,8 @@ router.get('/metrics/approval', async (req, res) => {
 
 /**
  * GET /api/soc/backlog
- * Get current execution backlog
+ * Get current execution backlog, including execution queue depth and
+ * concurrency slot usage
  */
 router.get('/backlog', async (req, res) => {
   try {
@@ -390,9 +394,218 @@ router.get('/playbooks/:id/performance', async (req, res) => {
 // EXECUTION TIMELINE (DRILL-DOWN)
 // ═══════════════════════════════════════════════════════════════════════════════
 
+// Sub-playbook nesting rendered in a timeline (engine limit is lower)
+const MAX_TIMELINE_NESTING = 10;
+
+/**
+ * Build the sorted timeline events of a single execution.
+ * Steps that ran a sub-playbook carry child_execution_id; every failed
+ * attempt of a retried step is its own step_attempt_failed event.
+ */
+function buildExecutionTimeline(execution) {
+  const timeline = [];
+
+  // Webhook received
+  if (execution.webhook_received_at) {
+    timeline.push({
+      timestamp: execution.webhook_received_at,
+      event: 'webhook_received',
+      description: 'Alert webhook received',
+      duration_ms: null
+    });
+  }
+
+  // Execution acknowledged (created)
+  if (execution.acknowledged_at) {
+    const mtta = execution.acknowledged_at - execution.webhook_received_at;
+    timeline.push({
+      timestamp: execution.acknowledged_at,
+      event: 'execution_acknowledged',
+      description: 'Execution record created',
+      duration_ms: mtta,
+      sla_check: {
+        dimension: 'acknowledge',
+        threshold_ms: execution.sla_status?.acknowledge?.threshold_ms,
+        breached: execution.sla_status?.acknowledge?.breached
+      }
+    });
+  }
+
+  // Execution started
+  if (execution.started_at) {
+    timeline.push({
+      timestamp: execution.started_at,
+      event: 'execution_started',
+      description: 'Playbook execution started',
+      duration_ms: null
+    });
+  }
+
+  // Step-by-step execution. Steps a rerun carried over keep their original
+  // timestamps and are flagged carried_over.
+  if (execution.steps && execution.steps.length > 0) {
+    execution.steps.forEach((step, index) => {
+      const carried = step.carried_over
+        ? { carried_over: true, carried_from: execution.rerun_of }
+        : {};
+
+      if (step.started_at) {
+        timeline.push({
+          timestamp: step.started_at,
+          event: 'step_started',
+          step_id: step.step_id,
+          step_index: index,
+          description: `Step ${step.step_id} started`,
+          duration_ms: null,
+          ...carried,
+          ...(step.output?.child_execution_id && { child_execution_id: step.output.child_execution_id })
+        });
+      }
+
+      (step.attempts || []).forEach((attempt) => {
+        const code = attempt.error?.code || 'STEP_EXECUTION_FAILED';
+        timeline.push({
+          timestamp: attempt.failed_at,
+          event: 'step_attempt_failed',
+          step_id: step.step_id,
+          step_index: index,
+          attempt: attempt.attempt,
+          description: attempt.next_retry_at
+            ? `Step ${step.step_id} attempt ${attempt.attempt} failed (${code}), retry scheduled`
+            : `Step ${step.step_id} attempt ${attempt.attempt} failed (${code})`,
+          duration_ms: attempt.started_at ? attempt.failed_at - attempt.started_at : null,
+          error: attempt.error,
+          next_retry_at: attempt.next_retry_at || null
+        });
+      });
+
+      if (step.completed_at) {
+        timeline.push({
+          timestamp: step.completed_at,
+          event: 'step_completed',
+          step_id: step.step_id,
+          step_index: index,
+          state: step.state,
+          description: step.carried_over
+            ? `Step ${step.step_id} ${step.state.toLowerCase()} (carried over from ${execution.rerun_of})`
+            : `Step ${step.step_id} ${step.state.toLowerCase()}`,
+          duration_ms: step.duration_ms,
+          error: step.error,
+          ...carried,
+          ...(step.output?.child_execution_id && { child_execution_id: step.output.child_execution_id })
+        });
+      }
+    });
+  }
+
+  // Containment action
+  if (execution.containment_at) {
+    const mttc = execution.containment_at - execution.started_at;
+    timeline.push({
+      timestamp: execution.containment_at,
+      event: 'containment_action',
+      description: 'First containment action executed',
+      duration_ms: mttc,
+      sla_check: {
+        dimension: 'containment',
+        threshold_ms: execution.sla_status?.containment?.threshold_ms,
+        breached: execution.sla_status?.containment?.breached
+      }
+    });
+  }
+
+  // Execution completed
+  if (execution.completed_at) {
+    const mttr = execution.duration_ms;
+    timeline.push({
+      timestamp: execution.completed_at,
+      event: 'execution_completed',
+      state: execution.state,
+      description: `Execution ${execution.state.toLowerCase()}`,
+      duration_ms: mttr,
+      sla_check: {
+        dimension: 'resolution',
+        threshold_ms: execution.sla_status?.resolution?.threshold_ms,
+        breached: execution.sla_status?.resolution?.breached
+      }
+    });
+  }
+
+  // Rollback: one event per replayed compensation, then the outcome
+  (execution.compensations || []).forEach((compensation) => {
+    if (!compensation.executed_at) return;
+    timeline.push({
+      timestamp: compensation.executed_at,
+      event: 'compensation_executed',
+      step_id: compensation.step_id,
+      state: compensation.state,
+      description: `Compensation ${compensation.action_type} for step ${compensation.step_id} ${compensation.state.toLowerCase()}`,
+      duration_ms: null,
+      error: compensation.error?.message ? compensation.error : null
+    });
+  });
+
+  if (execution.cancellation?.cancelled_at) {
+    timeline.push({
+      timestamp: execution.cancellation.cancelled_at,
+      event: 'execution_cancelled',
+      state: 'CANCELLED',
+      description: `Cancelled by ${execution.cancellation.cancelled_by}${execution.cancellation.reason ? `: ${execution.cancellation.reason}` : ''}`,
+      duration_ms: null,
+      cancelled_by: execution.cancellation.cancelled_by
+    });
+  }
+
+  if (execution.rollback?.completed_at) {
+    timeline.push({
+      timestamp: execution.rollback.completed_at,
+      event: 'rollback_completed',
+      state: execution.rollback.status,
+      description: `Rollback ${execution.rollback.status} (${execution.rollback.compensated || 0} undone, ${execution.rollback.failed || 0} failed)`,
+      duration_ms: execution.rollback.started_at ? execution.rollback.completed_at - execution.rollback.started_at : null,
+      requested_by: execution.rollback.requested_by
+    });
+  }
+
+  // Sort timeline by timestamp
+  timeline.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  return timeline;
+}
+
+/**
+ * Build nested timelines for sub-playbook executions started by an
+ * execution's `playbook` steps, recursively.
+ */
+async function buildChildExecutionTimelines(execution, nesting = 1) {
+  if (nesting > MAX_TIMELINE_NESTING) {
+    return [];
+  }
+
+  const children = await Execution.find({ parent_execution_id: execution.execution_id })
+    .sort({ started_at: 1 });
+
+  return Promise.all(children.map(async (child) => ({
+    execution_id: child.execution_id,
+    parent_step_id: child.parent_step_id,
+    call_depth: child.call_depth,
+    playbook_id: child.playbook_id,
+    playbook_name: child.playbook_name,
+    state: child.state,
+    started_at: child.started_at,
+    completed_at: child.completed_at,
+    duration_ms: child.duration_ms,
+    error: child.error?.message ? child.error : null,
+    timeline: buildExecutionTimeline(child),
+    child_executions: await buildChildExecutionTimelines(child, nesting + 1)
+  })));
+}
+
 /**
  * GET /api/soc/executions/:id/timeline
  * Get detailed execution timeline for drill-down analysis
+ * Sub-playbook executions are nested under child_executions; reruns of this
+ * execution are listed under reruns.
  */
 router.get('/executions/:id/timeline', async (req, res) => {
   try {
@@ -409,118 +622,27 @@ router.get('/executions/:id/timeline', async (req, res) => {
       return res.status(404).json({ error: 'Execution not found' });
     }
 
-    // Build timeline events
-    const timeline = [];
-
-    // Webhook received
-    if (execution.webhook_received_at) {
-      timeline.push({
-        timestamp: execution.webhook_received_at,
-        event: 'webhook_received',
-        description: 'Alert webhook received',
-        duration_ms: null
-      });
-    }
-
-    // Execution acknowledged (created)
-    if (execution.acknowledged_at) {
-      const mtta = execution.acknowledged_at - execution.webhook_received_at;
-      timeline.push({
-        timestamp: execution.acknowledged_at,
-        event: 'execution_acknowledged',
-        description: 'Execution record created',
-        duration_ms: mtta,
-        sla_check: {
-          dimension: 'acknowledge',
-          threshold_ms: execution.sla_status?.acknowledge?.threshold_ms,
-          breached: execution.sla_status?.acknowledge?.breached
-        }
-      });
-    }
-
-    // Execution started
-    if (execution.started_at) {
-      timeline.push({
-        timestamp: execution.started_at,
-        event: 'execution_started',
-        description: 'Playbook execution started',
-        duration_ms: null
-      });
-    }
-
-    // Step-by-step execution
-    if (execution.steps && execution.steps.length > 0) {
-      execution.steps.forEach((step, index) => {
-        if (step.started_at) {
-          timeline.push({
-            timestamp: step.started_at,
-            event: 'step_started',
-            step_id: step.step_id,
-            step_index: index,
-            description: `Step ${step.step_id} started`,
-            duration_ms: null
-          });
-        }
-
-        if (step.completed_at) {
-          timeline.push({
-            timestamp: step.completed_at,
-            event: 'step_completed',
-            step_id: step.step_id,
-            step_index: index,
-            state: step.state,
-            description: `Step ${step.step_id} ${step.state.toLowerCase()}`,
-            duration_ms: step.duration_ms,
-            error: step.error
-          });
-        }
-      });
-    }
-
-    // Containment action
-    if (execution.containment_at) {
-      const mttc = execution.containment_at - execution.started_at;
-      timeline.push({
-        timestamp: execution.containment_at,
-        event: 'containment_action',
-        description: 'First containment action executed',
-        duration_ms: mttc,
-        sla_check: {
-          dimension: 'containment',
-          threshold_ms: execution.sla_status?.containment?.threshold_ms,
-          breached: execution.sla_status?.containment?.breached
-        }
-      });
-    }
-
-    // Execution completed
-    if (execution.completed_at) {
-      const mttr = execution.duration_ms;
-      timeline.push({
-        timestamp: execution.completed_at,
-        event: 'execution_completed',
-        state: execution.state,
-        description: `Execution ${execution.state.toLowerCase()}`,
-        duration_ms: mttr,
-        sla_check: {
-          dimension: 'resolution',
-          threshold_ms: execution.sla_status?.resolution?.threshold_ms,
-          breached: execution.sla_status?.resolution?.breached
-        }
-      });
-    }
-
-    // Sort timeline by timestamp
-    timeline.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const reruns = await Execution.find({ rerun_of: execution.execution_id })
+      .select('execution_id rerun_from_step rerun_by state started_at completed_at')
+      .sort({ started_at: 1 })
+      .lean();
 
     res.json({
       execution_id: execution.execution_id,
       playbook_id: execution.playbook_id,
       playbook_name: execution.playbook_name,
       state: execution.state,
+      parent_execution_id: execution.parent_execution_id || null,
+      rerun_of: execution.rerun_of || null,
+      rerun_from_step: execution.rerun_from_step || null,
+      reruns: reruns.map(({ _id, ...rerun }) => rerun),
+      compensations: execution.compensations || [],
+      rollback: execution.rollback?.status ? execution.rollback : null,
+      cancellation: execution.cancellation?.cancelled_at ? execution.cancellation : null,
       sla_policy_id: execution.sla_policy_id,
       sla_status: execution.sla_status,
-      timeline
+      timeline: buildExecutionTimeline(execution),
+      child_executions: await buildChildExecutionTimelines(execution)
     });
   } catch (error) {
     logger.error(`Error fetching execution timeline for ${req.params.id}:`, error);
@@ -638,6 +760,53 @@ router.post('/health/alerts/:id/resolve', requireRole('admin', 'senior_analyst',
   }
 });
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// BACKGROUND JOBS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * GET /api/soc/jobs
+ * List background jobs with their persisted run state
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const jobs = await listJobs();
+
+    res.json({
+      timestamp: new Date().toISOString(),
+      jobs
+    });
+  } catch (error) {
+    logger.error('Error fetching background jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch background jobs', message: error.message });
+  }
+});
+
+/**
+ * POST /api/soc/jobs/:id/run
+ * Run a background job immediately (refused while a run is in progress)
+ */
+router.post('/jobs/:id/run', requireRole('admin', 'engineer'), async (req, res) => {
+  try {
+    const userId = req.user?.email || 'system';
+
+    logger.info(`Background job ${req.params.id} triggered manually by ${userId}`);
+
+    const run = await runJob(req.params.id, { trigger: 'manual', triggeredBy: userId });
+
+    res.json(run);
+  } catch (error) {
+    if (error.code === 'JOB_NOT_FOUND') {
+      return res.status(404).json({ error: 'Job not found', message: error.message });
+    }
+    if (error.code === 'JOB_ALREADY_RUNNING') {
+      return res.status(409).json({ error: 'Job already running', message: error.message });
+    }
+    logger.error(`Error running job ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to run job', message: error.message });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // EXPORT
 // ═══════════════════════════════════════════════════════════════════════════════
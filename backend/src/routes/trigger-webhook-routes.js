@@ -23,6 +23,8 @@
  *   PUT    /api/triggers/:trigger_id       - Update trigger
  *   DELETE /api/triggers/:trigger_id       - Delete trigger
  *   PATCH  /api/triggers/:trigger_id/toggle - Enable/disable trigger
+ *   POST   /api/triggers/:trigger_id/test   - Dry-run against a sample alert
+ *   POST   /api/triggers/:trigger_id/backtest - Replay recent alerts (candidate vs deployed)
  *
  * VERSION: 1.0.0
  * AUTHOR: CyberSentinel SOAR Team
@@ -47,6 +49,8 @@ import Execution, { ExecutionState, StepState } from '../models/execution.js';
 import crypto from 'crypto';
 import { validateTriggerDefinition } from '../engine/trigger-engine.js';
 import { logAction } from '../services/audit-service.js';
+import { resolvePlaybookInputs } from '../engine/playbook-inputs.js';
+import { testTrigger, backtestTrigger } from '../services/trigger-backtest-service.js';
 import logger from '../utils/logger.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -91,6 +95,10 @@ const router = express.Router();
  *
  * Authentication: X-Webhook-Secret header or ?secret= query param
  *
+ * Router webhooks (kind 'router') evaluate every enabled trigger; their
+ * response adds routing_mode, execution_ids and routes[] (one decision per
+ * evaluated trigger).
+ *
  * Returns:
  *   202 - Execution created
  *   200 - Alert dropped (no match or duplicate)
@@ -115,38 +123,8 @@ router.post('/webhooks/:webhook_id', async (req, res) => {
     // Log decision (NO alert dump)
     logger.info('[Webhook] Request processed', result.toLogObject());
 
-    // Return appropriate response
-    if (result.decision === 'accepted') {
-      return res.status(202).json({
-        status: 'accepted',
-        execution_id: result.execution_id,
-        playbook_id: result.playbook_id,
-        trigger_id: result.trigger_id,
-        latency_ms: result.latency_ms
-      });
-    }
-
-    if (result.decision === 'dropped') {
-      return res.status(200).json({
-        status: 'dropped',
-        reason: result.drop_reason,
-        playbook_id: result.playbook_id,
-        latency_ms: result.latency_ms
-      });
-    }
-
-    if (result.decision === 'rejected') {
-      return res.status(result.http_status).json({
-        status: 'rejected',
-        reason: result.reject_reason
-      });
-    }
-
-    // Error case
-    return res.status(500).json({
-      status: 'error',
-      message: result.error
-    });
+    // Return appropriate response (router webhooks add per-trigger routes)
+    return res.status(result.http_status).json(result.toResponseBody());
 
   } catch (error) {
     logger.error(`[Webhook] Unhandled error: ${error.message}`, { webhook_id });
@@ -469,7 +447,9 @@ router.post('/playbooks/:id/trigger', async (req, res) => {
           description: req.body.description,
           conditions: req.body.conditions,
           match: req.body.match || 'ALL',
+          aggregation: req.body.aggregation || null,
           alert_categories: req.body.alert_categories || [],
+          dedup_window_seconds: req.body.dedup_window_seconds
         }, userId);
       } catch (versionError) {
         // Fall back to direct update if versioning fails
@@ -490,7 +470,9 @@ router.post('/playbooks/:id/trigger', async (req, res) => {
         description: req.body.description,
         conditions: req.body.conditions,
         match: req.body.match || 'ALL',
+        aggregation: req.body.aggregation || null,
         alert_categories: req.body.alert_categories || [],
+        dedup_window_seconds: req.body.dedup_window_seconds,
         created_by: userId
       });
       await trigger.save();
@@ -512,6 +494,8 @@ router.post('/playbooks/:id/trigger', async (req, res) => {
       name: trigger.name,
       conditions: trigger.conditions,
       match: trigger.match,
+      aggregation: trigger.aggregation,
+      dedup_window_seconds: trigger.dedup_window_seconds,
       enabled: trigger.enabled,
       version: trigger.version,
       updated_at: trigger.updated_at
@@ -546,9 +530,11 @@ router.get('/triggers/:trigger_id', async (req, res) => {
       description: trigger.description,
       conditions: trigger.conditions,
       match: trigger.match,
+      aggregation: trigger.aggregation,
       alert_categories: trigger.alert_categories,
       enabled: trigger.enabled,
       priority: trigger.priority,
+      dedup_window_seconds: trigger.dedup_window_seconds,
       stats: trigger.stats,
       version: trigger.version,
       created_at: trigger.created_at,
@@ -564,22 +550,24 @@ router.get('/triggers/:trigger_id', async (req, res) => {
 /**
  * PUT /api/triggers/:trigger_id
  *
- * Update trigger.
+ * Update trigger. Conditions, match and aggregation are immutable on a
+ * saved version, so changing any of them deploys a new trigger version
+ * (Trigger.createNewVersion); other fields are updated in place.
  */
 router.put('/triggers/:trigger_id', async (req, res) => {
   const { trigger_id } = req.params;
   const userId = req.user?.email || 'system';
 
   try {
-    const trigger = await Trigger.findOne({ trigger_id });
+    let trigger = await Trigger.findOne({ trigger_id, is_active: true });
 
     if (!trigger) {
       return res.status(404).json({ error: 'Trigger not found' });
     }
 
-    // Validate if conditions are being updated
-    if (req.body.conditions) {
-      const validation = validateTriggerDefinition(req.body);
+    // Validate if conditions, aggregation or the dedup window are being updated
+    if (req.body.conditions || req.body.aggregation || req.body.dedup_window_seconds !== undefined) {
+      const validation = validateTriggerDefinition({ conditions: trigger.conditions, ...req.body });
       if (!validation.valid) {
         return res.status(400).json({
           error: 'Invalid trigger definition',
@@ -588,22 +576,36 @@ router.put('/triggers/:trigger_id', async (req, res) => {
       }
     }
 
-    // Update fields
-    if (req.body.name !== undefined) trigger.name = req.body.name;
-    if (req.body.description !== undefined) trigger.description = req.body.description;
-    if (req.body.conditions !== undefined) trigger.conditions = req.body.conditions;
-    if (req.body.match !== undefined) trigger.match = req.body.match;
-    if (req.body.alert_categories !== undefined) trigger.alert_categories = req.body.alert_categories;
-    if (req.body.priority !== undefined) trigger.priority = req.body.priority;
+    const versioned = ['conditions', 'match', 'aggregation'].some(field => req.body[field] !== undefined);
 
-    trigger.updated_by = userId;
-    await trigger.save();
+    if (versioned) {
+      trigger = await Trigger.createNewVersion(trigger_id, {
+        name: req.body.name,
+        description: req.body.description,
+        conditions: req.body.conditions,
+        match: req.body.match,
+        aggregation: req.body.aggregation,
+        alert_categories: req.body.alert_categories,
+        priority: req.body.priority,
+        dedup_window_seconds: req.body.dedup_window_seconds
+      }, userId);
+    } else {
+      if (req.body.name !== undefined) trigger.name = req.body.name;
+      if (req.body.description !== undefined) trigger.description = req.body.description;
+      if (req.body.alert_categories !== undefined) trigger.alert_categories = req.body.alert_categories;
+      if (req.body.priority !== undefined) trigger.priority = req.body.priority;
+      if (req.body.dedup_window_seconds !== undefined) trigger.dedup_window_seconds = req.body.dedup_window_seconds;
+
+      trigger.updated_by = userId;
+      await trigger.save();
+    }
 
     await logAction({
       action: 'trigger.updated',
       resource_type: 'trigger',
       resource_id: trigger_id,
       actor_email: userId,
+      details: { version: trigger.version, new_version: versioned },
       outcome: 'success'
     });
 
@@ -612,6 +614,8 @@ router.put('/triggers/:trigger_id', async (req, res) => {
       name: trigger.name,
       conditions: trigger.conditions,
       match: trigger.match,
+      aggregation: trigger.aggregation,
+      dedup_window_seconds: trigger.dedup_window_seconds,
       enabled: trigger.enabled,
       version: trigger.version,
       updated_at: trigger.updated_at
@@ -705,6 +709,85 @@ router.patch('/triggers/:trigger_id/toggle', async (req, res) => {
   }
 });
 
+/**
+ * Respond to a dry-run / backtest error: request problems are 400,
+ * everything else 500.
+ */
+function sendDryRunError(res, error, action) {
+  if (['INVALID_TRIGGER', 'INVALID_SAMPLE_ALERT', 'INVALID_BACKTEST_OPTIONS'].includes(error.code)) {
+    return res.status(400).json({
+      error: error.code === 'INVALID_TRIGGER' ? 'Invalid trigger definition' : error.message,
+      code: error.code,
+      details: error.details || []
+    });
+  }
+  logger.error(`[TriggerAPI] Failed to ${action} trigger: ${error.message}`);
+  return res.status(500).json({ error: `Failed to ${action} trigger`, message: error.message });
+}
+
+/**
+ * POST /api/triggers/:trigger_id/test
+ *
+ * Dry-run a trigger against a sample alert. Nothing is saved and no
+ * execution is created.
+ *
+ * Body: { alert, conditions?, match? }
+ * With conditions / match the candidate edit is evaluated instead of the
+ * deployed (active) version (validated like PUT /api/triggers/:trigger_id).
+ *
+ * Returns: { deployed_version, matched, decision, drop_reason, condition_results, ... }
+ */
+router.post('/triggers/:trigger_id/test', async (req, res) => {
+  const { trigger_id } = req.params;
+
+  try {
+    const trigger = await Trigger.findOne({ trigger_id, is_active: true });
+
+    if (!trigger) {
+      return res.status(404).json({ error: 'Trigger not found' });
+    }
+
+    const { alert, conditions, match } = req.body;
+    return res.json(testTrigger(trigger, { alert, conditions, match }));
+
+  } catch (error) {
+    return sendDryRunError(res, error, 'test');
+  }
+});
+
+/**
+ * POST /api/triggers/:trigger_id/backtest
+ *
+ * Replay the alerts of the last N days (webhook executions' trigger_data)
+ * and the forwarder sample files against a candidate edit and the deployed
+ * (active) version, and report how many alerts each would match.
+ *
+ * Body: { conditions?, match?, days? (default 7, max 90),
+ *         limit? (executions, default 5000), include_samples? (default true) }
+ *
+ * Returns: { deployed_version, evaluated, sources, results: { candidate, deployed,
+ *            newly_matched, no_longer_matched }, ... }
+ */
+router.post('/triggers/:trigger_id/backtest', async (req, res) => {
+  const { trigger_id } = req.params;
+
+  try {
+    const trigger = await Trigger.findOne({ trigger_id, is_active: true });
+
+    if (!trigger) {
+      return res.status(404).json({ error: 'Trigger not found' });
+    }
+
+    const { conditions, match, days, limit, include_samples } = req.body;
+    const report = await backtestTrigger(trigger, { conditions, match, days, limit, include_samples });
+
+    return res.json(report);
+
+  } catch (error) {
+    return sendDryRunError(res, error, 'backtest');
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // EXECUTION BOOTSTRAP (MANUAL)
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -714,9 +797,15 @@ router.patch('/triggers/:trigger_id/toggle', async (req, res) => {
  *
  * Manually trigger an execution with custom data.
  * Bypasses webhook validation but still evaluates trigger conditions.
+ *
+ * Body: { playbook_id, trigger_data?, inputs?, bypass_trigger? }
+ * A parameterized run may send only `inputs` (checked against the
+ * playbook's declared inputs, 400 INVALID_INPUTS); trigger conditions are
+ * then not evaluated, as there is no alert to match.
  */
 router.post('/executions/trigger', async (req, res) => {
-  const { playbook_id, trigger_data, bypass_trigger } = req.body;
+  const { playbook_id, inputs, bypass_trigger } = req.body;
+  const trigger_data = req.body.trigger_data ?? (inputs ? {} : undefined);
   const userId = req.user?.email || 'system';
 
   try {
@@ -736,8 +825,20 @@ router.post('/executions/trigger', async (req, res) => {
 
     const playbookIdToUse = playbook.playbook_id || playbook_id;
 
+    const playbookObj = typeof playbook.toObject === 'function' ? playbook.toObject() : playbook;
+
+    let resolvedInputs;
+    try {
+      resolvedInputs = resolvePlaybookInputs(playbookObj.dsl?.inputs || playbookObj.inputs, inputs);
+    } catch (error) {
+      if (error.code === 'INVALID_INPUTS') {
+        return res.status(400).json({ error: 'Invalid playbook inputs', code: error.code, message: error.message, details: error.details });
+      }
+      throw error;
+    }
+
     // Optionally evaluate trigger conditions
-    if (!bypass_trigger) {
+    if (!bypass_trigger && req.body.trigger_data) {
       const trigger = await Trigger.findByPlaybookId(playbookIdToUse);
 
       if (trigger && trigger.enabled) {
@@ -755,7 +856,6 @@ router.post('/executions/trigger', async (req, res) => {
     }
 
     // Build required execution fields for manual trigger
-    const playbookObj = typeof playbook.toObject === 'function' ? playbook.toObject() : playbook;
     const playbookSteps = playbookObj.dsl?.steps || playbookObj.steps || [];
     const eventTimeResult = normalizeEventTime(trigger_data);
     const manualWebhookId = `MANUAL-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
@@ -766,6 +866,7 @@ router.post('/executions/trigger', async (req, res) => {
       playbook_name: playbookObj.name,
       state: ExecutionState.EXECUTING,
       trigger_data: trigger_data,
+      inputs: resolvedInputs,
       trigger_source: 'manual',
       trigger_snapshot: {
         trigger_id: 'MANUAL',
@@ -798,6 +899,8 @@ router.post('/executions/trigger', async (req, res) => {
       // Trigger forwarded so the engine can seed pending IDs from
       // trigger.next_steps (multi-target trigger fan-out).
       trigger: playbookObj.dsl?.trigger || playbookObj.trigger || null,
+      inputs: playbookObj.dsl?.inputs || playbookObj.inputs,
+      vars: playbookObj.dsl?.vars || playbookObj.vars,
       version: playbookObj.version,
       enabled: playbookObj.enabled
     };
@@ -814,7 +917,7 @@ router.post('/executions/trigger', async (req, res) => {
       resource_type: 'execution',
       resource_id: execution.execution_id,
       actor_email: userId,
-      details: { playbook_id, bypass_trigger: !!bypass_trigger },
+      details: { playbook_id, bypass_trigger: !!bypass_trigger, inputs: resolvedInputs },
       outcome: 'success'
     });
 
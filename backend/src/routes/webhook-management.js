@@ -9,6 +9,7 @@
  * ─────────────────────────────────────────────────────────────────────────────
  * CREATE:
  *   POST   /api/playbooks/:playbook_id/webhook     - Create webhook for playbook
+ *   POST   /api/webhooks/router                    - Create router webhook (all triggers)
  *
  * READ:
  *   GET    /api/playbooks/:playbook_id/webhook     - Get webhook for playbook
@@ -19,8 +20,15 @@
  * DISABLE:
  *   PATCH  /api/webhooks/:webhook_id/disable       - Disable webhook (soft delete)
  *
+ * ROUTING:
+ *   PATCH  /api/webhooks/:webhook_id/routing       - Set first_match / all_match
+ *
+ * INPUT FORMAT:
+ *   PATCH  /api/webhooks/:webhook_id/input-format  - Set json / cef / leef / syslog / ecs
+ *
  * INGESTION:
  *   POST   /api/webhooks/:webhook_id/:secret       - Webhook ingestion endpoint
+ *   POST   /api/webhooks/:webhook_id/:secret/batch - Batch ingestion (JSON array / NDJSON)
  *
  * ARCHITECTURE:
  * ─────────────────────────────────────────────────────────────────────────────
@@ -37,19 +45,19 @@
 
 import express from 'express';
 import crypto from 'crypto';
-import Webhook from '../models/webhook.js';
+import Webhook, { RoutingMode, InputFormat } from '../models/webhook.js';
 import Trigger from '../models/trigger.js';
 import Playbook from '../models/playbook.js';
 import PlaybookVersioned from '../models/playbook-v2.js';
-import Execution, { ExecutionState, StepState } from '../models/execution.js';
 import { logAction } from '../services/audit-service.js';
 import { incrementMetric } from '../services/metrics-service.js';
 import {
-  normalizeEventTime,
-  generateFingerprint,
-  extractConditionFields
+  processWebhookIngestion,
+  processWebhookBatch,
+  parseAlertBatch,
+  IngestionResult
 } from '../engine/webhook-ingestion.js';
-import { validateHMACIfPresent, checkFloodControl } from '../middleware/webhook-security.js';
+import { validateHMACIfPresent } from '../middleware/webhook-security.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -215,6 +223,205 @@ router.post('/playbooks/:playbook_id/webhook', async (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// CREATE ROUTER WEBHOOK
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * POST /api/webhooks/router
+ *
+ * Create a router webhook: not bound to a playbook, evaluates every enabled
+ * trigger in priority order.
+ *
+ * Body:
+ * {
+ *   "routing_mode": "first_match" | "all_match",   // default first_match
+ *   "description": "Shared forwarder endpoint"
+ * }
+ */
+router.post('/webhooks/router', async (req, res) => {
+  const userId = req.user?.email || req.body.created_by || 'system';
+  const routingMode = req.body.routing_mode || RoutingMode.FIRST_MATCH;
+
+  try {
+    if (!Object.values(RoutingMode).includes(routingMode)) {
+      return res.status(400).json({
+        error: 'Invalid routing_mode',
+        message: `routing_mode must be one of: ${Object.values(RoutingMode).join(', ')}`
+      });
+    }
+
+    const webhook = await Webhook.createRouter(userId, {
+      routingMode,
+      description: req.body.description || 'Router webhook'
+    });
+
+    await logAction({
+      action: 'webhook.created',
+      resource_type: 'webhook',
+      resource_id: webhook.webhook_id,
+      resource_name: webhook.description,
+      actor_email: userId,
+      details: {
+        kind: webhook.kind,
+        routing_mode: webhook.routing_mode
+      },
+      outcome: 'success'
+    });
+
+    await incrementMetric('webhooks_created');
+
+    logger.info(`[WebhookMgmt] Router webhook created: ${webhook.webhook_id} (${webhook.routing_mode})`);
+
+    const baseUrl = getBaseUrl(req);
+
+    return res.status(201).json({
+      webhook_id: webhook.webhook_id,
+      kind: webhook.kind,
+      routing_mode: webhook.routing_mode,
+      secret: webhook.secret,
+      url: `${baseUrl}/api/webhooks/${webhook.webhook_id}/${webhook.secret}`,
+      enabled: webhook.enabled,
+      created_at: webhook.created_at
+    });
+
+  } catch (error) {
+    logger.error(`[WebhookMgmt] Failed to create router webhook: ${error.message}`);
+    return res.status(500).json({
+      error: 'Failed to create router webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/webhooks/:webhook_id/routing
+ *
+ * Change how a router webhook routes alerts.
+ *
+ * Body: { "routing_mode": "first_match" | "all_match" }
+ */
+router.patch('/webhooks/:webhook_id/routing', async (req, res) => {
+  const { webhook_id } = req.params;
+  const userId = req.user?.email || 'system';
+  const { routing_mode } = req.body;
+
+  try {
+    if (!Object.values(RoutingMode).includes(routing_mode)) {
+      return res.status(400).json({
+        error: 'Invalid routing_mode',
+        message: `routing_mode must be one of: ${Object.values(RoutingMode).join(', ')}`
+      });
+    }
+
+    const webhook = await Webhook.findOne({ webhook_id });
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        message: `No webhook exists with ID: ${webhook_id}`
+      });
+    }
+
+    if (!webhook.isRouter()) {
+      return res.status(400).json({
+        error: 'Not a router webhook',
+        message: 'routing_mode only applies to router webhooks'
+      });
+    }
+
+    const previousMode = webhook.routing_mode;
+    webhook.routing_mode = routing_mode;
+    await webhook.save();
+
+    await logAction({
+      action: 'webhook.routing_updated',
+      resource_type: 'webhook',
+      resource_id: webhook_id,
+      actor_email: userId,
+      details: { previous_mode: previousMode, routing_mode },
+      outcome: 'success'
+    });
+
+    return res.json({
+      webhook_id,
+      kind: webhook.kind,
+      routing_mode: webhook.routing_mode,
+      updated_at: webhook.updated_at
+    });
+
+  } catch (error) {
+    logger.error(`[WebhookMgmt] Failed to update routing: ${error.message}`, { webhook_id });
+    return res.status(500).json({
+      error: 'Failed to update routing',
+      message: error.message
+    });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// INPUT FORMAT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * PATCH /api/webhooks/:webhook_id/input-format
+ *
+ * Select the payload format the webhook accepts (engine/alert-parsers.js).
+ * CEF, LEEF and syslog events are posted as text/plain, one event per
+ * request (or one per line to the batch endpoint).
+ *
+ * Body: { "input_format": "json" | "cef" | "leef" | "syslog" | "ecs" }
+ */
+router.patch('/webhooks/:webhook_id/input-format', async (req, res) => {
+  const { webhook_id } = req.params;
+  const userId = req.user?.email || 'system';
+  const { input_format } = req.body;
+
+  try {
+    if (!Object.values(InputFormat).includes(input_format)) {
+      return res.status(400).json({
+        error: 'Invalid input_format',
+        message: `input_format must be one of: ${Object.values(InputFormat).join(', ')}`
+      });
+    }
+
+    const webhook = await Webhook.findOne({ webhook_id });
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        message: `No webhook exists with ID: ${webhook_id}`
+      });
+    }
+
+    const previousFormat = webhook.input_format;
+    webhook.input_format = input_format;
+    await webhook.save();
+
+    await logAction({
+      action: 'webhook.input_format_updated',
+      resource_type: 'webhook',
+      resource_id: webhook_id,
+      actor_email: userId,
+      details: { previous_format: previousFormat, input_format },
+      outcome: 'success'
+    });
+
+    return res.json({
+      webhook_id,
+      input_format: webhook.input_format,
+      updated_at: webhook.updated_at
+    });
+
+  } catch (error) {
+    logger.error(`[WebhookMgmt] Failed to update input format: ${error.message}`, { webhook_id });
+    return res.status(500).json({
+      error: 'Failed to update input format',
+      message: error.message
+    });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // GET WEBHOOK
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -260,6 +467,7 @@ router.get('/playbooks/:playbook_id/webhook', async (req, res) => {
       url: `${baseUrl}/api/webhooks/${webhook.webhook_id}/${webhook.secret}`,
       enabled: webhook.enabled,
       status: webhook.status,
+      input_format: webhook.input_format,
       secret_prefix: webhook.secret_prefix,
       secret_rotated_at: webhook.secret_rotated_at,
       rotation_count: webhook.secret_rotation_count,
@@ -268,7 +476,9 @@ router.get('/playbooks/:playbook_id/webhook', async (req, res) => {
         total_accepted: webhook.stats.total_accepted,
         total_rejected: webhook.stats.total_rejected,
         total_dropped: webhook.stats.total_dropped,
+        total_deduplicated: webhook.stats.total_deduplicated,
         last_request_at: webhook.stats.last_request_at,
+        last_deduplicated_at: webhook.stats.last_deduplicated_at,
         avg_processing_ms: webhook.stats.avg_processing_ms
       },
       rate_limit: {
@@ -516,19 +726,22 @@ router.patch('/webhooks/:webhook_id/enable', async (req, res) => {
  * Validation order:
  * 1. Webhook exists
  * 2. Webhook enabled
- * 3. Secret matches (constant-time comparison)
- * 4. Rate limiting
- * 5. Payload validation
- * 6. Trigger evaluation (if trigger exists)
- * 7. Create execution
+ * 3. HMAC signature (if header present), checked here when the secret is valid
+ * 4. Everything else runs in the ingestion engine (engine/webhook-ingestion.js),
+ *    as for batch and router requests: secret, rate limiting, payload
+ *    parsing, wait_for delivery, fingerprint dedup, trigger evaluation,
+ *    aggregation, execution flood control (per routed playbook) and
+ *    execution creation. Without a trigger the webhook's playbook runs
+ *    directly.
  *
  * Returns:
  *   202 - Execution created
- *   200 - Alert received but dropped (no trigger match)
- *   401 - Invalid secret
+ *   200 - Alert received but dropped (no trigger match, duplicate, aggregation)
+ *   400 - Invalid payload
+ *   401 - Invalid secret or HMAC signature
  *   403 - Webhook disabled
  *   404 - Webhook not found
- *   429 - Rate limited
+ *   429 - Rate limited or flood control
  *   500 - Internal error
  */
 router.post('/webhooks/:webhook_id/:secret', async (req, res) => {
@@ -559,251 +772,115 @@ router.post('/webhooks/:webhook_id/:secret', async (req, res) => {
       });
     }
 
-    // STEP 3: Validate secret (constant-time comparison)
-    if (!webhook.validateSecret(secret)) {
-      logger.warn(`[WebhookIngestion] Invalid secret for webhook: ${webhook_id}`);
-      await webhook.recordRejected('UNAUTHORIZED', 'Invalid secret');
-      await incrementMetric('webhook_requests_unauthorized');
-
-      await logAction({
-        action: 'webhook.unauthorized',
-        resource_type: 'webhook',
-        resource_id: webhook_id,
-        details: { secret_prefix: secret?.substring(0, 8) || 'none' },
-        outcome: 'failure'
-      });
-
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Invalid webhook secret'
-      });
-    }
-
-    // STEP 4: Rate limiting
-    const rateLimitCheck = webhook.checkRateLimit();
-    if (rateLimitCheck.limited) {
-      logger.warn(`[WebhookIngestion] Rate limited: ${webhook_id}`);
-      await incrementMetric('webhook_requests_rate_limited');
-
-      const { abuse_detected } = await webhook.incrementRateLimitCounter();
-      if (abuse_detected) {
-        await webhook.autoDisableForAbuse('Sustained rate limit abuse');
-        logger.warn(`[WebhookIngestion] Webhook auto-disabled for abuse: ${webhook_id}`);
+    // STEP 3: HMAC needs the raw request; an invalid secret is rejected
+    // (and audited) by the engine
+    if (webhook.validateSecret(secret)) {
+      const hmacResult = validateHMACIfPresent(req, webhook.secret);
+      if (!hmacResult.valid) {
+        await webhook.recordRejected('HMAC_INVALID', hmacResult.error);
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: hmacResult.error,
+          code: hmacResult.code
+        });
       }
-
-      return res.status(429).json({
-        error: 'Rate limited',
-        message: 'Too many requests',
-        retry_after: Math.ceil((rateLimitCheck.reset_at - new Date()) / 1000)
-      });
     }
 
-    await webhook.incrementRateLimitCounter();
-
-    // STEP 4b: HMAC signature verification (if header present)
-    const hmacResult = validateHMACIfPresent(req, webhook.secret);
-    if (!hmacResult.valid) {
-      await webhook.recordRejected('HMAC_INVALID', hmacResult.error);
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: hmacResult.error,
-        code: hmacResult.code
-      });
-    }
-
-    // STEP 4c: Execution flood control
-    const floodResult = checkFloodControl(webhook.playbook_id);
-    if (!floodResult.allowed) {
-      await webhook.recordRejected('FLOOD_CONTROL', floodResult.message);
-      return res.status(429).json({
-        error: 'Flood Control',
-        message: floodResult.message,
-        code: floodResult.reason
-      });
-    }
-
-    // STEP 5: Validate payload
-    const payload = req.body;
-    if (!payload || typeof payload !== 'object') {
-      logger.warn(`[WebhookIngestion] Invalid payload for webhook: ${webhook_id}`);
-      await webhook.recordRejected('INVALID_PAYLOAD', 'Payload must be JSON object');
-      return res.status(400).json({
-        error: 'Invalid payload',
-        message: 'Request body must be a valid JSON object'
-      });
-    }
+    // STEP 4: Ingestion pipeline
+    const result = await processWebhookIngestion(webhook_id, secret, req.body);
+    logger.info('[WebhookIngestion] Request processed', result.toLogObject());
+    return res.status(result.http_status).json(result.toResponseBody());
 
-    // STEP 6: Find trigger (optional - if no trigger, create execution directly)
-    const trigger = await Trigger.findByWebhookId(webhook_id);
-
-    let matched = true;
-    let dropReason = null;
-
-    if (trigger && trigger.enabled) {
-      // Import and evaluate trigger
-      const { evaluateTrigger } = await import('../engine/trigger-engine.js');
-      const evalResult = evaluateTrigger(trigger, payload);
-
-      matched = evalResult.matched;
-      dropReason = evalResult.drop_reason;
+  } catch (error) {
+    const latencyMs = Date.now() - startTime;
+    logger.error(`[WebhookIngestion] Unhandled error: ${error.message}`, { webhook_id });
 
-      // Update trigger stats
-      matched ? await trigger.recordMatch() : await trigger.recordDrop();
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error',
+      latency_ms: latencyMs
+    });
+  }
+});
 
-      if (!matched) {
-        const latencyMs = Date.now() - startTime;
-        await webhook.recordDropped(latencyMs);
-        await incrementMetric('webhook_requests_dropped');
+// ═══════════════════════════════════════════════════════════════════════════════
+// BATCH WEBHOOK INGESTION
+// ═══════════════════════════════════════════════════════════════════════════════
 
-        logger.info(`[WebhookIngestion] Alert dropped - no trigger match`, {
-          webhook_id,
-          trigger_id: trigger.trigger_id,
-          latency_ms: latencyMs
-        });
+/**
+ * POST /api/webhooks/:webhook_id/:secret/batch
+ *
+ * Ingest many alerts in one request. Body is a JSON array of alerts,
+ * NDJSON (Content-Type: application/x-ndjson) or, for CEF / LEEF / syslog
+ * webhooks, text/plain with one event per line; at most
+ * WEBHOOK_BATCH_MAX_ALERTS (default 500) alerts. Each alert runs the full
+ * ingestion pipeline (engine/webhook-ingestion.js); an optional HMAC
+ * signature covers the whole body.
+ *
+ * Response:
+ * {
+ *   "total": 3, "accepted": 1, "dropped": 1, "rejected": 1, "errors": 0,
+ *   "results": [
+ *     { "index": 0, "status": "accepted", "execution_id": "..." },
+ *     { "index": 1, "status": "dropped", "reason": "DUPLICATE_FINGERPRINT" },
+ *     { "index": 2, "status": "rejected", "reason": "INVALID_PAYLOAD" }
+ *   ]
+ * }
+ *
+ * Alerts that would exceed execution flood control are rejected per item
+ * with FLOOD_CONTROL; the sender can resend just those.
+ *
+ * Returns:
+ *   200 - Batch processed (see per-item status)
+ *   400 - Body is not a JSON array / NDJSON / text lines, or empty
+ *   401 / 404 / 429 - Every alert rejected (invalid secret, unknown webhook, rate limited)
+ *   413 - Too many alerts
+ *   500 - Internal error
+ */
+router.post('/webhooks/:webhook_id/:secret/batch', async (req, res) => {
+  const { webhook_id, secret } = req.params;
 
-        return res.status(200).json({
-          status: 'dropped',
-          reason: 'NO_TRIGGER_MATCH',
-          playbook_id: webhook.playbook_id,
-          latency_ms: latencyMs
+  try {
+    let alerts;
+    try {
+      alerts = parseAlertBatch(req.body);
+    } catch (error) {
+      if (error.code === 'BATCH_TOO_LARGE' || error.code === 'INVALID_BATCH') {
+        return res.status(error.code === 'BATCH_TOO_LARGE' ? 413 : 400).json({
+          error: error.code === 'BATCH_TOO_LARGE' ? 'Batch too large' : 'Invalid batch',
+          message: error.message
         });
       }
+      throw error;
     }
 
-    // STEP 7: Find playbook
-    // IMPORTANT: Check PlaybookVersioned FIRST — it stores the full DSL (action_type, input,
-    // condition, on_true, on_false) which the execution engine requires. The v1 Playbook model
-    // has strict Mongoose schema that strips these fields. Fall back to v1 only if no versioned doc exists.
-    let playbook = await PlaybookVersioned.getActiveVersion(webhook.playbook_id);
-
-    // Fall back to v1 Playbook if no versioned document
-    if (!playbook) {
-      playbook = await Playbook.findOne({ playbook_id: webhook.playbook_id, status: 'active' });
+    const webhook = await Webhook.findOne({ webhook_id }).select('+secret');
+    if (webhook && webhook.validateSecret(secret)) {
+      const hmacResult = validateHMACIfPresent(req, webhook.secret);
+      if (!hmacResult.valid) {
+        await webhook.recordRejected('HMAC_INVALID', hmacResult.error);
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: hmacResult.error,
+          code: hmacResult.code
+        });
+      }
     }
 
-    if (!playbook) {
-      logger.warn(`[WebhookIngestion] Playbook not active: ${webhook.playbook_id}`);
-      const latencyMs = Date.now() - startTime;
-      await webhook.recordDropped(latencyMs);
+    const batch = await processWebhookBatch(webhook_id, secret, alerts);
 
-      return res.status(200).json({
-        status: 'dropped',
-        reason: 'PLAYBOOK_INACTIVE',
-        playbook_id: webhook.playbook_id,
-        latency_ms: latencyMs
-      });
-    }
+    // The whole batch was refused at the first alert: answer like a single request
+    const status = batch.aborted_reason && batch.rejected === batch.total
+      ? IngestionResult.rejected(webhook_id, batch.aborted_reason, 0).http_status
+      : 200;
 
-    // STEP 8: Normalize event time and generate fingerprint
-    const eventTimeResult = normalizeEventTime(payload);
-    const conditionFields = trigger ? extractConditionFields(trigger) : [];
-    const fingerprint = generateFingerprint(
-      webhook_id,
-      payload,
-      eventTimeResult.event_time,
-      conditionFields
-    );
-
-    // STEP 9: Create execution
-    const playbookSteps = playbook.dsl?.steps || playbook.steps || [];
-
-    // Create trigger snapshot (or default if no trigger)
-    const triggerSnapshot = trigger ? trigger.createSnapshot() : {
-      trigger_id: 'DIRECT',
-      version: 1,
-      conditions: [],
-      match: 'ALL',
-      snapshot_at: new Date()
-    };
-
-    const execution = new Execution({
-      playbook_id: playbook.playbook_id,
-      playbook_name: playbook.name,
-      state: ExecutionState.EXECUTING,
-      trigger_data: payload,
-      webhook_id: webhook_id,
-      trigger_snapshot: triggerSnapshot,
-      event_time: eventTimeResult.event_time,
-      event_time_source: eventTimeResult.source,
-      fingerprint: fingerprint,
-      steps: playbookSteps.map(step => ({
-        step_id: step.step_id,
-        state: StepState.PENDING
-      })),
-      started_at: new Date()
-    });
-
-    await execution.save();
-
-    const latencyMs = Date.now() - startTime;
-    await webhook.recordAccepted(latencyMs);
-    await incrementMetric('webhook_requests_accepted');
-    await incrementMetric('executions_created');
-
-    // Audit log
-    await logAction({
-      action: 'webhook.triggered',
-      resource_type: 'webhook',
-      resource_id: webhook_id,
-      details: {
-        playbook_id: playbook.playbook_id,
-        execution_id: execution.execution_id,
-        trigger_id: trigger?.trigger_id,
-        latency_ms: latencyMs
-      },
-      outcome: 'success'
-    });
-
-    logger.info(`[WebhookIngestion] Execution created: ${execution.execution_id}`, {
-      webhook_id,
-      playbook_id: playbook.playbook_id,
-      latency_ms: latencyMs
-    });
-
-    // STEP 9: Start execution engine asynchronously
-    setImmediate(async () => {
-      try {
-        const { ExecutionEngine } = await import('../engine/execution-engine.js');
-
-        const playbookForExecution = {
-          playbook_id: playbook.playbook_id,
-          name: playbook.name,
-          description: playbook.description,
-          shadow_mode: playbook.dsl?.shadow_mode || playbook.shadow_mode || false,
-          steps: playbookSteps,
-          // Trigger forwarded so the engine can seed pending IDs from
-          // trigger.next_steps (multi-target trigger fan-out).
-          trigger: playbook.dsl?.trigger || playbook.trigger || null,
-          version: playbook.version,
-          enabled: playbook.enabled ?? true
-        };
-
-        const engine = new ExecutionEngine(execution, playbookForExecution);
-        await engine.execute();
-      } catch (error) {
-        logger.error(`[WebhookIngestion] Execution engine error: ${error.message}`, {
-          execution_id: execution.execution_id
-        });
-      }
-    });
-
-    // Return 202 Accepted
-    return res.status(202).json({
-      status: 'accepted',
-      execution_id: execution.execution_id,
-      playbook_id: playbook.playbook_id,
-      trigger_id: trigger?.trigger_id,
-      latency_ms: latencyMs
-    });
+    return res.status(status).json(batch);
 
   } catch (error) {
-    const latencyMs = Date.now() - startTime;
-    logger.error(`[WebhookIngestion] Unhandled error: ${error.message}`, { webhook_id });
-
+    logger.error(`[WebhookIngestion] Batch ingestion failed: ${error.message}`, { webhook_id });
     return res.status(500).json({
       status: 'error',
-      message: 'Internal server error',
-      latency_ms: latencyMs
+      message: 'Internal server error'
     });
   }
 });
@@ -838,7 +915,10 @@ router.get('/webhooks', async (req, res) => {
     return res.json({
       data: webhooks.map(wh => ({
         webhook_id: wh.webhook_id,
+        kind: wh.kind || 'playbook',
         playbook_id: wh.playbook_id,
+        routing_mode: wh.routing_mode,
+        input_format: wh.input_format || 'json',
         url: `${baseUrl}/api/webhooks/${wh.webhook_id}/<secret>`,
         enabled: wh.enabled,
         status: wh.status,
@@ -10,13 +10,25 @@
  */
 
 import { Approval, Execution, AuditLog, ExecutionState } from '../models/index.js';
+import { resumeExecution } from '../engine/execution-engine.js';
 import logger from '../utils/logger.js';
 
 /**
  * Create approval request for execution
+ *
+ * Options (used by the execution engine for playbook approval steps):
+ *   - approvers: step approvers list (e.g. ['role:soc_manager'])
+ *   - context: resolved step inputs shown to the analyst
+ *   - suspendExecution: when false, the caller owns the WAITING_APPROVAL
+ *     transition (the engine serializes its own execution saves)
+ *
+ * An approval step that runs again for the same execution (loop, restart
+ * recovery) re-opens its existing record — {execution_id, step_id} is unique.
  */
-export async function createApproval(executionId, stepId, reason, requiredRole = 'security_admin', expiresInHours = 24) {
+export async function createApproval(executionId, stepId, reason, requiredRole = 'security_admin', expiresInHours = 24, options = {}) {
   try {
+    const { approvers = [], context = {}, suspendExecution = true } = options;
+
     const execution = await Execution.findById(executionId);
 
     if (!execution) {
@@ -28,10 +40,16 @@ export async function createApproval(executionId, stepId, reason, requiredRole =
     // Extract context from trigger_data
     const triggerData = execution.trigger_data || {};
 
-    const approval = new Approval({
-      execution_id: execution._id,
-      playbook_id: execution.playbook_id,
-      step_id: stepId,
+    let approval = await Approval.findOne({ execution_id: execution._id, step_id: stepId });
+    if (!approval) {
+      approval = new Approval({
+        execution_id: execution._id,
+        playbook_id: execution.playbook_id,
+        step_id: stepId
+      });
+    }
+
+    approval.set({
       status: 'pending',
       trigger_context: {
         alert_type: triggerData.alert_type || triggerData.type || 'unknown',
@@ -40,13 +58,21 @@ export async function createApproval(executionId, stepId, reason, requiredRole =
       },
       required_role: requiredRole,
       reason: reason,
-      expires_at: expiresAt
+      approvers: approvers,
+      context: context,
+      timeout_hours: expiresInHours,
+      expires_at: expiresAt,
+      approved_by: undefined,
+      approved_at: undefined,
+      decision_note: undefined
     });
 
     await approval.save();
 
     // Update execution state to WAITING_APPROVAL
-    await execution.waitForApproval(approval._id);
+    if (suspendExecution) {
+      await execution.waitForApproval(approval._id);
+    }
 
     await AuditLog.log({
       action: 'create',
@@ -157,19 +183,14 @@ export async function approveAction(id, userId, note = '') {
     }
 
     if (approval.isExpired()) {
-      approval.status = 'expired';
-      await approval.save();
+      await expireApproval(approval);
       throw new Error('Approval has expired');
     }
 
     await approval.approve(userId, note);
 
-    // Update execution to continue (EXECUTING state)
-    const execution = await Execution.findById(approval.execution_id);
-    if (execution && execution.state === ExecutionState.WAITING_APPROVAL) {
-      execution.state = ExecutionState.EXECUTING;
-      await execution.save();
-    }
+    // Hand the decision to the engine, which continues from on_approved
+    const resumeError = await resumeWithDecision(approval, 'approved', userId, note);
 
     await AuditLog.log({
       action: 'approve',
@@ -178,9 +199,11 @@ export async function approveAction(id, userId, note = '') {
       actor_email: userId,
       details: {
         execution_id: approval.execution_id.toString(),
-        note: note
+        note: note,
+        error_code: resumeError?.code
       },
-      outcome: 'success'
+      outcome: resumeError ? 'failure' : 'success',
+      error_message: resumeError?.message
     });
 
     logger.info(`Approval ${id} approved by ${userId}`);
@@ -188,7 +211,8 @@ export async function approveAction(id, userId, note = '') {
     return {
       ...approval.toObject(),
       id: approval._id.toString(),
-      approval_id: approval._id.toString()
+      approval_id: approval._id.toString(),
+      execution_error: resumeError ? { code: resumeError.code, message: resumeError.message } : null
     };
   } catch (error) {
     logger.error(`Failed to approve ${id}:`, error);
@@ -213,11 +237,8 @@ export async function rejectAction(id, userId, note = '') {
 
     await approval.reject(userId, note);
 
-    // Update execution to FAILED
-    const execution = await Execution.findById(approval.execution_id);
-    if (execution && execution.state === ExecutionState.WAITING_APPROVAL) {
-      await execution.fail(new Error('Approval rejected'), approval.step_id);
-    }
+    // Hand the decision to the engine, which applies on_rejected
+    const resumeError = await resumeWithDecision(approval, 'rejected', userId, note);
 
     await AuditLog.log({
       action: 'reject',
@@ -226,9 +247,11 @@ export async function rejectAction(id, userId, note = '') {
       actor_email: userId,
       details: {
         execution_id: approval.execution_id.toString(),
-        note: note
+        note: note,
+        error_code: resumeError?.code
       },
-      outcome: 'success'
+      outcome: resumeError ? 'failure' : 'success',
+      error_message: resumeError?.message
     });
 
     logger.info(`Approval ${id} rejected by ${userId}`);
@@ -236,7 +259,8 @@ export async function rejectAction(id, userId, note = '') {
     return {
       ...approval.toObject(),
       id: approval._id.toString(),
-      approval_id: approval._id.toString()
+      approval_id: approval._id.toString(),
+      execution_error: resumeError ? { code: resumeError.code, message: resumeError.message } : null
     };
   } catch (error) {
     logger.error(`Failed to reject ${id}:`, error);
@@ -244,8 +268,66 @@ export async function rejectAction(id, userId, note = '') {
   }
 }
 
+// Execution error when the engine cannot act on a recorded decision
+const ResumeFailure = Object.freeze({
+  approved: { code: 'APPROVAL_RESUME_FAILED', message: 'Execution could not continue after approval' },
+  rejected: { code: 'APPROVAL_RESUME_FAILED', message: 'Execution could not continue after rejection' },
+  timeout: { code: 'APPROVAL_TIMEOUT', message: 'Approval expired' }
+});
+
+/**
+ * Hand a recorded decision to the engine.
+ *
+ * Executions the engine cannot resume (playbook deactivated, step no longer
+ * pending) are failed with the decision's ResumeFailure code so they don't
+ * stay parked.
+ *
+ * @returns {Promise<Error|null>} - The execution error when resuming failed
+ */
+async function resumeWithDecision(approval, decision, decidedBy, note) {
+  const execution = await Execution.findById(approval.execution_id);
+  if (!execution || execution.state !== ExecutionState.WAITING_APPROVAL) {
+    return null;
+  }
+
+  try {
+    await resumeExecution(execution.execution_id, decision, {
+      stepId: approval.step_id,
+      approvalId: approval._id.toString(),
+      decidedBy,
+      note
+    });
+    return null;
+  } catch (error) {
+    logger.warn(`Could not resume execution ${execution.execution_id} after approval ${decision}: ${error.message}`);
+
+    const failure = ResumeFailure[decision];
+    const resumeError = new Error(`${failure.message}: ${error.message}`);
+    resumeError.code = failure.code;
+
+    const current = await Execution.findById(approval.execution_id);
+    if (current && current.state === ExecutionState.WAITING_APPROVAL) {
+      await current.fail(resumeError, approval.step_id);
+    }
+    return resumeError;
+  }
+}
+
+/**
+ * Expire a single approval and apply the step's on_timeout behavior.
+ */
+async function expireApproval(approval) {
+  approval.status = 'expired';
+  await approval.save();
+
+  await resumeWithDecision(approval, 'timeout', 'system');
+
+  logger.info(`Approval ${approval._id} expired`);
+}
+
 /**
  * Check and expire old approvals
+ * Run periodically by the job scheduler (job: approval-timeouts)
  */
 export async function expireOldApprovals() {
   try {
@@ -256,16 +338,7 @@ export async function expireOldApprovals() {
     });
 
     for (const approval of expiredApprovals) {
-      approval.status = 'expired';
-      await approval.save();
-
-      // Fail associated execution
-      const execution = await Execution.findById(approval.execution_id);
-      if (execution && execution.state === ExecutionState.WAITING_APPROVAL) {
-        await execution.fail(new Error('Approval expired'), approval.step_id);
-      }
-
-      logger.info(`Approval ${approval._id} expired`);
+      await expireApproval(approval);
     }
 
     return expiredApprovals.length;
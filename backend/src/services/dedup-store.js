@@ -0,0 +1,240 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — DEDUP / RATE-LIMIT STORE
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Shared state for alert deduplication (webhook-ingestion.js fingerprints),
+ * replay protection (webhook-security.js nonces) and execution flood
+ * control. Every store implements:
+ *
+ *   claim(namespace, key, ttlMs)      → Promise<boolean>
+ *       true for the first caller; false while the key is held (ttlMs)
+ *   has(namespace, key)               → Promise<boolean>
+ *   release(namespace, key)           → Promise<void>
+ *       drops a claim before its TTL (optional for custom stores)
+ *   increment(namespace, key, windowMs) → Promise<{ count, reset_at }>
+ *       fixed-window counter; count includes this call
+ *
+ * IMPLEMENTATIONS (DEDUP_STORE):
+ * ─────────────────────────────────────────────────────────────────────────────
+ * - mongodb (default): dedup_keys TTL collection (models/dedup-key.js).
+ *   Survives restarts and is shared by all replicas.
+ * - memory: process-local Maps, for single-instance development and tests.
+ *
+ * Another backend (e.g. Redis) plugs in with setDedupStore().
+ *
+ * VERSION: 1.0.0
+ * AUTHOR: CyberSentinel SOAR Team
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import DedupKey from '../models/dedup-key.js';
+import logger from '../utils/logger.js';
+
+export const DedupStoreType = Object.freeze({
+  MONGODB: 'mongodb',
+  MEMORY: 'memory'
+});
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Start of the fixed window containing `nowMs`
+ */
+function windowStart(nowMs, windowMs) {
+  return Math.floor(nowMs / windowMs) * windowMs;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MEMORY STORE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export class MemoryDedupStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.type = DedupStoreType.MEMORY;
+    this.entries = new Map();  // `${namespace}\u0000${key}` → { namespace, count, expiresAt }
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  live(id, now) {
+    const entry = this.entries.get(id);
+    if (entry && entry.expiresAt <= now) {
+      this.entries.delete(id);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async claim(namespace, key, ttlMs) {
+    const now = Date.now();
+    const id = `${namespace}\u0000${key}`;
+    if (this.live(id, now)) {
+      return false;
+    }
+    this.entries.set(id, { namespace, count: 1, expiresAt: now + ttlMs });
+    return true;
+  }
+
+  async has(namespace, key) {
+    return Boolean(this.live(`${namespace}\u0000${key}`, Date.now()));
+  }
+
+  async release(namespace, key) {
+    this.entries.delete(`${namespace}\u0000${key}`);
+  }
+
+  async increment(namespace, key, windowMs) {
+    const now = Date.now();
+    const start = windowStart(now, windowMs);
+    const id = `${namespace}\u0000${key}\u0000${start}`;
+
+    const entry = this.live(id, now) || { namespace, count: 0, expiresAt: start + windowMs };
+    entry.count++;
+    this.entries.set(id, entry);
+
+    return { count: entry.count, reset_at: new Date(start + windowMs) };
+  }
+
+  /**
+   * Live entries in a namespace (observability)
+   */
+  size(namespace) {
+    let count = 0;
+    for (const entry of this.entries.values()) {
+      if (entry.namespace === namespace) count++;
+    }
+    return count;
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [id, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(id);
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MONGODB STORE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export class MongoDedupStore {
+  constructor() {
+    this.type = DedupStoreType.MONGODB;
+  }
+
+  async claim(namespace, key, ttlMs) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlMs);
+
+    try {
+      await DedupKey.create({ namespace, key, count: 1, expires_at: expiresAt });
+      return true;
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+    }
+
+    // The key exists: take it over only if it expired and the TTL monitor
+    // has not removed it yet
+    const takenOver = await DedupKey.findOneAndUpdate(
+      { namespace, key, expires_at: { $lte: now } },
+      { $set: { count: 1, expires_at: expiresAt } },
+      { new: true, lean: true }
+    );
+    return Boolean(takenOver);
+  }
+
+  async has(namespace, key) {
+    const found = await DedupKey.exists({ namespace, key, expires_at: { $gt: new Date() } });
+    return Boolean(found);
+  }
+
+  async release(namespace, key) {
+    await DedupKey.deleteOne({ namespace, key });
+  }
+
+  async increment(namespace, key, windowMs) {
+    const start = windowStart(Date.now(), windowMs);
+    const filter = { namespace, key: `${key}@${start}` };
+    const update = {
+      $inc: { count: 1 },
+      $setOnInsert: { expires_at: new Date(start + windowMs) }
+    };
+
+    let doc;
+    try {
+      doc = await DedupKey.findOneAndUpdate(filter, update, { upsert: true, new: true, lean: true });
+    } catch (error) {
+      // Two replicas upserted the same new window; the loser increments
+      if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+      doc = await DedupKey.findOneAndUpdate(filter, update, { new: true, lean: true });
+    }
+
+    return { count: doc.count, reset_at: new Date(start + windowMs) };
+  }
+
+  size() {
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STORE SELECTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+let activeStore = null;
+
+/**
+ * Build a store by type.
+ *
+ * @param {string} type - DedupStoreType value
+ */
+export function createDedupStore(type) {
+  switch (type) {
+    case DedupStoreType.MEMORY:
+      return new MemoryDedupStore();
+    case DedupStoreType.MONGODB:
+      return new MongoDedupStore();
+    default: {
+      const error = new Error(`Unknown dedup store '${type}'. Valid stores: ${Object.values(DedupStoreType).join(', ')}`);
+      error.code = 'INVALID_DEDUP_STORE';
+      throw error;
+    }
+  }
+}
+
+/**
+ * The store in use, created on first use from DEDUP_STORE (default mongodb).
+ */
+export function getDedupStore() {
+  if (!activeStore) {
+    activeStore = createDedupStore(process.env.DEDUP_STORE || DedupStoreType.MONGODB);
+    logger.info(`[DedupStore] Using ${activeStore.type} store`);
+  }
+  return activeStore;
+}
+
+/**
+ * Replace the store (custom backends, tests).
+ *
+ * @param {object} store - Implements claim / has / increment
+ */
+export function setDedupStore(store) {
+  for (const method of ['claim', 'has', 'increment']) {
+    if (typeof store?.[method] !== 'function') {
+      throw new Error(`Dedup store must implement ${method}()`);
+    }
+  }
+  activeStore = store;
+}
+
+export default {
+  DedupStoreType,
+  MemoryDedupStore,
+  MongoDedupStore,
+  createDedupStore,
+  getDedupStore,
+  setDedupStore
+};
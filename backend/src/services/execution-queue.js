@@ -0,0 +1,372 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — EXECUTION QUEUE
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Alert-triggered executions are created QUEUED and started here once a
+ * concurrency slot is free, so an alert burst cannot start hundreds of
+ * playbooks against the CyberSentinel manager at once. The queue is the
+ * Execution collection itself (state QUEUED + execution.queue); nothing is
+ * held in process memory, so queued work survives restarts and any replica
+ * can dispatch it.
+ *
+ * LIMITS (a slot is an EXECUTING execution):
+ * ─────────────────────────────────────────────────────────────────────────────
+ * - Global: EXECUTION_QUEUE_MAX_CONCURRENT (default 20)
+ * - Per playbook: DSL `max_concurrent_executions`, else
+ *   EXECUTION_QUEUE_MAX_PER_PLAYBOOK (default 5)
+ * - Per connector: Connector.max_concurrent_executions, else
+ *   EXECUTION_QUEUE_MAX_PER_CONNECTOR (default 10). Counts running
+ *   executions whose playbook, or a sub-playbook it calls, uses the
+ *   connector (execution.connector_ids).
+ *
+ * ORDER:
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Highest priority first (derived from alert severity), then oldest first.
+ * An execution held back by its playbook or connector limit does not block
+ * the ones behind it.
+ *
+ * DISPATCH:
+ * ─────────────────────────────────────────────────────────────────────────────
+ * - requestDispatch(): after an enqueue, and when an execution started here
+ *   finishes or parks
+ * - 'execution-queue' background job: picks up slots freed elsewhere
+ *   (approval/wait resumes, other replicas)
+ *
+ * Each start is claimed atomically (QUEUED → EXECUTING). Replicas
+ * dispatching at the same moment can each overshoot a limit by one.
+ *
+ * Not queued: analyst-initiated runs (POST /api/executions and
+ * POST /api/executions/trigger), sub-playbooks, approval and wait resumes,
+ * reruns and startup recovery. They still count toward the limits while
+ * they run: the engine records connector_ids on every top-level execution
+ * when it starts.
+ *
+ * started_at keeps the creation time so SLA and MTTR include time spent
+ * queued; queue.dispatched_at records when the engine actually started.
+ *
+ * VERSION: 1.0.0
+ * AUTHOR: CyberSentinel SOAR Team
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import Execution, { ExecutionState } from '../models/execution.js';
+import PlaybookVersioned from '../models/playbook-v2.js';
+import Playbook from '../models/playbook.js';
+import Connector from '../models/connector.js';
+import { ExecutionEngine } from '../engine/execution-engine.js';
+import logger from '../utils/logger.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const QUEUE_LIMITS = Object.freeze({
+  GLOBAL: parseInt(process.env.EXECUTION_QUEUE_MAX_CONCURRENT || '20'),
+  PER_PLAYBOOK: parseInt(process.env.EXECUTION_QUEUE_MAX_PER_PLAYBOOK || '5'),
+  PER_CONNECTOR: parseInt(process.env.EXECUTION_QUEUE_MAX_PER_CONNECTOR || '10')
+});
+
+// Queued executions examined per dispatch pass
+const DISPATCH_SCAN_LIMIT = 200;
+
+/**
+ * Alert severity → dispatch priority (higher runs first). Alerts without a
+ * recognizable severity are treated as medium.
+ */
+export const SeverityPriority = Object.freeze({
+  critical: 4,
+  high: 3,
+  medium: 2,
+  low: 1
+});
+
+const DEFAULT_SEVERITY = 'medium';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ENQUEUE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Normalize an alert's severity: trigger_data.severity (label or Wazuh
+ * level), else rule.level. Levels map 12+ critical, 8+ high, 4+ medium.
+ */
+export function resolveSeverity(triggerData) {
+  const raw = triggerData?.severity ?? triggerData?.rule?.level;
+
+  if (typeof raw === 'string' && SeverityPriority[raw.toLowerCase()]) {
+    return raw.toLowerCase();
+  }
+
+  const level = Number(raw);
+  if (raw === null || raw === undefined || raw === '' || !Number.isFinite(level)) {
+    return DEFAULT_SEVERITY;
+  }
+  if (level >= 12) return 'critical';
+  if (level >= 8) return 'high';
+  if (level >= 4) return 'medium';
+  return 'low';
+}
+
+/**
+ * Build the `queue` field for a new QUEUED execution.
+ *
+ * @param {Object} playbook - PlaybookVersioned document (or normalized playbook)
+ * @param {Object} triggerData - Alert payload
+ * @returns {Object} Value for execution.queue
+ */
+export function buildQueueEntry(playbook, triggerData) {
+  const severity = resolveSeverity(triggerData);
+  const maxPerPlaybook = parseInt(playbook.dsl?.max_concurrent_executions ?? playbook.max_concurrent_executions);
+
+  return {
+    priority: SeverityPriority[severity],
+    severity,
+    enqueued_at: new Date(),
+    playbook_version: playbook.version ?? null,
+    max_per_playbook: maxPerPlaybook > 0 ? maxPerPlaybook : null
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DISPATCH
+// ═══════════════════════════════════════════════════════════════════════════════
+
+let dispatching = false;
+let dispatchAgain = false;
+
+/**
+ * Schedule a dispatch pass. Requests made while a pass is running are
+ * coalesced into one follow-up pass.
+ */
+export function requestDispatch() {
+  setImmediate(() => {
+    dispatchQueuedExecutions().catch((error) => {
+      logger.error(`[ExecutionQueue] Dispatch failed: ${error.message}`);
+    });
+  });
+}
+
+/**
+ * Start queued executions while slots are free.
+ *
+ * @returns {Promise<{running: number, dispatched: number, held: number}>}
+ */
+export async function dispatchQueuedExecutions() {
+  if (dispatching) {
+    dispatchAgain = true;
+    return { running: null, dispatched: 0, held: 0 };
+  }
+  dispatching = true;
+
+  const summary = { running: 0, dispatched: 0, held: 0 };
+
+  try {
+    summary.running = await Execution.countDocuments({ state: ExecutionState.EXECUTING });
+    let free = QUEUE_LIMITS.GLOBAL - summary.running;
+    if (free <= 0) {
+      return summary;
+    }
+
+    const candidates = await Execution.find({ state: ExecutionState.QUEUED })
+      .select('execution_id playbook_id queue connector_ids')
+      .sort({ 'queue.priority': -1, 'queue.enqueued_at': 1 })
+      .limit(DISPATCH_SCAN_LIMIT)
+      .lean();
+
+    // Running counts and connector limits, loaded once per pass
+    const playbookRunning = new Map();
+    const connectorRunning = new Map();
+    const connectorLimits = new Map();
+
+    const runningForPlaybook = async (playbookId) => {
+      if (!playbookRunning.has(playbookId)) {
+        playbookRunning.set(playbookId, await Execution.countDocuments({
+          state: ExecutionState.EXECUTING,
+          playbook_id: playbookId
+        }));
+      }
+      return playbookRunning.get(playbookId);
+    };
+
+    const runningForConnector = async (connectorId) => {
+      if (!connectorRunning.has(connectorId)) {
+        connectorRunning.set(connectorId, await Execution.countDocuments({
+          state: ExecutionState.EXECUTING,
+          connector_ids: connectorId
+        }));
+      }
+      return connectorRunning.get(connectorId);
+    };
+
+    const limitForConnector = async (connectorId) => {
+      if (!connectorLimits.has(connectorId)) {
+        const connector = await Connector.findOne({ name: connectorId })
+          .select('max_concurrent_executions')
+          .lean();
+        connectorLimits.set(connectorId, connector?.max_concurrent_executions || QUEUE_LIMITS.PER_CONNECTOR);
+      }
+      return connectorLimits.get(connectorId);
+    };
+
+    for (const candidate of candidates) {
+      if (free <= 0) break;
+
+      const playbookLimit = candidate.queue?.max_per_playbook || QUEUE_LIMITS.PER_PLAYBOOK;
+      if (await runningForPlaybook(candidate.playbook_id) >= playbookLimit) {
+        summary.held++;
+        continue;
+      }
+
+      const connectorIds = candidate.connector_ids || [];
+      let connectorFull = false;
+      for (const connectorId of connectorIds) {
+        if (await runningForConnector(connectorId) >= await limitForConnector(connectorId)) {
+          connectorFull = true;
+          break;
+        }
+      }
+      if (connectorFull) {
+        summary.held++;
+        continue;
+      }
+
+      const claimed = await Execution.findOneAndUpdate(
+        { execution_id: candidate.execution_id, state: ExecutionState.QUEUED },
+        { $set: { state: ExecutionState.EXECUTING, 'queue.dispatched_at': new Date() } },
+        { new: true }
+      );
+      if (!claimed) {
+        continue;   // cancelled, or dispatched by another replica
+      }
+
+      free--;
+      summary.dispatched++;
+      playbookRunning.set(candidate.playbook_id, playbookRunning.get(candidate.playbook_id) + 1);
+      for (const connectorId of connectorIds) {
+        connectorRunning.set(connectorId, connectorRunning.get(connectorId) + 1);
+      }
+
+      await startQueuedExecution(claimed);
+    }
+
+    if (summary.dispatched > 0 || summary.held > 0) {
+      logger.info(`[ExecutionQueue] Dispatched ${summary.dispatched}, held ${summary.held} by playbook/connector limits (${summary.running + summary.dispatched}/${QUEUE_LIMITS.GLOBAL} running)`);
+    }
+
+    return summary;
+  } finally {
+    dispatching = false;
+    if (dispatchAgain) {
+      dispatchAgain = false;
+      requestDispatch();
+    }
+  }
+}
+
+/**
+ * Run a claimed execution against the playbook version it was queued with
+ * (falling back to the active version, then to a v1 Playbook). The engine
+ * runs in the background; its end frees a slot and triggers the next
+ * dispatch.
+ */
+async function startQueuedExecution(execution) {
+  const queuedVersion = execution.queue?.playbook_version;
+  const playbookDoc = (queuedVersion != null
+    ? await PlaybookVersioned.getSpecificVersion(execution.playbook_id, queuedVersion)
+    : null)
+    || await PlaybookVersioned.getActiveVersion(execution.playbook_id)
+    || await Playbook.findOne({ playbook_id: execution.playbook_id, status: 'active' }).lean();
+
+  if (!playbookDoc) {
+    logger.error(`[ExecutionQueue] Playbook ${execution.playbook_id} not found for queued execution ${execution.execution_id}`);
+    execution.state = ExecutionState.FAILED;
+    execution.completed_at = new Date();
+    execution.duration_ms = execution.completed_at - execution.started_at;
+    execution.error = {
+      message: `Playbook not found or inactive: ${execution.playbook_id}`,
+      code: 'PLAYBOOK_NOT_FOUND',
+      timestamp: new Date()
+    };
+    await execution.save();
+    return;
+  }
+
+  const playbook = {
+    playbook_id: playbookDoc.playbook_id,
+    name: playbookDoc.name,
+    description: playbookDoc.description,
+    shadow_mode: playbookDoc.dsl?.shadow_mode || playbookDoc.shadow_mode || false,
+    steps: playbookDoc.dsl?.steps || playbookDoc.steps || [],
+    // Trigger forwarded so the engine can seed pending IDs from
+    // trigger.next_steps (multi-target trigger fan-out).
+    trigger: playbookDoc.dsl?.trigger || playbookDoc.trigger || null,
+    inputs: playbookDoc.dsl?.inputs || playbookDoc.inputs,
+    vars: playbookDoc.dsl?.vars || playbookDoc.vars,
+    version: playbookDoc.version,
+    enabled: playbookDoc.enabled ?? true
+  };
+
+  const engine = new ExecutionEngine(execution, playbook);
+
+  engine.execute()
+    .catch(async (error) => {
+      logger.error(`[ExecutionQueue] Execution ${execution.execution_id} failed: ${error.message}`);
+      try {
+        execution.state = ExecutionState.FAILED;
+        execution.error = { message: error.message };
+        execution.completed_at = new Date();
+        await execution.save();
+      } catch (saveErr) {
+        logger.error(`[ExecutionQueue] Failed to update execution state: ${saveErr.message}`);
+      }
+    })
+    .finally(() => requestDispatch());
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// QUERIES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Queue depth and slot usage, for /api/soc/backlog.
+ */
+export async function getQueueStatus() {
+  const [depth, running, bySeverity, oldest] = await Promise.all([
+    Execution.countDocuments({ state: ExecutionState.QUEUED }),
+    Execution.countDocuments({ state: ExecutionState.EXECUTING }),
+    Execution.aggregate([
+      { $match: { state: ExecutionState.QUEUED } },
+      { $group: { _id: '$queue.severity', count: { $sum: 1 } } }
+    ]),
+    Execution.findOne({ state: ExecutionState.QUEUED })
+      .select('queue.enqueued_at')
+      .sort({ 'queue.enqueued_at': 1 })
+      .lean()
+  ]);
+
+  const oldestEnqueuedAt = oldest?.queue?.enqueued_at || null;
+
+  return {
+    depth,
+    running,
+    by_severity: Object.fromEntries(bySeverity.filter(s => s._id).map(s => [s._id, s.count])),
+    oldest_enqueued_at: oldestEnqueuedAt,
+    oldest_wait_ms: oldestEnqueuedAt ? Date.now() - new Date(oldestEnqueuedAt).getTime() : 0,
+    limits: {
+      global: QUEUE_LIMITS.GLOBAL,
+      per_playbook: QUEUE_LIMITS.PER_PLAYBOOK,
+      per_connector: QUEUE_LIMITS.PER_CONNECTOR
+    }
+  };
+}
+
+export default {
+  QUEUE_LIMITS,
+  SeverityPriority,
+  resolveSeverity,
+  buildQueueEntry,
+  requestDispatch,
+  dispatchQueuedExecutions,
+  getQueueStatus
+};
@@ -9,13 +9,17 @@
  * STATE VALUES (CANONICAL):
  *   - EXECUTING: Currently running
  *   - WAITING_APPROVAL: Paused waiting for approval
+ *   - WAITING: Parked on a wait step
  *   - COMPLETED: Successfully finished
  *   - FAILED: Execution failed
+ *   - CANCELLED: Stopped by an operator
  */
 
 import mongoose from 'mongoose';
 import { Execution, Playbook, PlaybookVersioned } from '../models/index.js';
 import { ExecutionState, StepState } from '../models/execution.js';
+import { ExecutionEngine, cancelExecution as cancelEngineExecution } from '../engine/execution-engine.js';
+import { resolvePlaybookInputs } from '../engine/playbook-inputs.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -39,7 +43,7 @@ async function findExecutionByIdOrLogicalId(id) {
  *
  * Supported filters:
  *   - playbook_id: Filter by playbook
- *   - state: EXECUTING | WAITING_APPROVAL | COMPLETED | FAILED
+ *   - state: EXECUTING | WAITING_APPROVAL | WAITING | COMPLETED | FAILED
  *   - severity: Filter by trigger_data.severity (exact match or array)
  *   - rule_id: Filter by trigger_data.rule_id
  *   - trigger_id: Filter by trigger_snapshot.trigger_id
@@ -182,9 +186,16 @@ export async function getExecution(id) {
 }
 
 /**
- * Create new execution (typically called by webhook or manual trigger)
+ * Create new execution (typically called by webhook or manual trigger) and
+ * start it in the background.
+ *
+ * @param {string} playbookId - Logical playbook ID
+ * @param {Object} [triggerData] - Alert context ({} for input-only runs)
+ * @param {string} [triggerSource] - 'manual', 'simulation', 'api', 'scheduled', ...
+ * @param {Object} [inputs] - Values for the playbook's declared inputs;
+ *   throws code INVALID_INPUTS (with `details`) if they do not validate
  */
-export async function createExecution(playbookId, triggerData, triggerSource = 'manual') {
+export async function createExecution(playbookId, triggerData = {}, triggerSource = 'manual', inputs = null) {
   try {
     // Find playbook by playbook_id — check PlaybookVersioned (v2) first, fall back to legacy
     let playbook = await PlaybookVersioned.findOne({ playbook_id: playbookId, enabled: true });
@@ -215,6 +226,10 @@ export async function createExecution(playbookId, triggerData, triggerSource = '
       throw new Error('Playbook has no steps to execute');
     }
 
+    const playbookObj = typeof playbook.toObject === 'function' ? playbook.toObject() : playbook;
+    const definition = playbookObj.dsl || playbookObj;
+    const resolvedInputs = resolvePlaybookInputs(definition.inputs, inputs);
+
     // For manual/simulation executions, provide defaults for fields
     // that are normally populated by webhook ingestion
     const now = new Date();
@@ -225,9 +240,11 @@ export async function createExecution(playbookId, triggerData, triggerSource = '
     const execution = new Execution({
       playbook_id: playbook.playbook_id,
       playbook_name: playbook.name,
+      playbook_version: playbookObj.version,
       state: ExecutionState.EXECUTING,
       trigger_data: triggerData,
-      trigger_source: triggerSource, // 'webhook', 'manual', 'simulation', 'api'
+      inputs: resolvedInputs,
+      trigger_source: triggerSource, // 'webhook', 'manual', 'simulation', 'api', 'scheduled'
       started_at: now,
       steps,
       // Required fields — defaults for non-webhook sources
@@ -248,6 +265,28 @@ export async function createExecution(playbookId, triggerData, triggerSource = '
 
     logger.info(`Execution created: ${execution.execution_id} for playbook: ${playbook.name} (source: ${triggerSource})`);
 
+    const playbookForExecution = {
+      playbook_id: playbookObj.playbook_id,
+      name: playbookObj.name,
+      description: playbookObj.description,
+      shadow_mode: definition.shadow_mode || false,
+      steps: definition.steps || [],
+      // Trigger forwarded so the engine can seed pending IDs from
+      // trigger.next_steps (multi-target trigger fan-out).
+      trigger: definition.trigger || null,
+      inputs: definition.inputs,
+      vars: definition.vars,
+      version: playbookObj.version,
+      enabled: playbookObj.enabled
+    };
+
+    setImmediate(() => {
+      const engine = new ExecutionEngine(execution, playbookForExecution);
+      engine.execute().catch(error => {
+        logger.error(`[createExecution] Execution ${execution.execution_id} failed: ${error.message}`);
+      });
+    });
+
     return {
       ...execution.toObject(),
       id: execution._id.toString(),
@@ -261,10 +300,13 @@ export async function createExecution(playbookId, triggerData, triggerSource = '
 
 // Valid execution state transitions
 const VALID_STATE_TRANSITIONS = {
-  [ExecutionState.EXECUTING]: [ExecutionState.COMPLETED, ExecutionState.FAILED, ExecutionState.WAITING_APPROVAL],
+  [ExecutionState.QUEUED]: [ExecutionState.EXECUTING, ExecutionState.FAILED],
+  [ExecutionState.EXECUTING]: [ExecutionState.COMPLETED, ExecutionState.FAILED, ExecutionState.WAITING_APPROVAL, ExecutionState.WAITING],
   [ExecutionState.WAITING_APPROVAL]: [ExecutionState.EXECUTING, ExecutionState.FAILED],
+  [ExecutionState.WAITING]: [ExecutionState.EXECUTING, ExecutionState.FAILED],
   [ExecutionState.COMPLETED]: [],  // terminal state
-  [ExecutionState.FAILED]: []      // terminal state
+  [ExecutionState.FAILED]: [],     // terminal state
+  [ExecutionState.CANCELLED]: []   // terminal state (only via cancelExecution)
 };
 
 /**
@@ -351,32 +393,24 @@ export async function updateStepState(executionId, stepId, stepState, output = {
 }
 
 /**
- * Cancel execution (mark as FAILED) - supports both execution_id and MongoDB _id
+ * Cancel execution (supports both execution_id and MongoDB _id).
+ * Delegates to the engine so in-flight branches stop; the execution ends
+ * CANCELLED with pending steps SKIPPED.
  */
-export async function cancelExecution(id, userId) {
+export async function cancelExecution(id, userId, reason = null) {
   try {
-    const execution = await findExecutionByIdOrLogicalId(id);
-
-    if (!execution) {
-      throw new Error('Execution not found');
-    }
+    const existing = await findExecutionByIdOrLogicalId(id);
 
-    if (execution.state === ExecutionState.COMPLETED || execution.state === ExecutionState.FAILED) {
-      throw new Error('Cannot cancel completed or failed execution');
+    if (!existing) {
+      const error = new Error('Execution not found');
+      error.code = 'EXECUTION_NOT_FOUND';
+      throw error;
     }
 
-    execution.state = ExecutionState.FAILED;
-    execution.completed_at = new Date();
-    if (execution.started_at) {
-      execution.duration_ms = execution.completed_at - execution.started_at;
-    }
-    execution.error = {
-      message: `Cancelled by user: ${userId}`,
-      code: 'CANCELLED',
-      timestamp: new Date()
-    };
-
-    await execution.save();
+    const execution = await cancelEngineExecution(existing.execution_id, {
+      cancelledBy: userId,
+      reason
+    });
 
     logger.info(`Execution ${execution.execution_id} cancelled by ${userId}`);
 
@@ -454,6 +488,7 @@ export async function getExecutionStats(playbookId = null, timeRange = '24h') {
  * Uses MongoDB aggregation pipeline for efficiency
  *
  * Returns:
+ *   - queued_count: Executions waiting in the execution queue
  *   - active_count: Currently executing executions
  *   - waiting_approval_count: Executions waiting for approval
  *   - completed_today: Completed executions in last 24h
@@ -470,6 +505,11 @@ export async function getExecutionStatsDetailed() {
     const stats = await Execution.aggregate([
       {
         $facet: {
+          // Queued (waiting for a concurrency slot)
+          queued: [
+            { $match: { state: ExecutionState.QUEUED } },
+            { $count: 'count' }
+          ],
           // Active executions (currently executing)
           active: [
             { $match: { state: ExecutionState.EXECUTING } },
@@ -516,6 +556,7 @@ export async function getExecutionStatsDetailed() {
     // Extract results from aggregation
     const result = stats[0];
 
+    const queuedCount = result.queued[0]?.count || 0;
     const activeCount = result.active[0]?.count || 0;
     const waitingApprovalCount = result.waiting_approval[0]?.count || 0;
     const completedToday = result.completed_today[0]?.count || 0;
@@ -537,6 +578,7 @@ export async function getExecutionStatsDetailed() {
     });
 
     return {
+      queued_count: queuedCount,
       active_count: activeCount,
       waiting_approval_count: waitingApprovalCount,
       completed_today: completedToday,
@@ -0,0 +1,352 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — BACKGROUND JOB SCHEDULER
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Runs periodic maintenance jobs (execution queue dispatch, approval
+ * timeouts, wait-step wake-ups, scheduled playbooks, SLA checks, SOC health
+ * checks) on fixed intervals. Started once from index.js.
+ *
+ * DESIGN:
+ * ─────────────────────────────────────────────────────────────────────────────
+ * - Jobs are registered in code (registerJob) and mirrored to the
+ *   ScheduledJob collection, which holds their run state: last run, next
+ *   run, duration, last result, last error.
+ * - A single ticker checks for due jobs every SCHEDULER_TICK_MS.
+ * - NO OVERLAPPING RUNS: a run claims its job document atomically
+ *   (status idle → running, with a lease). A second run — scheduled or
+ *   manual, in this process or another replica — is refused while the
+ *   lease is held. An abandoned lease (crash mid-run) expires on its own.
+ * - next_run_at is measured from the END of a run, so a slow run delays the
+ *   next one instead of stacking up.
+ *
+ * VERSION: 1.0.0
+ * AUTHOR: CyberSentinel SOAR Team
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import ScheduledJob, { JobStatus } from '../models/scheduled-job.js';
+import { expireOldApprovals } from './approval-service.js';
+import { checkPendingResolutionSLAs } from './sla-enforcement-service.js';
+import { wakeDueWaits } from './wait-service.js';
+import { dispatchQueuedExecutions } from './execution-queue.js';
+import { runHealthChecks } from './soc-health-monitoring.js';
+import { runDueSchedules } from './playbook-schedule-service.js';
+import logger from '../utils/logger.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const SCHEDULER_TICK_MS = parseInt(process.env.SCHEDULER_TICK_MS || '5000');
+
+// Default run lease. A run still going after this long is treated as dead.
+const DEFAULT_LEASE_MS = 5 * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// JOB REGISTRY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const jobs = new Map();       // job_id → definition
+const runningJobs = new Set(); // job_ids running in THIS process
+let tickTimer = null;
+let ticking = false;
+
+/**
+ * Register a job definition. Must be called before startScheduler().
+ *
+ * @param {Object} definition
+ * @param {string} definition.job_id - Stable identifier
+ * @param {string} definition.name - Display name
+ * @param {string} [definition.description]
+ * @param {number} definition.interval_ms - Delay between the end of one run and the next
+ * @param {number} [definition.lease_ms] - Max expected run time (default 5 min)
+ * @param {Function} definition.handler - async () => result (stored as last_result)
+ */
+export function registerJob(definition) {
+  if (!definition?.job_id || typeof definition.handler !== 'function') {
+    throw new Error('Job definition requires job_id and handler');
+  }
+  jobs.set(definition.job_id, {
+    lease_ms: DEFAULT_LEASE_MS,
+    ...definition
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// JOB EXECUTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Run a job now, unless a run is already in progress.
+ *
+ * @param {string} jobId
+ * @param {Object} [options]
+ * @param {'scheduled'|'manual'} [options.trigger]
+ * @param {string} [options.triggeredBy] - Actor email for manual runs
+ * @returns {Promise<{job_id: string, success: boolean, duration_ms: number, result: *, error: string|null}>}
+ */
+export async function runJob(jobId, { trigger = 'scheduled', triggeredBy = 'system' } = {}) {
+  const definition = jobs.get(jobId);
+  if (!definition) {
+    const error = new Error(`Unknown job: ${jobId}`);
+    error.code = 'JOB_NOT_FOUND';
+    throw error;
+  }
+
+  const alreadyRunning = () => {
+    const error = new Error(`Job ${jobId} is already running`);
+    error.code = 'JOB_ALREADY_RUNNING';
+    return error;
+  };
+
+  if (runningJobs.has(jobId)) {
+    throw alreadyRunning();
+  }
+
+  // Claim the job atomically (idle, or running with an expired lease)
+  const startedAt = new Date();
+  const claimed = await ScheduledJob.findOneAndUpdate(
+    {
+      job_id: jobId,
+      $or: [
+        { status: JobStatus.IDLE },
+        { locked_until: { $lt: startedAt } }
+      ]
+    },
+    {
+      $set: {
+        status: JobStatus.RUNNING,
+        locked_until: new Date(startedAt.getTime() + definition.lease_ms),
+        last_run_at: startedAt,
+        last_trigger: trigger,
+        last_triggered_by: triggeredBy
+      }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw alreadyRunning();
+  }
+
+  runningJobs.add(jobId);
+
+  let result = null;
+  let runError = null;
+  try {
+    result = await definition.handler();
+  } catch (error) {
+    runError = error;
+    logger.error(`[JobScheduler] Job ${jobId} failed: ${error.message}`);
+  } finally {
+    runningJobs.delete(jobId);
+  }
+
+  const finishedAt = new Date();
+  const durationMs = finishedAt - startedAt;
+
+  const update = {
+    $set: {
+      status: JobStatus.IDLE,
+      locked_until: null,
+      last_finished_at: finishedAt,
+      last_duration_ms: durationMs,
+      next_run_at: new Date(finishedAt.getTime() + claimed.interval_ms)
+    },
+    $inc: { run_count: 1 }
+  };
+
+  if (runError) {
+    update.$set.last_error = { message: runError.message, at: finishedAt };
+    update.$inc.failure_count = 1;
+  } else {
+    update.$set.last_result = result ?? null;
+  }
+
+  await ScheduledJob.updateOne({ job_id: jobId }, update);
+
+  logger.debug(`[JobScheduler] Job ${jobId} finished in ${durationMs}ms (${runError ? 'failed' : 'ok'})`);
+
+  return {
+    job_id: jobId,
+    success: !runError,
+    duration_ms: durationMs,
+    result: runError ? null : (result ?? null),
+    error: runError ? runError.message : null
+  };
+}
+
+/**
+ * Launch every enabled job whose next_run_at has passed, including jobs left
+ * RUNNING by a crashed run once their lease has expired.
+ */
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const now = new Date();
+    const due = await ScheduledJob.find({
+      job_id: { $in: [...jobs.keys()] },
+      enabled: true,
+      next_run_at: { $lte: now },
+      $or: [
+        { status: JobStatus.IDLE },
+        { locked_until: { $lt: now } }
+      ]
+    })
+      .select('job_id')
+      .lean();
+
+    for (const { job_id } of due) {
+      if (runningJobs.has(job_id)) continue;
+
+      runJob(job_id, { trigger: 'scheduled' }).catch((error) => {
+        // Another replica claimed it first — expected, not an error
+        if (error.code !== 'JOB_ALREADY_RUNNING') {
+          logger.error(`[JobScheduler] Could not run job ${job_id}: ${error.message}`);
+        }
+      });
+    }
+  } catch (error) {
+    logger.error(`[JobScheduler] Tick failed: ${error.message}`);
+  } finally {
+    ticking = false;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LIFECYCLE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Sync registered jobs to MongoDB and start the ticker.
+ * Jobs seen for the first time are due immediately.
+ */
+export async function startScheduler() {
+  if (tickTimer) return;
+
+  for (const definition of jobs.values()) {
+    await ScheduledJob.updateOne(
+      { job_id: definition.job_id },
+      {
+        $set: {
+          name: definition.name,
+          description: definition.description,
+          interval_ms: definition.interval_ms
+        },
+        $setOnInsert: {
+          status: JobStatus.IDLE,
+          next_run_at: new Date()
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  tickTimer = setInterval(tick, SCHEDULER_TICK_MS);
+  tickTimer.unref();
+
+  logger.info(`[JobScheduler] Started with ${jobs.size} job(s): ${[...jobs.keys()].join(', ')}`);
+}
+
+/**
+ * Stop the ticker. In-flight runs finish on their own.
+ */
+export function stopScheduler() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+    logger.info('[JobScheduler] Stopped');
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// QUERIES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * List persisted job state for all registered jobs.
+ */
+export async function listJobs() {
+  const docs = await ScheduledJob.find({ job_id: { $in: [...jobs.keys()] } })
+    .sort({ job_id: 1 })
+    .lean();
+
+  return docs.map(({ _id, __v, ...job }) => job);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BUILT-IN JOBS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Register the platform's built-in maintenance jobs.
+ */
+export function registerBuiltInJobs() {
+  registerJob({
+    job_id: 'execution-queue',
+    name: 'Execution queue dispatch',
+    description: 'Start QUEUED executions as global, per-playbook and per-connector concurrency slots free up',
+    interval_ms: 5 * 1000,
+    handler: () => dispatchQueuedExecutions()
+  });
+
+  registerJob({
+    job_id: 'approval-timeouts',
+    name: 'Approval timeouts',
+    description: 'Expire pending approvals past expires_at and apply the step on_timeout behavior',
+    interval_ms: 60 * 1000,
+    handler: async () => ({ expired: await expireOldApprovals() })
+  });
+
+  registerJob({
+    job_id: 'execution-waits',
+    name: 'Wait step wake-ups',
+    description: 'Resume executions whose wait elapsed, run due step retries, and apply on_timeout to expired wait_for steps',
+    interval_ms: 10 * 1000,
+    handler: () => wakeDueWaits()
+  });
+
+  registerJob({
+    job_id: 'playbook-schedules',
+    name: 'Scheduled playbooks',
+    description: 'Start playbooks whose cron schedule is due and apply the missed-run policy after downtime',
+    interval_ms: 15 * 1000,
+    handler: () => runDueSchedules()
+  });
+
+  registerJob({
+    job_id: 'sla-resolution-check',
+    name: 'Resolution SLA check',
+    description: 'Measure resolution SLA for finished executions and raise breach alerts',
+    interval_ms: 60 * 1000,
+    handler: () => checkPendingResolutionSLAs()
+  });
+
+  registerJob({
+    job_id: 'soc-health-checks',
+    name: 'SOC health checks',
+    description: 'Run backlog, SLA, failure, ingestion and approval-queue health checks',
+    interval_ms: 5 * 60 * 1000,
+    handler: async () => {
+      const health = await runHealthChecks();
+      return {
+        overall_health: health.overall_health,
+        checks: Object.fromEntries(
+          Object.entries(health.checks).map(([name, check]) => [name, check.healthy])
+        )
+      };
+    }
+  });
+}
+
+export default {
+  registerJob,
+  registerBuiltInJobs,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  listJobs
+};
@@ -0,0 +1,390 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — SCHEDULED PLAYBOOKS
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Runs versioned playbooks on cron schedules (models/playbook-schedule.js),
+ * e.g. an hourly hunt that re-checks recently blocked IPs against threat
+ * intel. Schedules are managed under /api/v2/playbooks/:playbook_id/schedule.
+ *
+ * FLOW (playbook-schedules job, see services/job-scheduler.js):
+ * ─────────────────────────────────────────────────────────────────────────────
+ * 1. Find enabled schedules whose next_run_at has passed
+ * 2. List every scheduled time between next_run_at and now; times picked up
+ *    later than the misfire grace period are missed runs, handled per
+ *    missed_run_policy (skip / run_once / run_all)
+ * 3. Claim the schedule by advancing next_run_at from the value read, so
+ *    another replica cannot start the same runs
+ * 4. Start the enabled playbook version once per run with trigger_source
+ *    'scheduled'
+ *
+ * Scheduled executions carry the run in trigger_data:
+ *   { timestamp, schedule: { playbook_id, cron, timezone, scheduled_for,
+ *     fired_at, catch_up } }
+ * so steps can read e.g. {{trigger_data.schedule.scheduled_for}}.
+ *
+ * VERSION: 1.0.0
+ * AUTHOR: CyberSentinel SOAR Team
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import PlaybookSchedule, { MissedRunPolicy, MAX_CATCHUP_RUNS_LIMIT } from '../models/playbook-schedule.js';
+import PlaybookVersioned from '../models/playbook-v2.js';
+import { createExecution } from './execution-service.js';
+import { resolvePlaybookInputs } from '../engine/playbook-inputs.js';
+import {
+  parseCronExpression,
+  isValidTimezone,
+  nextCronOccurrence,
+  nextCronOccurrences
+} from '../utils/cron-expression.js';
+import logger from '../utils/logger.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// A run picked up later than this after its scheduled time is a missed run
+const MISFIRE_GRACE_MS = parseInt(process.env.PLAYBOOK_SCHEDULE_MISFIRE_GRACE_MS || String(5 * 60 * 1000));
+
+// Schedules handled per job run
+const DUE_BATCH_SIZE = 100;
+
+// Scheduled times enumerated per schedule when catching up after downtime
+const MAX_ENUMERATED_RUNS = 10000;
+
+const UPCOMING_RUNS = 5;
+
+const SCHEDULE_FIELDS = ['cron', 'timezone', 'enabled', 'inputs', 'missed_run_policy', 'max_catchup_runs'];
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validate a schedule definition.
+ *
+ * @param {Object} definition - Request body
+ * @returns {Array<{field: string, message: string}>} Problems found
+ */
+export function validateScheduleDefinition(definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return [{ field: null, message: 'Schedule must be an object' }];
+  }
+
+  const unknown = Object.keys(definition).filter(k => !SCHEDULE_FIELDS.includes(k));
+  if (unknown.length > 0) {
+    errors.push({ field: unknown[0], message: `Unknown field(s): ${unknown.join(', ')}` });
+  }
+
+  try {
+    parseCronExpression(definition.cron);
+  } catch (error) {
+    errors.push({ field: 'cron', message: error.message });
+  }
+
+  if (definition.timezone !== undefined && !isValidTimezone(definition.timezone)) {
+    errors.push({ field: 'timezone', message: `'${definition.timezone}' is not a valid IANA timezone` });
+  }
+
+  if (definition.enabled !== undefined && typeof definition.enabled !== 'boolean') {
+    errors.push({ field: 'enabled', message: 'enabled must be a boolean' });
+  }
+
+  const policies = Object.values(MissedRunPolicy);
+  if (definition.missed_run_policy !== undefined && !policies.includes(definition.missed_run_policy)) {
+    errors.push({ field: 'missed_run_policy', message: `missed_run_policy must be one of: ${policies.join(', ')}` });
+  }
+
+  if (definition.max_catchup_runs !== undefined &&
+      (!Number.isInteger(definition.max_catchup_runs) ||
+       definition.max_catchup_runs < 1 ||
+       definition.max_catchup_runs > MAX_CATCHUP_RUNS_LIMIT)) {
+    errors.push({ field: 'max_catchup_runs', message: `max_catchup_runs must be an integer between 1 and ${MAX_CATCHUP_RUNS_LIMIT}` });
+  }
+
+  return errors;
+}
+
+function invalidSchedule(errors) {
+  const error = new Error(`Invalid schedule: ${errors.map(e => e.message).join('; ')}`);
+  error.code = 'INVALID_SCHEDULE';
+  error.details = errors;
+  return error;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MANAGEMENT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Format a schedule document for API responses, with its upcoming run times
+ */
+export function formatSchedule(schedule) {
+  const { _id, __v, ...fields } = schedule;
+  let upcoming = [];
+  if (fields.enabled && fields.next_run_at) {
+    upcoming = [
+      fields.next_run_at,
+      ...nextCronOccurrences(fields.cron, fields.next_run_at, fields.timezone, UPCOMING_RUNS - 1)
+    ];
+  }
+  return { ...fields, upcoming_runs: upcoming };
+}
+
+/**
+ * Get the schedule of a playbook.
+ *
+ * @returns {Promise<Object|null>}
+ */
+export async function getSchedule(playbookId) {
+  const schedule = await PlaybookSchedule.findOne({ playbook_id: playbookId }).lean();
+  return schedule ? formatSchedule(schedule) : null;
+}
+
+/**
+ * Create or replace the schedule of a playbook. Inputs are checked against
+ * the playbook's enabled version.
+ *
+ * @param {string} playbookId
+ * @param {Object} definition - { cron, timezone?, enabled?, inputs?, missed_run_policy?, max_catchup_runs? }
+ * @param {string} userId
+ * @returns {Promise<{schedule: Object, created: boolean}>}
+ * @throws {Error} codes PLAYBOOK_NOT_FOUND, INVALID_SCHEDULE, INVALID_INPUTS
+ */
+export async function upsertSchedule(playbookId, definition, userId) {
+  const playbook = await PlaybookVersioned.getActiveVersion(playbookId);
+  if (!playbook) {
+    const error = new Error(`Playbook ${playbookId} not found or has no enabled version`);
+    error.code = 'PLAYBOOK_NOT_FOUND';
+    throw error;
+  }
+
+  const errors = validateScheduleDefinition(definition);
+  if (errors.length > 0) {
+    throw invalidSchedule(errors);
+  }
+
+  resolvePlaybookInputs(playbook.dsl?.inputs, definition.inputs);
+
+  const timezone = definition.timezone || 'UTC';
+  const enabled = definition.enabled !== false;
+  const cron = parseCronExpression(definition.cron);
+  const nextRunAt = nextCronOccurrence(cron, new Date(), timezone);
+
+  if (!nextRunAt) {
+    throw invalidSchedule([{ field: 'cron', message: `'${definition.cron}' never matches a date` }]);
+  }
+
+  const existing = await PlaybookSchedule.findOne({ playbook_id: playbookId }).select('_id').lean();
+
+  const update = {
+    $set: {
+      cron: cron.expression,
+      timezone,
+      enabled,
+      missed_run_policy: definition.missed_run_policy || MissedRunPolicy.RUN_ONCE,
+      max_catchup_runs: definition.max_catchup_runs || 10,
+      next_run_at: enabled ? nextRunAt : null,
+      updated_by: userId
+    },
+    $setOnInsert: { created_by: userId }
+  };
+
+  // PUT replaces the schedule: omitted inputs are cleared
+  if (definition.inputs != null) {
+    update.$set.inputs = definition.inputs;
+  } else {
+    update.$unset = { inputs: 1 };
+  }
+
+  const schedule = await PlaybookSchedule.findOneAndUpdate(
+    { playbook_id: playbookId },
+    update,
+    { upsert: true, new: true, lean: true, runValidators: true }
+  );
+
+  logger.info(`[PlaybookSchedule] ${existing ? 'Updated' : 'Created'} schedule for ${playbookId}: '${schedule.cron}' (${timezone}), next run ${schedule.next_run_at?.toISOString() || 'none'}`);
+
+  return { schedule: formatSchedule(schedule), created: !existing };
+}
+
+/**
+ * Remove the schedule of a playbook.
+ *
+ * @returns {Promise<boolean>} false when the playbook had no schedule
+ */
+export async function deleteSchedule(playbookId) {
+  const result = await PlaybookSchedule.deleteOne({ playbook_id: playbookId });
+  if (result.deletedCount > 0) {
+    logger.info(`[PlaybookSchedule] Deleted schedule for ${playbookId}`);
+  }
+  return result.deletedCount > 0;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RUNNING DUE SCHEDULES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Work out which scheduled times of a due schedule to run.
+ *
+ * @returns {{ runs: Array<{scheduled_for: Date, catch_up: boolean}>, missed: number, nextRunAt: Date|null }}
+ */
+export function planScheduledRuns(schedule, now = new Date()) {
+  const cron = parseCronExpression(schedule.cron);
+  const keep = schedule.missed_run_policy === MissedRunPolicy.RUN_ALL
+    ? schedule.max_catchup_runs
+    : 1;
+
+  // Scheduled times up to now; only the most recent `keep` are retained
+  const due = [];
+  let total = 0;
+  let cursor = schedule.next_run_at;
+  while (cursor && cursor <= now && total < MAX_ENUMERATED_RUNS) {
+    total++;
+    due.push(cursor);
+    if (due.length > keep) due.shift();
+    cursor = nextCronOccurrence(cron, cursor, schedule.timezone);
+  }
+
+  const nextRunAt = cursor && cursor > now
+    ? cursor
+    : nextCronOccurrence(cron, now, schedule.timezone);
+
+  const isLate = (scheduledFor) => now - scheduledFor > MISFIRE_GRACE_MS;
+
+  let runs = due.map(scheduledFor => ({ scheduled_for: scheduledFor, catch_up: isLate(scheduledFor) }));
+  if (schedule.missed_run_policy === MissedRunPolicy.SKIP) {
+    runs = runs.filter(run => !run.catch_up);
+  }
+
+  return { runs, missed: total - runs.length, nextRunAt };
+}
+
+/**
+ * Claim one due schedule and start its runs.
+ *
+ * @returns {Promise<{started: number, failed: number, missed: number}|null>}
+ *   null when another replica claimed it first
+ */
+async function runSchedule(schedule, now) {
+  const { runs, missed, nextRunAt } = planScheduledRuns(schedule, now);
+
+  const claimed = await PlaybookSchedule.findOneAndUpdate(
+    { _id: schedule._id, enabled: true, next_run_at: schedule.next_run_at },
+    {
+      $set: { next_run_at: nextRunAt },
+      $inc: { missed_count: missed }
+    },
+    { new: true, lean: true }
+  );
+
+  if (!claimed) {
+    return null;
+  }
+
+  if (missed > 0) {
+    logger.warn(`[PlaybookSchedule] ${schedule.playbook_id}: ${missed} missed run(s) not started (policy: ${schedule.missed_run_policy})`);
+  }
+
+  let started = 0;
+  let failed = 0;
+
+  for (const run of runs) {
+    const firedAt = new Date();
+    const triggerData = {
+      timestamp: run.scheduled_for.toISOString(),
+      schedule: {
+        playbook_id: schedule.playbook_id,
+        cron: schedule.cron,
+        timezone: schedule.timezone,
+        scheduled_for: run.scheduled_for.toISOString(),
+        fired_at: firedAt.toISOString(),
+        catch_up: run.catch_up
+      }
+    };
+
+    try {
+      const execution = await createExecution(schedule.playbook_id, triggerData, 'scheduled', schedule.inputs);
+      started++;
+
+      await PlaybookSchedule.updateOne(
+        { _id: schedule._id },
+        {
+          $set: {
+            last_run_at: firedAt,
+            last_scheduled_for: run.scheduled_for,
+            last_execution_id: execution.execution_id
+          },
+          $inc: { run_count: 1 }
+        }
+      );
+
+      logger.info(`[PlaybookSchedule] Started ${execution.execution_id} for ${schedule.playbook_id} (scheduled for ${run.scheduled_for.toISOString()}${run.catch_up ? ', catch-up' : ''})`);
+    } catch (error) {
+      failed++;
+
+      await PlaybookSchedule.updateOne(
+        { _id: schedule._id },
+        {
+          $set: {
+            last_run_at: firedAt,
+            last_scheduled_for: run.scheduled_for,
+            last_error: { message: error.message, code: error.code || null, at: firedAt }
+          },
+          $inc: { failure_count: 1 }
+        }
+      );
+
+      logger.error(`[PlaybookSchedule] Scheduled run of ${schedule.playbook_id} failed: ${error.message}`);
+    }
+  }
+
+  return { started, failed, missed };
+}
+
+/**
+ * Start the runs of every enabled schedule that is due.
+ * Registered as the 'playbook-schedules' job.
+ *
+ * @returns {Promise<{schedules: number, started: number, failed: number, missed: number}>}
+ */
+export async function runDueSchedules(now = new Date()) {
+  const due = await PlaybookSchedule.find({
+    enabled: true,
+    next_run_at: { $ne: null, $lte: now }
+  })
+    .sort({ next_run_at: 1 })
+    .limit(DUE_BATCH_SIZE)
+    .lean();
+
+  const summary = { schedules: 0, started: 0, failed: 0, missed: 0 };
+
+  for (const schedule of due) {
+    try {
+      const result = await runSchedule(schedule, now);
+      if (!result) continue;
+      summary.schedules++;
+      summary.started += result.started;
+      summary.failed += result.failed;
+      summary.missed += result.missed;
+    } catch (error) {
+      logger.error(`[PlaybookSchedule] Could not process schedule for ${schedule.playbook_id}: ${error.message}`);
+    }
+  }
+
+  return summary;
+}
+
+export default {
+  validateScheduleDefinition,
+  formatSchedule,
+  getSchedule,
+  upsertSchedule,
+  deleteSchedule,
+  planScheduledRuns,
+  runDueSchedules
+};
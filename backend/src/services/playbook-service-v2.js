@@ -17,6 +17,7 @@
  */
 
 import PlaybookVersioned from '../models/playbook-v2.js';
+import PlaybookSchedule from '../models/playbook-schedule.js';
 import { validatePlaybookDSLOrThrow, validateShadowMode } from '../validators/playbook-validator.js';
 import logger from '../utils/logger.js';
 
@@ -331,8 +332,9 @@ export async function deletePlaybook(playbookId) {
       throw error;
     }
 
-    // Delete ALL versions of this playbook
+    // Delete ALL versions of this playbook, and its schedule
     const result = await PlaybookVersioned.deleteMany({ playbook_id: playbookId });
+    await PlaybookSchedule.deleteOne({ playbook_id: playbookId });
 
     logger.info(`[PlaybookService] Deleted playbook ${playbookId} (${result.deletedCount} version(s) removed)`);
 
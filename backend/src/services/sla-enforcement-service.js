@@ -167,7 +167,7 @@ export async function checkResolutionSLA(executionId) {
     }
 
     // Only check if in terminal state
-    if (![ExecutionState.COMPLETED, ExecutionState.FAILED].includes(execution.state)) {
+    if (![ExecutionState.COMPLETED, ExecutionState.FAILED, ExecutionState.CANCELLED].includes(execution.state)) {
       return execution;
     }
 
@@ -202,6 +202,37 @@ export async function checkResolutionSLA(executionId) {
   }
 }
 
+/**
+ * Run checkResolutionSLA for terminal executions that have an SLA policy but
+ * no resolution measurement yet. Called periodically by the job scheduler.
+ *
+ * @param {number} limit - Maximum executions to check per run
+ * @returns {Promise<{checked: number, breached: number}>}
+ */
+export async function checkPendingResolutionSLAs(limit = 200) {
+  const pending = await Execution.find({
+    sla_policy_id: { $ne: null },
+    state: { $in: [ExecutionState.COMPLETED, ExecutionState.FAILED, ExecutionState.CANCELLED] },
+    started_at: { $ne: null },
+    completed_at: { $ne: null },
+    'sla_status.resolution.actual_ms': null
+  })
+    .select('execution_id')
+    .sort({ completed_at: 1 })
+    .limit(limit)
+    .lean();
+
+  let breached = 0;
+  for (const { execution_id } of pending) {
+    const execution = await checkResolutionSLA(execution_id);
+    if (execution?.sla_status?.resolution?.breached) {
+      breached++;
+    }
+  }
+
+  return { checked: pending.length, breached };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // BREACH REASON CLASSIFICATION
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -451,6 +482,7 @@ export default {
   applySLAPolicy,
   checkContainmentSLA,
   checkResolutionSLA,
+  checkPendingResolutionSLAs,
   getSLAStatus,
   getSLABreaches
 };
@@ -66,7 +66,7 @@ export async function checkBacklogGrowth() {
 
     // Get current backlog
     const currentBacklog = await Execution.countDocuments({
-      state: { $in: [ExecutionState.EXECUTING, ExecutionState.WAITING_APPROVAL] }
+      state: { $in: [ExecutionState.QUEUED, ExecutionState.EXECUTING, ExecutionState.WAITING_APPROVAL] }
     });
 
     // Get executions created in last 5 minutes
@@ -77,7 +77,7 @@ export async function checkBacklogGrowth() {
     // Get executions completed in last 5 minutes
     const recentCompleted = await Execution.countDocuments({
       completed_at: { $gte: last5m },
-      state: { $in: [ExecutionState.COMPLETED, ExecutionState.FAILED] }
+      state: { $in: [ExecutionState.COMPLETED, ExecutionState.FAILED, ExecutionState.CANCELLED] }
     });
 
     // Calculate growth rate
@@ -28,6 +28,7 @@ import mongoose from 'mongoose';
 import Execution, { ExecutionState } from '../models/execution.js';
 import Approval from '../models/approval.js';
 import SLAPolicy from '../models/sla-policy.js';
+import { getQueueStatus } from './execution-queue.js';
 import logger from '../utils/logger.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -312,7 +313,9 @@ export async function calculateAutomationCoverage(filters = {}) {
 /**
  * Get current execution backlog
  *
- * Backlog = Executions in EXECUTING or WAITING_APPROVAL state
+ * Backlog = Executions in QUEUED, EXECUTING, WAITING_APPROVAL or WAITING state.
+ * `queue` reports the execution queue: depth, age of the oldest entry, slot
+ * usage and the configured concurrency limits.
  *
  * @returns {Promise<object>} - Backlog metrics
  */
@@ -321,7 +324,7 @@ export async function getBacklog() {
     const result = await Execution.aggregate([
       {
         $match: {
-          state: { $in: [ExecutionState.EXECUTING, ExecutionState.WAITING_APPROVAL] }
+          state: { $in: [ExecutionState.QUEUED, ExecutionState.EXECUTING, ExecutionState.WAITING_APPROVAL, ExecutionState.WAITING] }
         }
       },
       {
@@ -350,8 +353,10 @@ export async function getBacklog() {
 
     const data = result[0];
     const total = data.total[0]?.count || 0;
+    const queued = data.by_state.find(s => s._id === ExecutionState.QUEUED)?.count || 0;
     const executing = data.by_state.find(s => s._id === ExecutionState.EXECUTING)?.count || 0;
     const waiting = data.by_state.find(s => s._id === ExecutionState.WAITING_APPROVAL)?.count || 0;
+    const parked = data.by_state.find(s => s._id === ExecutionState.WAITING)?.count || 0;
     const slaBreached = data.sla_breached[0]?.count || 0;
 
     const bySeverity = {};
@@ -363,10 +368,13 @@ export async function getBacklog() {
 
     return {
       total_backlog: total,
+      queued_count: queued,
       executing_count: executing,
       waiting_approval_count: waiting,
+      waiting_count: parked,
       sla_breached_count: slaBreached,
-      by_severity: bySeverity
+      by_severity: bySeverity,
+      queue: await getQueueStatus()
     };
   } catch (error) {
     logger.error('Failed to get backlog:', error);
@@ -0,0 +1,252 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — TRIGGER AGGREGATION (THRESHOLD / CORRELATION)
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Counts alerts that matched an aggregation trigger in sliding windows and
+ * decides when the trigger fires (see trigger.aggregation in
+ * models/trigger.js).
+ *
+ * FLOW (per matching alert):
+ * ─────────────────────────────────────────────────────────────────────────────
+ * 1. Build the group key from aggregation.group_by; an alert missing any
+ *    group_by field is not aggregated
+ * 2. Append the alert to the group's window and drop alerts older than
+ *    window_minutes, in one atomic update (upsert)
+ * 3. Below threshold → 'below_threshold'
+ * 4. Within cooldown of the last firing → 'suppressed'
+ * 5. Otherwise claim the window atomically (fired_at, alerts emptied); the
+ *    claimer fires with the alerts it took, a concurrent loser is
+ *    'suppressed'
+ *
+ * Windows are measured on arrival time, so replayed or late alerts count
+ * when they arrive. event_time is kept per alert for the playbook.
+ *
+ * VERSION: 1.0.0
+ * AUTHOR: CyberSentinel SOAR Team
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import TriggerWindow from '../models/trigger-window.js';
+import { AggregationLimits } from '../models/trigger.js';
+import { resolveFieldPath } from '../engine/trigger-engine.js';
+import logger from '../utils/logger.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AGGREGATION OUTCOMES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const AggregationOutcome = Object.freeze({
+  FIRED: 'fired',
+  BELOW_THRESHOLD: 'below_threshold',
+  SUPPRESSED: 'suppressed',
+  GROUP_KEY_MISSING: 'group_key_missing'
+});
+
+const MINUTE_MS = 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Resolve the group_by fields of an alert.
+ *
+ * @returns {{ key: string, group: Object }|null} null when a field is missing
+ */
+export function buildGroupKey(groupBy, alert) {
+  const group = {};
+  for (const field of groupBy || []) {
+    const resolved = resolveFieldPath(field, alert);
+    if (!resolved.found || resolved.value === null) {
+      return null;
+    }
+    group[field] = resolved.value;
+  }
+  return { key: JSON.stringify(Object.entries(group)), group };
+}
+
+/**
+ * Number of alerts the threshold is compared against: all alerts, or the
+ * number of distinct distinct_field values (alerts without one are ignored)
+ */
+function countTowardThreshold(alerts, distinctField) {
+  if (!distinctField) {
+    return alerts.length;
+  }
+  return distinctValues(alerts).length;
+}
+
+function distinctValues(alerts) {
+  const seen = new Map();
+  for (const entry of alerts) {
+    if (entry.distinct_value === undefined || entry.distinct_value === null) continue;
+    seen.set(JSON.stringify(entry.distinct_value), entry.distinct_value);
+  }
+  return [...seen.values()];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WINDOW UPDATE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Record a matching alert for an aggregation trigger.
+ *
+ * @param {object} trigger - Trigger document with `aggregation` set
+ * @param {object} alert - Alert payload (already matched the conditions)
+ * @param {Date} [eventTime] - Normalized event time of the alert
+ * @returns {Promise<{
+ *   outcome: string,
+ *   group: Object|null,
+ *   count: number,
+ *   alerts?: Array<{received_at: Date, event_time: Date, alert: object}>,
+ *   distinct_values?: Array
+ * }>}
+ */
+export async function recordAggregatedAlert(trigger, alert, eventTime = null) {
+  const aggregation = trigger.aggregation;
+  const groupKey = buildGroupKey(aggregation.group_by, alert);
+
+  if (!groupKey) {
+    return { outcome: AggregationOutcome.GROUP_KEY_MISSING, group: null, count: 0 };
+  }
+
+  const now = new Date();
+  const windowMs = aggregation.window_minutes * MINUTE_MS;
+  const cooldownMs = (aggregation.cooldown_minutes ?? aggregation.window_minutes) * MINUTE_MS;
+  const windowStart = new Date(now.getTime() - windowMs);
+
+  let distinctValue;
+  if (aggregation.distinct_field) {
+    const resolved = resolveFieldPath(aggregation.distinct_field, alert);
+    distinctValue = resolved.found ? resolved.value : undefined;
+  }
+
+  const entry = { received_at: now, event_time: eventTime, distinct_value: distinctValue, alert };
+  const filter = {
+    trigger_id: trigger.trigger_id,
+    trigger_version: trigger.version,
+    group_key: groupKey.key
+  };
+
+  // Append + prune in one pipeline update so concurrent alerts cannot lose entries
+  const window = await TriggerWindow.findOneAndUpdate(
+    filter,
+    [{
+      $set: {
+        group: { $literal: groupKey.group },
+        alerts: {
+          $slice: [
+            {
+              $concatArrays: [
+                {
+                  $filter: {
+                    input: { $ifNull: ['$alerts', []] },
+                    cond: { $gte: ['$$this.received_at', windowStart] }
+                  }
+                },
+                [{ $literal: entry }]
+              ]
+            },
+            -AggregationLimits.MAX_WINDOW_ALERTS
+          ]
+        },
+        fired_at: { $ifNull: ['$fired_at', null] },
+        fire_count: { $ifNull: ['$fire_count', 0] },
+        suppressed_count: { $ifNull: ['$suppressed_count', 0] },
+        expires_at: new Date(now.getTime() + windowMs + cooldownMs),
+        created_at: { $ifNull: ['$created_at', now] }
+      }
+    }],
+    { upsert: true, new: true, lean: true }
+  );
+
+  const count = countTowardThreshold(window.alerts, aggregation.distinct_field);
+
+  if (count < aggregation.threshold) {
+    return { outcome: AggregationOutcome.BELOW_THRESHOLD, group: groupKey.group, count };
+  }
+
+  const cooldownStart = new Date(now.getTime() - cooldownMs);
+
+  if (window.fired_at && window.fired_at > cooldownStart) {
+    await TriggerWindow.updateOne({ _id: window._id }, { $inc: { suppressed_count: 1 } });
+    return { outcome: AggregationOutcome.SUPPRESSED, group: groupKey.group, count };
+  }
+
+  // Claim: only one concurrent request may fire for this window. The
+  // pre-update document carries the alerts the claimer takes with it.
+  const claimed = await TriggerWindow.findOneAndUpdate(
+    {
+      _id: window._id,
+      $or: [{ fired_at: null }, { fired_at: { $lte: cooldownStart } }]
+    },
+    {
+      $set: { fired_at: now, alerts: [] },
+      $inc: { fire_count: 1 }
+    },
+    { new: false, lean: true }
+  );
+
+  if (!claimed) {
+    await TriggerWindow.updateOne({ _id: window._id }, { $inc: { suppressed_count: 1 } });
+    return { outcome: AggregationOutcome.SUPPRESSED, group: groupKey.group, count };
+  }
+
+  const alerts = claimed.alerts.filter(a => a.received_at >= windowStart);
+
+  logger.info(`[TriggerAggregation] ${trigger.trigger_id} fired`, {
+    trigger_id: trigger.trigger_id,
+    alerts: alerts.length,
+    count
+  });
+
+  return {
+    outcome: AggregationOutcome.FIRED,
+    group: groupKey.group,
+    count: countTowardThreshold(alerts, aggregation.distinct_field),
+    alerts,
+    distinct_values: aggregation.distinct_field ? distinctValues(alerts) : undefined
+  };
+}
+
+/**
+ * Build trigger_data for a fired aggregation: the alert that crossed the
+ * threshold, so existing trigger_data.* paths keep working, plus the
+ * window under `aggregation`.
+ *
+ * @param {object} trigger - Aggregation trigger
+ * @param {object} alert - Alert that crossed the threshold
+ * @param {object} fired - Result of recordAggregatedAlert() with outcome 'fired'
+ * @returns {object}
+ */
+export function buildAggregatedTriggerData(trigger, alert, fired) {
+  const { group_by, window_minutes, threshold, distinct_field } = trigger.aggregation;
+  const receivedAt = fired.alerts.map(a => a.received_at);
+
+  return {
+    ...alert,
+    aggregation: {
+      trigger_id: trigger.trigger_id,
+      group_by,
+      group: fired.group,
+      window_minutes,
+      threshold,
+      distinct_field: distinct_field || null,
+      distinct_values: fired.distinct_values || null,
+      count: fired.count,
+      alert_count: fired.alerts.length,
+      first_seen: receivedAt[0] || null,
+      last_seen: receivedAt[receivedAt.length - 1] || null,
+      alerts: fired.alerts.map(a => a.alert)
+    }
+  };
+}
+
+export default {
+  AggregationOutcome,
+  buildGroupKey,
+  recordAggregatedAlert,
+  buildAggregatedTriggerData
+};
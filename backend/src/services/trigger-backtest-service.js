@@ -0,0 +1,312 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — TRIGGER DRY-RUN & BACKTEST
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Shows how a trigger — deployed or an unsaved candidate edit — behaves
+ * before it goes live:
+ *
+ * - testTrigger(): evaluate one sample alert and return the per-condition
+ *   condition_results from evaluateTrigger()
+ * - backtestTrigger(): replay the alerts of the last N days (trigger_data
+ *   of webhook executions) and the forwarder sample files against the
+ *   candidate and the deployed version, and report how many each matches
+ *
+ * A candidate is the deployed trigger with `conditions` / `match` from the
+ * request applied; it is validated like PUT /api/triggers/:trigger_id and
+ * never saved. Only conditions are evaluated: aggregation thresholds,
+ * disabled state and dedup are not part of a dry run.
+ *
+ * Sample files are JSONL, one alert per line. Paths come from
+ * TRIGGER_BACKTEST_SAMPLE_FILES (comma-separated), never from the request.
+ *
+ * VERSION: 1.0.0
+ * AUTHOR: CyberSentinel SOAR Team
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Execution from '../models/execution.js';
+import { evaluateTrigger, validateTriggerDefinition } from '../engine/trigger-engine.js';
+import logger from '../utils/logger.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_SAMPLE_FILES = [path.resolve(__dirname, '../../../forwarder/sample_alerts.jsonl')];
+
+const SAMPLE_FILES = process.env.TRIGGER_BACKTEST_SAMPLE_FILES
+  ? process.env.TRIGGER_BACKTEST_SAMPLE_FILES.split(',').map(f => f.trim()).filter(Boolean)
+  : DEFAULT_SAMPLE_FILES;
+
+export const BacktestLimits = Object.freeze({
+  DEFAULT_DAYS: 7,
+  MAX_DAYS: 90,
+  DEFAULT_EXECUTIONS: 5000,
+  MAX_EXECUTIONS: 20000,
+  MAX_SAMPLE_ALERTS: 10000,
+  MAX_EXAMPLES: 10
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CANDIDATE TRIGGER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function invalidTrigger(errors) {
+  const error = new Error('Invalid trigger definition');
+  error.code = 'INVALID_TRIGGER';
+  error.details = errors;
+  return error;
+}
+
+/**
+ * Plain, enabled copy of a trigger for dry-run evaluation
+ */
+function toEvaluable(trigger) {
+  const plain = typeof trigger.toObject === 'function' ? trigger.toObject() : { ...trigger };
+  return { ...plain, enabled: true };
+}
+
+/**
+ * Build the candidate trigger: the deployed trigger with the requested
+ * conditions / match applied.
+ *
+ * @param {object} trigger - Deployed trigger document
+ * @param {object} [changes] - { conditions?, match? }
+ * @returns {{ candidate: object, changed: boolean }}
+ * @throws {Error} code INVALID_TRIGGER
+ */
+export function buildCandidateTrigger(trigger, changes = {}) {
+  const deployed = toEvaluable(trigger);
+  const changed = changes.conditions !== undefined || changes.match !== undefined;
+
+  if (!changed) {
+    return { candidate: deployed, changed: false };
+  }
+
+  const candidate = {
+    ...deployed,
+    conditions: changes.conditions !== undefined ? changes.conditions : deployed.conditions,
+    match: changes.match !== undefined ? changes.match : deployed.match
+  };
+
+  const validation = validateTriggerDefinition({ conditions: candidate.conditions, match: candidate.match });
+  if (!validation.valid) {
+    throw invalidTrigger(validation.errors);
+  }
+
+  return { candidate, changed: true };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DRY RUN (ONE ALERT)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Evaluate a sample alert against a trigger.
+ *
+ * @param {object} trigger - Deployed trigger document
+ * @param {object} options
+ * @param {object} options.alert - Sample alert
+ * @param {Array} [options.conditions] - Candidate conditions
+ * @param {string} [options.match] - Candidate match mode
+ * @returns {object}
+ * @throws {Error} codes INVALID_SAMPLE_ALERT, INVALID_TRIGGER
+ */
+export function testTrigger(trigger, { alert, conditions, match } = {}) {
+  if (!alert || typeof alert !== 'object' || Array.isArray(alert)) {
+    const error = new Error('alert must be a JSON object');
+    error.code = 'INVALID_SAMPLE_ALERT';
+    throw error;
+  }
+
+  const { candidate, changed } = buildCandidateTrigger(trigger, { conditions, match });
+  const result = evaluateTrigger(candidate, alert);
+
+  return {
+    trigger_id: trigger.trigger_id,
+    deployed_version: trigger.version,
+    candidate: changed,
+    matched: result.matched,
+    decision: result.decision,
+    drop_reason: result.drop_reason,
+    conditions_evaluated: result.conditions_evaluated,
+    conditions_matched: result.conditions_matched,
+    evaluation_ms: result.evaluation_ms,
+    condition_results: result.condition_results,
+    aggregation_ignored: Boolean(trigger.aggregation)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BACKTEST (STORED ALERTS)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Read alerts from the configured JSONL sample files. Missing files and
+ * unparseable lines are reported, not fatal.
+ */
+async function loadSampleAlerts() {
+  const alerts = [];
+  const files = [];
+
+  for (const file of SAMPLE_FILES) {
+    const entry = { file: path.basename(file), alerts: 0, invalid_lines: 0, error: null };
+    files.push(entry);
+
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      entry.error = error.code === 'ENOENT' ? 'file not found' : error.message;
+      continue;
+    }
+
+    const lines = content.split('\n');
+    for (let i = 0; i < lines.length && alerts.length < BacktestLimits.MAX_SAMPLE_ALERTS; i++) {
+      const line = lines[i].trim();
+      if (!line) continue;
+      try {
+        const alert = JSON.parse(line);
+        if (!alert || typeof alert !== 'object' || Array.isArray(alert)) throw new Error('not an object');
+        alerts.push({ ref: { source: 'sample', file: entry.file, line: i + 1 }, alert });
+        entry.alerts++;
+      } catch {
+        entry.invalid_lines++;
+      }
+    }
+  }
+
+  return { alerts, files };
+}
+
+function parseBacktestOptions({ days, limit }) {
+  const errors = [];
+  const resolvedDays = days === undefined ? BacktestLimits.DEFAULT_DAYS : days;
+  const resolvedLimit = limit === undefined ? BacktestLimits.DEFAULT_EXECUTIONS : limit;
+
+  if (typeof resolvedDays !== 'number' || !(resolvedDays > 0) || resolvedDays > BacktestLimits.MAX_DAYS) {
+    errors.push(`days must be a number between 0 and ${BacktestLimits.MAX_DAYS}`);
+  }
+  if (!Number.isInteger(resolvedLimit) || resolvedLimit < 1 || resolvedLimit > BacktestLimits.MAX_EXECUTIONS) {
+    errors.push(`limit must be an integer between 1 and ${BacktestLimits.MAX_EXECUTIONS}`);
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid backtest options: ${errors.join('; ')}`);
+    error.code = 'INVALID_BACKTEST_OPTIONS';
+    error.details = errors;
+    throw error;
+  }
+
+  return { days: resolvedDays, limit: resolvedLimit };
+}
+
+/**
+ * Replay stored alerts against the candidate and the deployed trigger.
+ *
+ * @param {object} trigger - Deployed trigger document
+ * @param {object} options
+ * @param {Array} [options.conditions] - Candidate conditions
+ * @param {string} [options.match] - Candidate match mode
+ * @param {number} [options.days=7] - Look back this many days of executions
+ * @param {number} [options.limit=5000] - Most recent executions to replay
+ * @param {boolean} [options.include_samples=true] - Also replay sample files
+ * @returns {Promise<object>}
+ * @throws {Error} codes INVALID_TRIGGER, INVALID_BACKTEST_OPTIONS
+ */
+export async function backtestTrigger(trigger, options = {}) {
+  const { days, limit } = parseBacktestOptions(options);
+  const { candidate, changed } = buildCandidateTrigger(trigger, options);
+  const deployed = toEvaluable(trigger);
+
+  const to = new Date();
+  const from = new Date(to.getTime() - days * DAY_MS);
+  const startTime = Date.now();
+
+  const executions = await Execution.find({
+    trigger_source: 'webhook',
+    created_at: { $gte: from, $lte: to }
+  })
+    .sort({ created_at: -1 })
+    .limit(limit + 1)
+    .select('execution_id playbook_id created_at trigger_data')
+    .lean();
+
+  const truncated = executions.length > limit;
+  const alerts = executions.slice(0, limit)
+    .filter(e => e.trigger_data && typeof e.trigger_data === 'object')
+    .map(e => ({
+      ref: { source: 'execution', execution_id: e.execution_id, playbook_id: e.playbook_id, created_at: e.created_at },
+      alert: e.trigger_data
+    }));
+
+  let samples = { alerts: [], files: [] };
+  if (options.include_samples !== false) {
+    samples = await loadSampleAlerts();
+    alerts.push(...samples.alerts);
+  }
+
+  const counts = { candidate: 0, deployed: 0, both: 0 };
+  const newlyMatched = { count: 0, examples: [] };
+  const noLongerMatched = { count: 0, examples: [] };
+
+  for (const { ref, alert } of alerts) {
+    const candidateMatched = evaluateTrigger(candidate, alert).matched;
+    const deployedMatched = changed ? evaluateTrigger(deployed, alert).matched : candidateMatched;
+
+    if (candidateMatched) counts.candidate++;
+    if (deployedMatched) counts.deployed++;
+    if (candidateMatched && deployedMatched) counts.both++;
+
+    const diff = candidateMatched && !deployedMatched ? newlyMatched
+      : !candidateMatched && deployedMatched ? noLongerMatched
+        : null;
+    if (diff) {
+      diff.count++;
+      if (diff.examples.length < BacktestLimits.MAX_EXAMPLES) diff.examples.push(ref);
+    }
+  }
+
+  const rate = (matched) => (alerts.length > 0 ? Math.round((matched / alerts.length) * 10000) / 10000 : 0);
+  const durationMs = Date.now() - startTime;
+
+  logger.info(`[TriggerBacktest] ${trigger.trigger_id}: ${alerts.length} alert(s) replayed in ${durationMs}ms (candidate ${counts.candidate}, deployed ${counts.deployed})`);
+
+  return {
+    trigger_id: trigger.trigger_id,
+    deployed_version: trigger.version,
+    candidate: changed,
+    window: { days, from, to },
+    sources: {
+      executions: alerts.length - samples.alerts.length,
+      executions_truncated: truncated,
+      samples: samples.alerts.length,
+      sample_files: samples.files
+    },
+    evaluated: alerts.length,
+    results: {
+      candidate: { matched: counts.candidate, match_rate: rate(counts.candidate) },
+      deployed: { matched: counts.deployed, match_rate: rate(counts.deployed) },
+      both_matched: counts.both,
+      newly_matched: newlyMatched,
+      no_longer_matched: noLongerMatched
+    },
+    aggregation_ignored: Boolean(trigger.aggregation),
+    duration_ms: durationMs
+  };
+}
+
+export default {
+  BacktestLimits,
+  buildCandidateTrigger,
+  testTrigger,
+  backtestTrigger
+};
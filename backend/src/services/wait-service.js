@@ -0,0 +1,143 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — WAIT STEP WAKE-UPS
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Wakes executions parked on `wait` steps or scheduled step retries
+ * (retry_policy). A parked wait lives in execution.waits; nothing is held in
+ * process memory, so waits survive restarts and can be woken by any replica.
+ *
+ * WAKE-UP SOURCES:
+ * ─────────────────────────────────────────────────────────────────────────────
+ * - wakeDueWaits(): run by the 'execution-waits' background job. Timer waits
+ *   past resume_at resume ('elapsed'); event waits past their deadline
+ *   follow on_timeout ('timeout'); due step retries re-run ('retry').
+ * - deliverAlertToWaits(): called by webhook ingestion for every accepted
+ *   payload. Event waits on that webhook whose conditions match resume
+ *   ('matched') with the alert as step output.
+ *
+ * Both go through resumeWaitStep(), which claims the execution atomically.
+ *
+ * VERSION: 1.0.0
+ * AUTHOR: CyberSentinel SOAR Team
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import Execution, { ExecutionState } from '../models/execution.js';
+import { resumeWaitStep } from '../engine/execution-engine.js';
+import { evaluateTrigger } from '../engine/trigger-engine.js';
+import logger from '../utils/logger.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TIMER / DEADLINE WAKE-UPS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Resume every parked wait whose resume_at has passed.
+ *
+ * @param {number} [limit=100] - Max executions per run
+ * @returns {Promise<{due: number, resumed: number, skipped: number, errors: number}>}
+ */
+export async function wakeDueWaits(limit = 100) {
+  const now = new Date();
+  const summary = { due: 0, resumed: 0, skipped: 0, errors: 0 };
+
+  const executions = await Execution.find({
+    state: ExecutionState.WAITING,
+    'waits.resume_at': { $lte: now }
+  })
+    .select('execution_id waits')
+    .sort({ 'waits.resume_at': 1 })
+    .limit(limit)
+    .lean();
+
+  for (const execution of executions) {
+    for (const wait of execution.waits.filter(w => new Date(w.resume_at) <= now)) {
+      summary.due++;
+      try {
+        const outcome = wait.mode === 'event' ? 'timeout' : (wait.mode === 'retry' ? 'retry' : 'elapsed');
+        const resumed = await resumeWaitStep(execution.execution_id, wait.step_id, outcome);
+        // null: another wake-up claimed it, or a sibling wait resumed first
+        // (the execution is EXECUTING again) — retried on the next run
+        resumed ? summary.resumed++ : summary.skipped++;
+      } catch (error) {
+        summary.errors++;
+        logger.error(`[WaitService] Failed to wake ${execution.execution_id}/${wait.step_id}: ${error.message}`);
+      }
+    }
+  }
+
+  return summary;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ALERT-DRIVEN WAKE-UPS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Check whether an alert satisfies a parked event wait.
+ * No conditions means any alert on the webhook matches.
+ */
+export function alertMatchesWait(wait, alert) {
+  if (!wait.conditions || wait.conditions.length === 0) {
+    return true;
+  }
+
+  const result = evaluateTrigger(
+    { enabled: true, conditions: wait.conditions, match: wait.match || 'ALL' },
+    alert
+  );
+  return result.matched;
+}
+
+/**
+ * Resume executions waiting for an alert on this webhook.
+ *
+ * @param {string} webhookId - Webhook the alert arrived on
+ * @param {object} alert - Alert payload
+ * @returns {Promise<Array<{execution_id: string, step_id: string}>>} Waits resumed
+ */
+export async function deliverAlertToWaits(webhookId, alert) {
+  const now = new Date();
+
+  const executions = await Execution.find({
+    state: ExecutionState.WAITING,
+    waits: { $elemMatch: { mode: 'event', webhook_id: webhookId, resume_at: { $gt: now } } }
+  })
+    .select('execution_id waits')
+    .lean();
+
+  const resumed = [];
+
+  for (const execution of executions) {
+    const candidates = execution.waits.filter(w =>
+      w.mode === 'event' && w.webhook_id === webhookId && new Date(w.resume_at) > now
+    );
+
+    for (const wait of candidates) {
+      if (!alertMatchesWait(wait, alert)) continue;
+
+      try {
+        if (await resumeWaitStep(execution.execution_id, wait.step_id, 'matched', { alert })) {
+          resumed.push({ execution_id: execution.execution_id, step_id: wait.step_id });
+        }
+      } catch (error) {
+        logger.error(`[WaitService] Failed to resume ${execution.execution_id}/${wait.step_id}: ${error.message}`);
+      }
+      // One alert resumes at most one wait per execution
+      break;
+    }
+  }
+
+  if (resumed.length > 0) {
+    logger.info(`[WaitService] Alert on ${webhookId} resumed ${resumed.length} waiting execution(s)`);
+  }
+
+  return resumed;
+}
+
+export default {
+  wakeDueWaits,
+  deliverAlertToWaits,
+  alertMatchesWait
+};
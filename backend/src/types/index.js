@@ -19,16 +19,22 @@
  * Execution State Values
  *
  * ONLY THESE VALUES ARE VALID:
+ * - QUEUED: Waiting for a concurrency slot in the execution queue
  * - EXECUTING: Currently running steps
  * - WAITING_APPROVAL: Paused waiting for human approval
+ * - WAITING: Parked on a wait step (timer or awaited alert)
  * - COMPLETED: Successfully finished all steps
  * - FAILED: Execution failed
+ * - CANCELLED: Stopped by an operator (terminal)
  */
 export const ExecutionState = Object.freeze({
+  QUEUED: 'QUEUED',
   EXECUTING: 'EXECUTING',
   WAITING_APPROVAL: 'WAITING_APPROVAL',
+  WAITING: 'WAITING',
   COMPLETED: 'COMPLETED',
-  FAILED: 'FAILED'
+  FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED'
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
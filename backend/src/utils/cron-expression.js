@@ -0,0 +1,331 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — CRON EXPRESSIONS
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Parses standard 5-field cron expressions and computes run times in an IANA
+ * timezone (used by scheduled playbooks, services/playbook-schedule-service.js).
+ *
+ *   ┌──────── minute        0-59
+ *   │ ┌────── hour          0-23
+ *   │ │ ┌──── day of month  1-31
+ *   │ │ │ ┌── month         1-12 or JAN-DEC
+ *   │ │ │ │ ┌ day of week   0-7 or SUN-SAT (0 and 7 are Sunday)
+ *   * * * * *
+ *
+ * Each field accepts *, values, ranges (1-5), lists (1,15) and steps (*\/15,
+ * 8-18/2). Shortcuts: @hourly, @daily (@midnight), @weekly, @monthly,
+ * @yearly (@annually).
+ *
+ * As in classic cron, when both day of month and day of week are restricted
+ * a day matches if EITHER matches.
+ *
+ * DAYLIGHT SAVING: times are matched against the wall clock of the timezone.
+ * A wall time skipped by a DST jump runs once, at the first instant after
+ * the jump (02:30 on a 02:00 → 03:00 day runs at 03:00); a wall time that
+ * occurs twice runs at its first occurrence only.
+ *
+ * VERSION: 1.0.0
+ * AUTHOR: CyberSentinel SOAR Team
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FIELD DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day_of_month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], nameBase: 1 },
+  { name: 'day_of_week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], nameBase: 0 }
+];
+
+const SHORTCUTS = Object.freeze({
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+});
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const MINUTE_MS = 60 * 1000;
+
+// Give up looking for the next run after this long (e.g. "0 0 30 2 *")
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * MINUTE_MS;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function invalidCron(expression, message) {
+  const error = new Error(`Invalid cron expression '${expression}': ${message}`);
+  error.code = 'INVALID_CRON';
+  return error;
+}
+
+function parseValue(token, field, expression) {
+  const upper = token.toUpperCase();
+  if (field.names?.includes(upper)) {
+    return field.names.indexOf(upper) + field.nameBase;
+  }
+  if (!/^\d+$/.test(token)) {
+    throw invalidCron(expression, `'${token}' is not a valid ${field.name} value`);
+  }
+  const value = parseInt(token, 10);
+  if (value < field.min || value > field.max) {
+    throw invalidCron(expression, `${field.name} ${value} is outside ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseField(source, field, expression) {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [rangePart, stepPart, extra] = part.split('/');
+    if (extra !== undefined || rangePart === '') {
+      throw invalidCron(expression, `'${part}' is not a valid ${field.name} entry`);
+    }
+
+    let step = 1;
+    if (stepPart !== undefined) {
+      if (!/^\d+$/.test(stepPart) || parseInt(stepPart, 10) === 0) {
+        throw invalidCron(expression, `step '${stepPart}' in ${field.name} must be a positive integer`);
+      }
+      step = parseInt(stepPart, 10);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      const [from, to] = rangePart.split('-');
+      start = parseValue(from, field, expression);
+      end = parseValue(to, field, expression);
+      if (start > end) {
+        throw invalidCron(expression, `range '${rangePart}' in ${field.name} is reversed`);
+      }
+    } else {
+      start = parseValue(rangePart, field, expression);
+      // "5/15" means every 15 starting at 5
+      end = stepPart !== undefined ? field.max : start;
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression.
+ *
+ * @param {string} expression - 5-field expression or @shortcut
+ * @returns {{ expression: string, minute: Set<number>, hour: Set<number>,
+ *   day_of_month: Set<number>, month: Set<number>, day_of_week: Set<number>,
+ *   minutes_sorted: number[], dom_restricted: boolean, dow_restricted: boolean }}
+ * @throws {Error} code INVALID_CRON
+ */
+export function parseCronExpression(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw invalidCron(expression, 'expression must be a non-empty string');
+  }
+
+  const trimmed = expression.trim();
+  const source = SHORTCUTS[trimmed.toLowerCase()] || trimmed;
+  if (source.startsWith('@')) {
+    throw invalidCron(expression, `unknown shortcut. Valid shortcuts: ${Object.keys(SHORTCUTS).join(', ')}`);
+  }
+
+  const parts = source.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw invalidCron(expression, `expected ${FIELDS.length} fields (minute hour day-of-month month day-of-week), got ${parts.length}`);
+  }
+
+  const parsed = { expression: trimmed };
+  FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(parts[i], field, expression);
+  });
+
+  // 7 is an alias for Sunday
+  if (parsed.day_of_week.delete(7)) {
+    parsed.day_of_week.add(0);
+  }
+
+  parsed.minutes_sorted = [...parsed.minute].sort((a, b) => a - b);
+  parsed.dom_restricted = parts[2] !== '*';
+  parsed.dow_restricted = parts[4] !== '*';
+
+  return parsed;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TIMEZONES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    });
+    formatters.set(timezone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * @param {string} timezone - IANA timezone name (e.g. "Europe/Berlin")
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone === '') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a timezone
+ */
+function wallClock(date, timezone) {
+  const fields = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    fields[type] = value;
+  }
+  return {
+    month: parseInt(fields.month, 10),
+    day: parseInt(fields.day, 10),
+    hour: parseInt(fields.hour, 10),
+    minute: parseInt(fields.minute, 10),
+    weekday: WEEKDAYS[fields.weekday]
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RUN TIMES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function dayMatches(parsed, wall) {
+  const domMatch = parsed.day_of_month.has(wall.day);
+  const dowMatch = parsed.day_of_week.has(wall.weekday);
+  if (parsed.dom_restricted && parsed.dow_restricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Whether the wall clock jumped forward into `wall` (the wall time at
+ * instant t) over a time that would have run. Skipped minutes are taken on
+ * the day of `wall`, whose day fields have already matched.
+ */
+function skippedTimeMatches(parsed, t, wall, timezone) {
+  const before = wallClock(new Date(t - MINUTE_MS), timezone);
+  const wallMinutes = wall.hour * 60 + wall.minute;
+  const firstSkipped = before.day === wall.day ? before.hour * 60 + before.minute + 1 : 0;
+
+  for (let m = firstSkipped; m < wallMinutes; m++) {
+    if (parsed.hour.has(Math.floor(m / 60)) && parsed.minute.has(m % 60)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * First run time strictly after `after`.
+ *
+ * @param {Object|string} cron - Result of parseCronExpression() or an expression
+ * @param {Date} after
+ * @param {string} [timezone='UTC']
+ * @returns {Date|null} null when the expression never matches (e.g. Feb 30)
+ */
+export function nextCronOccurrence(cron, after, timezone = 'UTC') {
+  const parsed = typeof cron === 'string' ? parseCronExpression(cron) : cron;
+
+  // Start at the next whole minute
+  let t = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const limit = t + MAX_SEARCH_MS;
+
+  while (t < limit) {
+    const wall = wallClock(new Date(t), timezone);
+
+    if (!parsed.month.has(wall.month) || !dayMatches(parsed, wall)) {
+      // Skip to 23:00 of this wall day; stepping hour by hour from there
+      // lands on the next midnight even across a DST change
+      const minutesToLateEvening = (23 - wall.hour) * 60 - wall.minute;
+      t += Math.max(minutesToLateEvening, 60 - wall.minute) * MINUTE_MS;
+      continue;
+    }
+    // First instant after a spring-forward jump over a matching time
+    if (skippedTimeMatches(parsed, t, wall, timezone)) {
+      return new Date(t);
+    }
+    if (!parsed.hour.has(wall.hour)) {
+      t += (60 - wall.minute) * MINUTE_MS;
+      continue;
+    }
+    if (!parsed.minute.has(wall.minute)) {
+      const nextMinute = parsed.minutes_sorted.find(m => m > wall.minute) ?? 60;
+      t += (nextMinute - wall.minute) * MINUTE_MS;
+      continue;
+    }
+    // Second pass through a wall time repeated by a DST fall-back
+    const hourBefore = wallClock(new Date(t - 60 * MINUTE_MS), timezone);
+    if (hourBefore.day === wall.day && hourBefore.hour === wall.hour && hourBefore.minute === wall.minute) {
+      t += MINUTE_MS;
+      continue;
+    }
+    return new Date(t);
+  }
+
+  return null;
+}
+
+/**
+ * The next `count` run times after `after`.
+ *
+ * @returns {Date[]}
+ */
+export function nextCronOccurrences(cron, after, timezone = 'UTC', count = 5) {
+  const parsed = typeof cron === 'string' ? parseCronExpression(cron) : cron;
+  const runs = [];
+  let cursor = after;
+  while (runs.length < count) {
+    const next = nextCronOccurrence(parsed, cursor, timezone);
+    if (!next) break;
+    runs.push(next);
+    cursor = next;
+  }
+  return runs;
+}
+
+export default {
+  parseCronExpression,
+  isValidTimezone,
+  nextCronOccurrence,
+  nextCronOccurrences
+};
@@ -4,7 +4,7 @@
  * ══════════════════════════════════════════════════════════════════════════════
  *
  * Production-grade validator for playbook DSL with:
- * - Complete step type validation (enrichment, condition, approval, action, notification)
+ * - Complete step type validation (enrichment, condition, approval, action, notification, foreach, playbook, wait, transform)
  * - Circular reference detection using depth-first search
  * - Maximum step limit enforcement (100 steps)
  * - Condition step mandatory branching (on_true AND on_false)
@@ -12,6 +12,9 @@
  * - Shadow mode enforcement validation
  * - Step reference integrity checks
  * - Connector validation
+ * - Playbook input declarations and vars
+ * - Output mappings, and steps.<id>.output.<field> references checked
+ *   against the mapping or the connector's declared outputSchema
  *
  * VALIDATION ERRORS = IMMEDIATE API REQUEST REJECTION
  *
@@ -21,6 +24,11 @@
 
 import logger from '../utils/logger.js';
 import { normalizeBranchTargets } from '../engine/branch-targets.js';
+import { VALID_OPERATORS as VALID_TRIGGER_OPERATORS } from '../models/trigger.js';
+import { checkTransformExpression } from '../engine/transform-functions.js';
+import { validateInputDeclarations, validateVars } from '../engine/playbook-inputs.js';
+import { compileJsonPath } from '../engine/input-resolver.js';
+import { getOutputFields } from '../engine/connector-interface.js';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // CONSTANTS
@@ -29,9 +37,15 @@ import { normalizeBranchTargets } from '../engine/branch-targets.js';
 const MAX_STEPS = 100;
 const STEP_END = '__END__';
 
-const VALID_STEP_TYPES = ['enrichment', 'condition', 'approval', 'action', 'notification'];
-const VALID_ON_FAILURE = ['stop', 'continue', 'retry', 'skip'];
+const VALID_STEP_TYPES = ['enrichment', 'condition', 'approval', 'action', 'notification', 'foreach', 'playbook', 'wait', 'transform'];
+const VALID_FOREACH_SUB_STEP_TYPES = ['enrichment', 'action', 'notification'];
+const CONNECTOR_STEP_TYPES = ['enrichment', 'action', 'notification'];
+const VALID_FOREACH_ITEM_FAILURE = ['stop', 'continue'];
+const MAX_FOREACH_CONCURRENCY = 10;
+const MAX_WAIT_SECONDS = 30 * 24 * 60 * 60;
+const VALID_ON_FAILURE = ['stop', 'continue', 'retry', 'skip', 'rollback'];
 const VALID_APPROVAL_TIMEOUT_BEHAVIORS = ['fail', 'continue', 'skip'];
+const VALID_RECOVERY_POLICIES = ['resume', 'fail'];
 const VALID_CONDITION_OPERATORS = [
   'equals', 'not_equals',
   'greater_than', 'less_than',
@@ -42,6 +56,8 @@ const VALID_CONDITION_OPERATORS = [
   'in', 'not_in',
   'exists', 'not_exists'
 ];
+const LOGICAL_CONDITION_OPERATORS = ['and', 'or', 'not'];
+const MAX_CONDITION_DEPTH = 10;
 
 // ═══════════════════════════════════════════════════════════════════════════
 // ERROR CODES (STRUCTURED RESPONSE FORMAT)
@@ -76,6 +92,8 @@ export const ErrorCodes = {
   CONDITION_MISSING_ON_FALSE: 'CONDITION_MISSING_ON_FALSE',
   CONDITION_INVALID_ON_TRUE: 'CONDITION_INVALID_ON_TRUE',
   CONDITION_INVALID_ON_FALSE: 'CONDITION_INVALID_ON_FALSE',
+  CONDITION_INVALID_GROUP: 'CONDITION_INVALID_GROUP',
+  CONDITION_TOO_DEEP: 'CONDITION_TOO_DEEP',
 
   // Approval step errors
   APPROVAL_MISSING_APPROVERS: 'APPROVAL_MISSING_APPROVERS',
@@ -85,13 +103,43 @@ export const ErrorCodes = {
   APPROVAL_INVALID_ON_APPROVED: 'APPROVAL_INVALID_ON_APPROVED',
   APPROVAL_INVALID_ON_REJECTED: 'APPROVAL_INVALID_ON_REJECTED',
 
+  // ForEach step errors
+  FOREACH_MISSING_ITEMS: 'FOREACH_MISSING_ITEMS',
+  FOREACH_MISSING_STEPS: 'FOREACH_MISSING_STEPS',
+  FOREACH_INVALID_SUB_STEP: 'FOREACH_INVALID_SUB_STEP',
+  FOREACH_INVALID_CONCURRENCY: 'FOREACH_INVALID_CONCURRENCY',
+  FOREACH_INVALID_ON_ITEM_FAILURE: 'FOREACH_INVALID_ON_ITEM_FAILURE',
+  PLAYBOOK_MISSING_PLAYBOOK_ID: 'PLAYBOOK_MISSING_PLAYBOOK_ID',
+  PLAYBOOK_INVALID_VERSION: 'PLAYBOOK_INVALID_VERSION',
+  WAIT_INVALID_MODE: 'WAIT_INVALID_MODE',
+  WAIT_INVALID_DURATION: 'WAIT_INVALID_DURATION',
+  WAIT_FOR_MISSING_WEBHOOK: 'WAIT_FOR_MISSING_WEBHOOK',
+  WAIT_FOR_INVALID_TIMEOUT: 'WAIT_FOR_INVALID_TIMEOUT',
+  WAIT_FOR_INVALID_CONDITION: 'WAIT_FOR_INVALID_CONDITION',
+  WAIT_MISSING_ON_TIMEOUT: 'WAIT_MISSING_ON_TIMEOUT',
+  WAIT_INVALID_ON_TIMEOUT: 'WAIT_INVALID_ON_TIMEOUT',
+  TRANSFORM_MISSING_SET: 'TRANSFORM_MISSING_SET',
+  TRANSFORM_UNKNOWN_FUNCTION: 'TRANSFORM_UNKNOWN_FUNCTION',
+  TRANSFORM_INVALID_ARGS: 'TRANSFORM_INVALID_ARGS',
+  TRANSFORM_INVALID_EXPRESSION: 'TRANSFORM_INVALID_EXPRESSION',
+  TRANSFORM_INVALID_REGEX: 'TRANSFORM_INVALID_REGEX',
+
   // Connector step errors
   CONNECTOR_MISSING_CONNECTOR_ID: 'CONNECTOR_MISSING_CONNECTOR_ID',
   CONNECTOR_MISSING_ACTION_TYPE: 'CONNECTOR_MISSING_ACTION_TYPE',
 
+  // Output mapping errors
+  OUTPUT_MAPPING_INVALID: 'OUTPUT_MAPPING_INVALID',
+  OUTPUT_MAPPING_NOT_ALLOWED: 'OUTPUT_MAPPING_NOT_ALLOWED',
+  OUTPUT_REFERENCE_UNKNOWN_FIELD: 'OUTPUT_REFERENCE_UNKNOWN_FIELD',
+
   // Other errors
   MISSING_REQUIRED_FIELD: 'MISSING_REQUIRED_FIELD',
-  INVALID_ON_FAILURE: 'INVALID_ON_FAILURE'
+  INVALID_ON_FAILURE: 'INVALID_ON_FAILURE',
+  INVALID_RECOVERY_POLICY: 'INVALID_RECOVERY_POLICY',
+  INVALID_MAX_CONCURRENT_EXECUTIONS: 'INVALID_MAX_CONCURRENT_EXECUTIONS',
+  INVALID_PLAYBOOK_INPUTS: 'INVALID_PLAYBOOK_INPUTS',
+  INVALID_PLAYBOOK_VARS: 'INVALID_PLAYBOOK_VARS'
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -191,6 +239,38 @@ export function validatePlaybookDSL(dsl) {
     return result;
   }
 
+  // Playbook-level recovery policy (applied on backend restart)
+  if (dsl.recovery_policy !== undefined && !VALID_RECOVERY_POLICIES.includes(dsl.recovery_policy)) {
+    result.addError(
+      ErrorCodes.INVALID_RECOVERY_POLICY,
+      `Invalid recovery_policy '${dsl.recovery_policy}'. Valid values: ${VALID_RECOVERY_POLICIES.join(', ')}`,
+      { invalid_value: dsl.recovery_policy, valid_values: VALID_RECOVERY_POLICIES }
+    );
+  }
+
+  // Playbook-level concurrency limit (execution queue)
+  if (dsl.max_concurrent_executions !== undefined &&
+      !(Number.isInteger(dsl.max_concurrent_executions) && dsl.max_concurrent_executions >= 1)) {
+    result.addError(
+      ErrorCodes.INVALID_MAX_CONCURRENT_EXECUTIONS,
+      'max_concurrent_executions must be a positive integer',
+      { invalid_value: dsl.max_concurrent_executions }
+    );
+  }
+
+  // Playbook-level input parameters and constants ({{inputs.*}}, {{vars.*}})
+  if (dsl.inputs !== undefined) {
+    for (const problem of validateInputDeclarations(dsl.inputs)) {
+      result.addError(ErrorCodes.INVALID_PLAYBOOK_INPUTS, problem.message, { input: problem.input });
+    }
+  }
+
+  if (dsl.vars !== undefined) {
+    for (const problem of validateVars(dsl.vars)) {
+      result.addError(ErrorCodes.INVALID_PLAYBOOK_VARS, problem.message, { var: problem.var });
+    }
+  }
+
   // Collect all step IDs and check for duplicates
   const stepIds = new Set();
   const duplicateIds = new Set();
@@ -217,6 +297,9 @@ export function validatePlaybookDSL(dsl) {
     validateStep(dsl.steps[i], i, stepIds, result);
   }
 
+  // Downstream steps.<id>.output.<field> references
+  validateOutputReferences(dsl.steps, result);
+
   // Check for circular references
   if (result.valid) {
     detectCircularReferences(dsl.steps, result);
@@ -296,6 +379,18 @@ function validateStep(step, index, allStepIds, result) {
     case 'approval':
       validateApprovalStep(step, allStepIds, result);
       break;
+    case 'foreach':
+      validateForeachStep(step, allStepIds, result);
+      break;
+    case 'playbook':
+      validatePlaybookStep(step, result);
+      break;
+    case 'wait':
+      validateWaitStep(step, allStepIds, result);
+      break;
+    case 'transform':
+      validateTransformStep(step, result);
+      break;
     case 'enrichment':
     case 'action':
     case 'notification':
@@ -303,6 +398,14 @@ function validateStep(step, index, allStepIds, result) {
       break;
   }
 
+  if (step.output_mapping !== undefined && !CONNECTOR_STEP_TYPES.includes(step.type)) {
+    result.addError(
+      ErrorCodes.OUTPUT_MAPPING_NOT_ALLOWED,
+      `Step ${step.step_id} is a ${step.type} step; output_mapping is only allowed on ${CONNECTOR_STEP_TYPES.join(', ')} steps`,
+      { ...stepContext, field: 'output_mapping' }
+    );
+  }
+
   // Validate on_success goto references — supports legacy object form
   // {behavior:'goto', step_id|step_ids} AND new array form ['id1','id2'].
   if (step.on_success?.behavior === 'goto') {
@@ -346,36 +449,8 @@ function validateConditionStep(step, allStepIds, result) {
     return;
   }
 
-  // Validate condition structure
-  if (!step.condition.field) {
-    result.addError(
-      ErrorCodes.CONDITION_MISSING_FIELD,
-      `Condition step ${step.step_id} missing condition.field`,
-      { ...stepContext, field: 'condition.field' }
-    );
-  }
-
-  if (!step.condition.operator) {
-    result.addError(
-      ErrorCodes.CONDITION_MISSING_OPERATOR,
-      `Condition step ${step.step_id} missing condition.operator`,
-      { ...stepContext, field: 'condition.operator' }
-    );
-  } else if (!VALID_CONDITION_OPERATORS.includes(step.condition.operator)) {
-    result.addError(
-      ErrorCodes.CONDITION_INVALID_OPERATOR,
-      `Condition step ${step.step_id} has invalid operator '${step.condition.operator}'. Valid operators: ${VALID_CONDITION_OPERATORS.join(', ')}`,
-      { ...stepContext, invalid_operator: step.condition.operator, valid_operators: VALID_CONDITION_OPERATORS }
-    );
-  }
-
-  if (step.condition.value === undefined && !['exists', 'not_exists'].includes(step.condition.operator)) {
-    result.addError(
-      ErrorCodes.MISSING_REQUIRED_FIELD,
-      `Condition step ${step.step_id} missing condition.value (required for operator '${step.condition.operator}')`,
-      { ...stepContext, field: 'condition.value' }
-    );
-  }
+  // Validate condition structure (single comparison or nested and/or/not)
+  validateConditionExpression(step, step.condition, 'condition', 0, stepContext, result);
 
   // MANDATORY: on_true and on_false must both define at least one target.
   // Accepts string (legacy single-target) or string[] (fan-out). Each entry
@@ -419,6 +494,88 @@ function validateConditionStep(step, allStepIds, result) {
   }
 }
 
+/**
+ * Validate a condition expression recursively.
+ *
+ * Leaf:  { field, operator, value }  — operator from VALID_CONDITION_OPERATORS
+ * Group: { operator: 'and'|'or', conditions: [...] } (at least one child)
+ *        { operator: 'not', conditions: [one] }
+ */
+function validateConditionExpression(step, condition, path, depth, stepContext, result) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    result.addError(
+      ErrorCodes.CONDITION_INVALID_GROUP,
+      `Condition step ${step.step_id} has invalid ${path}: expected an object`,
+      { ...stepContext, field: path }
+    );
+    return;
+  }
+
+  if (LOGICAL_CONDITION_OPERATORS.includes(condition.operator)) {
+    if (depth >= MAX_CONDITION_DEPTH) {
+      result.addError(
+        ErrorCodes.CONDITION_TOO_DEEP,
+        `Condition step ${step.step_id} nests condition groups deeper than ${MAX_CONDITION_DEPTH} levels at ${path}`,
+        { ...stepContext, field: path, max_depth: MAX_CONDITION_DEPTH }
+      );
+      return;
+    }
+
+    const children = condition.conditions;
+    if (!Array.isArray(children) || children.length === 0) {
+      result.addError(
+        ErrorCodes.CONDITION_INVALID_GROUP,
+        `Condition step ${step.step_id} '${condition.operator}' group at ${path} must have a non-empty conditions array`,
+        { ...stepContext, field: `${path}.conditions` }
+      );
+      return;
+    }
+
+    if (condition.operator === 'not' && children.length !== 1) {
+      result.addError(
+        ErrorCodes.CONDITION_INVALID_GROUP,
+        `Condition step ${step.step_id} 'not' group at ${path} must have exactly one condition (found ${children.length})`,
+        { ...stepContext, field: `${path}.conditions` }
+      );
+    }
+
+    children.forEach((child, i) => {
+      validateConditionExpression(step, child, `${path}.conditions[${i}]`, depth + 1, stepContext, result);
+    });
+    return;
+  }
+
+  if (!condition.field) {
+    result.addError(
+      ErrorCodes.CONDITION_MISSING_FIELD,
+      `Condition step ${step.step_id} missing ${path}.field`,
+      { ...stepContext, field: `${path}.field` }
+    );
+  }
+
+  if (!condition.operator) {
+    result.addError(
+      ErrorCodes.CONDITION_MISSING_OPERATOR,
+      `Condition step ${step.step_id} missing ${path}.operator`,
+      { ...stepContext, field: `${path}.operator` }
+    );
+  } else if (!VALID_CONDITION_OPERATORS.includes(condition.operator)) {
+    result.addError(
+      ErrorCodes.CONDITION_INVALID_OPERATOR,
+      `Condition step ${step.step_id} has invalid operator '${condition.operator}' at ${path}. Valid operators: ${[...VALID_CONDITION_OPERATORS, ...LOGICAL_CONDITION_OPERATORS].join(', ')}`,
+      { ...stepContext, field: `${path}.operator`, invalid_operator: condition.operator, valid_operators: VALID_CONDITION_OPERATORS }
+    );
+  }
+
+  if (condition.value === undefined && !['exists', 'not_exists'].includes(condition.operator)) {
+    result.addError(
+      ErrorCodes.MISSING_REQUIRED_FIELD,
+      `Condition step ${step.step_id} missing ${path}.value (required for operator '${condition.operator}')`,
+      { ...stepContext, field: `${path}.value` }
+    );
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // APPROVAL STEP VALIDATION
 // ═══════════════════════════════════════════════════════════════════════════
@@ -548,6 +705,374 @@ function validateConnectorStep(step, result) {
       { ...stepContext, field: 'action_type' }
     );
   }
+
+  if (step.output_mapping !== undefined) {
+    validateOutputMapping(step, result);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// OUTPUT MAPPING VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+function validateOutputMapping(step, result) {
+  const stepContext = { step_id: step.step_id, step_type: step.type, field: 'output_mapping' };
+  const mapping = step.output_mapping;
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) || Object.keys(mapping).length === 0) {
+    result.addError(
+      ErrorCodes.OUTPUT_MAPPING_INVALID,
+      `Step ${step.step_id} output_mapping must be a non-empty object of output name → JSONPath`,
+      stepContext
+    );
+    return;
+  }
+
+  for (const [name, path] of Object.entries(mapping)) {
+    if (typeof path !== 'string' || path === '') {
+      result.addError(
+        ErrorCodes.OUTPUT_MAPPING_INVALID,
+        `Step ${step.step_id} output_mapping.${name} must be a JSONPath string`,
+        { ...stepContext, output_name: name }
+      );
+      continue;
+    }
+
+    if (path.startsWith('$')) {
+      try {
+        compileJsonPath(path);
+      } catch (error) {
+        result.addError(
+          ErrorCodes.OUTPUT_MAPPING_INVALID,
+          `Step ${step.step_id} output_mapping.${name}: ${error.message}`,
+          { ...stepContext, output_name: name, path }
+        );
+      }
+    }
+  }
+}
+
+const OUTPUT_REFERENCE = /steps\.([A-Za-z0-9_-]+)\.output\.([A-Za-z0-9_$-]+)/g;
+
+// Keys the engine itself may add to a connector step output
+const ENGINE_OUTPUT_FIELDS = ['unresolved_variables'];
+
+/**
+ * Known output fields of a connector step: its output_mapping names, else
+ * the connector's declared outputSchema. null = unknown, not checked.
+ */
+function knownOutputFields(step) {
+  if (step.output_mapping && typeof step.output_mapping === 'object') {
+    return Object.keys(step.output_mapping);
+  }
+  const fields = getOutputFields(step.connector_id, step.action_type);
+  return fields ? Object.keys(fields) : null;
+}
+
+/**
+ * Collect every steps.<id>.output.<field> occurrence in a step definition
+ * (input mappings, templates, condition fields, transform args, ...).
+ */
+function collectOutputReferences(value, references = []) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(OUTPUT_REFERENCE)) {
+      references.push({ step_id: match[1], field: match[2] });
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectOutputReferences(item, references));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectOutputReferences(item, references));
+  }
+  return references;
+}
+
+/**
+ * Check downstream references to connector step outputs against the
+ * fields that step is known to produce. Foreach sub-steps are included,
+ * since sibling sub-steps reference each other the same way.
+ */
+function validateOutputReferences(steps, result) {
+  const connectorSteps = new Map();
+  for (const step of steps) {
+    if (CONNECTOR_STEP_TYPES.includes(step?.type)) connectorSteps.set(step.step_id, step);
+    if (step?.type === 'foreach' && Array.isArray(step.steps)) {
+      for (const subStep of step.steps) {
+        if (CONNECTOR_STEP_TYPES.includes(subStep?.type)) connectorSteps.set(subStep.step_id, subStep);
+      }
+    }
+  }
+
+  for (const step of steps) {
+    if (!step?.step_id) continue;
+
+    const seen = new Set();
+    for (const ref of collectOutputReferences(step)) {
+      const key = `${ref.step_id}.${ref.field}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const target = connectorSteps.get(ref.step_id);
+      if (!target) continue;
+
+      const fields = knownOutputFields(target);
+      if (!fields || fields.includes(ref.field) || ENGINE_OUTPUT_FIELDS.includes(ref.field)) continue;
+
+      result.addError(
+        ErrorCodes.OUTPUT_REFERENCE_UNKNOWN_FIELD,
+        `Step ${step.step_id} references steps.${ref.step_id}.output.${ref.field}, but ${ref.step_id} ` +
+          (target.output_mapping
+            ? `only maps: ${fields.join(', ')}`
+            : `(${target.connector_id}.${target.action_type}) declares: ${fields.join(', ')}`),
+        { step_id: step.step_id, referenced_step_id: ref.step_id, referenced_field: ref.field, known_fields: fields }
+      );
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PLAYBOOK (SUB-PLAYBOOK) STEP VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+function validatePlaybookStep(step, result) {
+  const stepContext = { step_id: step.step_id, step_type: 'playbook' };
+
+  if (!step.playbook_id || typeof step.playbook_id !== 'string') {
+    result.addError(
+      ErrorCodes.PLAYBOOK_MISSING_PLAYBOOK_ID,
+      `Playbook step ${step.step_id} must define playbook_id`,
+      { ...stepContext, field: 'playbook_id' }
+    );
+  }
+
+  if (step.version !== undefined && step.version !== null &&
+      (!Number.isInteger(step.version) || step.version < 1)) {
+    result.addError(
+      ErrorCodes.PLAYBOOK_INVALID_VERSION,
+      `Playbook step ${step.step_id} version must be a positive integer`,
+      { ...stepContext, field: 'version', invalid_value: step.version }
+    );
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WAIT STEP VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+function validateWaitStep(step, allStepIds, result) {
+  const stepContext = { step_id: step.step_id, step_type: 'wait' };
+  const isValidSeconds = (value) =>
+    typeof value === 'number' && Number.isFinite(value) && value > 0 && value <= MAX_WAIT_SECONDS;
+
+  const modes = ['duration_seconds', 'until', 'wait_for'].filter(key => step[key] !== undefined && step[key] !== null);
+  if (modes.length !== 1) {
+    result.addError(
+      ErrorCodes.WAIT_INVALID_MODE,
+      `Wait step ${step.step_id} must define exactly one of duration_seconds, until, wait_for`,
+      { ...stepContext, defined: modes }
+    );
+    return;
+  }
+
+  if (modes[0] === 'duration_seconds' && !isValidSeconds(step.duration_seconds)) {
+    result.addError(
+      ErrorCodes.WAIT_INVALID_DURATION,
+      `Wait step ${step.step_id} duration_seconds must be a number between 1 and ${MAX_WAIT_SECONDS}`,
+      { ...stepContext, field: 'duration_seconds', invalid_value: step.duration_seconds }
+    );
+  }
+
+  if (modes[0] === 'until' && (typeof step.until !== 'string' || step.until.trim() === '')) {
+    result.addError(
+      ErrorCodes.WAIT_INVALID_MODE,
+      `Wait step ${step.step_id} until must be a timestamp or a context path`,
+      { ...stepContext, field: 'until' }
+    );
+  }
+
+  if (modes[0] !== 'wait_for') {
+    return;
+  }
+
+  const waitFor = step.wait_for;
+
+  if (!waitFor?.webhook_id || typeof waitFor.webhook_id !== 'string') {
+    result.addError(
+      ErrorCodes.WAIT_FOR_MISSING_WEBHOOK,
+      `Wait step ${step.step_id} wait_for must define webhook_id`,
+      { ...stepContext, field: 'wait_for.webhook_id' }
+    );
+  }
+
+  if (!isValidSeconds(waitFor?.timeout_seconds)) {
+    result.addError(
+      ErrorCodes.WAIT_FOR_INVALID_TIMEOUT,
+      `Wait step ${step.step_id} wait_for.timeout_seconds must be a number between 1 and ${MAX_WAIT_SECONDS}`,
+      { ...stepContext, field: 'wait_for.timeout_seconds', invalid_value: waitFor?.timeout_seconds }
+    );
+  }
+
+  if (waitFor?.match !== undefined && !['ALL', 'ANY'].includes(waitFor.match)) {
+    result.addError(
+      ErrorCodes.WAIT_FOR_INVALID_CONDITION,
+      `Wait step ${step.step_id} wait_for.match must be 'ALL' or 'ANY'`,
+      { ...stepContext, field: 'wait_for.match', invalid_value: waitFor.match }
+    );
+  }
+
+  if (waitFor?.conditions !== undefined && !Array.isArray(waitFor.conditions)) {
+    result.addError(
+      ErrorCodes.WAIT_FOR_INVALID_CONDITION,
+      `Wait step ${step.step_id} wait_for.conditions must be an array`,
+      { ...stepContext, field: 'wait_for.conditions' }
+    );
+  } else {
+    (waitFor?.conditions || []).forEach((condition, i) => {
+      if (!condition?.field || !VALID_TRIGGER_OPERATORS.includes(condition?.operator)) {
+        result.addError(
+          ErrorCodes.WAIT_FOR_INVALID_CONDITION,
+          `Wait step ${step.step_id} wait_for condition ${i} needs a field and a valid operator (${VALID_TRIGGER_OPERATORS.join(', ')})`,
+          { ...stepContext, condition_index: i, operator: condition?.operator }
+        );
+      }
+    });
+  }
+
+  // MANDATORY: on_timeout, same rules as approval steps
+  const targets = normalizeBranchTargets(step.on_timeout);
+  if (targets.length === 0) {
+    result.addError(
+      ErrorCodes.WAIT_MISSING_ON_TIMEOUT,
+      `Wait step ${step.step_id} with wait_for MUST define 'on_timeout'. Valid values: ${VALID_APPROVAL_TIMEOUT_BEHAVIORS.join(', ')}, '__END__', or a valid step_id`,
+      { ...stepContext, valid_values: [...VALID_APPROVAL_TIMEOUT_BEHAVIORS, STEP_END] }
+    );
+    return;
+  }
+
+  const isScalar = typeof step.on_timeout === 'string';
+  targets.forEach((target) => {
+    const isBehavior = VALID_APPROVAL_TIMEOUT_BEHAVIORS.includes(target);
+    if ((isBehavior && !isScalar) || (!isBehavior && target !== STEP_END && !allStepIds.has(target))) {
+      result.addError(
+        ErrorCodes.WAIT_INVALID_ON_TIMEOUT,
+        `Wait step ${step.step_id} has invalid on_timeout target '${target}'`,
+        { ...stepContext, target, valid_values: [...VALID_APPROVAL_TIMEOUT_BEHAVIORS, STEP_END] }
+      );
+    }
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TRANSFORM STEP VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+function validateTransformStep(step, result) {
+  const stepContext = { step_id: step.step_id, step_type: 'transform' };
+
+  if (!step.set || typeof step.set !== 'object' || Array.isArray(step.set) || Object.keys(step.set).length === 0) {
+    result.addError(
+      ErrorCodes.TRANSFORM_MISSING_SET,
+      `Transform step ${step.step_id} must define set (an object of output key → expression)`,
+      { ...stepContext, field: 'set' }
+    );
+    return;
+  }
+
+  for (const [key, expression] of Object.entries(step.set)) {
+    for (const issue of checkTransformExpression(expression, `set.${key}`)) {
+      result.addError(
+        ErrorCodes[issue.code],
+        `Transform step ${step.step_id} ${issue.message}`,
+        { ...stepContext, field: issue.path }
+      );
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FOREACH STEP VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+function validateForeachStep(step, allStepIds, result) {
+  const stepContext = { step_id: step.step_id, step_type: 'foreach' };
+
+  if (step.items === undefined || step.items === null || step.items === '' ||
+      (typeof step.items !== 'string' && !Array.isArray(step.items))) {
+    result.addError(
+      ErrorCodes.FOREACH_MISSING_ITEMS,
+      `ForEach step ${step.step_id} must define items (a context path or an array)`,
+      { ...stepContext, field: 'items' }
+    );
+  }
+
+  if (step.max_concurrency !== undefined &&
+      (!Number.isInteger(step.max_concurrency) || step.max_concurrency < 1 || step.max_concurrency > MAX_FOREACH_CONCURRENCY)) {
+    result.addError(
+      ErrorCodes.FOREACH_INVALID_CONCURRENCY,
+      `ForEach step ${step.step_id} max_concurrency must be an integer between 1 and ${MAX_FOREACH_CONCURRENCY}`,
+      { ...stepContext, field: 'max_concurrency', invalid_value: step.max_concurrency }
+    );
+  }
+
+  if (step.on_item_failure !== undefined && !VALID_FOREACH_ITEM_FAILURE.includes(step.on_item_failure)) {
+    result.addError(
+      ErrorCodes.FOREACH_INVALID_ON_ITEM_FAILURE,
+      `ForEach step ${step.step_id} has invalid on_item_failure '${step.on_item_failure}'. Valid values: ${VALID_FOREACH_ITEM_FAILURE.join(', ')}`,
+      { ...stepContext, field: 'on_item_failure', invalid_value: step.on_item_failure, valid_values: VALID_FOREACH_ITEM_FAILURE }
+    );
+  }
+
+  if (!Array.isArray(step.steps) || step.steps.length === 0) {
+    result.addError(
+      ErrorCodes.FOREACH_MISSING_STEPS,
+      `ForEach step ${step.step_id} must define a non-empty steps array`,
+      { ...stepContext, field: 'steps' }
+    );
+    return;
+  }
+
+  const subStepIds = new Set();
+  step.steps.forEach((subStep, i) => {
+    const subContext = { ...stepContext, sub_step_index: i, sub_step_id: subStep?.step_id };
+
+    if (!subStep?.step_id) {
+      result.addError(
+        ErrorCodes.FOREACH_INVALID_SUB_STEP,
+        `ForEach step ${step.step_id} sub-step at index ${i} is missing step_id`,
+        subContext
+      );
+      return;
+    }
+
+    if (subStepIds.has(subStep.step_id) || allStepIds.has(subStep.step_id)) {
+      result.addError(
+        ErrorCodes.DUPLICATE_STEP_ID,
+        `ForEach step ${step.step_id} sub-step id '${subStep.step_id}' is already used in this playbook`,
+        subContext
+      );
+    }
+    subStepIds.add(subStep.step_id);
+
+    if (!VALID_FOREACH_SUB_STEP_TYPES.includes(subStep.type)) {
+      result.addError(
+        ErrorCodes.FOREACH_INVALID_SUB_STEP,
+        `ForEach step ${step.step_id} sub-step ${subStep.step_id} has type '${subStep.type}'. Allowed inside foreach: ${VALID_FOREACH_SUB_STEP_TYPES.join(', ')}`,
+        { ...subContext, invalid_type: subStep.type, valid_types: VALID_FOREACH_SUB_STEP_TYPES }
+      );
+      return;
+    }
+
+    // rollback is decided by the foreach step itself, not per iteration
+    const validSubOnFailure = VALID_ON_FAILURE.filter(b => b !== 'rollback');
+    if (subStep.on_failure && !validSubOnFailure.includes(subStep.on_failure)) {
+      result.addError(
+        ErrorCodes.INVALID_ON_FAILURE,
+        `ForEach step ${step.step_id} sub-step ${subStep.step_id} has invalid on_failure '${subStep.on_failure}'`,
+        { ...subContext, invalid_value: subStep.on_failure, valid_values: validSubOnFailure }
+      );
+    }
+
+    validateConnectorStep(subStep, result);
+  });
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
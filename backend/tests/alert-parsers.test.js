@@ -0,0 +1,213 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — ALERT PARSERS TEST SUITE
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Tests for the webhook input format parsers (engine/alert-parsers.js).
+ *
+ * COVERAGE:
+ * 1. CEF (header and extension escapes, severity, syslog prefix)
+ * 2. LEEF 1.0 / 2.0 (tab, character and hex delimiters)
+ * 3. RFC 5424 syslog (NILVALUE fields, structured data, priority)
+ * 4. ECS mapping and format dispatch
+ *
+ * USAGE:
+ *   node tests/alert-parsers.test.js
+ *
+ * VERSION: 1.0.0
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import {
+  parseAlertPayload,
+  parseCEF,
+  parseLEEF,
+  parseSyslog,
+  mapECS
+} from '../src/engine/alert-parsers.js';
+import { test, assert, assertEqual, assertDeepEqual, assertThrows, runSuites } from './test-utils.js';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 1: CEF
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testCEF() {
+  await test('Header and extension map to canonical fields', () => {
+    const alert = parseCEF('CEF:0|Palo Alto|PAN-OS|10.1|THREAT-1|Port scan|8|src=10.0.0.5 dst=10.0.0.9 spt=51515 dpt=22 duser=root dvchost=fw-01 rt=1767225600000');
+    assertEqual(alert.source_format, 'cef', 'source_format');
+    assertEqual(alert.rule_id, 'THREAT-1', 'rule_id');
+    assertEqual(alert.rule_name, 'Port scan', 'rule_name');
+    assertEqual(alert.severity, 8, 'severity');
+    assertDeepEqual(alert.rule, { id: 'THREAT-1', description: 'Port scan', level: 8 }, 'rule');
+    assertEqual(alert.source_ip, '10.0.0.5', 'source_ip');
+    assertEqual(alert.destination_port, 22, 'destination_port');
+    assertEqual(alert.dst_user, 'root', 'dst_user');
+    assertEqual(alert.agent.name, 'fw-01', 'agent.name');
+    assertEqual(alert.timestamp, '2026-01-01T00:00:00.000Z', 'timestamp');
+  });
+
+  await test('Escaped pipes and backslashes in the header', () => {
+    const alert = parseCEF(String.raw`CEF:0|Acme\|Corp|IDS|1.0|42|Path C:\\temp matched|5|`);
+    assertEqual(alert.cef.device_vendor, 'Acme|Corp', 'Vendor');
+    assertEqual(alert.rule_name, String.raw`Path C:\temp matched`, 'Name');
+  });
+
+  await test('Extension escapes: \\=, \\\\, \\n and \\r', () => {
+    const { extension } = parseCEF(String.raw`CEF:0|V|P|1|1|N|3|msg=a\=b line1\nline2\r end fname=C:\\new\\report.txt`).cef;
+    assertEqual(extension.msg, 'a=b line1\nline2\r end', 'msg');
+    assertEqual(extension.fname, String.raw`C:\new\report.txt`, 'Escaped backslash before n stays a backslash');
+  });
+
+  await test('Extension values keep spaces and unescaped pipes', () => {
+    const { extension } = parseCEF('CEF:0|V|P|1|1|N|3|msg=login failed | retry later act=blocked').cef;
+    assertEqual(extension.msg, 'login failed | retry later', 'msg');
+    assertEqual(extension.act, 'blocked', 'act');
+  });
+
+  await test('Named severity maps to a level', () => {
+    const alert = parseCEF('CEF:0|V|P|1|1|N|Very-High|');
+    assertEqual(alert.severity, 'Very-High', 'severity');
+    assertEqual(alert.rule.level, 10, 'level');
+  });
+
+  await test('Syslog-wrapped CEF is accepted', () => {
+    const alert = parseCEF('Jan 18 11:07:53 fw-01 CEF:0|V|P|1|7|Blocked|3|src=1.2.3.4');
+    assertEqual(alert.rule_id, '7', 'rule_id');
+    assertEqual(alert.source_ip, '1.2.3.4', 'source_ip');
+  });
+
+  await test('Missing header or too few fields is INVALID_PAYLOAD', async () => {
+    await assertThrows(() => parseCEF('LEEF:1.0|V|P|1|1|'), 'INVALID_PAYLOAD', 'No CEF header');
+    await assertThrows(() => parseCEF('CEF:0|V|P|1'), 'INVALID_PAYLOAD', 'Short header');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 2: LEEF
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testLEEF() {
+  await test('LEEF 1.0 attributes are tab-delimited', () => {
+    const alert = parseLEEF('LEEF:1.0|IBM|QRadar|7.5|LoginFail|src=10.1.1.1\tdst=10.1.1.2\tsrcPort=4444\tusrName=alice\tsev=7\tdevTime=2026-01-01T00:00:00Z');
+    assertEqual(alert.source_format, 'leef', 'source_format');
+    assertEqual(alert.rule_id, 'LoginFail', 'rule_id');
+    assertEqual(alert.source_ip, '10.1.1.1', 'source_ip');
+    assertEqual(alert.source_port, 4444, 'source_port');
+    assertEqual(alert.dst_user, 'alice', 'dst_user');
+    assertEqual(alert.severity, 7, 'severity');
+    assertEqual(alert.timestamp, '2026-01-01T00:00:00.000Z', 'timestamp');
+  });
+
+  await test('LEEF 1.0 values may contain pipes and equals signs', () => {
+    const { attributes } = parseLEEF('LEEF:1.0|V|P|1|E|msg=a|b=c\tsrc=1.1.1.1').leef;
+    assertEqual(attributes.msg, 'a|b=c', 'msg');
+    assertEqual(attributes.src, '1.1.1.1', 'src');
+  });
+
+  await test('LEEF 2.0 character delimiter', () => {
+    const { attributes } = parseLEEF('LEEF:2.0|Lancope|StealthWatch|1.0|41|^|src=10.0.1.8^dst=10.0.0.5^sev=5').leef;
+    assertDeepEqual(attributes, { src: '10.0.1.8', dst: '10.0.0.5', sev: '5' }, 'Attributes');
+  });
+
+  await test('LEEF 2.0 hex delimiters (x09, 0x5E)', () => {
+    assertEqual(parseLEEF('LEEF:2.0|V|P|1|E|x09|src=1.1.1.1\tdst=2.2.2.2').destination_ip, '2.2.2.2', 'x09');
+    assertEqual(parseLEEF('LEEF:2.0|V|P|1|E|0x5E|src=1.1.1.1^dst=2.2.2.2').destination_ip, '2.2.2.2', '0x5E');
+  });
+
+  await test('LEEF 2.0 empty delimiter field defaults to tab', () => {
+    assertEqual(parseLEEF('LEEF:2.0|V|P|1|E||src=1.1.1.1\tdst=2.2.2.2').destination_ip, '2.2.2.2', 'Tab');
+  });
+
+  await test('LEEF 2.0 invalid delimiter or short header is INVALID_PAYLOAD', async () => {
+    await assertThrows(() => parseLEEF('LEEF:2.0|V|P|1|E|;;|src=1.1.1.1'), 'INVALID_PAYLOAD', 'Two-character delimiter');
+    await assertThrows(() => parseLEEF('LEEF:2.0|V|P|1|E'), 'INVALID_PAYLOAD', 'Short header');
+    await assertThrows(() => parseLEEF('CEF:0|V|P|1|1|N|3|'), 'INVALID_PAYLOAD', 'No LEEF header');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 3: RFC 5424 SYSLOG
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testSyslog() {
+  await test('Header fields, priority and message', () => {
+    const alert = parseSyslog('<34>1 2026-01-01T10:00:00.000Z mail-01 su 4242 ID47 - \'su root\' failed for alice');
+    assertEqual(alert.source_format, 'syslog', 'source_format');
+    assertEqual(alert.timestamp, '2026-01-01T10:00:00.000Z', 'timestamp');
+    assertEqual(alert.severity, 'critical', 'severity (34 % 8 = 2)');
+    assertEqual(alert.syslog.facility, 4, 'facility');
+    assertEqual(alert.rule_id, 'ID47', 'rule_id');
+    assertEqual(alert.agent.name, 'mail-01', 'agent.name');
+    assertEqual(alert.message, '\'su root\' failed for alice', 'message');
+  });
+
+  await test('NILVALUE fields are left out', () => {
+    const alert = parseSyslog('<165>1 - - - - - -');
+    assertEqual(alert.timestamp, undefined, 'timestamp');
+    assertEqual(alert.agent, undefined, 'agent');
+    assertEqual(alert.rule_id, undefined, 'rule_id');
+    assertEqual(alert.message, undefined, 'message');
+    assertDeepEqual(alert.syslog, { version: 1, facility: 20, severity_code: 5, structured_data: {} }, 'syslog');
+  });
+
+  await test('APP-NAME stands in for a nil MSGID', () => {
+    assertEqual(parseSyslog('<13>1 - host sshd - - - Invalid user').rule_id, 'sshd', 'rule_id');
+  });
+
+  await test('Structured data with escapes feeds canonical fields', () => {
+    const alert = parseSyslog(String.raw`<38>1 - fw - - ALERT [net@32473 src="10.0.0.5" dport="22" note="say \"hi\" \] done"][user@32473 user="bob"] blocked`);
+    assertEqual(alert.source_ip, '10.0.0.5', 'source_ip');
+    assertEqual(alert.dst_user, 'bob', 'dst_user');
+    assertEqual(alert.syslog.structured_data['net@32473'].note, 'say "hi" ] done', 'Escaped value');
+    assertEqual(alert.message, 'blocked', 'message');
+  });
+
+  await test('A UTF-8 BOM before the message is dropped', () => {
+    assertEqual(parseSyslog('<14>1 - - app - - - \uFEFFhello').message, 'hello', 'message');
+  });
+
+  await test('Malformed messages are INVALID_PAYLOAD', async () => {
+    await assertThrows(() => parseSyslog('Jan 1 00:00:00 host app: BSD syslog'), 'INVALID_PAYLOAD', 'RFC 3164');
+    await assertThrows(() => parseSyslog('<192>1 - - - - - -'), 'INVALID_PAYLOAD', 'Priority > 191');
+    await assertThrows(() => parseSyslog('<14>1 - - - - - [id key="unterminated'), 'INVALID_PAYLOAD', 'Unterminated SD');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 4: ECS AND DISPATCH
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testEcsAndDispatch() {
+  await test('ECS fields fill canonical gaps; the document wins', () => {
+    const alert = mapECS({
+      '@timestamp': '2026-01-01T00:00:00Z',
+      source: { ip: '10.0.0.5', port: 5555 },
+      'destination.ip': '10.0.0.9',
+      host: { name: 'web-01' },
+      rule: { id: 'R1', name: 'Brute force' },
+      event: { severity: 9 },
+      severity: 'from-document'
+    });
+    assertEqual(alert.source_ip, '10.0.0.5', 'source_ip');
+    assertEqual(alert.destination_ip, '10.0.0.9', 'Dotted key');
+    assertEqual(alert.agent.name, 'web-01', 'agent.name');
+    assertDeepEqual(alert.rule, { id: 'R1', description: 'Brute force', level: 9, name: 'Brute force' }, 'rule');
+    assertEqual(alert.severity, 'from-document', 'Document field kept');
+  });
+
+  await test('JSON payloads pass through; other formats need text', async () => {
+    const payload = { rule: { id: '5710' } };
+    assert(parseAlertPayload(payload) === payload, 'JSON payload unchanged');
+    await assertThrows(() => parseAlertPayload('plain', 'json'), 'INVALID_PAYLOAD', 'String as JSON');
+    await assertThrows(() => parseAlertPayload({ a: 1 }, 'cef'), 'INVALID_PAYLOAD', 'Object as CEF');
+    await assertThrows(() => parseAlertPayload('x', 'xml'), 'INVALID_PAYLOAD', 'Unknown format');
+    assertEqual(parseAlertPayload('CEF:0|V|P|1|9|N|1|', 'cef').rule_id, '9', 'CEF dispatch');
+  });
+}
+
+runSuites('ALERT PARSERS TEST SUITE', [
+  ['TEST SUITE 1: CEF', testCEF],
+  ['TEST SUITE 2: LEEF', testLEEF],
+  ['TEST SUITE 3: RFC 5424 SYSLOG', testSyslog],
+  ['TEST SUITE 4: ECS AND DISPATCH', testEcsAndDispatch]
+]);
@@ -0,0 +1,175 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — CRON EXPRESSION TEST SUITE
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Tests for cron parsing and run-time computation (utils/cron-expression.js).
+ *
+ * COVERAGE:
+ * 1. Parsing (fields, names, steps, shortcuts, errors)
+ * 2. Day matching (day-of-month / day-of-week OR semantics, Sunday as 7)
+ * 3. Timezones and daylight saving (spring-forward gap, fall-back repeat)
+ *
+ * USAGE:
+ *   node tests/cron-expression.test.js
+ *
+ * VERSION: 1.0.0
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import {
+  parseCronExpression,
+  isValidTimezone,
+  nextCronOccurrence,
+  nextCronOccurrences
+} from '../src/utils/cron-expression.js';
+import { test, assert, assertEqual, assertDeepEqual, assertThrows, runSuites } from './test-utils.js';
+
+const sorted = set => [...set].sort((a, b) => a - b);
+const isoRuns = (expression, after, timezone, count) =>
+  nextCronOccurrences(expression, new Date(after), timezone, count).map(date => date.toISOString());
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 1: PARSING
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testParsing() {
+  await test('Values, ranges, lists and steps', () => {
+    const parsed = parseCronExpression('*/15 8-18/2 1,15 * *');
+    assertDeepEqual(sorted(parsed.minute), [0, 15, 30, 45], 'Minutes');
+    assertDeepEqual(sorted(parsed.hour), [8, 10, 12, 14, 16, 18], 'Hours');
+    assertDeepEqual(sorted(parsed.day_of_month), [1, 15], 'Days of month');
+  });
+
+  await test('"5/20" steps from the start value', () => {
+    assertDeepEqual(sorted(parseCronExpression('5/20 * * * *').minute), [5, 25, 45], 'Minutes');
+  });
+
+  await test('Month and weekday names', () => {
+    const parsed = parseCronExpression('0 0 * jan-mar MON,fri');
+    assertDeepEqual(sorted(parsed.month), [1, 2, 3], 'Months');
+    assertDeepEqual(sorted(parsed.day_of_week), [1, 5], 'Weekdays');
+  });
+
+  await test('Shortcuts expand to five fields', () => {
+    const parsed = parseCronExpression('@weekly');
+    assertDeepEqual(sorted(parsed.day_of_week), [0], 'Weekdays');
+    assertEqual(parsed.expression, '@weekly', 'Expression kept as written');
+  });
+
+  await test('Invalid expressions fail with INVALID_CRON', async () => {
+    for (const expression of ['', '* * *', '61 * * * *', '0 0 32 * *', '5-1 * * * *', '*/0 * * * *', '@every', '0 0 * * FUNDAY']) {
+      await assertThrows(() => parseCronExpression(expression), 'INVALID_CRON', `'${expression}'`);
+    }
+  });
+
+  await test('Timezone validation', () => {
+    assert(isValidTimezone('America/New_York'), 'IANA name is valid');
+    assert(!isValidTimezone('Mars/Olympus_Mons'), 'Unknown name is invalid');
+    assert(!isValidTimezone(''), 'Empty name is invalid');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 2: DAY MATCHING
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testDayMatching() {
+  // February 2026: the 1st is a Sunday, the 15th a Sunday, Mondays are 2, 9, 16, 23
+  const after = '2026-02-01T00:00:00Z';
+
+  await test('Day of month and day of week both restricted: either matches', () => {
+    assertDeepEqual(isoRuns('0 9 15 * 1', after, 'UTC', 4), [
+      '2026-02-02T09:00:00.000Z',
+      '2026-02-09T09:00:00.000Z',
+      '2026-02-15T09:00:00.000Z',
+      '2026-02-16T09:00:00.000Z'
+    ], 'Runs');
+  });
+
+  await test('Only day of month restricted', () => {
+    assertDeepEqual(isoRuns('0 9 15 * *', after, 'UTC', 2), [
+      '2026-02-15T09:00:00.000Z',
+      '2026-03-15T09:00:00.000Z'
+    ], 'Runs');
+  });
+
+  await test('Only day of week restricted', () => {
+    assertDeepEqual(isoRuns('0 9 * * MON', after, 'UTC', 2), [
+      '2026-02-02T09:00:00.000Z',
+      '2026-02-09T09:00:00.000Z'
+    ], 'Runs');
+  });
+
+  await test('7 is Sunday, alone and in ranges', () => {
+    assertDeepEqual(sorted(parseCronExpression('0 0 * * 7').day_of_week), [0], 'Sunday as 7');
+    assertDeepEqual(sorted(parseCronExpression('0 0 * * 5-7').day_of_week), [0, 5, 6], 'Fri-Sun');
+    assertEqual(nextCronOccurrence('0 0 * * 7', new Date(after)).toISOString(), '2026-02-08T00:00:00.000Z', 'Next Sunday');
+  });
+
+  await test('An expression that never matches returns null', () => {
+    assertEqual(nextCronOccurrence('0 0 30 2 *', new Date(after)), null, 'February 30th');
+  });
+
+  await test('The next run is strictly after the given time', () => {
+    assertEqual(nextCronOccurrence('0 9 * * *', new Date('2026-02-01T09:00:00Z')).toISOString(), '2026-02-02T09:00:00.000Z', 'Next day');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 3: TIMEZONES AND DAYLIGHT SAVING
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testDaylightSaving() {
+  const zone = 'America/New_York';
+
+  await test('Times are matched against the timezone wall clock', () => {
+    assertEqual(nextCronOccurrence('0 9 * * *', new Date('2026-01-10T00:00:00Z'), zone).toISOString(), '2026-01-10T14:00:00.000Z', 'EST');
+    assertEqual(nextCronOccurrence('0 9 * * *', new Date('2026-07-10T00:00:00Z'), zone).toISOString(), '2026-07-10T13:00:00.000Z', 'EDT');
+  });
+
+  // 2026-03-08: 02:00 EST jumps to 03:00 EDT
+  await test('A time skipped by spring-forward runs right after the jump', () => {
+    assertDeepEqual(isoRuns('30 2 * * *', '2026-03-07T00:00:00Z', zone, 3), [
+      '2026-03-07T07:30:00.000Z',   // 02:30 EST
+      '2026-03-08T07:00:00.000Z',   // 03:00 EDT, in place of the missing 02:30
+      '2026-03-09T06:30:00.000Z'    // 02:30 EDT
+    ], 'Runs');
+  });
+
+  await test('A skipped time runs once, and times after the gap still run', () => {
+    assertDeepEqual(isoRuns('0,30 2,3 * * *', '2026-03-08T06:00:00Z', zone, 3), [
+      '2026-03-08T07:00:00.000Z',   // 03:00 EDT, for 02:00 and 02:30
+      '2026-03-08T07:30:00.000Z',   // 03:30 EDT
+      '2026-03-09T06:00:00.000Z'    // 02:00 EDT
+    ], 'Runs');
+  });
+
+  await test('Schedules outside the gap are not affected', () => {
+    assertEqual(nextCronOccurrence('0 4 * * *', new Date('2026-03-08T05:00:00Z'), zone).toISOString(), '2026-03-08T08:00:00.000Z', '04:00 EDT');
+  });
+
+  // 2026-11-01: 02:00 EDT falls back to 01:00 EST, so 01:30 occurs twice
+  await test('A time repeated by fall-back runs at its first occurrence only', () => {
+    assertDeepEqual(isoRuns('30 1 * * *', '2026-10-31T12:00:00Z', zone, 2), [
+      '2026-11-01T05:30:00.000Z',   // 01:30 EDT
+      '2026-11-02T06:30:00.000Z'    // 01:30 EST next day
+    ], 'Runs');
+  });
+
+  await test('Hourly schedules keep every real hour across fall-back', () => {
+    const runs = isoRuns('0 * * * *', '2026-11-01T03:30:00Z', zone, 4);
+    assertDeepEqual(runs, [
+      '2026-11-01T04:00:00.000Z',   // 00:00 EDT
+      '2026-11-01T05:00:00.000Z',   // 01:00 EDT
+      '2026-11-01T07:00:00.000Z',   // 02:00 EST (01:00 EST is a repeat)
+      '2026-11-01T08:00:00.000Z'    // 03:00 EST
+    ], 'Runs');
+  });
+}
+
+runSuites('CRON EXPRESSION TEST SUITE', [
+  ['TEST SUITE 1: PARSING', testParsing],
+  ['TEST SUITE 2: DAY MATCHING', testDayMatching],
+  ['TEST SUITE 3: TIMEZONES AND DAYLIGHT SAVING', testDaylightSaving]
+]);
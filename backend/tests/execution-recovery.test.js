@@ -0,0 +1,200 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — EXECUTION RECOVERY TEST SUITE
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Tests for startup recovery of executions left EXECUTING by a previous
+ * process (computeRecoverySeeds / recoverExecution in
+ * engine/execution-engine.js). Model statics are stubbed; no MongoDB needed.
+ *
+ * COVERAGE:
+ * 1. Resume points (in-flight steps, pending successors, parked waits)
+ * 2. Executions that died before their first step started
+ * 3. Recovery against the playbook version the execution started with
+ *
+ * USAGE:
+ *   node tests/execution-recovery.test.js
+ *
+ * VERSION: 1.0.0
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import mongoose from 'mongoose';
+import { test, assertEqual, assertDeepEqual, runSuites } from './test-utils.js';
+
+mongoose.set('bufferCommands', false);
+
+const { default: Execution, ExecutionState, StepState } = await import('../src/models/execution.js');
+const { default: PlaybookVersioned } = await import('../src/models/playbook-v2.js');
+const { default: AuditLog } = await import('../src/models/audit-log.js');
+const {
+  ExecutionEngine,
+  computeRecoverySeeds,
+  recoverExecution
+} = await import('../src/engine/execution-engine.js');
+
+Execution.prototype.save = async function () { return this; };
+AuditLog.log = async () => null;
+
+// Record what recovery resumes instead of running connector steps
+const resumed = [];
+ExecutionEngine.prototype.execute = async function (seedStepIds) {
+  resumed.push({ execution_id: this.execution.execution_id, seeds: seedStepIds, version: this.playbook.version });
+};
+
+const STEPS = [
+  { step_id: 'enrich', type: 'enrichment', connector_id: 'vt', on_success: 'block' },
+  { step_id: 'notify', type: 'notification', connector_id: 'slack' },
+  { step_id: 'block', type: 'action', connector_id: 'fw' }
+];
+
+const playbookVersion = (version, fields = {}) => ({
+  playbook_id: 'PB-1',
+  name: 'Phishing response',
+  version,
+  enabled: true,
+  dsl: { steps: STEPS, recovery_policy: 'resume', ...fields }
+});
+
+function execution(records, fields = {}) {
+  return new Execution({
+    playbook_id: 'PB-1',
+    playbook_name: 'Phishing response',
+    state: ExecutionState.EXECUTING,
+    trigger_data: {},
+    webhook_id: 'WH-1',
+    fingerprint: 'fp',
+    event_time: new Date(),
+    event_time_source: 'arrival_time',
+    trigger_snapshot: { trigger_id: 'TRG-1', version: 1, conditions: [], match: 'ALL', snapshot_at: new Date() },
+    steps: STEPS.map(step => ({ step_id: step.step_id, state: StepState.PENDING, ...records[step.step_id] })),
+    ...fields
+  });
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 1: RESUME POINTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testResumePoints() {
+  const playbook = { steps: STEPS };
+
+  await test('Steps in flight are re-run', () => {
+    const exec = execution({ enrich: { state: StepState.EXECUTING } });
+    assertDeepEqual(computeRecoverySeeds(exec, playbook), ['enrich'], 'Seeds');
+  });
+
+  await test('Pending successors of completed steps are started', () => {
+    const exec = execution({ enrich: { state: StepState.COMPLETED, output: {} } });
+    assertDeepEqual(computeRecoverySeeds(exec, playbook), ['block'], 'Seeds');
+  });
+
+  await test('Steps parked in waits are left to the wait scheduler', () => {
+    const exec = execution({ enrich: { state: StepState.EXECUTING } }, {
+      waits: [{ step_id: 'enrich', mode: 'retry', resume_at: new Date() }]
+    });
+    assertDeepEqual(computeRecoverySeeds(exec, playbook), [], 'Seeds');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 2: EXECUTIONS THAT NEVER STARTED
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testNeverStarted() {
+  await test('Start from steps[0] when no step has started', () => {
+    assertDeepEqual(computeRecoverySeeds(execution({}), { steps: STEPS }), ['enrich'], 'Seeds');
+  });
+
+  await test('Start from trigger.next_steps when the playbook names them', () => {
+    const playbook = { steps: STEPS, trigger: { next_steps: ['notify', 'block', 'gone'] } };
+    assertDeepEqual(computeRecoverySeeds(execution({}), playbook), ['notify', 'block'], 'Seeds');
+  });
+
+  await test('A rerun starts from its from-step', () => {
+    const exec = execution({ enrich: { state: StepState.COMPLETED, carried_over: true, output: {} } }, {
+      rerun_from_step: 'notify'
+    });
+    assertDeepEqual(computeRecoverySeeds(exec, { steps: STEPS }), ['notify'], 'Seeds');
+  });
+
+  await test('recoverExecution resumes a never-started execution instead of completing it', async () => {
+    PlaybookVersioned.getSpecificVersion = async (id, version) => playbookVersion(version, { trigger: { next_steps: ['notify'] } });
+    const exec = execution({}, { playbook_version: 3 });
+    resumed.length = 0;
+
+    assertEqual(await recoverExecution(exec), 'resumed', 'Outcome');
+    await flush();
+
+    assertEqual(exec.state, ExecutionState.EXECUTING, 'Still executing');
+    assertDeepEqual(resumed, [{ execution_id: exec.execution_id, seeds: ['notify'], version: 3 }], 'Resumed from the trigger target');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 3: PLAYBOOK VERSIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testVersions() {
+  await test('The recorded playbook version is loaded, not the active one', async () => {
+    const requested = [];
+    PlaybookVersioned.getSpecificVersion = async (id, version) => {
+      requested.push(version);
+      return playbookVersion(version);
+    };
+    PlaybookVersioned.getActiveVersion = async () => playbookVersion(9);
+    resumed.length = 0;
+
+    await recoverExecution(execution({ enrich: { state: StepState.EXECUTING } }, { playbook_version: 2 }));
+    await flush();
+
+    assertDeepEqual(requested, [2], 'Versions requested');
+    assertEqual(resumed[0].version, 2, 'Engine version');
+  });
+
+  await test('Queued executions use the version they were queued with', async () => {
+    const requested = [];
+    PlaybookVersioned.getSpecificVersion = async (id, version) => {
+      requested.push(version);
+      return playbookVersion(version);
+    };
+    resumed.length = 0;
+
+    await recoverExecution(execution({}, { queue: { playbook_version: 4 } }));
+    await flush();
+
+    assertDeepEqual(requested, [4], 'Versions requested');
+  });
+
+  await test('A recorded version that no longer exists fails the execution', async () => {
+    PlaybookVersioned.getSpecificVersion = async () => null;
+    const exec = execution({ enrich: { state: StepState.EXECUTING } }, { playbook_version: 2 });
+
+    assertEqual(await recoverExecution(exec), 'failed', 'Outcome');
+    assertEqual(exec.state, ExecutionState.FAILED, 'State');
+    assertEqual(exec.error.code, 'INTERRUPTED', 'Error code');
+  });
+
+  await test('Executions without a recorded version use the active version', async () => {
+    let active = 0;
+    PlaybookVersioned.getActiveVersion = async () => {
+      active++;
+      return playbookVersion(5);
+    };
+    resumed.length = 0;
+
+    await recoverExecution(execution({ enrich: { state: StepState.EXECUTING } }));
+    await flush();
+
+    assertEqual(active, 1, 'Active version loaded');
+    assertEqual(resumed[0].version, 5, 'Engine version');
+  });
+}
+
+runSuites('EXECUTION RECOVERY TEST SUITE', [
+  ['TEST SUITE 1: RESUME POINTS', testResumePoints],
+  ['TEST SUITE 2: EXECUTIONS THAT NEVER STARTED', testNeverStarted],
+  ['TEST SUITE 3: PLAYBOOK VERSIONS', testVersions]
+]);
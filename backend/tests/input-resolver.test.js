@@ -0,0 +1,318 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — INPUT RESOLVER TEST SUITE
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Tests for message template rendering (renderTemplate and its filters) and
+ * JSONPath output mapping (resolveJsonPath / compileJsonPath) in
+ * engine/input-resolver.js.
+ *
+ * COVERAGE:
+ * 1. Variable substitution and unresolved paths
+ * 2. Template filters (default, upper/lower, join, truncate, date, defang, json, urlencode)
+ * 3. Filter chaining, quoted args and unknown filters
+ * 4. JSONPath resolution (keys, indexes, wildcards, filters, plain dot paths)
+ * 5. JSONPath compilation and INVALID_JSON_PATH errors
+ *
+ * USAGE:
+ *   node tests/input-resolver.test.js
+ *
+ * VERSION: 1.0.0
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import {
+  renderTemplate,
+  formatDate,
+  resolveJsonPath,
+  compileJsonPath,
+  mapOutput
+} from '../src/engine/input-resolver.js';
+import { test, assertEqual, assertDeepEqual, assertThrows, runSuites } from './test-utils.js';
+
+const context = {
+  trigger_data: {
+    agent: { name: 'web-01', id: '007' },
+    rule: { level: 0, enabled: false },
+    full_log: 'Failed password for root from 203.0.113.7',
+    timestamp: '2026-03-08T07:05:09.123Z',
+    epoch: 1772953509,
+    data: { url: 'https://evil.example.com/login', email: 'user@evil.com', empty: '' }
+  },
+  steps: {
+    enrich: {
+      output: {
+        ips: ['203.0.113.7', '198.51.100.2'],
+        hits: [{ source: 'vt', score: 9 }],
+        verdict: { malicious: true }
+      }
+    }
+  }
+};
+
+const render = template => renderTemplate(template, context);
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 1: SUBSTITUTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testSubstitution() {
+  await test('Paths are substituted, with or without surrounding spaces', () => {
+    assertEqual(render('Host {{trigger_data.agent.name}} ({{ trigger_data.agent.id }})'), 'Host web-01 (007)', 'Rendered');
+  });
+
+  await test('Falsy values render as text', () => {
+    assertEqual(render('{{trigger_data.rule.level}}/{{trigger_data.rule.enabled}}'), '0/false', 'Rendered');
+  });
+
+  await test('Array elements are addressed by dot index', () => {
+    assertEqual(render('{{steps.enrich.output.ips.1}}'), '198.51.100.2', 'Rendered');
+  });
+
+  await test('Objects and arrays render as JSON', () => {
+    assertEqual(render('{{steps.enrich.output.verdict}}'), '{"malicious":true}', 'Object');
+    assertEqual(render('{{steps.enrich.output.ips}}'), '["203.0.113.7","198.51.100.2"]', 'Array');
+  });
+
+  await test('Missing paths render empty and are reported', () => {
+    const unresolved = [];
+    const text = renderTemplate('Owner: {{trigger_data.owner}} / {{steps.missing.output.x | upper}}', context, unresolved);
+    assertEqual(text, 'Owner:  / ', 'Rendered');
+    assertDeepEqual(unresolved, ['trigger_data.owner', 'steps.missing.output.x'], 'Unresolved paths');
+  });
+
+  await test('Templates without placeholders and non-strings pass through', () => {
+    assertEqual(render('plain text'), 'plain text', 'Plain');
+    assertEqual(render(null), null, 'null');
+    assertEqual(render(42), 42, 'Number');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 2: FILTERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testFilters() {
+  await test('default replaces missing and empty values only', () => {
+    const unresolved = [];
+    assertEqual(renderTemplate('{{trigger_data.owner | default:"unassigned"}}', context, unresolved), 'unassigned', 'Missing');
+    assertDeepEqual(unresolved, [], 'A defaulted path is not unresolved');
+    assertEqual(render('{{trigger_data.data.empty | default:"n/a"}}'), 'n/a', 'Empty string');
+    assertEqual(render('{{trigger_data.rule.level | default:"n/a"}}'), '0', 'Zero is kept');
+    assertEqual(render('{{trigger_data.owner | default:5}}'), '5', 'Numeric fallback');
+  });
+
+  await test('upper and lower', () => {
+    assertEqual(render('{{trigger_data.agent.name | upper}}'), 'WEB-01', 'upper');
+    assertEqual(render('{{trigger_data.full_log | lower}}'), 'failed password for root from 203.0.113.7', 'lower');
+  });
+
+  await test('join uses ", " by default and JSON for objects', () => {
+    assertEqual(render('{{steps.enrich.output.ips | join}}'), '203.0.113.7, 198.51.100.2', 'Default separator');
+    assertEqual(render('{{steps.enrich.output.ips | join:" / "}}'), '203.0.113.7 / 198.51.100.2', 'Custom separator');
+    assertEqual(render('{{steps.enrich.output.ips | join:","}}'), '203.0.113.7,198.51.100.2', 'Quoted comma');
+    assertEqual(render('{{steps.enrich.output.hits | join}}'), '{"source":"vt","score":9}', 'Objects');
+    assertEqual(render('{{trigger_data.agent.name | join}}'), 'web-01', 'Non-array unchanged');
+  });
+
+  await test('truncate counts the suffix in the length', () => {
+    assertEqual(render('{{trigger_data.full_log | truncate:10}}'), 'Failed ...', 'Default suffix');
+    assertEqual(render('{{trigger_data.full_log | truncate:7,"…"}}'), 'Failed…', 'Custom suffix');
+    assertEqual(render('{{trigger_data.agent.name | truncate:100}}'), 'web-01', 'Short text unchanged');
+    assertEqual(render('{{steps.enrich.output.verdict | truncate:8}}'), '{"mal...', 'Objects as JSON');
+  });
+
+  await test('date formats in UTC', () => {
+    assertEqual(render('{{trigger_data.timestamp | date}}'), '2026-03-08T07:05:09.123Z', 'Default iso');
+    assertEqual(render('{{trigger_data.timestamp | date:"YYYY-MM-DD HH:mm:ss.SSS"}}'), '2026-03-08 07:05:09.123', 'Pattern');
+    assertEqual(render('{{trigger_data.timestamp | date:epoch}}'), '1772953509', 'epoch');
+    assertEqual(render('{{trigger_data.timestamp | date:epoch_ms}}'), '1772953509123', 'epoch_ms');
+    assertEqual(render('{{trigger_data.full_log | date}}'), 'Failed password for root from 203.0.113.7', 'Non-date unchanged');
+  });
+
+  await test('date reads epoch seconds and milliseconds', () => {
+    assertEqual(render('{{trigger_data.epoch | date}}'), '2026-03-08T07:05:09.000Z', 'Seconds');
+    assertEqual(formatDate('1772953509'), '2026-03-08T07:05:09.000Z', 'Seconds as a string');
+    assertEqual(formatDate(1772953509123), '2026-03-08T07:05:09.123Z', 'Milliseconds');
+    assertEqual(formatDate('1772953509123', 'YYYY'), '2026', 'Milliseconds as a string');
+  });
+
+  await test('defang URLs, emails and lists', () => {
+    assertEqual(render('{{trigger_data.data.url | defang}}'), 'hxxps[://]evil[.]example[.]com/login', 'URL');
+    assertEqual(render('{{trigger_data.data.email | defang}}'), 'user[@]evil[.]com', 'Email');
+    assertEqual(render('{{steps.enrich.output.ips | defang | join}}'), '203[.]0[.]113[.]7, 198[.]51[.]100[.]2', 'List');
+  });
+
+  await test('json and urlencode', () => {
+    assertEqual(render('{{trigger_data.agent.name | json}}'), '"web-01"', 'json');
+    assertEqual(render('{{trigger_data.full_log | urlencode}}'), 'Failed%20password%20for%20root%20from%20203.0.113.7', 'urlencode');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 3: FILTER CHAINS AND ARGUMENTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testFilterChains() {
+  await test('Filters apply left to right', () => {
+    assertEqual(render('{{trigger_data.owner | default:"unknown host" | upper}}'), 'UNKNOWN HOST', 'default then upper');
+    assertEqual(render('{{trigger_data.owner | upper | default:"n/a"}}'), 'n/a', 'default after another filter');
+    assertEqual(render('{{trigger_data.full_log | upper | truncate:9}}'), 'FAILED...', 'upper then truncate');
+  });
+
+  await test('Quoted args keep pipes, commas and colons', () => {
+    assertEqual(render('{{trigger_data.owner | default:"a|b"}}'), 'a|b', 'Pipe');
+    assertEqual(render("{{trigger_data.owner | default:'x, y'}}"), 'x, y', 'Comma in single quotes');
+    assertEqual(render('{{trigger_data.timestamp | date:"HH:mm"}}'), '07:05', 'Colon');
+  });
+
+  await test('Unknown filters are skipped', () => {
+    assertEqual(render('{{trigger_data.agent.name | shout | upper}}'), 'WEB-01', 'Rendered');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 4: JSONPATH RESOLUTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const response = {
+  data: {
+    attributes: { 'last analysis': { malicious: 3 }, reputation: -12 },
+    items: [
+      { type: 'ip', value: '203.0.113.7', score: 70, malicious: true, tags: ['c2'] },
+      { type: 'domain', value: 'evil.example.com', score: 20, malicious: false, tags: [] },
+      { type: 'ip', value: '198.51.100.2', score: 55, note: 'a || b && c)]' }
+    ]
+  }
+};
+
+async function testJsonPathResolution() {
+  await test('Keys, bracketed keys and indexes', () => {
+    assertEqual(resolveJsonPath(response, '$.data.attributes.reputation'), -12, 'Dot keys');
+    assertEqual(resolveJsonPath(response, "$.data.attributes['last analysis'].malicious"), 3, 'Bracketed key');
+    assertEqual(resolveJsonPath(response, '$.data.items[0].value'), '203.0.113.7', 'Index');
+    assertEqual(resolveJsonPath(response, '$.data.items[-1].value'), '198.51.100.2', 'Negative index');
+    assertEqual(resolveJsonPath(response, '$.data.items.length'), 3, 'Array length');
+    assertDeepEqual(resolveJsonPath(response, '$'), response, 'Root');
+  });
+
+  await test('Missing keys and out-of-range indexes are undefined', () => {
+    assertEqual(resolveJsonPath(response, '$.data.missing.x'), undefined, 'Missing key');
+    assertEqual(resolveJsonPath(response, '$.data.items[9].value'), undefined, 'Out of range');
+    assertEqual(resolveJsonPath(response, '$.data.items[-4]'), undefined, 'Negative out of range');
+    assertEqual(resolveJsonPath(response, '$.data.attributes[0]'), undefined, 'Index on an object');
+  });
+
+  await test('Inherited properties are not resolved', () => {
+    assertEqual(resolveJsonPath(response, '$.constructor'), undefined, 'constructor');
+    assertEqual(resolveJsonPath(response, '$.data.__proto__'), undefined, '__proto__');
+    assertDeepEqual(resolveJsonPath(response, '$.data.items[*].toString'), [], 'Through a wildcard');
+  });
+
+  await test('Wildcards return every match', () => {
+    assertDeepEqual(resolveJsonPath(response, '$.data.items[*].type'), ['ip', 'domain', 'ip'], 'Array wildcard');
+    assertDeepEqual(resolveJsonPath(response, '$.data.attributes.*'), [{ malicious: 3 }, -12], 'Object wildcard');
+    assertDeepEqual(resolveJsonPath(response, '$.data.items[*].note'), ['a || b && c)]'], 'Missing values dropped');
+    assertDeepEqual(resolveJsonPath(response, '$.data.missing[*]'), [], 'No matches');
+  });
+
+  await test('Filter comparisons', () => {
+    const values = path => resolveJsonPath(response, `$.data.items[?(${path})].value`);
+    assertDeepEqual(values('@.score > 50'), ['203.0.113.7', '198.51.100.2'], '>');
+    assertDeepEqual(values('@.score <= 20'), ['evil.example.com'], '<=');
+    assertDeepEqual(values("@.type == 'domain'"), ['evil.example.com'], '== string');
+    assertDeepEqual(values('@.type != "ip"'), ['evil.example.com'], '!= string');
+    assertDeepEqual(values('@.malicious == false'), ['evil.example.com'], '== false');
+    assertDeepEqual(values('@.malicious'), ['203.0.113.7'], 'Truthy');
+    assertDeepEqual(values("@.tags[0] == 'c2'"), ['203.0.113.7'], 'Index in the filter path');
+    assertDeepEqual(values("@.type > 'a'"), [], 'Ordering only compares numbers');
+  });
+
+  await test('Filter terms combine with && and ||', () => {
+    const values = path => resolveJsonPath(response, `$.data.items[?(${path})].value`);
+    assertDeepEqual(values("@.type == 'ip' && @.malicious"), ['203.0.113.7'], '&&');
+    assertDeepEqual(values("@.score < 30 || @.malicious"), ['203.0.113.7', 'evil.example.com'], '||');
+    assertDeepEqual(values("@.score > 60 || @.type == 'ip' && @.score < 60"), ['203.0.113.7', '198.51.100.2'], '&& binds tighter');
+  });
+
+  await test('Quoted filter values may contain operators and brackets', () => {
+    assertDeepEqual(resolveJsonPath(response, "$.data.items[?(@.note == 'a || b && c)]')].value"), ['198.51.100.2'], 'Quoted');
+  });
+
+  await test('Paths without $ are plain dot paths', () => {
+    assertEqual(resolveJsonPath(response, 'data.items.1.type'), 'domain', 'Dot path');
+  });
+
+  await test('mapOutput keeps only mapped names and tolerates bad paths', () => {
+    assertDeepEqual(mapOutput(response, {
+      reputation: '$.data.attributes.reputation',
+      ips: "$.data.items[?(@.type == 'ip')].value",
+      broken: '$..value'
+    }), {
+      reputation: -12,
+      ips: ['203.0.113.7', '198.51.100.2'],
+      broken: undefined
+    }, 'Mapped');
+    assertEqual(mapOutput(response, null), response, 'No mapping');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 5: JSONPATH COMPILATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testJsonPathCompilation() {
+  await test('Paths compile to segments', () => {
+    assertDeepEqual(compileJsonPath("$.a['b c'][2][*].*"), [
+      { type: 'key', key: 'a' },
+      { type: 'key', key: 'b c' },
+      { type: 'index', index: 2 },
+      { type: 'wildcard' },
+      { type: 'wildcard' }
+    ], 'Segments');
+  });
+
+  await test('Filters compile to OR-of-AND terms', () => {
+    const [, filter] = compileJsonPath("$.items[?(@.a.b >= 1.5 && @.c || @ == null)]");
+    assertDeepEqual(filter, {
+      type: 'filter',
+      filter: [
+        [{ path: 'a.b', operator: '>=', value: 1.5 }, { path: 'c', operator: null, value: undefined }],
+        [{ path: '', operator: '==', value: null }]
+      ]
+    }, 'Filter');
+  });
+
+  await test('Malformed paths fail with INVALID_JSON_PATH', async () => {
+    const invalid = [
+      'data.x',               // no $
+      '$a',                   // no separator
+      '$.',                   // missing name
+      '$..value',             // recursive descent
+      '$.a[',                 // unterminated [
+      '$.a[abc]',             // unquoted key
+      '$.a[1:3]',             // slice
+      '$.a[?(@.x > 1]',       // unterminated filter
+      "$.a[?(@.x == 'a)]",    // ")]" inside an unterminated quote
+      '$.a[?(x > 1)]',        // term without @
+      '$.a[?(@.x > foo)]',    // bare word value
+      '$.a[?(@.x ~ 1)]'       // unknown operator
+    ];
+    for (const path of invalid) {
+      await assertThrows(() => compileJsonPath(path), 'INVALID_JSON_PATH', path);
+    }
+    await assertThrows(() => compileJsonPath(null), 'INVALID_JSON_PATH', 'Non-string');
+  });
+
+  await test('resolveJsonPath throws on malformed paths', async () => {
+    await assertThrows(() => resolveJsonPath(response, '$.data..x'), 'INVALID_JSON_PATH', 'Recursive descent');
+  });
+}
+
+runSuites('INPUT RESOLVER TEST SUITE', [
+  ['TEST SUITE 1: SUBSTITUTION', testSubstitution],
+  ['TEST SUITE 2: FILTERS', testFilters],
+  ['TEST SUITE 3: FILTER CHAINS AND ARGUMENTS', testFilterChains],
+  ['TEST SUITE 4: JSONPATH RESOLUTION', testJsonPathResolution],
+  ['TEST SUITE 5: JSONPATH COMPILATION', testJsonPathCompilation]
+]);
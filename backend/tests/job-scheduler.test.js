@@ -0,0 +1,162 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — JOB SCHEDULER TEST SUITE
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Tests for the background job scheduler run lock (services/job-scheduler.js).
+ * ScheduledJob is backed by an in-memory collection; no MongoDB needed.
+ *
+ * COVERAGE:
+ * 1. Due idle jobs run on the ticker
+ * 2. Jobs left RUNNING with an expired lease are picked up again
+ * 3. Jobs with a live lease are not run twice
+ *
+ * USAGE:
+ *   node tests/job-scheduler.test.js
+ *
+ * VERSION: 1.0.0
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import mongoose from 'mongoose';
+import { test, assert, assertEqual, runSuites } from './test-utils.js';
+
+mongoose.set('bufferCommands', false);
+process.env.SCHEDULER_TICK_MS = '20';
+
+const { default: ScheduledJob, JobStatus } = await import('../src/models/scheduled-job.js');
+const { registerJob, runJob, startScheduler, stopScheduler } = await import('../src/services/job-scheduler.js');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// IN-MEMORY SCHEDULED JOB COLLECTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const docs = new Map();
+
+/**
+ * Match the subset of query operators the scheduler uses
+ */
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') {
+      return condition.some(branch => matches(doc, branch));
+    }
+    const value = doc[field];
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('$in' in condition) return condition.$in.includes(value);
+      if ('$lt' in condition) return value != null && value < condition.$lt;
+      if ('$lte' in condition) return value != null && value <= condition.$lte;
+    }
+    return value === condition;
+  });
+}
+
+function applyUpdate(doc, update) {
+  Object.assign(doc, update.$set || {});
+  for (const [field, amount] of Object.entries(update.$inc || {})) {
+    doc[field] = (doc[field] || 0) + amount;
+  }
+}
+
+ScheduledJob.find = (filter) => {
+  const found = [...docs.values()].filter(doc => matches(doc, filter)).map(doc => ({ ...doc }));
+  return { select: () => ({ lean: async () => found }) };
+};
+
+ScheduledJob.findOneAndUpdate = async (filter, update) => {
+  const doc = [...docs.values()].find(candidate => matches(candidate, filter));
+  if (!doc) return null;
+  applyUpdate(doc, update);
+  return { ...doc };
+};
+
+ScheduledJob.updateOne = async (filter, update) => {
+  const doc = docs.get(filter.job_id);
+  if (doc) {
+    applyUpdate(doc, update);
+  } else {
+    docs.set(filter.job_id, { job_id: filter.job_id, enabled: true, ...update.$set, ...update.$setOnInsert });
+  }
+};
+
+function seed(jobId, fields) {
+  docs.set(jobId, {
+    job_id: jobId,
+    name: jobId,
+    interval_ms: 60 * 60 * 1000,
+    enabled: true,
+    status: JobStatus.IDLE,
+    locked_until: null,
+    next_run_at: new Date(Date.now() - 1000),
+    ...fields
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE: RUN LOCK
+// ═══════════════════════════════════════════════════════════════════════════
+
+const runs = { idle: 0, stale: 0, leased: 0 };
+
+for (const jobId of Object.keys(runs)) {
+  registerJob({
+    job_id: jobId,
+    name: jobId,
+    interval_ms: 60 * 60 * 1000,
+    handler: async () => {
+      runs[jobId]++;
+      return { ok: true };
+    }
+  });
+}
+
+async function testRunLock() {
+  seed('idle', {});
+  seed('stale', {
+    status: JobStatus.RUNNING,
+    locked_until: new Date(Date.now() - 60 * 1000)
+  });
+  seed('leased', {
+    status: JobStatus.RUNNING,
+    locked_until: new Date(Date.now() + 60 * 60 * 1000)
+  });
+
+  await startScheduler();
+  await sleep(200);
+  stopScheduler();
+
+  await test('Ticker runs a due idle job', async () => {
+    assertEqual(runs.idle, 1, 'Idle job run count');
+    assertEqual(docs.get('idle').status, JobStatus.IDLE, 'Idle job status after run');
+  });
+
+  await test('Ticker recovers a RUNNING job whose lease expired', async () => {
+    assertEqual(runs.stale, 1, 'Stale job run count');
+    assertEqual(docs.get('stale').status, JobStatus.IDLE, 'Stale job released after run');
+    assertEqual(docs.get('stale').locked_until, null, 'Stale job lease cleared');
+    assert(docs.get('stale').next_run_at > new Date(), 'Stale job rescheduled');
+  });
+
+  await test('Ticker skips a RUNNING job with a live lease', async () => {
+    assertEqual(runs.leased, 0, 'Leased job run count');
+    assertEqual(docs.get('leased').status, JobStatus.RUNNING, 'Leased job status');
+  });
+
+  await test('Manual run refuses a job with a live lease', async () => {
+    let code = null;
+    try {
+      await runJob('leased', { trigger: 'manual' });
+    } catch (error) {
+      code = error.code;
+    }
+    assertEqual(code, 'JOB_ALREADY_RUNNING', 'Error code');
+  });
+}
+
+runSuites('JOB SCHEDULER TEST SUITE', [
+  ['TEST SUITE: RUN LOCK', testRunLock]
+]);
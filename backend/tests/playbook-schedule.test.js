@@ -0,0 +1,145 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — PLAYBOOK SCHEDULE TEST SUITE
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Tests for run planning of due schedules
+ * (planScheduledRuns in services/playbook-schedule-service.js).
+ * No MongoDB needed.
+ *
+ * COVERAGE:
+ * 1. On-time runs and the next run time
+ * 2. Missed runs per missed_run_policy (skip / run_once / run_all)
+ * 3. Schedules in a timezone across daylight saving
+ *
+ * USAGE:
+ *   node tests/playbook-schedule.test.js
+ *
+ * VERSION: 1.0.0
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import mongoose from 'mongoose';
+import { test, assertEqual, assertDeepEqual, runSuites } from './test-utils.js';
+
+mongoose.set('bufferCommands', false);
+
+const { MissedRunPolicy } = await import('../src/models/playbook-schedule.js');
+const { planScheduledRuns } = await import('../src/services/playbook-schedule-service.js');
+
+function schedule(fields) {
+  return {
+    cron: '0 * * * *',
+    timezone: 'UTC',
+    missed_run_policy: MissedRunPolicy.RUN_ONCE,
+    max_catchup_runs: 10,
+    next_run_at: new Date('2026-05-01T05:00:00Z'),
+    ...fields
+  };
+}
+
+const plan = (fields, now) => {
+  const { runs, missed, nextRunAt } = planScheduledRuns(schedule(fields), new Date(now));
+  return {
+    runs: runs.map(run => [run.scheduled_for.toISOString(), run.catch_up]),
+    missed,
+    nextRunAt: nextRunAt?.toISOString() ?? null
+  };
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 1: ON-TIME RUNS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testOnTime() {
+  await test('A run picked up within the grace period is not a catch-up', () => {
+    assertDeepEqual(plan({}, '2026-05-01T05:01:00Z'), {
+      runs: [['2026-05-01T05:00:00.000Z', false]],
+      missed: 0,
+      nextRunAt: '2026-05-01T06:00:00.000Z'
+    }, 'Plan');
+  });
+
+  await test('A schedule that is not due yet plans nothing', () => {
+    assertDeepEqual(plan({}, '2026-05-01T04:59:00Z'), {
+      runs: [],
+      missed: 0,
+      nextRunAt: '2026-05-01T05:00:00.000Z'
+    }, 'Plan');
+  });
+
+  await test('A schedule that never matches again gets no next run', () => {
+    const result = plan({ cron: '0 0 30 2 *', next_run_at: new Date('2026-05-01T05:00:00Z') }, '2026-05-01T05:01:00Z');
+    assertEqual(result.nextRunAt, null, 'nextRunAt');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 2: MISSED RUNS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testMissedRuns() {
+  // Due at 05:00 but picked up at 10:30: 05:00-10:00 are six runs, all late
+  const now = '2026-05-01T10:30:00Z';
+
+  await test('run_once starts the most recent run as a catch-up', () => {
+    assertDeepEqual(plan({ missed_run_policy: MissedRunPolicy.RUN_ONCE }, now), {
+      runs: [['2026-05-01T10:00:00.000Z', true]],
+      missed: 5,
+      nextRunAt: '2026-05-01T11:00:00.000Z'
+    }, 'Plan');
+  });
+
+  await test('run_all starts the most recent max_catchup_runs runs', () => {
+    assertDeepEqual(plan({ missed_run_policy: MissedRunPolicy.RUN_ALL, max_catchup_runs: 3 }, now), {
+      runs: [
+        ['2026-05-01T08:00:00.000Z', true],
+        ['2026-05-01T09:00:00.000Z', true],
+        ['2026-05-01T10:00:00.000Z', true]
+      ],
+      missed: 3,
+      nextRunAt: '2026-05-01T11:00:00.000Z'
+    }, 'Plan');
+  });
+
+  await test('skip drops every late run', () => {
+    assertDeepEqual(plan({ missed_run_policy: MissedRunPolicy.SKIP }, now), {
+      runs: [],
+      missed: 6,
+      nextRunAt: '2026-05-01T11:00:00.000Z'
+    }, 'Plan');
+  });
+
+  await test('skip still starts a run that is on time after downtime', () => {
+    assertDeepEqual(plan({ missed_run_policy: MissedRunPolicy.SKIP }, '2026-05-01T10:01:00Z'), {
+      runs: [['2026-05-01T10:00:00.000Z', false]],
+      missed: 5,
+      nextRunAt: '2026-05-01T11:00:00.000Z'
+    }, 'Plan');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 3: TIMEZONES
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testTimezones() {
+  // 2026-03-08: 02:00 EST jumps to 03:00 EDT in New York
+  await test('A daily 02:30 New York schedule runs on the spring-forward day', () => {
+    assertDeepEqual(plan({
+      cron: '30 2 * * *',
+      timezone: 'America/New_York',
+      next_run_at: new Date('2026-03-07T07:30:00Z')
+    }, '2026-03-08T07:01:00Z'), {
+      runs: [['2026-03-08T07:00:00.000Z', false]],
+      missed: 1,
+      nextRunAt: '2026-03-09T06:30:00.000Z'
+    }, 'Plan');
+  });
+}
+
+runSuites('PLAYBOOK SCHEDULE TEST SUITE', [
+  ['TEST SUITE 1: ON-TIME RUNS', testOnTime],
+  ['TEST SUITE 2: MISSED RUNS', testMissedRuns],
+  ['TEST SUITE 3: TIMEZONES', testTimezones]
+]);
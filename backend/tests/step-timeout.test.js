@@ -0,0 +1,179 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — STEP TIMEOUT TEST SUITE
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Tests for per-step timeouts in the execution engine
+ * (withStepTimeout / executeStep in engine/execution-engine.js).
+ * Connector calls and model saves are stubbed; no MongoDB needed.
+ *
+ * COVERAGE:
+ * 1. A timed-out connector call is aborted and retried only once it stopped
+ * 2. A call that ignores the abort is not retried and its late result is discarded
+ * 3. Steps that finish in time are unaffected
+ *
+ * USAGE:
+ *   node tests/step-timeout.test.js
+ *
+ * VERSION: 1.0.0
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import mongoose from 'mongoose';
+import { test, assert, assertEqual, assertDeepEqual, runSuites } from './test-utils.js';
+
+mongoose.set('bufferCommands', false);
+process.env.STEP_ABORT_GRACE_MS = '100';
+
+const { default: Execution, ExecutionState, StepState } = await import('../src/models/execution.js');
+const { default: AuditLog } = await import('../src/models/audit-log.js');
+const { ExecutionEngine } = await import('../src/engine/execution-engine.js');
+
+Execution.prototype.save = async function () { return this; };
+AuditLog.log = async () => null;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const BLOCK_STEP = {
+  step_id: 'block',
+  name: 'Block IP',
+  type: 'action',
+  connector_id: 'fw',
+  action_type: 'block_ip',
+  timeout_seconds: 0.05,
+  on_failure: 'stop',
+  retry_policy: { enabled: true, max_attempts: 3, delay_seconds: 30 }
+};
+
+/**
+ * Engine for a one-step playbook whose connector call is `call(signal)`
+ */
+function engineFor(call, step = BLOCK_STEP) {
+  const execution = new Execution({
+    playbook_id: 'PB-1',
+    playbook_name: 'Containment',
+    state: ExecutionState.EXECUTING,
+    trigger_data: {},
+    webhook_id: 'WH-1',
+    fingerprint: 'fp',
+    event_time: new Date(),
+    event_time_source: 'arrival_time',
+    trigger_snapshot: { trigger_id: 'TRG-1', version: 1, conditions: [], match: 'ALL', snapshot_at: new Date() },
+    steps: [{ step_id: step.step_id, state: StepState.PENDING }]
+  });
+  const engine = new ExecutionEngine(execution, { playbook_id: 'PB-1', name: 'Containment', steps: [step] });
+  const calls = [];
+  engine.executeActionStep = async (actionStep, inputs, { signal }) => {
+    calls.push(signal);
+    return call(signal);
+  };
+  return { engine, execution, calls };
+}
+
+// Stops as soon as the signal is aborted, like an HTTP client given `signal`
+const abortable = signal => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => {
+    reject(Object.assign(new Error('Connector call cancelled'), { code: 'CANCELLED' }));
+  }, { once: true });
+});
+
+// Ignores the signal and returns a result after `ms`
+const unstoppable = ms => async () => {
+  await sleep(ms);
+  return { blocked: true };
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 1: CANCELLED CALLS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testCancelledCalls() {
+  await test('A timeout aborts the connector call and schedules a retry', async () => {
+    const { engine, execution, calls } = engineFor(abortable);
+    await engine.execute();
+
+    const record = execution.steps[0];
+    assertEqual(calls.length, 1, 'One call');
+    assert(calls[0].aborted, 'Signal aborted');
+    assertEqual(calls[0].reason.code, 'TIMEOUT', 'Abort reason');
+    assertEqual(record.retry_count, 1, 'Retry scheduled');
+    assertDeepEqual(execution.waits.map(w => [w.step_id, w.mode]), [['block', 'retry']], 'Retry wait');
+    assertEqual(record.attempts[0].error.code, 'TIMEOUT', 'Attempt error');
+    assertEqual(record.attempts[0].error.retryable, true, 'Retryable');
+  });
+
+  await test('A cancelled execution still aborts the step signal', async () => {
+    const { engine, calls } = engineFor(abortable, { ...BLOCK_STEP, timeout_seconds: 5 });
+    const finished = engine.execute();
+    await sleep(20);
+    engine.requestCancel({ cancelledBy: 'analyst@example.com' });
+    await finished;
+
+    assert(calls[0].aborted, 'Signal aborted');
+    assert(calls[0].reason?.code !== 'TIMEOUT', 'Not a timeout');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 2: CALLS THAT IGNORE THE ABORT
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testUnstoppableCalls() {
+  await test('A call that keeps running is not retried', async () => {
+    const { engine, execution, calls } = engineFor(unstoppable(300));
+    await engine.execute();
+
+    const record = execution.steps[0];
+    assertEqual(calls.length, 1, 'One call');
+    assertEqual(record.state, StepState.FAILED, 'Step failed');
+    assertEqual(record.retry_count || 0, 0, 'No retry');
+    assertEqual(execution.waits.length, 0, 'No retry wait');
+    assertEqual(record.attempts[0].error.retryable, false, 'Not retryable');
+    assertEqual(execution.state, ExecutionState.FAILED, 'Execution failed');
+  });
+
+  await test('A result arriving after the timeout does not overwrite the step', async () => {
+    const { engine, execution } = engineFor(unstoppable(300));
+    await engine.execute();
+    await sleep(350);
+
+    const record = execution.steps[0];
+    assertEqual(record.state, StepState.FAILED, 'Still failed');
+    assertEqual(record.output?.blocked, undefined, 'No output recorded');
+    assert(!engine.stepOutputs.has('block'), 'No output for later steps');
+    assertEqual(record.error.code, 'TIMEOUT', 'Timeout error kept');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 3: STEPS THAT FINISH IN TIME
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testInTime() {
+  await test('A step that finishes in time completes', async () => {
+    const { engine, execution, calls } = engineFor(unstoppable(5), { ...BLOCK_STEP, timeout_seconds: 1 });
+    await engine.execute();
+
+    assertEqual(execution.steps[0].state, StepState.COMPLETED, 'Step completed');
+    assertDeepEqual(execution.steps[0].output, { blocked: true }, 'Output');
+    assert(!calls[0].aborted, 'Signal not aborted');
+    assertEqual(execution.state, ExecutionState.COMPLETED, 'Execution completed');
+  });
+
+  await test('Connector errors before the timeout keep their own retryable flag', async () => {
+    const { engine, execution } = engineFor(async () => {
+      throw Object.assign(new Error('Bad request'), { code: 'INVALID_ACTION', retryable: false });
+    });
+    await engine.execute();
+
+    assertEqual(execution.steps[0].state, StepState.FAILED, 'Step failed');
+    assertEqual(execution.steps[0].attempts[0].error.code, 'INVALID_ACTION', 'Error code');
+    assertEqual(execution.waits.length, 0, 'No retry');
+  });
+}
+
+runSuites('STEP TIMEOUT TEST SUITE', [
+  ['TEST SUITE 1: CANCELLED CALLS', testCancelledCalls],
+  ['TEST SUITE 2: CALLS THAT IGNORE THE ABORT', testUnstoppableCalls],
+  ['TEST SUITE 3: STEPS THAT FINISH IN TIME', testInTime]
+]);
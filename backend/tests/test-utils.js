@@ -0,0 +1,102 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — TEST UTILITIES
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Assertions and a runner shared by the node-run test suites in this
+ * directory. A suite file registers tests with test() inside suite
+ * functions and hands them to runSuites(), which prints the results and
+ * exits non-zero when a test failed.
+ *
+ * VERSION: 1.0.0
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { isDeepStrictEqual } from 'util';
+
+const results = [];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ASSERTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+export function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+export function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+export function assertDeepEqual(actual, expected, message) {
+  if (!isDeepStrictEqual(actual, expected)) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+/**
+ * Expect fn() to throw (or reject) an error with the given code
+ */
+export async function assertThrows(fn, code, message) {
+  try {
+    await fn();
+  } catch (error) {
+    assertEqual(error.code, code, `${message || 'Error code'}`);
+    return error;
+  }
+  throw new Error(`${message || 'Assertion failed'}: expected error ${code}, nothing thrown`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RUNNER
+// ═══════════════════════════════════════════════════════════════════════════
+
+export async function test(name, fn) {
+  const start = Date.now();
+  try {
+    await fn();
+    results.push({ name, passed: true, duration: Date.now() - start });
+  } catch (error) {
+    results.push({ name, passed: false, error, duration: Date.now() - start });
+  }
+}
+
+/**
+ * Run suite functions in order, print the results and exit
+ *
+ * @param {string} title - Banner title
+ * @param {Array<[string, Function]>} suites - [name, async fn] pairs
+ */
+export async function runSuites(title, suites) {
+  console.log(`\n╔═══ ${title} ═══╗`);
+  const startTime = Date.now();
+
+  try {
+    for (const [name, fn] of suites) {
+      console.log(`\n═══ ${name} ═══\n`);
+      await fn();
+    }
+  } catch (error) {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  }
+
+  const failed = results.filter(result => !result.passed);
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✓' : '✗'} ${result.name} (${result.duration}ms)`);
+    if (!result.passed) {
+      console.log(`  Error: ${result.error.message}`);
+    }
+  });
+
+  console.log('\n═══════════════════════════════════════════════════════════════════════');
+  console.log(`Total: ${results.length} tests, Passed: ${results.length - failed.length}, Failed: ${failed.length}, Duration: ${Date.now() - startTime}ms`);
+  console.log('═══════════════════════════════════════════════════════════════════════\n');
+
+  process.exit(failed.length > 0 ? 1 : 0);
+}
@@ -0,0 +1,237 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — TRANSFORM FUNCTIONS TEST SUITE
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Tests for the transform step function library
+ * (engine/transform-functions.js).
+ *
+ * COVERAGE:
+ * 1. Expression evaluation (paths, literals, nested calls, output.<key>)
+ * 2. String, math, array, date and JSON functions
+ * 3. Regex functions and their safety limits
+ * 4. Static validation (checkTransformExpression)
+ *
+ * USAGE:
+ *   node tests/transform-functions.test.js
+ *
+ * VERSION: 1.0.0
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import {
+  evaluateTransformExpression,
+  applyTransforms,
+  checkTransformExpression,
+  MAX_TRANSFORM_DEPTH
+} from '../src/engine/transform-functions.js';
+import { test, assert, assertEqual, assertDeepEqual, assertThrows, runSuites } from './test-utils.js';
+
+const context = {
+  trigger_data: {
+    agent: { name: '  WEB-01  ' },
+    full_log: 'Failed password for user alice from 10.0.0.5 port 22',
+    url: 'evil.example:8443/path?q=1#frag',
+    ips: ['10.0.0.5', null, '10.0.0.5', '', '10.0.0.6'],
+    score: '42.5',
+    raw: '{"a":{"b":[1,2]}}'
+  }
+};
+
+const call = (fn, ...args) => evaluateTransformExpression({ fn, args }, context);
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 1: EXPRESSIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testExpressions() {
+  await test('Path expression copies the value', () => {
+    assertEqual(evaluateTransformExpression('trigger_data.score', context), '42.5', 'Path value');
+  });
+
+  await test('Missing path yields null', () => {
+    assertEqual(evaluateTransformExpression('trigger_data.nope.deeper', context), null, 'Missing value');
+  });
+
+  await test('Literals follow input rules', () => {
+    assertEqual(evaluateTransformExpression('literal:7', context), 7, 'Numeric literal');
+    assertEqual(evaluateTransformExpression('literal:true', context), true, 'Boolean literal');
+    assertEqual(evaluateTransformExpression(42, context), 42, 'Raw number');
+  });
+
+  await test('Calls nest', () => {
+    const value = evaluateTransformExpression(
+      { fn: 'upper', args: [{ fn: 'trim', args: ['trigger_data.agent.name'] }] },
+      context
+    );
+    assertEqual(value, 'WEB-01', 'Nested result');
+  });
+
+  await test('applyTransforms exposes earlier keys as output.<key>', () => {
+    const output = applyTransforms({
+      host: { fn: 'trim', args: ['trigger_data.agent.name'] },
+      host_lower: { fn: 'lower', args: ['output.host'] }
+    }, context);
+    assertDeepEqual(output, { host: 'WEB-01', host_lower: 'web-01' }, 'Output');
+  });
+
+  await test('applyTransforms names the failing key', async () => {
+    const error = await assertThrows(
+      () => applyTransforms({ bad: { fn: 'no_such_fn', args: [] } }, context),
+      'TRANSFORM_UNKNOWN_FUNCTION'
+    );
+    assertEqual(error.transform_key, 'bad', 'transform_key');
+  });
+
+  await test('Nesting deeper than MAX_TRANSFORM_DEPTH is refused', async () => {
+    let expression = 'trigger_data.score';
+    for (let i = 0; i <= MAX_TRANSFORM_DEPTH; i++) {
+      expression = { fn: 'to_string', args: [expression] };
+    }
+    await assertThrows(() => evaluateTransformExpression(expression, context), 'TRANSFORM_FAILED');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 2: FUNCTION LIBRARY
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testFunctionLibrary() {
+  await test('String functions', () => {
+    assertEqual(call('concat', 'literal:a', 'literal:-', 'literal:b'), 'a-b', 'concat');
+    assertDeepEqual(call('split', 'literal:a,b,c', 'literal:,'), ['a', 'b', 'c'], 'split');
+    assertEqual(call('replace', 'literal:a.b.c', 'literal:.', 'literal:/'), 'a/b/c', 'replace');
+    assertEqual(call('lower', 'trigger_data.missing'), null, 'lower(null)');
+  });
+
+  await test('Math functions', () => {
+    assertEqual(call('to_number', 'trigger_data.score'), 42.5, 'to_number');
+    assertEqual(call('round', 'literal:2.345', 'literal:2'), 2.35, 'round');
+    assertEqual(call('divide', 'literal:1', 'literal:0'), null, 'divide by zero');
+    assertEqual(call('max', { fn: 'list', args: ['literal:3', 'literal:9'] }, 'literal:4'), 9, 'max over arrays and values');
+  });
+
+  await test('Array functions', () => {
+    assertDeepEqual(
+      call('unique', { fn: 'compact', args: ['trigger_data.ips'] }),
+      ['10.0.0.5', '10.0.0.6'],
+      'compact + unique'
+    );
+    assertEqual(call('join', { fn: 'list', args: ['literal:a', 'literal:b'] }, 'literal:|'), 'a|b', 'join');
+    assertDeepEqual(call('sort', { fn: 'list', args: ['literal:10', 'literal:2'] }, 'literal:desc'), [10, 2], 'sort desc');
+  });
+
+  await test('url_parse handles bare hosts', () => {
+    assertDeepEqual(call('url_parse', 'trigger_data.url'), {
+      scheme: 'http',
+      domain: 'evil.example',
+      port: 8443,
+      path: '/path',
+      query: 'q=1',
+      fragment: 'frag'
+    }, 'Parsed URL');
+  });
+
+  await test('Date functions', () => {
+    assertEqual(call('date_add', 'literal:2024-01-01T00:00:00Z', 'literal:90', 'literal:minutes'), '2024-01-01T01:30:00.000Z', 'date_add');
+    assertEqual(call('date_diff', 'literal:2024-01-02T00:00:00Z', 'literal:2024-01-01T00:00:00Z', 'literal:hours'), 24, 'date_diff');
+    assertEqual(call('to_epoch', 'literal:2024-01-01T00:00:00Z'), 1704067200, 'to_epoch');
+  });
+
+  await test('Date functions reject unknown units', async () => {
+    await assertThrows(() => call('date_add', 'literal:2024-01-01T00:00:00Z', 'literal:1', 'literal:weeks'), 'TRANSFORM_FAILED');
+  });
+
+  await test('JSON functions', () => {
+    const parsed = call('json_parse', 'trigger_data.raw');
+    assertDeepEqual(parsed, { a: { b: [1, 2] } }, 'json_parse');
+    assertEqual(call('json_parse', 'literal:{not json'), null, 'json_parse of invalid JSON');
+    assertEqual(evaluateTransformExpression({ fn: 'json_path', args: [{ fn: 'json_parse', args: ['trigger_data.raw'] }, 'literal:$.a.b[1]'] }, context), 2, 'json_path');
+  });
+
+  await test('coalesce skips null and empty values', () => {
+    assertEqual(call('coalesce', 'trigger_data.missing', 'literal:', 'literal:fallback'), 'fallback', 'coalesce');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 3: REGEX FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testRegexFunctions() {
+  await test('regex_extract returns the first group', () => {
+    assertEqual(call('regex_extract', 'trigger_data.full_log', 'literal:user (\\S+) from'), 'alice', 'Group 1');
+  });
+
+  await test('regex_extract supports named groups', () => {
+    assertEqual(call('regex_extract', 'trigger_data.full_log', 'literal:port (?<port>\\d+)', 'literal:port'), '22', 'Named group');
+    assertEqual(call('regex_extract', 'trigger_data.full_log', 'literal:(\\w+) from', 'literal:0'), 'alice from', 'Group 0');
+  });
+
+  await test('regex_extract returns null without a match', () => {
+    assertEqual(call('regex_extract', 'trigger_data.full_log', 'literal:nomatch (\\d+)'), null, 'No match');
+  });
+
+  await test('regex_test and regex_replace', () => {
+    assertEqual(call('regex_test', 'trigger_data.full_log', 'literal:^Failed'), true, 'regex_test');
+    assertEqual(call('regex_replace', 'literal:a1b22', 'literal:\\d+', 'literal:#'), 'a#b#', 'regex_replace is global');
+  });
+
+  await test('Nested quantifiers are refused at run time', async () => {
+    await assertThrows(() => call('regex_test', 'literal:aaaa!', 'literal:(a+)+$'), 'TRANSFORM_FAILED');
+  });
+
+  await test('Invalid patterns are refused at run time', async () => {
+    await assertThrows(() => call('regex_test', 'trigger_data.full_log', 'literal:(unclosed'), 'TRANSFORM_FAILED');
+  });
+
+  await test('Backtracking that exceeds the time limit fails with REGEX_TIMEOUT', async () => {
+    const start = Date.now();
+    await assertThrows(
+      () => call('regex_test', 'literal:' + 'a'.repeat(60) + '!', 'literal:(a|aa)*$'),
+      'REGEX_TIMEOUT'
+    );
+    assert(Date.now() - start < 2000, 'Timed out promptly');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 4: VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testValidation() {
+  const codes = expression => checkTransformExpression(expression, 'set.x').map(issue => issue.code);
+
+  await test('Valid expression has no issues', () => {
+    assertDeepEqual(codes({ fn: 'regex_extract', args: ['trigger_data.full_log', 'literal:user (\\S+)'] }), [], 'Issues');
+  });
+
+  await test('Unknown function', () => {
+    assertDeepEqual(codes({ fn: 'eval', args: [] }), ['TRANSFORM_UNKNOWN_FUNCTION'], 'Issues');
+  });
+
+  await test('Wrong argument count', () => {
+    assertDeepEqual(codes({ fn: 'lower', args: ['a', 'b'] }), ['TRANSFORM_INVALID_ARGS'], 'Issues');
+  });
+
+  await test('Nested call issues carry their path', () => {
+    const issues = checkTransformExpression({ fn: 'lower', args: [{ fn: 'nope' }] }, 'set.x');
+    assertEqual(issues[0].path, 'set.x.args[0]', 'Path');
+  });
+
+  await test('Unsafe literal regex is rejected at validation time', () => {
+    assertDeepEqual(codes({ fn: 'regex_test', args: ['trigger_data.full_log', 'literal:(a+)+$'] }), ['TRANSFORM_INVALID_REGEX'], 'Nested quantifier');
+    assertDeepEqual(codes({ fn: 'regex_replace', args: ['trigger_data.full_log', 'literal:(x', 'literal:y'] }), ['TRANSFORM_INVALID_REGEX'], 'Invalid pattern');
+  });
+
+  await test('Pattern read from data is left to run time', () => {
+    assertDeepEqual(codes({ fn: 'regex_test', args: ['trigger_data.full_log', 'trigger_data.pattern'] }), [], 'Issues');
+  });
+}
+
+runSuites('TRANSFORM FUNCTIONS TEST SUITE', [
+  ['TEST SUITE 1: EXPRESSIONS', testExpressions],
+  ['TEST SUITE 2: FUNCTION LIBRARY', testFunctionLibrary],
+  ['TEST SUITE 3: REGEX FUNCTIONS', testRegexFunctions],
+  ['TEST SUITE 4: VALIDATION', testValidation]
+]);
@@ -0,0 +1,184 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — TRIGGER OPERATORS TEST SUITE
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Tests for the regex and CIDR trigger operators: pattern checks and
+ * time-limited matching (engine/safe-regex.js), and matches_regex /
+ * in_cidr / not_in_cidr in engine/trigger-engine.js.
+ *
+ * COVERAGE:
+ * 1. Regex pattern checks (length, flags, syntax, nested quantifiers)
+ * 2. Regex evaluation limits (input cap, time limit, exec / replace)
+ * 3. matches_regex condition values and evaluation
+ * 4. in_cidr / not_in_cidr (IPv4, IPv6, mapped addresses, lists, validation)
+ *
+ * USAGE:
+ *   node tests/trigger-operators.test.js
+ *
+ * VERSION: 1.0.0
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import {
+  checkRegexPattern,
+  safeRegexTest,
+  safeRegexExec,
+  safeRegexReplace,
+  MAX_REGEX_PATTERN_LENGTH,
+  MAX_REGEX_INPUT_LENGTH
+} from '../src/engine/safe-regex.js';
+import {
+  evaluateCondition,
+  validateConditionValue,
+  FieldResolutionResult
+} from '../src/engine/trigger-engine.js';
+import { TriggerOperator } from '../src/models/trigger.js';
+import { test, assert, assertEqual, assertThrows, runSuites } from './test-utils.js';
+
+const evaluate = (value, operator, conditionValue) =>
+  evaluateCondition(FieldResolutionResult.found(value), operator, conditionValue);
+
+// Backtracks exponentially without tripping the nested-quantifier check
+const SLOW_PATTERN = '(a|aa)*$';
+const SLOW_INPUT = 'a'.repeat(60) + '!';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 1: REGEX PATTERN CHECKS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testPatternChecks() {
+  await test('Ordinary patterns pass', () => {
+    for (const pattern of ['^Failed password', '(ab)+', '[a-z]+(\\d+)', '(a+)?', '\\(a+\\)+', '[(a+)]+', 'x{,5}']) {
+      assertEqual(checkRegexPattern(pattern), null, pattern);
+    }
+  });
+
+  await test('Nested quantifiers are rejected', () => {
+    for (const pattern of ['(a+)+', '(\\w*)*', '(?:x+y?){2,}', '((a+))+', '(?<n>a+)+', '(a+)*?', '(a)(b+)+c']) {
+      assert(/nested quantifiers/.test(checkRegexPattern(pattern) || ''), `${pattern} rejected`);
+    }
+  });
+
+  await test('Length, emptiness, flags and syntax are checked', () => {
+    assert(checkRegexPattern('') !== null, 'Empty pattern');
+    assert(checkRegexPattern(null) !== null, 'Non-string pattern');
+    assert(checkRegexPattern('a'.repeat(MAX_REGEX_PATTERN_LENGTH + 1)) !== null, 'Too long');
+    assertEqual(checkRegexPattern('a', 'imsu'), null, 'Allowed flags');
+    assert(checkRegexPattern('a', 'g') !== null, 'Global flag');
+    assert(/invalid regular expression/.test(checkRegexPattern('(unclosed')), 'Syntax error');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 2: REGEX EVALUATION LIMITS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testEvaluationLimits() {
+  await test('safeRegexTest matches strings and numbers only', () => {
+    assert(safeRegexTest('^\\d+$', '', 12345), 'Number');
+    assert(safeRegexTest('foo', 'i', 'FOO'), 'Flags applied');
+    assert(!safeRegexTest('x', '', { x: 1 }), 'Object is no match');
+    assert(!safeRegexTest('(', '', 'x'), 'Invalid pattern is no match');
+  });
+
+  await test('Input beyond MAX_REGEX_INPUT_LENGTH is not examined', () => {
+    const value = 'a'.repeat(MAX_REGEX_INPUT_LENGTH) + 'needle';
+    assert(!safeRegexTest('needle', '', value), 'Truncated input');
+  });
+
+  await test('A timed-out test counts as no match', () => {
+    const start = Date.now();
+    assert(!safeRegexTest(SLOW_PATTERN, '', SLOW_INPUT), 'No match');
+    assert(Date.now() - start < 2000, 'Aborted promptly');
+  });
+
+  await test('safeRegexExec and safeRegexReplace return results', () => {
+    assertEqual(safeRegexExec(/user (\w+)/, 'login user alice')[1], 'alice', 'Group');
+    assertEqual(safeRegexExec(/nomatch/, 'text'), null, 'No match');
+    assertEqual(safeRegexReplace(/(\d+)/g, 'a1b22', '<$1>'), 'a<1>b<22>', 'Replace with groups');
+  });
+
+  await test('safeRegexExec and safeRegexReplace throw REGEX_TIMEOUT', async () => {
+    await assertThrows(() => safeRegexExec(new RegExp(SLOW_PATTERN), SLOW_INPUT), 'REGEX_TIMEOUT', 'exec');
+    await assertThrows(() => safeRegexReplace(new RegExp(SLOW_PATTERN), SLOW_INPUT, ''), 'REGEX_TIMEOUT', 'replace');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 3: MATCHES_REGEX
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testMatchesRegex() {
+  await test('String and { pattern, flags } values', () => {
+    assert(evaluate('Failed password for root', TriggerOperator.MATCHES_REGEX, '^Failed'), 'String pattern');
+    assert(evaluate('failed', TriggerOperator.MATCHES_REGEX, { pattern: '^FAILED$', flags: 'i' }), 'Flags');
+    assert(!evaluate('ok', TriggerOperator.MATCHES_REGEX, '^Failed'), 'No match');
+  });
+
+  await test('Condition values are validated with the pattern checks', () => {
+    assertEqual(validateConditionValue(TriggerOperator.MATCHES_REGEX, '^a+$'), null, 'Valid');
+    assert(validateConditionValue(TriggerOperator.MATCHES_REGEX, '(a+)+') !== null, 'Nested quantifier');
+    assert(validateConditionValue(TriggerOperator.MATCHES_REGEX, { pattern: 'a', flags: 'g' }) !== null, 'Flags');
+    assert(validateConditionValue(TriggerOperator.MATCHES_REGEX, ['a']) !== null, 'Array value');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 4: CIDR OPERATORS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testCidr() {
+  const inCidr = (value, cidrs) => evaluate(value, TriggerOperator.IN_CIDR, cidrs);
+  const notInCidr = (value, cidrs) => evaluate(value, TriggerOperator.NOT_IN_CIDR, cidrs);
+
+  await test('IPv4 subnets', () => {
+    assert(inCidr('10.1.2.3', '10.0.0.0/8'), 'Inside');
+    assert(!inCidr('11.0.0.1', '10.0.0.0/8'), 'Outside');
+    assert(notInCidr('11.0.0.1', '10.0.0.0/8'), 'not_in_cidr outside');
+    assert(!notInCidr('10.1.2.3', '10.0.0.0/8'), 'not_in_cidr inside');
+    assert(inCidr('203.0.113.7', '0.0.0.0/0'), '/0 matches everything');
+    assert(inCidr(' 10.0.0.1 ', '10.0.0.0/8'), 'Field value is trimmed');
+  });
+
+  await test('Bare addresses and host bits', () => {
+    assert(inCidr('1.2.3.4', '1.2.3.4'), 'Bare address');
+    assert(!inCidr('1.2.3.5', '1.2.3.4'), 'Other address');
+    assert(inCidr('10.9.9.9', '10.0.0.5/8'), 'Host bits in the network are ignored');
+  });
+
+  await test('IPv6 and IPv4-mapped addresses', () => {
+    assert(inCidr('2001:db8::1', '2001:db8::/32'), 'IPv6 inside');
+    assert(!inCidr('2001:db9::1', '2001:db8::/32'), 'IPv6 outside');
+    assert(inCidr('::ffff:10.0.0.5', '10.0.0.0/8'), 'Mapped address against IPv4 subnet');
+  });
+
+  await test('Lists match any entry', () => {
+    assert(inCidr('10.0.0.1', ['192.168.0.0/16', '10.0.0.0/8']), 'Second entry');
+    assert(notInCidr('8.8.8.8', ['192.168.0.0/16', '10.0.0.0/8']), 'No entry');
+  });
+
+  await test('A field that is not an IP matches neither operator', () => {
+    for (const value of ['web-01', '', 167772161, null]) {
+      assert(!inCidr(value, '10.0.0.0/8'), `in_cidr ${JSON.stringify(value)}`);
+      assert(!notInCidr(value, '10.0.0.0/8'), `not_in_cidr ${JSON.stringify(value)}`);
+    }
+    assert(!evaluateCondition(FieldResolutionResult.notFound(), TriggerOperator.NOT_IN_CIDR, '10.0.0.0/8'), 'Missing field');
+  });
+
+  await test('Condition values are validated', () => {
+    assertEqual(validateConditionValue(TriggerOperator.IN_CIDR, '10.0.0.0/8'), null, 'Single CIDR');
+    assertEqual(validateConditionValue(TriggerOperator.NOT_IN_CIDR, ['10.0.0.0/8', '2001:db8::/32', '1.2.3.4']), null, 'List');
+    for (const value of ['10.0.0.0/33', '::/129', '10.0.0.0/8/1', '010.0.0.0/8', '10.0.0/8', '10.0.0.0/', '10.0.0.0/-1', []]) {
+      assert(validateConditionValue(TriggerOperator.IN_CIDR, value) !== null, `${JSON.stringify(value)} rejected`);
+    }
+    assert(/5/.test(validateConditionValue(TriggerOperator.IN_CIDR, ['10.0.0.0/8', 5])), 'Names the invalid entry');
+  });
+}
+
+runSuites('TRIGGER OPERATORS TEST SUITE', [
+  ['TEST SUITE 1: REGEX PATTERN CHECKS', testPatternChecks],
+  ['TEST SUITE 2: REGEX EVALUATION LIMITS', testEvaluationLimits],
+  ['TEST SUITE 3: MATCHES_REGEX', testMatchesRegex],
+  ['TEST SUITE 4: CIDR OPERATORS', testCidr]
+]);
@@ -0,0 +1,173 @@
+/**
+ * ══════════════════════════════════════════════════════════════════════════════
+ * CYBERSENTINEL SOAR v3.x — WEBHOOK BATCH TEST SUITE
+ * ══════════════════════════════════════════════════════════════════════════════
+ *
+ * Tests for batch ingestion (parseAlertBatch / processWebhookBatch in
+ * engine/webhook-ingestion.js). Model statics and saves are stubbed and
+ * the dedup store is in memory; no MongoDB needed.
+ *
+ * COVERAGE:
+ * 1. JSON array bodies
+ * 2. NDJSON and text-line bodies
+ * 3. Empty, oversized and unsupported bodies
+ * 4. Execution flood control per alert
+ *
+ * USAGE:
+ *   node tests/webhook-batch.test.js
+ *
+ * VERSION: 1.0.0
+ * ══════════════════════════════════════════════════════════════════════════════
+ */
+
+import mongoose from 'mongoose';
+import { test, assert, assertEqual, assertDeepEqual, assertThrows, runSuites } from './test-utils.js';
+
+mongoose.set('bufferCommands', false);
+
+const { MemoryDedupStore, setDedupStore } = await import('../src/services/dedup-store.js');
+const { default: Webhook } = await import('../src/models/webhook.js');
+const { default: Trigger } = await import('../src/models/trigger.js');
+const { default: Execution } = await import('../src/models/execution.js');
+const { default: PlaybookVersioned } = await import('../src/models/playbook-v2.js');
+const { default: AuditLog } = await import('../src/models/audit-log.js');
+const { default: webhookSecurity } = await import('../src/middleware/webhook-security.js');
+const {
+  parseAlertBatch,
+  processWebhookBatch,
+  BATCH_MAX_ALERTS
+} = await import('../src/engine/webhook-ingestion.js');
+
+setDedupStore(new MemoryDedupStore());
+Webhook.prototype.save = async function () { return this; };
+Execution.prototype.save = async function () { return this; };
+Execution.find = () => ({ select: () => ({ lean: async () => [] }) });
+AuditLog.log = async () => null;
+
+const CEF_LINE = 'CEF:0|Acme|IDS|1.0|100|Port scan|5|src=203.0.113.7';
+const SYSLOG_LINE = '<34>Oct 11 22:14:15 web-01 sshd[42]: Failed password for root';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 1: JSON ARRAYS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testJsonArrays() {
+  await test('Each element is one alert, in order', () => {
+    assertDeepEqual(parseAlertBatch([{ id: 1 }, { id: 2 }]), [{ id: 1 }, { id: 2 }], 'Alerts');
+  });
+
+  await test('Strings are kept for text-format webhooks', () => {
+    assertDeepEqual(parseAlertBatch([CEF_LINE, { id: 1 }]), [CEF_LINE, { id: 1 }], 'Alerts');
+  });
+
+  await test('Other elements become null and keep their index', () => {
+    assertDeepEqual(parseAlertBatch([{ id: 1 }, 5, null, [{ id: 2 }], true, { id: 3 }]), [
+      { id: 1 }, null, null, null, null, { id: 3 }
+    ], 'Alerts');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 2: NDJSON AND TEXT LINES
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testTextBodies() {
+  await test('NDJSON lines are parsed', () => {
+    assertDeepEqual(parseAlertBatch('{"id":1}\n{"id":2}\n'), [{ id: 1 }, { id: 2 }], 'Alerts');
+  });
+
+  await test('Blank lines, surrounding spaces and CRLF are ignored', () => {
+    assertDeepEqual(parseAlertBatch('\r\n  {"id":1}  \r\n\r\n\t\n{"id":2}\r\n'), [{ id: 1 }, { id: 2 }], 'Alerts');
+  });
+
+  await test('CEF and syslog lines stay raw text', () => {
+    assertDeepEqual(parseAlertBatch(`${CEF_LINE}\n${SYSLOG_LINE}`), [CEF_LINE, SYSLOG_LINE], 'Alerts');
+  });
+
+  await test('Malformed JSON lines stay raw text for the pipeline to reject', () => {
+    assertDeepEqual(parseAlertBatch('{"id":1}\n{"id":\n{"id":3}'), [{ id: 1 }, '{"id":', { id: 3 }], 'Alerts');
+  });
+
+  await test('Lines that are JSON but not objects stay raw text', () => {
+    assertDeepEqual(parseAlertBatch('42\n"quoted"\n[1,2]\nnull'), ['42', '"quoted"', '[1,2]', 'null'], 'Alerts');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 3: LIMITS AND INVALID BODIES
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testLimits() {
+  await test('Empty batches fail with INVALID_BATCH', async () => {
+    await assertThrows(() => parseAlertBatch([]), 'INVALID_BATCH', 'Empty array');
+    await assertThrows(() => parseAlertBatch(''), 'INVALID_BATCH', 'Empty string');
+    await assertThrows(() => parseAlertBatch('\n \r\n'), 'INVALID_BATCH', 'Blank lines');
+  });
+
+  await test('Bodies that are not arrays or text fail with INVALID_BATCH', async () => {
+    for (const body of [{ id: 1 }, {}, undefined, null, 42]) {
+      await assertThrows(() => parseAlertBatch(body), 'INVALID_BATCH', JSON.stringify(body) ?? 'undefined');
+    }
+  });
+
+  await test('More than maxAlerts fails with BATCH_TOO_LARGE', async () => {
+    assertEqual(parseAlertBatch([{}, {}, {}], 3).length, 3, 'At the limit');
+    await assertThrows(() => parseAlertBatch([{}, {}, {}, {}], 3), 'BATCH_TOO_LARGE', 'Array');
+    await assertThrows(() => parseAlertBatch('{}\n{}\n{}\n{}', 3), 'BATCH_TOO_LARGE', 'NDJSON');
+  });
+
+  await test('Blank lines do not count against the limit', () => {
+    assertEqual(parseAlertBatch('{}\n\n\n{}\n\n{}\n', 3).length, 3, 'Alerts');
+  });
+
+  await test('The default limit is BATCH_MAX_ALERTS', async () => {
+    assertEqual(parseAlertBatch(new Array(BATCH_MAX_ALERTS).fill({})).length, BATCH_MAX_ALERTS, 'At the limit');
+    const error = await assertThrows(() => parseAlertBatch(new Array(BATCH_MAX_ALERTS + 1).fill({})), 'BATCH_TOO_LARGE', 'Over');
+    assertEqual(error.message, `Batch contains ${BATCH_MAX_ALERTS + 1} alerts (max ${BATCH_MAX_ALERTS})`, 'Message');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEST SUITE 4: FLOOD CONTROL
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function testFloodControl() {
+  const secret = 'f'.repeat(64);
+  const webhook = new Webhook({ webhook_id: 'WH-BATCH', name: 'Batch', secret, playbook_id: 'PB-FLOOD' });
+  Webhook.findActiveWebhook = async () => webhook;
+  Trigger.findByWebhookId = async () => null;
+  PlaybookVersioned.getActiveVersion = async id => ({ playbook_id: id, name: 'Flood', version: 1, dsl: { steps: [] } });
+
+  const limits = webhookSecurity.CONFIG.FLOOD_CONTROL;
+  const defaultMax = limits.PER_PLAYBOOK_MAX;
+
+  try {
+    await test('Alerts over the flood limit are rejected with FLOOD_CONTROL', async () => {
+      limits.PER_PLAYBOOK_MAX = 2;
+      const batch = await processWebhookBatch('WH-BATCH', secret, [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }]);
+
+      assertDeepEqual(batch.results.map(r => r.status), ['accepted', 'accepted', 'rejected', 'rejected'], 'Statuses');
+      assertDeepEqual(batch.results.slice(2).map(r => r.reason), ['FLOOD_CONTROL', 'FLOOD_CONTROL'], 'Reasons');
+      assert(batch.results[2].message.includes('PB-FLOOD'), 'Message names the playbook');
+      assertEqual(batch.accepted, 2, 'Accepted');
+      assertEqual(batch.rejected, 2, 'Rejected');
+      assertEqual(batch.aborted_reason, null, 'Batch not aborted');
+    });
+
+    await test('Alerts rejected by flood control are ingested when resent', async () => {
+      limits.PER_PLAYBOOK_MAX = defaultMax;
+      const batch = await processWebhookBatch('WH-BATCH', secret, [{ id: 2 }, { id: 3 }, { id: 4 }]);
+
+      assertDeepEqual(batch.results.map(r => r.reason ?? r.status), ['DUPLICATE_FINGERPRINT', 'accepted', 'accepted'], 'Decisions');
+    });
+  } finally {
+    limits.PER_PLAYBOOK_MAX = defaultMax;
+  }
+}
+
+runSuites('WEBHOOK BATCH TEST SUITE', [
+  ['TEST SUITE 1: JSON ARRAYS', testJsonArrays],
+  ['TEST SUITE 2: NDJSON AND TEXT LINES', testTextBodies],
+  ['TEST SUITE 3: LIMITS AND INVALID BODIES', testLimits],
+  ['TEST SUITE 4: FLOOD CONTROL', testFloodControl]
+]);
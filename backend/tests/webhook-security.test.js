@@ -21,6 +21,10 @@
 
 import crypto from 'crypto';
 import webhookSecurity from '../src/middleware/webhook-security.js';
+import { MemoryDedupStore, setDedupStore } from '../src/services/dedup-store.js';
+
+// Nonces and flood counters live in the dedup store; no MongoDB in tests
+setDedupStore(new MemoryDedupStore());
 
 const {
   webhookSecurityMiddleware,
@@ -131,7 +135,7 @@ async function testIPRateLimiting() {
     const res = mockRes();
     let nextCalled = false;
 
-    webhookSecurityMiddleware(req, res, () => {
+    await webhookSecurityMiddleware(req, res, () => {
       nextCalled = true;
     });
 
@@ -151,7 +155,7 @@ async function testIPRateLimiting() {
       const res = mockRes();
       let nextCalled = false;
 
-      webhookSecurityMiddleware(req, res, () => {
+      await webhookSecurityMiddleware(req, res, () => {
         nextCalled = true;
       });
 
@@ -174,7 +178,7 @@ async function testIPRateLimiting() {
       });
       const res = mockRes();
 
-      webhookSecurityMiddleware(req, res, () => {});
+      await webhookSecurityMiddleware(req, res, () => {});
 
       if (res.statusCode === 429) {
         blocked = true;
@@ -198,7 +202,7 @@ async function testIPRateLimiting() {
         body: { alert: `retry-${i}` }
       });
       res = mockRes();
-      webhookSecurityMiddleware(req, res, () => {});
+      await webhookSecurityMiddleware(req, res, () => {});
     }
 
     assert(res.headers['Retry-After'], 'Should include Retry-After header');
@@ -227,7 +231,7 @@ async function testReplayPrevention() {
     const res = mockRes();
     let nextCalled = false;
 
-    webhookSecurityMiddleware(req, res, () => {
+    await webhookSecurityMiddleware(req, res, () => {
       nextCalled = true;
     });
 
@@ -246,7 +250,7 @@ async function testReplayPrevention() {
     });
     const res = mockRes();
 
-    webhookSecurityMiddleware(req, res, () => {});
+    await webhookSecurityMiddleware(req, res, () => {});
 
     assertEqual(res.statusCode, 400, 'Should reject old timestamp');
     assert(res.jsonData && res.jsonData.code === 'TIMESTAMP_SKEW', 'Should return TIMESTAMP_SKEW error');
@@ -276,12 +280,12 @@ async function testReplayPrevention() {
     let next1Called = false;
 
     // First request should succeed
-    webhookSecurityMiddleware(req1, res1, () => {
+    await webhookSecurityMiddleware(req1, res1, () => {
       next1Called = true;
     });
 
     // Second identical request should be blocked
-    webhookSecurityMiddleware(req2, res2, () => {});
+    await webhookSecurityMiddleware(req2, res2, () => {});
 
     assert(next1Called, 'First request should succeed');
     assertEqual(res2.statusCode, 400, 'Should reject duplicate request');
@@ -393,7 +397,7 @@ async function testFloodControl() {
     const playbookId = 'PB-FLOOD-TEST-1';
 
     for (let i = 0; i < 10; i++) {
-      const result = checkFloodControl(playbookId);
+      const result = await checkFloodControl(playbookId);
       assert(result.allowed, `Execution ${i + 1} should be allowed`);
     }
   });
@@ -406,7 +410,7 @@ async function testFloodControl() {
 
     // Attempt to exceed per-playbook limit
     for (let i = 0; i < maxExecutions + 5; i++) {
-      const result = checkFloodControl(playbookId);
+      const result = await checkFloodControl(playbookId);
       if (!result.allowed && result.reason === 'PLAYBOOK_FLOOD_LIMIT') {
         blocked = true;
         break;
@@ -423,7 +427,7 @@ async function testFloodControl() {
     // Attempt to exceed global limit with different playbooks
     for (let i = 0; i < globalMax + 10; i++) {
       const playbookId = `PB-GLOBAL-${i}`;
-      const result = checkFloodControl(playbookId);
+      const result = await checkFloodControl(playbookId);
       if (!result.allowed && result.reason === 'GLOBAL_FLOOD_LIMIT') {
         blocked = true;
         break;
@@ -439,11 +443,11 @@ async function testFloodControl() {
 
     // Exhaust limit
     for (let i = 0; i < maxExecutions; i++) {
-      checkFloodControl(playbookId);
+      await checkFloodControl(playbookId);
     }
 
     // Next request should be blocked
-    const result = checkFloodControl(playbookId);
+    const result = await checkFloodControl(playbookId);
 
     assert(!result.allowed, 'Should block flood');
     assert(result.reason, 'Should include reason');
@@ -472,7 +476,7 @@ async function testSecurityObservability() {
         body: { alert: `metrics-${i}` }
       });
       const res = mockRes();
-      webhookSecurityMiddleware(req, res, () => {});
+      await webhookSecurityMiddleware(req, res, () => {});
     }
 
     const metrics = getSecurityMetrics();
@@ -494,7 +498,7 @@ async function testSecurityObservability() {
       body: payload,
       ip: ip
     });
-    webhookSecurityMiddleware(req1, mockRes(), () => {});
+    await webhookSecurityMiddleware(req1, mockRes(), () => {});
 
     // Duplicate request (blocked)
     const req2 = mockReq({
@@ -503,7 +507,7 @@ async function testSecurityObservability() {
       body: payload,
       ip: ip
     });
-    webhookSecurityMiddleware(req2, mockRes(), () => {});
+    await webhookSecurityMiddleware(req2, mockRes(), () => {});
 
     const metrics = getSecurityMetrics();
     assert(metrics.replay_protection.blocked > 0, 'Should track replay blocks');
@@ -539,7 +543,7 @@ async function testSecurityObservability() {
         params: { webhook_id: `WH-ALLOW-${i}` },
         body: { alert: `allow-${i}` }
       });
-      webhookSecurityMiddleware(req, mockRes(), () => {});
+      await webhookSecurityMiddleware(req, mockRes(), () => {});
     }
 
     // Block some requests with unique payloads
@@ -550,7 +554,7 @@ async function testSecurityObservability() {
         params: { webhook_id: `WH-BLOCK-${i}` },
         body: { alert: `block-${i}` }
       });
-      webhookSecurityMiddleware(req, mockRes(), () => {});
+      await webhookSecurityMiddleware(req, mockRes(), () => {});
     }
 
     const metrics = getSecurityMetrics();
@@ -5,6 +5,8 @@
 #
 # Args (from SOAR API call -> parameters.extra_args):
 #   extra_args[0] = username
+#   extra_args[1] = "delete" to unlock (optional; the SOAR connector's
+#                   enable_user action — manual dispatch can't set command)
 # =============================================================================
 
 $ErrorActionPreference = 'Stop'
@@ -32,6 +34,10 @@ if ($payload) {
     if ($payload.parameters.extra_args -and $payload.parameters.extra_args.Count -ge 1) {
         $username = $payload.parameters.extra_args[0]
     }
+    # Delete-sentinel override: SOAR connector sends [username, "delete"] for unlock
+    if ($payload.parameters.extra_args.Count -ge 2 -and $payload.parameters.extra_args[1] -eq 'delete') {
+        $command = 'delete'
+    }
 }
 
 # Legacy fallback: positional argv
@@ -6,6 +6,14 @@
 #
 # Args (from SOAR API call → parameters.extra_args):
 #   extra_args[0] = username to lock/unlock
+#   extra_args[1] = "delete" to unlock (optional)
+#
+# Delete-path detection:
+#   Manual API dispatch always arrives with parameters.command="add". The
+#   SOAR connector's enable_user action (rollback of disable_user) sends
+#   args = [username, "delete"]; this script then overrides COMMAND to
+#   "delete" and routes to the unlock branch — same convention as
+#   soar-isolate-host.
 #
 # Deploy to: /var/ossec/active-response/bin/soar-disable-user.sh
 # Owner:     root:wazuh   Mode: 750
@@ -23,6 +31,13 @@ log() {
 INPUT_JSON="$(cat)"
 COMMAND="$(printf '%s'  "$INPUT_JSON" | sed -n 's/.*"command":"\([^"]*\)".*/\1/p')"
 USERNAME="$(printf '%s' "$INPUT_JSON" | sed -n 's/.*"extra_args":\[[[:space:]]*"\([^"]*\)".*/\1/p')"
+EXTRA_2="$(printf '%s' "$INPUT_JSON" | sed -n 's/.*"extra_args":\[[[:space:]]*"[^"]*"[[:space:]]*,[[:space:]]*"\([^"]*\)".*/\1/p')"
+
+# Delete-sentinel override: SOAR connector sends ["username", "delete"]
+# to trigger the unlock branch.
+if [ "$EXTRA_2" = "delete" ]; then
+    COMMAND="delete"
+fi
 
 if [ -z "${USERNAME:-}" ] && [ $# -ge 1 ]; then
     USERNAME="$1"
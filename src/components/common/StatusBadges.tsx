@@ -39,11 +39,14 @@ const stateBadgeVariants = cva(
     variants: {
       state: {
         CREATED: 'bg-muted text-muted-foreground',
+        QUEUED: 'bg-status-pending/15 text-status-pending',
         ENRICHING: 'bg-status-pending/15 text-status-pending',
         WAITING_APPROVAL: 'bg-status-warning/15 text-status-warning',
+        WAITING: 'bg-status-pending/15 text-status-pending',
         EXECUTING: 'bg-status-running/15 text-status-running',
         COMPLETED: 'bg-status-success/15 text-status-success',
         FAILED: 'bg-status-error/15 text-status-error',
+        CANCELLED: 'bg-muted text-muted-foreground',
       },
     },
     defaultVariants: {
@@ -58,7 +61,7 @@ interface StateBadgeProps {
 }
 
 export function StateBadge({ state, className }: StateBadgeProps) {
-  const isRunning = ['ENRICHING', 'EXECUTING', 'WAITING_APPROVAL'].includes(state);
+  const isRunning = ['QUEUED', 'ENRICHING', 'EXECUTING', 'WAITING_APPROVAL', 'WAITING'].includes(state);
 
   return (
     <span className={cn(stateBadgeVariants({ state }), className)}>
@@ -6,7 +6,7 @@ import { apiClient } from '@/lib/api-client';
  * Aligns with the execution-centric architecture where Execution = Alert + Response
  */
 export interface ExecutionFilters {
-  state?: 'EXECUTING' | 'WAITING_APPROVAL' | 'COMPLETED' | 'FAILED';
+  state?: 'QUEUED' | 'EXECUTING' | 'WAITING_APPROVAL' | 'WAITING' | 'COMPLETED' | 'FAILED' | 'CANCELLED';
   playbook_id?: string;
   severity?: string; // Filters trigger_data.severity (nested field)
   rule_id?: string;  // Filters trigger_data.rule_id (nested field)
@@ -28,7 +28,7 @@ export interface Execution {
   playbook_id: string;
   playbook_name?: string;
   playbookName?: string; // Alias for frontend compatibility
-  state: 'CREATED' | 'ENRICHING' | 'WAITING_APPROVAL' | 'EXECUTING' | 'COMPLETED' | 'FAILED';
+  state: 'CREATED' | 'QUEUED' | 'ENRICHING' | 'WAITING_APPROVAL' | 'WAITING' | 'EXECUTING' | 'COMPLETED' | 'FAILED' | 'CANCELLED';
   trigger_data?: any;
   started_at?: string;
   startedAt?: string; // Alias for frontend compatibility
@@ -382,7 +382,7 @@ class APIClient {
   // ============================================================================
 
   async getExecutions(params?: {
-    state?: 'EXECUTING' | 'WAITING_APPROVAL' | 'COMPLETED' | 'FAILED';
+    state?: 'QUEUED' | 'EXECUTING' | 'WAITING_APPROVAL' | 'WAITING' | 'COMPLETED' | 'FAILED' | 'CANCELLED';
     playbook_id?: string;
     severity?: string; // Filters trigger_data.severity
     rule_id?: string;  // Filters trigger_data.rule_id
@@ -5,11 +5,14 @@ export type Severity = 'critical' | 'high' | 'medium' | 'low' | 'info';
 
 export type ExecutionState = 
   | 'CREATED' 
+  | 'QUEUED'
   | 'ENRICHING' 
   | 'WAITING_APPROVAL' 
+  | 'WAITING' 
   | 'EXECUTING' 
   | 'COMPLETED' 
-  | 'FAILED';
+  | 'FAILED'
+  | 'CANCELLED';
 
 export type StepType = 
   | 'enrichment' 